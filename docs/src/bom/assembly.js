@@ -0,0 +1,452 @@
+// FILE: docs/src/bom/assembly.js
+// Step-by-step assembly instructions — an ordered build sequence taken from the model.
+//
+// buildAssemblySteps() turns a computeDesignBOM() result into stages in build order:
+// base frame, deck, each wall panel with its openings, dividers, roof frame,
+// sheathing, covering, cladding, doors and windows, skylights, trims, insulation
+// and lining, shelving, then each attachment. Each step carries its parts list.
+// meshStepKey() maps a scene mesh to the step that fits it, so the booklet can
+// show every step on its own: earlier work ghosted, later work hidden, and the
+// camera framed on the new parts.
+
+import { fmtBomLength, getBomUnits } from "../units.js";
+import { roofCoveringParts } from "./purchase-orders.js";
+
+const WALL_ORDER = ["front", "back", "left", "right"];
+
+// Roof rows by stage; anything else on the roof list is structure
+const ROOF_TRIM = /Fascia|Soffit|Barge/i;
+const ROOF_COVERING = /Covering|Felt|EPDM|Membrane|Batten|Tile|Slate|Shingle|Ridge Cap/i;
+const ROOF_SHEATHING = /OSB|Ply|PIR|Insulation/i;
+
+// Roof mesh metadata.part by stage
+const ROOF_PART_STAGES = {
+  osb: "roof-sheathing", ply: "roof-sheathing", "ply-gable": "roof-sheathing",
+  insulation: "roof-sheathing", "insulation-gable": "roof-sheathing",
+  covering: "roof-covering", "covering-eaves": "roof-covering", "covering-ridge": "roof-covering", "covering-verge": "roof-covering",
+  fascia: "trims", soffit: "trims",
+  "cladding-cutter": null
+};
+
+// Main roof covering by state.roof.covering, as bought in the purchase orders
+const COVERING_ITEMS = {
+  felt: "Roofing felt",
+  epdm: "EPDM membrane",
+  slate: "Synthetic slate, battens and membrane"
+};
+
+const GHOST_VISIBILITY = 0.2;
+
+/**
+ * Build the ordered assembly sequence for a design.
+ * Each row is { item, qty, length_mm, width_mm, notes }; steps with no parts are left out.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @param {object} state - Full application state
+ * @returns {Array<{ key: string, title: string, text: string, rows: Array<object> }>}
+ */
+export function buildAssemblySteps(bom, state) {
+  const steps = [];
+  const add = (key, title, text, rows) => {
+    if (rows.length) steps.push({ key, title, text, rows });
+  };
+
+  // ─── BASE ───
+  const base = bom.base || {};
+  const baseRows = (section) => (base.csvRows || [])
+    .filter(r => r[0] === section && !/^TOTAL/.test(String(r[1])))
+    .map(r => row(r[1], r[2], r[3], r[4], r[7]));
+  const grid = Object.keys(base.gridCuts || {}).map(k => {
+    const [l, w] = k.split("x");
+    return row(`Plastic grid tile ${k}`, base.gridCuts[k], l, w, Number(l) === base.gridSize && Number(w) === base.gridSize ? "Full tile" : "Cut tile");
+  });
+  add("base-frame", "Groundwork and base frame",
+    "Level the ground" + (grid.length ? " and lay the plastic grid tiles" : "") +
+    ". Fix the rim joists to the ends of the inner joists, check the frame is square by measuring both diagonals, then set it down level.",
+    grid.concat(baseRows("Timber Frame")));
+
+  const pir = Object.keys(base.pirRipCuts || {}).map(k => {
+    const [l, w] = k.split("x");
+    return row(`PIR ${k}`, base.pirRipCuts[k], l, w, "Cut board");
+  });
+  add("base-deck", pir.length ? "Floor insulation and deck" : "Floor deck",
+    (pir.length ? "Fit the PIR boards tight between the joists. " : "") +
+    "Lay the OSB decking across the joists with staggered joints, full sheets first and ripped pieces at the edges, and screw it down.",
+    pir.concat(baseRows("OSB Decking")));
+
+  // ─── WALL PANELS ───
+  const walls = wallSections(bom.walls && bom.walls.sections);
+  for (const id of Object.keys(walls).sort((a, b) => wallRank(a) - wallRank(b))) {
+    const w = walls[id];
+    const openings = [...new Set(w.rows.map(r => (r.notes.match(/^(?:door|window) (\S+)/) || [])[1]).filter(Boolean))];
+    add(`wall-${id}`, `${cap(id)} wall panel`,
+      `Cut the plates and studs, nail the studs between the plates` +
+      (openings.length ? `, then frame the ${openings.length === 1 ? "opening" : "openings"} (${openings.join(", ")}) with uprights, headers and sills` : "") +
+      `. Stand the panel on the deck, plumb it, fix the bottom plate down and screw it to the neighbouring panels at the corners.`,
+      w.rows);
+  }
+
+  add("dividers", "Internal dividers",
+    "Frame each divider between the floor and the wall plates at its marked position, leaving any doorway clear, and sheet it.",
+    (bom.dividers || []).filter(isPartRow).map(r => row(r[0], r[1], r[2], r[3], r[5])));
+
+  // ─── ROOF ───
+  const roof = (bom.roof || []).filter(r => r.length > 1 && !/^TOTAL/.test(String(r[0])))
+    .map(r => row(r[0], r[1], r[2], r[3], r[4]));
+  const roofStyle = (state && state.roof && state.roof.style) || "apex";
+  const isTrussed = roof.some(r => /Truss/.test(r.item));
+  const hasRidge = roof.some(r => /Ridge Beam/.test(r.item));
+  add("roof-frame", isTrussed ? (hasRidge ? "Roof trusses, ridge and purlins" : "Roof trusses and purlins") : "Roof rafters",
+    (isTrussed
+      ? "Assemble the trusses on the flat" + (roof.some(r => /Gusset/.test(r.item)) ? ", gluing and nailing a ply gusset to both faces of every joint" : "") +
+        ", lift them onto the wall plates at the marked centres and clip them down. " +
+        (hasRidge ? "Fit the ridge beam and purlins across the trusses." : "Fit the purlins across the trusses.")
+      : roofStyle === "hipped"
+        ? "Fix the ridge beam, then the hip rafters from the corners to the ridge ends, the common rafters and the jack rafters between the hips and the plates."
+        : "Fix the rim joists, then the rafters at the marked centres, notched over the wall plates.") +
+    " Check everything is square before sheathing.",
+    roof.filter(r => !ROOF_TRIM.test(r.item) && !ROOF_COVERING.test(r.item) && !ROOF_SHEATHING.test(r.item)));
+
+  const sheathing = roof.filter(r => ROOF_SHEATHING.test(r.item) && !ROOF_COVERING.test(r.item));
+  add("roof-sheathing", "Roof sheathing" + (sheathing.some(r => /PIR|Insulation|Ply/.test(r.item)) ? " and insulation" : ""),
+    "Screw the OSB to the rafters with joints landing on a rafter, staggered course to course." +
+    (sheathing.some(r => /PIR|Insulation/.test(r.item)) ? " Fit the PIR between the rafters from inside and line the underside with plywood." : ""),
+    sheathing);
+
+  const covering = (state && state.roof && state.roof.covering) || "felt";
+  const coveringRows = roofCoveringParts({ roof: bom.roof }).map(p =>
+    row(COVERING_ITEMS[covering] || COVERING_ITEMS.felt, 1, "", "", `${(Math.round(p.m2 * 10) / 10)}m² over the ${p.item.toLowerCase()}`));
+  add("roof-covering", "Roof covering",
+    (covering === "epdm"
+      ? "Bond the EPDM membrane to the deck from the middle outwards, pressing out any air, then turn it down over the edges and trim it."
+      : covering === "slate"
+        ? "Lay the breather membrane and fix the battens at the slate gauge, then lay the slates from the eaves upwards and finish the verges and ridge."
+        : "Lay the felt from the eaves upwards, lapping each course over the one below, nail it to the deck and finish the verges and ridge."),
+    coveringRows.concat(roof.filter(r => ROOF_COVERING.test(r.item))));
+
+  // ─── CLADDING ───
+  const cladding = cladRows(bom.walls && bom.walls.sections);
+  add("cladding", "Wall cladding and corner boards",
+    "Fix the cladding from the bottom course upwards, two fixings into every stud, cutting around the door and window openings. Finish the corners with the corner boards.",
+    cladding);
+
+  // ─── OPENINGS ───
+  const openings = bom.openings || {};
+  add("openings", "Doors and windows",
+    "Make up the doors and window frames, glaze the windows, then hang the doors and fix the frames into their openings.",
+    openingRows(openings.doors).concat(openingRows(openings.windows)));
+  add("skylights", "Skylights",
+    "Cut the skylight openings through the roof, fit the frames and glazing and seal the covering around them.",
+    openingRows(openings.skylights));
+
+  add("trims", "Fascias, soffits and trims",
+    "Fix the soffit boards under the eaves and verges, then the fascia and barge boards over the rafter ends.",
+    roof.filter(r => ROOF_TRIM.test(r.item)));
+
+  // ─── INSULATION ───
+  const ins = bom.walls && bom.walls.insulation;
+  const insRows = [];
+  if (ins && ins.insulated) {
+    for (const r of (ins.pir && ins.pir.rows) || []) insRows.push(row(`PIR — ${r.wall}`, r.qty, r.length_mm, r.width_mm, r.notes));
+    for (const r of (ins.lining && ins.lining.rows) || []) insRows.push(row(`Lining (${ins.lining.type}) — ${r.wall}`, r.qty, r.length_mm, r.height_mm || "", r.notes));
+  }
+  add("wall-insulation", "Wall insulation and lining",
+    "Friction-fit the PIR between the studs, tape the joints, then screw the lining to the studs.",
+    insRows);
+
+  const shelving = [];
+  for (const sec of bom.shelving || []) {
+    for (const r of sec.rows || []) shelving.push(row(r.item, r.qty, r.length_mm, "", [sec.title, r.section, r.notes].filter(Boolean).join("; ")));
+  }
+  add("shelving", "Shelving", "Fix the brackets to the studs at the marked heights and screw the shelf boards to them.", shelving);
+
+  // ─── ATTACHMENTS ───
+  for (const att of bom.attachments || []) {
+    const rows = [];
+    for (const part of ["base", "walls", "roof", "openings"]) {
+      for (const r of att[part] || []) if (isPartRow(r) && !/^\s*TOTAL/.test(String(r[0]))) rows.push(row(r[0], r[1], r[2], r[3], r[4]));
+    }
+    add(`attachment-${att.id}`, att.label,
+      "Build the attachment in the same order as the main building: base frame and deck, wall panels fixed back to the main building, roof frame, sheathing, covering, then cladding and openings.",
+      rows);
+  }
+
+  return steps;
+}
+
+/**
+ * The assembly step a mesh belongs to, or null for meshes outside the sequence.
+ * @param {BABYLON.AbstractMesh} mesh
+ * @returns {string|null} A step key from buildAssemblySteps()
+ */
+export function meshStepKey(mesh) {
+  const meta = mesh && mesh.metadata;
+  if (!meta || meta.dynamic !== true) return null;
+
+  for (let n = mesh; n; n = n.parent) {
+    if (n.metadata && n.metadata.attachmentId) return `attachment-${n.metadata.attachmentId}`;
+  }
+
+  const name = String(mesh.name || "").replace(/^section-[^-]+-/, "");
+  if (name === "r" || name === "j" || name === "g" || name === "concrete-base") return "base-frame";
+  if (name === "i" || name === "d") return "base-deck";
+  if (name.startsWith("clad-") || name.startsWith("corner-board-")) return "cladding";
+
+  const wall = name.match(/^wall-([a-z]+)-(ins-|ply-)?/);
+  if (wall) return wall[2] ? "wall-insulation" : `wall-${wall[1]}`;
+
+  if (name.startsWith("door-") || name.startsWith("window-")) return "openings";
+  if (name.startsWith("roof-skylight-")) return "skylights";
+  if (name.startsWith("divider-")) return "dividers";
+  if (name.startsWith("shelf-")) return "shelving";
+  if (meta.roofTiles) return "roof-covering";
+  if (meta.roof || name.startsWith("roof-")) {
+    return meta.part in ROOF_PART_STAGES ? ROOF_PART_STAGES[meta.part] : "roof-frame";
+  }
+  return null;
+}
+
+/**
+ * Render one image per step: parts from earlier steps ghosted, later steps hidden and
+ * the camera framed on the step's own parts. Meshes of a stage that has no step are
+ * hidden in every view. The scene and camera are restored afterwards.
+ * The canvas must be visible (3D view) and the engine created with preserveDrawingBuffer.
+ * @param {BABYLON.Scene} scene
+ * @param {BABYLON.ArcRotateCamera} camera
+ * @param {Array<object>} steps - Result of buildAssemblySteps()
+ * @returns {Array<string|null>} JPEG data URLs, null where a step has no meshes
+ */
+export function captureAssemblySteps(scene, camera, steps) {
+  const canvas = scene.getEngine().getRenderingCanvas();
+  const order = new Map(steps.map((s, i) => [s.key, i]));
+  const meshes = [];
+  for (const m of scene.meshes) {
+    const key = meshStepKey(m);
+    if (key === null) continue;
+    // Parts of a stage with no step of its own stay hidden throughout
+    const idx = order.has(key) ? order.get(key) : steps.length;
+    meshes.push({ m, idx, isVisible: m.isVisible, visibility: m.visibility });
+  }
+  const saved = {
+    target: camera.target.clone(), alpha: camera.alpha, beta: camera.beta, radius: camera.radius,
+    lower: camera.lowerRadiusLimit, upper: camera.upperRadiusLimit
+  };
+  camera.lowerRadiusLimit = null;
+  camera.upperRadiusLimit = null;
+
+  const images = [];
+  try {
+    steps.forEach((step, i) => {
+      let min = null;
+      let max = null;
+      for (const e of meshes) {
+        if (!e.isVisible) continue;
+        e.m.isVisible = e.idx <= i;
+        e.m.visibility = e.idx < i ? Math.min(e.visibility, GHOST_VISIBILITY) : e.visibility;
+        if (e.idx !== i) continue;
+        e.m.computeWorldMatrix(true);
+        const bb = e.m.getBoundingInfo().boundingBox;
+        min = min ? BABYLON.Vector3.Minimize(min, bb.minimumWorld) : bb.minimumWorld.clone();
+        max = max ? BABYLON.Vector3.Maximize(max, bb.maximumWorld) : bb.maximumWorld.clone();
+      }
+      if (!min) {
+        images.push(null);
+        return;
+      }
+      const size = max.subtract(min).length();
+      camera.setTarget(min.add(max).scale(0.5), false, false, true);
+      camera.radius = Math.max(size, 0.5) / (2 * Math.tan(camera.fov / 2)) * 1.15;
+      scene.render();
+      images.push(canvas.toDataURL("image/jpeg", 0.85));
+    });
+  } finally {
+    for (const e of meshes) {
+      e.m.isVisible = e.isVisible;
+      e.m.visibility = e.visibility;
+    }
+    camera.setTarget(saved.target, false, false, true);
+    camera.alpha = saved.alpha;
+    camera.beta = saved.beta;
+    camera.radius = saved.radius;
+    camera.lowerRadiusLimit = saved.lower;
+    camera.upperRadiusLimit = saved.upper;
+    scene.render();
+  }
+  return images;
+}
+
+/**
+ * Printable assembly booklet: a contents page, then one page per step with its
+ * view and parts list. Lengths follow the current BOM units.
+ * @param {Array<object>} steps - Result of buildAssemblySteps()
+ * @param {Array<string|null>} [images] - Result of captureAssemblySteps()
+ * @param {{ title?: string, job?: string, date?: Date }} [meta]
+ * @returns {string} Standalone HTML document
+ */
+export function assemblyToHtml(steps, images, meta) {
+  const m = meta || {};
+  const ymd = (m.date || new Date()).toISOString().slice(0, 10);
+  const units = getBomUnits();
+  const suffix = units === "in" ? "(in)" : units === "both" ? "(mm / in)" : "(mm)";
+  const out = [];
+  out.push("<!DOCTYPE html><html><head><meta charset=\"utf-8\"><title>Assembly instructions</title><style>" +
+    "body{font-family:sans-serif;color:#222;margin:24px}section{page-break-after:always;margin-bottom:40px}" +
+    "section:last-child{page-break-after:auto}h1{font-size:22px;margin:0 0 4px}h2{font-size:18px;margin:0 0 8px}" +
+    "ol{font-size:14px;line-height:1.6}p{font-size:14px;line-height:1.5;max-width:60em}" +
+    "img{display:block;max-width:100%;max-height:55vh;margin:8px 0 12px;border:1px solid #ddd}" +
+    "table{border-collapse:collapse;width:100%;font-size:13px}th,td{border:1px solid #bbb;padding:4px 6px;text-align:left}" +
+    "td.n{text-align:right}.subtle{color:#666;font-size:12px}</style></head><body>");
+
+  out.push("<section>");
+  out.push(`<h1>${esc(m.title || "Assembly instructions")}</h1>`);
+  out.push(`<p class="subtle">${[m.job, ymd, `${steps.length} steps`].filter(Boolean).map(esc).join(" · ")}</p>`);
+  out.push("<ol>" + steps.map(s => `<li>${esc(s.title)}</li>`).join("") + "</ol>");
+  out.push("<p class=\"subtle\">Each view shows the parts added in that step; earlier work is shown faded and later work is hidden.</p>");
+  out.push("</section>");
+
+  steps.forEach((s, i) => {
+    const img = images && images[i];
+    out.push("<section>");
+    out.push(`<h2>Step ${i + 1} — ${esc(s.title)}</h2>`);
+    if (img) out.push(`<img src="${img}" alt="Step ${i + 1}: ${esc(s.title)}">`);
+    out.push(`<p>${esc(s.text)}</p>`);
+    out.push(`<table><thead><tr><th>Item</th><th>Qty</th><th>L ${suffix}</th><th>W ${suffix}</th><th>Notes</th></tr></thead><tbody>`);
+    for (const r of s.rows) {
+      out.push(`<tr><td>${esc(r.item)}</td><td class="n">${esc(r.qty)}</td><td class="n">${esc(fmtBomLength(r.length_mm, units))}</td>` +
+        `<td class="n">${esc(fmtBomLength(r.width_mm, units))}</td><td>${esc(r.notes)}</td></tr>`);
+    }
+    out.push("</tbody></table></section>");
+  });
+  out.push("</body></html>");
+  return out.join("\n");
+}
+
+/**
+ * Update the Assembly Instructions section of the walls cutting list page and wire
+ * its print button. Printing switches to the 3D view to render each step, then
+ * returns to the page it was pressed on.
+ * @param {Array<object>} steps - Result of buildAssemblySteps()
+ * @param {object} [meta] - Passed to assemblyToHtml()
+ */
+export function renderAssemblySteps(steps, meta) {
+  const tbody = document.getElementById("assemblyStepsBody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  steps.forEach((s, i) => {
+    const tr = document.createElement("tr");
+    const pieces = s.rows.reduce((n, r) => n + (Number(r.qty) || 0), 0);
+    for (const c of [i + 1, s.title, `${s.rows.length} lines, ${pieces} pieces`]) {
+      const td = document.createElement("td");
+      td.textContent = String(c);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+
+  // The print button always prints the latest steps
+  const printBtn = document.getElementById("printAssemblyBtn");
+  if (printBtn) {
+    printBtn._assembly = { steps, meta };
+    if (!printBtn._wired) {
+      printBtn._wired = true;
+      printBtn.addEventListener("click", () => {
+        const { steps: latest, meta: latestMeta } = printBtn._assembly;
+        const w = window.open("", "_blank");
+        if (!w) return;
+        w.document.write(assemblyToHtml(latest, captureFromApp(latest), latestMeta));
+        w.document.close();
+        w.focus();
+        w.print();
+      });
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+/** Capture the step views from the running app, or no images if the scene is unavailable. */
+function captureFromApp(steps) {
+  const dbg = window.__dbg || {};
+  if (!dbg.scene || !dbg.camera || typeof BABYLON === "undefined") return [];
+  const viewSelect = document.getElementById("viewSelect");
+  const prevView = viewSelect ? viewSelect.value : "3d";
+  const setView = (v) => {
+    if (!viewSelect || viewSelect.value === v) return;
+    viewSelect.value = v;
+    viewSelect.dispatchEvent(new Event("change", { bubbles: true }));
+  };
+  try {
+    setView("3d");
+    dbg.scene.getEngine().resize();
+    return captureAssemblySteps(dbg.scene, dbg.camera, steps);
+  } catch (e) {
+    console.warn("[assembly] Step capture failed:", e);
+    return [];
+  } finally {
+    setView(prevView);
+  }
+}
+
+/** Wall framing rows grouped by wall id, from the "WALL: <id> (...)" headers. */
+function wallSections(sections) {
+  const walls = {};
+  let current = null;
+  for (const r of sections || []) {
+    const item = String(r[0]);
+    const head = item.match(/^WALL: (\S+)/);
+    if (head) {
+      current = walls[head[1]] = { rows: [] };
+      continue;
+    }
+    if (!item.startsWith("  ")) current = null;
+    if (current && isPartRow(r)) current.rows.push(row(item, r[1], r[2], r[3], r[5]));
+  }
+  return walls;
+}
+
+/** Cladding courses and corner boards from the CLADDING block of the wall sections. */
+function cladRows(sections) {
+  const rows = [];
+  let inClad = false;
+  for (const r of sections || []) {
+    const item = String(r[0]);
+    if (item === "CLADDING") { inClad = true; continue; }
+    if (!item.startsWith("  ")) inClad = false;
+    if (inClad && isPartRow(r) && !/TOTAL/.test(item)) rows.push(row(item, r[1], r[2], r[3], r[5]));
+  }
+  return rows;
+}
+
+/** Door, window or skylight rows with the opening name in the notes. */
+function openingRows(list) {
+  const rows = [];
+  let name = "";
+  for (const r of list || []) {
+    if (!isPartRow(r)) {
+      if (/^ {2}\S/.test(String(r[0]))) name = String(r[0]).trim();
+      continue;
+    }
+    rows.push(row(r[0], r[1], r[2], r[3], [name, r[5]].filter(Boolean).join("; ")));
+  }
+  return rows;
+}
+
+function isPartRow(r) {
+  return Array.isArray(r) && r[1] !== "" && r[1] != null && Number(r[1]) > 0;
+}
+
+function row(item, qty, length_mm, width_mm, notes) {
+  return { item: String(item).trim(), qty: Number(qty), length_mm: length_mm ?? "", width_mm: width_mm ?? "", notes: String(notes ?? "") };
+}
+
+function wallRank(id) {
+  const i = WALL_ORDER.indexOf(id);
+  return i < 0 ? WALL_ORDER.length : i;
+}
+
+function cap(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
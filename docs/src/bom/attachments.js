@@ -1,6 +1,36 @@
 // FILE: docs/src/bom/attachments.js
 // BOM (Bill of Materials) for attached buildings
-// Appends material summaries to existing BOM pages (base, walls, roof)
+// Appends cutting lists to existing BOM pages (base, walls, roof, openings).
+// Quantities come from computeAttachmentTakeoff(), which measures the same
+// layout build3D() builds, so the list matches the model.
+
+import { computeAttachmentTakeoff } from '../elements/attachments.js?_v=3';
+import * as Doors from '../elements/doors.js';
+import * as Windows from '../elements/windows.js';
+import { fmtBomLength, relabelLengthHeaders } from '../units.js';
+import { tagPartRow } from '../part-ids.js';
+
+const BOM_HEADERS = ['Item', 'Qty', 'L (mm)', 'W (mm)', 'Notes'];
+
+// Standard sheet: 1220 down the slope / across the floor, 2440 along it
+const SHEET_A_MM = 1220;
+const SHEET_B_MM = 2440;
+
+const CLAD_BOARD_WIDTH = 140;
+const CLAD_THICKNESS = 20;
+const CLAD_STOCK_LENGTH = 6200;
+
+// Wall member kinds recorded by computeAttachmentTakeoff() → cutting-list item names
+const MEMBER_ITEMS = {
+  'plate-bottom': 'Bottom Plate',
+  'plate-top': 'Top Plate',
+  stud: 'Studs',
+  cripple: 'Cripple Studs'
+};
+const OPENING_MEMBER_ITEMS = {
+  door: { upright: 'Door Uprights', header: 'Door Header', cripple: 'Door Cripple Studs' },
+  window: { upright: 'Window Uprights', header: 'Window Header', sill: 'Window Sill', cripple: 'Window Cripple Studs' }
+};
 
 /**
  * Update BOM tables with attachment materials.
@@ -8,150 +38,189 @@
  * @param {object} state - Full application state
  */
 export function updateAttachmentBOM(state) {
-  const attachments = state?.sections?.attachments || [];
-  const enabledAtts = attachments.filter(a => a && a.enabled !== false);
-
   // Clear previous attachment BOM sections
   clearAttachmentBOM();
 
-  if (enabledAtts.length === 0) return;
+  const boms = computeAttachmentBOM(state);
+  for (const bom of boms) {
+    appendBOMSection('bomPage', bom.label + ' — Base', bom.base, BOM_HEADERS, bom.id);
+    appendBOMSection('wallsBomPage', bom.label + ' — Walls', bom.walls, BOM_HEADERS, bom.id);
+    appendBOMSection('roofBomPage', bom.label + ' — Roof', bom.roof, BOM_HEADERS, bom.id);
+    if (bom.openings.length > 0) {
+      appendBOMSection('openingsBomPage', bom.label + ' — Openings', bom.openings, BOM_HEADERS);
+    }
+  }
+}
 
-  const mainWallHeight_mm = state?.walls?.height_mm || 2200;
-  const mainVariant = state?.walls?.variant || 'basic';
-  const SHEET_W = 1220;
-  const SHEET_L = 2440;
-  const JOIST_SPACING = 400;
-  const STUD_SPACING = 400;
-  const RAFTER_SPACING = 600;
+/**
+ * Compute attachment materials without touching the DOM.
+ * Rows are [Item, Qty, L (mm), W (mm), Notes] — the main roof's 5-column
+ * cutting-list format, with thickness as "D (mm): N" in the notes.
+ * @param {object} state - Full application state
+ * @returns {Array<{id: string, label: string, base: Array, walls: Array, roof: Array, openings: Array}>}
+ */
+export function computeAttachmentBOM(state) {
+  const attachments = state?.sections?.attachments || [];
+  const enabledAtts = attachments.filter(a => a && a.enabled !== false);
+  const result = [];
 
   for (let i = 0; i < enabledAtts.length; i++) {
     const att = enabledAtts[i];
     const label = `Attachment ${i + 1} (${att.attachTo?.wall || 'left'})`;
-    const w_mm = att.dimensions?.width_mm || 1800;
-    const d_mm = att.dimensions?.depth_mm || 1200;
-    const wallH_mm = att.walls?.height_mm || mainWallHeight_mm;
-    const variant = att.walls?.variant || mainVariant;
-    const isInsulated = variant === 'insulated';
-    const studDepth = isInsulated ? 100 : 75;
-
-    // ─── BASE BOM ───
-    const baseItems = [];
-
-    // Rim joists (3 sides — shared wall uses main building's rim)
-    // 2 × depth joists (sides) + 1 × width joist (outer)
-    baseItems.push(['Rim Joist (side)', 2, `${d_mm}mm`, `50×100 section`]);
-    baseItems.push(['Rim Joist (outer)', 1, `${w_mm}mm`, `50×100 section`]);
-
-    // Inner joists
-    const innerJoistCount = Math.max(0, Math.ceil(w_mm / JOIST_SPACING) - 1);
-    if (innerJoistCount > 0) {
-      baseItems.push(['Inner Joist', innerJoistCount, `${d_mm}mm`, `50×100 section`]);
-    }
+    const takeoff = computeAttachmentTakeoff(state, att);
 
-    // OSB decking sheets
-    const footprint_m2 = (w_mm * d_mm) / 1_000_000;
-    const sheetArea = (SHEET_W * SHEET_L) / 1_000_000;
-    const osbSheets = Math.ceil(footprint_m2 / sheetArea);
-    baseItems.push(['OSB 18mm Sheet', osbSheets, `${SHEET_L}×${SHEET_W}mm`, 'Floor decking']);
-
-    // Plastic grids
-    const gridCount = Math.ceil(footprint_m2 * 4); // 4 per m² (0.5×0.5m)
-    baseItems.push(['Plastic Grid Tile', gridCount, '500×500mm', 'Ground support']);
-
-    appendBOMSection('bomPage', label + ' — Base', baseItems,
-      ['Item', 'Qty', 'Size', 'Notes']);
-
-    // ─── WALLS BOM ───
-    const wallItems = [];
-
-    // 3 walls: outer (width), left side (depth), right side (depth)
-    // Bottom + top plates for each wall
-    wallItems.push(['Bottom Plate (outer)', 1, `${w_mm}mm`, `50×${studDepth} section`]);
-    wallItems.push(['Top Plate (outer)', 1, `${w_mm}mm`, `50×${studDepth} section`]);
-    wallItems.push(['Bottom Plate (side)', 2, `${d_mm}mm`, `50×${studDepth} section`]);
-    wallItems.push(['Top Plate (side)', 2, `${d_mm}mm`, `50×${studDepth} section`]);
-
-    // Studs per wall
-    const outerStuds = Math.ceil(w_mm / STUD_SPACING) + 1;
-    const sideStuds = Math.ceil(d_mm / STUD_SPACING) + 1;
-    const studLen_mm = wallH_mm - (2 * 50); // minus top & bottom plate height
-    wallItems.push(['Stud (outer wall)', outerStuds, `${studLen_mm}mm`, `50×${studDepth} section`]);
-    wallItems.push(['Stud (side wall)', sideStuds * 2, `${studLen_mm}mm`, `50×${studDepth} section, ×2 walls`]);
-
-    // Cladding area estimate
-    const outerWallArea = (w_mm / 1000) * (wallH_mm / 1000);
-    const sideWallArea = (d_mm / 1000) * (wallH_mm / 1000);
-    const totalCladArea = (outerWallArea + 2 * sideWallArea).toFixed(2);
-    wallItems.push(['Cladding area', '', `${totalCladArea} m²`, '3 walls (shared wall excluded)']);
-
-    if (isInsulated) {
-      // PIR insulation sheets (walls)
-      const wallArea_m2 = outerWallArea + 2 * sideWallArea;
-      const pirSheets = Math.ceil(wallArea_m2 / sheetArea);
-      wallItems.push(['PIR 50mm Sheet (walls)', pirSheets, `${SHEET_L}×${SHEET_W}mm`, 'Wall cavity insulation']);
-      // Plywood lining
-      const plySheets = Math.ceil(wallArea_m2 / sheetArea);
-      wallItems.push(['Plywood 12mm Sheet (walls)', plySheets, `${SHEET_L}×${SHEET_W}mm`, 'Internal wall lining']);
-    }
+    result.push({
+      id: att.id,
+      label,
+      base: baseRows(takeoff),
+      walls: wallRows(takeoff),
+      roof: roofRows(takeoff, state),
+      openings: openingRows(takeoff)
+    });
+  }
+
+  return result;
+}
+
+// ─── BASE ───
+function baseRows(takeoff) {
+  const pieces = takeoff.floor.pieces.slice();
+  for (const p of takeoff.floor.panels) pieces.push(...cutPanelToSheets(p));
+  return groupedRows(pieces);
+}
+
+// ─── WALLS ───
+function wallRows(takeoff) {
+  const { variant } = takeoff.geom;
+  const rows = [];
+  let totalCladLength_mm = 0;
+
+  for (const wall of takeoff.walls) {
+    const frameNote = wall.isSloped
+      ? `Frame L=${wall.length}mm; sloped ${wall.h0}→${wall.h1}mm`
+      : `Frame L=${wall.length}mm; H=${wall.h0}mm`;
+    rows.push([`WALL: ${wall.wallId} (${variant})`, '', '', '', frameNote]);
 
-    appendBOMSection('wallsBomPage', label + ' — Walls', wallItems,
-      ['Item', 'Qty', 'Size', 'Notes']);
-
-    // ─── ROOF BOM ───
-    const roofItems = [];
-    const roofType = att.roof?.type || 'pent';
-
-    if (roofType === 'pent') {
-      // Pent roof: rafters run from main building outward (depth direction)
-      const rafterCount = Math.ceil(w_mm / RAFTER_SPACING) + 1;
-      const slopeFactor = 1.05; // slight pitch
-      const rafterLen_mm = Math.round(d_mm * slopeFactor);
-      roofItems.push(['Rafter', rafterCount, `${rafterLen_mm}mm`, `100×50 section, ${RAFTER_SPACING}mm centres`]);
-    } else if (roofType === 'apex') {
-      // Apex: ridge + paired rafters
-      roofItems.push(['Ridge Board', 1, `${w_mm}mm`, '100×50 section']);
-      const rafterCount = Math.ceil(w_mm / RAFTER_SPACING) + 1;
-      const halfSpan = d_mm / 2;
-      const rafterLen_mm = Math.round(halfSpan * 1.12);
-      roofItems.push(['Rafter (pair)', rafterCount * 2, `${rafterLen_mm}mm`, `100×50 section`]);
+    const pieces = wall.pieces.map(p => {
+      const names = p.opening ? OPENING_MEMBER_ITEMS[p.opening.type] : MEMBER_ITEMS;
+      const notes = [
+        p.opening ? `${p.opening.type} ${p.opening.id}` : '',
+        p.sloped ? 'sloped' : ''
+      ].filter(Boolean).join('; ');
+      return { item: '  ' + (names[p.kind] || MEMBER_ITEMS.stud), qty: 1, L: p.L, W: p.W, D: p.D, notes };
+    });
+    for (const p of wall.panels) pieces.push(Object.assign({ qty: 1 }, p, { item: '  ' + p.item }));
+    rows.push(...groupedRows(pieces));
+
+    const clad = wall.cladding;
+    if (clad.courses > 0) {
+      rows.push([
+        '  Cladding',
+        clad.courses,
+        wall.length,
+        CLAD_BOARD_WIDTH,
+        `D (mm): ${CLAD_THICKNESS}; ${clad.courses} courses × ${wall.length}mm; total run: ${clad.total_mm}mm`
+      ]);
+      totalCladLength_mm += clad.total_mm;
     }
+  }
+
+  const totalStockBoards = Math.ceil(totalCladLength_mm / CLAD_STOCK_LENGTH);
+  rows.push([
+    'TOTAL CLADDING',
+    totalStockBoards,
+    CLAD_STOCK_LENGTH,
+    CLAD_BOARD_WIDTH,
+    `D (mm): ${CLAD_THICKNESS}; Total: ${Math.round(totalCladLength_mm / 1000 * 10) / 10}m linear; ${totalStockBoards} × ${CLAD_STOCK_LENGTH}mm boards`
+  ]);
+
+  return rows;
+}
 
-    // Roof OSB
-    const roofArea_m2 = footprint_m2 * (roofType === 'apex' ? 1.12 : 1.05);
-    const roofOsbSheets = Math.ceil(roofArea_m2 / sheetArea) + 1; // +1 waste
-    roofItems.push(['OSB 18mm Sheet (roof)', roofOsbSheets, `${SHEET_L}×${SHEET_W}mm`, 'Roof sheathing (+1 waste)']);
+// ─── ROOF ───
+function roofRows(takeoff, state) {
+  const covering = state?.roof?.covering || 'felt';
+  const pieces = takeoff.roof.pieces.map(p => p.item === 'Roof Covering'
+    ? Object.assign({}, p, { notes: [covering === 'epdm' ? 'EPDM membrane' : 'Felt', p.notes].filter(Boolean).join('; ') })
+    : p);
+  for (const p of takeoff.roof.panels) pieces.push(...cutPanelToSheets(p));
 
-    // Roof covering
-    const covering = state?.roof?.covering || 'felt';
-    roofItems.push(['Roof Covering', '', `${roofArea_m2.toFixed(2)} m²`, covering === 'epdm' ? 'EPDM membrane' : 'Felt']);
+  const rows = groupedRows(pieces);
+  if (takeoff.roof.note) rows.push(['Note', '', '', '', takeoff.roof.note]);
+  return rows;
+}
+
+// ─── OPENINGS ───
+// Doors/windows use the main building's component lists at their capped sizes.
+function openingRows(takeoff) {
+  const synthetic = { walls: { openings: takeoff.openings } };
+  const sections = Doors.updateBOM(synthetic).sections.concat(Windows.updateBOM(synthetic).sections);
+  return sections.map(r => [
+    r[0],
+    r[1],
+    r[2],
+    r[3],
+    [r[4] !== '' && r[4] != null ? `D (mm): ${r[4]}` : '', r[5]].filter(Boolean).join('; ')
+  ]);
+}
+
+/**
+ * Cut a panel onto standard sheets: full sheets, then rips along the far edges.
+ * Mirrors the roof OSB layout (1220 across L, 2440 across W).
+ * @param {object} panel - { item, L, W, D, notes }
+ * @returns {Array<object>} Pieces { item, qty, L, W, D, notes }
+ */
+function cutPanelToSheets(panel) {
+  const L = Math.max(1, Math.floor(panel.L));
+  const W = Math.max(1, Math.floor(panel.W));
+  const lFull = Math.floor(L / SHEET_A_MM);
+  const wFull = Math.floor(W / SHEET_B_MM);
+  const lRem = L - lFull * SHEET_A_MM;
+  const wRem = W - wFull * SHEET_B_MM;
 
-    // Fascia
-    roofItems.push(['Fascia Board', 1, `${w_mm}mm`, '135×20mm, outer edge']);
-    if (roofType === 'pent') {
-      roofItems.push(['Barge Board (side)', 2, `${Math.round(d_mm * 1.05)}mm`, '135×20mm']);
+  const pieces = [];
+  const push = (qty, l, w, std) => {
+    if (qty > 0) {
+      pieces.push({ item: panel.item, qty, L: l, W: w, D: panel.D,
+                    notes: `${panel.notes}; ${std ? 'standard sheet' : 'rip/trim'}` });
     }
+  };
+  push(lFull * wFull, SHEET_A_MM, SHEET_B_MM, true);
+  if (lRem > 0) push(wFull, lRem, SHEET_B_MM, false);
+  if (wRem > 0) push(lFull, SHEET_A_MM, wRem, false);
+  if (lRem > 0 && wRem > 0) push(1, lRem, wRem, false);
+  return pieces;
+}
 
-    appendBOMSection('roofBomPage', label + ' — Roof', roofItems,
-      ['Item', 'Qty', 'Size', 'Notes']);
-
-    // ─── OPENINGS BOM ───
-    const attOpenings = att.walls?.openings || [];
-    const enabledOpenings = attOpenings.filter(o => o && o.enabled !== false);
-    if (enabledOpenings.length > 0) {
-      const openingItems = [];
-      for (const op of enabledOpenings) {
-        const type = op.type || 'door';
-        const w = op.width_mm || (type === 'door' ? 762 : 600);
-        const h = type === 'door' ? (wallH_mm - 100) : 600; // rough
-        openingItems.push([
-          type === 'door' ? 'Door Frame' : 'Window Frame',
-          1, `${w}×${h}mm`, `DGU + hardware + timber frame`
-        ]);
-      }
-      appendBOMSection('openingsBomPage', label + ' — Openings', openingItems,
-        ['Item', 'Qty', 'Size', 'Notes']);
+/**
+ * Group identical pieces and emit sorted 5-column rows (item, then L, W, notes).
+ * @param {Array<object>} pieces - { item, qty, L, W, D, notes }
+ * @returns {Array<Array>} Rows [item, qty, L, W, notes]
+ */
+function groupedRows(pieces) {
+  const groups = {};
+  const order = [];
+  for (const p of pieces) {
+    const notes = [`D (mm): ${p.D}`, p.notes].filter(Boolean).join('; ');
+    const key = `${p.item}|${p.L}|${p.W}|${notes}`;
+    if (!groups[key]) {
+      groups[key] = { item: p.item, qty: 0, L: p.L, W: p.W, notes };
+      order.push(key);
     }
+    groups[key].qty += p.qty || 1;
   }
+
+  const rows = order.map(k => groups[k]);
+  rows.sort((a, b) => {
+    const ai = String(a.item), bi = String(b.item);
+    if (ai !== bi) return ai.localeCompare(bi);
+    const aL = Number(a.L), bL = Number(b.L);
+    if (aL !== bL) return aL - bL;
+    const aW = Number(a.W), bW = Number(b.W);
+    if (aW !== bW) return aW - bW;
+    return String(a.notes).localeCompare(String(b.notes));
+  });
+  return rows.map(r => [r.item, r.qty, r.L, r.W, r.notes]);
 }
 
 /**
@@ -162,9 +231,11 @@ function clearAttachmentBOM() {
 }
 
 /**
- * Append a BOM section to an existing BOM page
+ * Append a BOM section to an existing BOM page.
+ * With an attachment id, framing rows are tagged for the part IDs (by wall
+ * from the "WALL: …" heading rows).
  */
-function appendBOMSection(pageId, title, rows, headers) {
+function appendBOMSection(pageId, title, rows, headers, attachmentId) {
   const page = document.getElementById(pageId);
   if (!page) return;
 
@@ -195,16 +266,26 @@ function appendBOMSection(pageId, title, rows, headers) {
 
   // Body
   const tbody = document.createElement('tbody');
+  let wall = null;
   for (const row of rows) {
     const tr = document.createElement('tr');
-    for (const cell of row) {
+    row.forEach((cell, i) => {
       const td = document.createElement('td');
-      td.textContent = cell !== undefined && cell !== null ? String(cell) : '';
+      // Columns 2 and 3 are L / W in mm
+      td.textContent = cell === undefined || cell === null ? '' : (i === 2 || i === 3) ? fmtBomLength(cell) : String(cell);
       tr.appendChild(td);
+    });
+    const heading = String(row[0]).match(/^WALL: (\S+)/);
+    if (heading) wall = heading[1];
+    else if (attachmentId) {
+      // Opening refs lead the notes once the thickness is dropped
+      const notes = String(row[4] || '').replace(/^D \(mm\): [^;]*;?\s*/, '');
+      tagPartRow(tr, { item: row[0], qty: row[1], length_mm: row[2], notes, wall, attachment: attachmentId });
     }
     tbody.appendChild(tr);
   }
   table.appendChild(tbody);
+  relabelLengthHeaders(table);
   section.appendChild(table);
   page.appendChild(section);
 }
@@ -0,0 +1,214 @@
+// FILE: docs/src/bom/carbon.js
+// Embodied carbon and timber volume report — material quantities from the BOM,
+// weighed and multiplied by the factor table in docs/data/carbon-factors.json.
+//
+// Quantities are what gets bought, as on the purchase orders: framing and trim
+// lengths, door/window/shelf joinery, whole cladding boards, nested sheets of
+// OSB, plywood and PIR, the roof covering area, glass panes, ground grid tiles, and the concrete slab
+// for concrete bases (sized as base.js draws it). Carbon is cradle-to-gate; the
+// carbon stored in timber products is reported separately, never netted off.
+
+import { deriveElementStates, computeDesignBOM } from "./compute.js";
+import { collectFramingPieces } from "./cutting-stock.js";
+import { collectSheetPieces, nestSheets, SHEET_MATERIALS } from "./sheet-nesting.js";
+import { collectJoineryPieces, claddingLinearMm, roofCoveringArea, gridTileCount, glassPanes } from "./purchase-orders.js";
+
+const CARBON_HEADERS = ["Material", "Quantity", "Volume (m³)", "Weight (kg)", "Carbon (kgCO₂e)", "Stored (kgCO₂)"];
+
+// Nested sheet material → factor key and thickness
+const SHEET_FACTORS = { osb18: ["osb", 18], ply12: ["plywood", 12], pir50: ["pir", 50] };
+
+const CLAD_BOARD_WIDTH_MM = 140;
+const CLAD_THICKNESS_MM = 20;
+const GLASS_THICKNESS_MM = 6;
+const CONCRETE_BASES = ["concrete-only", "concrete-timber"];
+
+let carbonFactors = null;
+
+/** Load the carbon factor table JSON (called once at startup) */
+export async function loadCarbonFactors() {
+  try {
+    const resp = await fetch("./data/carbon-factors.json?_v=1");
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    carbonFactors = await resp.json();
+    return true;
+  } catch (err) {
+    console.warn("[CARBON] Could not load carbon factors:", err.message);
+    return false;
+  }
+}
+
+/** Get the loaded carbon factor table (or null) */
+export function getCarbonFactors() { return carbonFactors; }
+
+/** Use an already-parsed factor table (headless tools that read the JSON from disk) */
+export function setCarbonFactors(table) { carbonFactors = table || null; }
+
+/**
+ * Carbon report for the current design, or null if the factor table has not loaded.
+ * @param {object} state - Full application state
+ * @returns {object|null} See computeCarbonReport()
+ */
+export function estimateCarbon(state) {
+  if (!carbonFactors || !state) return null;
+  return computeCarbonReport(computeDesignBOM(state), state, carbonFactors);
+}
+
+/**
+ * Timber volume, weight and embodied carbon per material.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @param {object} state - Full application state
+ * @param {object} factors - Loaded carbon-factors.json
+ * @returns {{ version: string, lines: Array<{ id: string, material: string, factor: string, qty: number, unit: string,
+ *   volume_m3: number, weight_kg: number, carbon_kgco2e: number, biogenic_kgco2: number }>,
+ *   totals: { timber_m3: number, weight_kg: number, carbon_kgco2e: number, biogenic_kgco2: number },
+ *   missing: string[] }}
+ *   lines only lists materials the design uses; missing names factor keys the table lacks.
+ */
+export function computeCarbonReport(bom, state, factors) {
+  const mats = (factors && factors.materials) || {};
+  const lines = [];
+  const missing = [];
+  const push = (id, material, key, qty, unit, volume_m3, weight_kg) => {
+    if (!(qty > 0)) return;
+    const f = mats[key];
+    if (!f) {
+      if (!missing.includes(key)) missing.push(key);
+      return;
+    }
+    const kg = weight_kg != null ? weight_kg : volume_m3 * (f.density_kg_m3 || 0);
+    lines.push({
+      id, material, factor: key, qty: round2(qty), unit,
+      volume_m3: round3(volume_m3 || 0),
+      weight_kg: round1(kg),
+      carbon_kgco2e: round1(kg * (f.kgco2e_per_kg || 0)),
+      biogenic_kgco2: round1(kg * (f.biogenic_kgco2_per_kg || 0))
+    });
+  };
+
+  // ─── TIMBER ───
+  const framing = pieceTotals(collectFramingPieces(bom));
+  push("framing", "Framing and trim", "softwood", framing.lm, "m", framing.m3);
+  const joinery = pieceTotals(collectJoineryPieces(bom));
+  push("joinery", "Door, window and shelf joinery", "softwood", joinery.lm, "m", joinery.m3);
+
+  const cladLinear = claddingLinearMm(bom);
+  const cladArea = cladLinear * CLAD_BOARD_WIDTH_MM / 1e6;
+  const cladM3 = cladArea * CLAD_THICKNESS_MM / 1000;
+  const profile = (state.cladding && (state.cladding.style || state.cladding.profile)) || "shiplap";
+  if (profile === "composite-panel") push("cladding", "Composite cladding", "composite_cladding", cladArea, "m²", cladM3);
+  else push("cladding", "Timber cladding", "softwood", cladArea, "m²", cladM3);
+
+  // ─── SHEETS ───
+  for (const m of nestSheets(collectSheetPieces(bom)).materials) {
+    const [key, t] = SHEET_FACTORS[m.id] || [];
+    if (!key) continue;
+    const area = m.count * m.sheet_w_mm * m.sheet_l_mm / 1e6;
+    push(key, `${SHEET_MATERIALS[m.id].label} (${m.count} sheets)`, key, area, "m²", area * t / 1000);
+  }
+
+  // ─── ROOF COVERING ───
+  const covering = (state.roof && state.roof.covering) || "felt";
+  const coverArea = roofCoveringArea(bom);
+  const cf = mats[covering];
+  push("covering", cf ? cf.label : covering, covering, coverArea, "m²", 0, cf ? coverArea * (cf.kg_per_m2 || 0) : 0);
+
+  // ─── GLAZING ───
+  let glassArea = 0;
+  for (const p of glassPanes(bom)) glassArea += p.qty * p.l * p.w / 1e6;
+  push("glass", "Glazing", "glass", glassArea, "m²", glassArea * GLASS_THICKNESS_MM / 1000);
+
+  // ─── BASE ───
+  const tiles = gridTileCount(bom);
+  const gf = mats.plastic_grid;
+  push("grid", "Plastic ground grid tiles", "plastic_grid", tiles, "tiles", 0, gf ? tiles * (gf.kg_each || 0) : 0);
+
+  const baseType = (state.base && state.base.type) || "ecodeck";
+  if (CONCRETE_BASES.includes(baseType)) {
+    const slab = Object.assign({ thickness_mm: 150, overhang_mm: 50 }, factors && factors.concrete_slab);
+    const { baseState } = deriveElementStates(state);
+    const area = (baseState.w + 2 * slab.overhang_mm) * (baseState.d + 2 * slab.overhang_mm) / 1e6;
+    push("concrete", `Concrete slab ${slab.thickness_mm}mm`, "concrete", area * slab.thickness_mm / 1000, "m³", area * slab.thickness_mm / 1000);
+  }
+
+  const sum = (k, list) => round1(list.reduce((n, l) => n + l[k], 0));
+  const timber = lines.filter(l => l.factor === "softwood");
+  return {
+    version: (factors && factors.version) || "",
+    lines,
+    totals: {
+      timber_m3: round3(timber.reduce((n, l) => n + l.volume_m3, 0)),
+      weight_kg: sum("weight_kg", lines),
+      carbon_kgco2e: sum("carbon_kgco2e", lines),
+      biogenic_kgco2: sum("biogenic_kgco2", lines)
+    },
+    missing
+  };
+}
+
+/**
+ * Rows for CSV export: one per material, then the totals.
+ * @param {object} report - Result of computeCarbonReport()
+ * @returns {Array<Array>} Rows of [Material, Quantity, Volume m³, Weight kg, kgCO₂e, Stored kgCO₂] (header first)
+ */
+export function carbonReportToRows(report) {
+  const rows = [CARBON_HEADERS.slice()];
+  for (const l of report.lines) rows.push([l.material, `${l.qty} ${l.unit}`, l.volume_m3 || "", l.weight_kg, l.carbon_kgco2e, l.biogenic_kgco2 || ""]);
+  rows.push(["Total", `${report.totals.timber_m3} m³ timber`, "", report.totals.weight_kg, report.totals.carbon_kgco2e, report.totals.biogenic_kgco2 || ""]);
+  return rows;
+}
+
+/**
+ * Update the Embodied Carbon section of the walls cutting list page.
+ * @param {object|null} report - Result of computeCarbonReport(), null while the factor table loads
+ */
+export function renderCarbonReport(report) {
+  const tbody = document.getElementById("carbonReportBody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  const summary = document.getElementById("carbonReportSummary");
+  if (!report) {
+    if (summary) summary.textContent = "Carbon factors not loaded.";
+    return;
+  }
+  for (const l of report.lines) {
+    const tr = document.createElement("tr");
+    const cells = [l.material, `${fmtNum(l.qty)} ${l.unit}`, l.volume_m3 ? l.volume_m3.toFixed(3) : "", fmtNum(l.weight_kg),
+      fmtNum(l.carbon_kgco2e), l.biogenic_kgco2 ? fmtNum(l.biogenic_kgco2) : ""];
+    for (const c of cells) {
+      const td = document.createElement("td");
+      td.textContent = String(c);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+  if (summary) {
+    const t = report.totals;
+    summary.textContent = `Timber ${t.timber_m3.toFixed(2)} m³, total weight ${fmtNum(Math.round(t.weight_kg))} kg, ` +
+      `embodied carbon ${fmtNum(Math.round(t.carbon_kgco2e))} kgCO₂e (A1–A3)` +
+      (t.biogenic_kgco2 ? `; ${fmtNum(Math.round(-t.biogenic_kgco2))} kgCO₂ stored in the timber, not deducted` : "") +
+      (report.missing.length ? `. No factor for: ${report.missing.join(", ")}` : "") + ".";
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+/** Linear metres and m³ of cutting-stock style pieces ("a×b" sections). */
+function pieceTotals(pieces) {
+  let mm = 0;
+  let mm3 = 0;
+  for (const p of pieces) {
+    const [a, b] = String(p.section).split("×").map(Number);
+    mm += p.qty * p.length_mm;
+    mm3 += p.qty * p.length_mm * (a || 0) * (b || 0);
+  }
+  return { lm: mm / 1000, m3: mm3 / 1e9 };
+}
+
+function fmtNum(v) {
+  return Number(v).toLocaleString("en-GB", { maximumFractionDigits: 2 });
+}
+
+function round1(v) { return Math.round(v * 10) / 10; }
+function round2(v) { return Math.round(v * 100) / 100; }
+function round3(v) { return Math.round(v * 1000) / 1000; }
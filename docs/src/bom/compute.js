@@ -0,0 +1,274 @@
+// FILE: docs/src/bom/compute.js
+// Headless BOM aggregation — runs every element's BOM computation without a DOM or scene.
+// Mirrors the per-element states that renderLegacyMode() in index.js hands to each element.
+
+import { resolveDims } from "../params.js";
+import * as Base from "../elements/base.js";
+import * as Walls from "../elements/walls.js?_v=5";
+import * as Dividers from "../elements/dividers.js";
+import * as Roof from "../elements/roof.js?_v=20";
+import * as Doors from "../elements/doors.js";
+import * as Windows from "../elements/windows.js";
+import * as Skylights from "../elements/skylights.js?_v=11";
+import * as Shelving from "../elements/shelving.js";
+import * as Gutters from "../elements/gutters.js";
+import { computeAttachmentBOM } from "./attachments.js";
+import { mmToInFracStr } from "../units.js";
+
+const WALL_OVERHANG_MM = 25;
+
+/**
+ * Derive the base/wall/roof states the elements expect (same rules as renderLegacyMode).
+ * @param {object} state - Full application state
+ * @returns {{ baseState: object, wallState: object, roofState: object }}
+ */
+export function deriveElementStates(state) {
+  const R = resolveDims(state);
+  const isTrapezoid = !!(state.bespoke && state.bespoke.footprint === "trapezoid");
+
+  const baseState = Object.assign({}, state, { w: R.base.w_mm, d: R.base.d_mm });
+  const wallState = Object.assign({}, state, {
+    w: Math.max(1, Math.floor(R.base.w_mm + 2 * WALL_OVERHANG_MM)),
+    d: Math.max(1, Math.floor(R.base.d_mm + 2 * WALL_OVERHANG_MM))
+  });
+
+  // Trapezoid: use max(leftDepth, rightDepth) as the bounding depth
+  if (isTrapezoid) {
+    baseState.d = Math.max(Number(state.bespoke.leftDepth_mm) || baseState.d, Number(state.bespoke.rightDepth_mm) || baseState.d);
+    wallState.d = Math.max(Number(state.bespoke.leftDepth_mm) || wallState.d, Number(state.bespoke.rightDepth_mm) || wallState.d);
+  }
+
+  // Apex only: params.resolveDims() may provide a derived wall height
+  const roofStyle = (state.roof && state.roof.style) ? String(state.roof.style) : "apex";
+  if (roofStyle === "apex" && R.walls && R.walls.height_mm != null) {
+    wallState.walls = Object.assign({}, wallState.walls || {}, { height_mm: Math.floor(Number(R.walls.height_mm)) });
+  }
+
+  let roofW = (R.roof && R.roof.w_mm != null) ? Math.max(1, Math.floor(R.roof.w_mm)) : Math.max(1, Math.floor(R.base.w_mm));
+  let roofD = (R.roof && R.roof.d_mm != null) ? Math.max(1, Math.floor(R.roof.d_mm)) : Math.max(1, Math.floor(R.base.d_mm));
+  if (isTrapezoid) {
+    roofD = Math.max(Number(state.bespoke.leftDepth_mm) || roofD, Number(state.bespoke.rightDepth_mm) || roofD);
+  }
+  let roofState = Object.assign({}, state, { w: roofW, d: roofD });
+  if (isTrapezoid) {
+    const maxTrapD = Math.max(Number(state.bespoke.leftDepth_mm) || 0, Number(state.bespoke.rightDepth_mm) || 0);
+    if (maxTrapD > 0) {
+      roofState = Object.assign({}, roofState, { dim: Object.assign({}, roofState.dim || {}, { frameD_mm: maxTrapD }) });
+    }
+  }
+
+  return { baseState, wallState, roofState };
+}
+
+/**
+ * Compute the complete bill of materials for a design.
+ * Row formats follow each element: walls/openings/dividers are [item, qty, L, W, D, notes],
+ * roof and attachments are [item, qty, L, W, notes]; shelving and gutters are sections of row objects.
+ * @param {object} state - Full application state (already merged onto DEFAULTS)
+ * @returns {object} { base, walls, roof, openings, shelving, dividers, gutters, attachments }
+ */
+export function computeDesignBOM(state) {
+  const { baseState, wallState, roofState } = deriveElementStates(state);
+  const walls = Walls.computeBOM(wallState);
+
+  return {
+    base: Base.computeBOM(baseState),
+    walls: { sections: walls.sections, insulation: walls.insulation },
+    roof: Roof.computeBOM(roofState),
+    openings: {
+      doors: Doors.updateBOM(state).sections,
+      windows: Windows.updateBOM(state).sections,
+      skylights: Skylights.updateBOM(roofState).sections
+    },
+    shelving: Shelving.updateBOM(state).sections,
+    dividers: Dividers.updateBOM(wallState).sections,
+    gutters: Gutters.updateBOM(state).sections,
+    attachments: computeAttachmentBOM(state)
+  };
+}
+
+/**
+ * Narrow a BOM to what the customer has asked us to supply (state.build; everything is
+ * included unless set to false). Visibility toggles are view-only and never used here.
+ * - base / floorInsulation: floor frame, deck, grids / floor PIR
+ * - walls / wallInsulation / interiorLining: wall framing / wall PIR / lining
+ * - cladding, cladParts.{front,back,left,right}: cladding and corner boards / one wall's
+ *   cladding (TOTAL CLADDING is recounted from the walls that remain)
+ * - roof, openings: roof rows, skylights and the main roof's gutters / doors and windows
+ * - attachments.{base,walls,roof,cladding}: the same for every attachment (roof includes its gutters)
+ * @param {object} bom - Result of computeDesignBOM()
+ * @param {object} state - Full application state
+ * @returns {object} A BOM of the same shape (the input is not modified)
+ */
+export function scopeBOMToBuild(bom, state) {
+  const build = (state && state.build) || {};
+  const on = v => v !== false;
+  const cladParts = build.cladParts || {};
+  const out = Object.assign({}, bom);
+
+  if (!on(build.base)) {
+    out.base = Object.assign({}, bom.base, { includeTimber: false, includeOsb: false, includeGrid: false, isInsulated: false, timber: [] });
+  } else if (!on(build.floorInsulation)) {
+    out.base = Object.assign({}, bom.base, { isInsulated: false });
+  }
+
+  // Walls: framing sits between each "WALL:" header and TOTAL FRAME, then the CLADDING block
+  const sections = [];
+  let inFrame = false;
+  let cladRun_mm = 0;
+  let cladDropped = false;
+  for (const r of bom.walls.sections || []) {
+    const item = String(r[0] || "").trim();
+    if (item.startsWith("WALL:")) inFrame = true;
+    const frameRow = inFrame;
+    if (item === "TOTAL FRAME") inFrame = false;
+    if (frameRow) {
+      if (on(build.walls)) sections.push(r);
+      continue;
+    }
+    if (!on(build.cladding)) continue;
+    const wall = item.match(/^(\w+) wall cladding$/i);
+    if (wall) {
+      if (!on(cladParts[wall[1].toLowerCase()])) { cladDropped = true; continue; }
+      const run = String(r[5] || "").match(/total run:\s*(\d+)mm/);
+      if (run) cladRun_mm += Number(run[1]);
+    }
+    if (item === "TOTAL CLADDING" && cladDropped) {
+      if (!(cladRun_mm > 0)) continue;
+      const boards = Math.ceil(cladRun_mm / r[2]);
+      sections.push([r[0], boards, r[2], r[3], r[4], `Total: ${Math.round(cladRun_mm / 100) / 10}m linear; ${boards} × ${r[2]}mm boards`]);
+      continue;
+    }
+    sections.push(r);
+  }
+  const ins = bom.walls.insulation;
+  let insulation = ins;
+  if (ins && ins.insulated) {
+    insulation = Object.assign({}, ins);
+    if (!on(build.walls) || !on(build.wallInsulation)) insulation.pir = Object.assign({}, ins.pir, { rows: [] });
+    if (!on(build.walls) || !on(build.interiorLining)) insulation.lining = null;
+  }
+  out.walls = { sections, insulation };
+
+  if (!on(build.roof)) out.roof = [];
+  out.openings = {
+    doors: on(build.openings) ? bom.openings.doors : [],
+    windows: on(build.openings) ? bom.openings.windows : [],
+    skylights: on(build.roof) ? bom.openings.skylights : []
+  };
+
+  const att = build.attachments || {};
+  out.gutters = (bom.gutters || []).filter(sec => sec.source === "Roof" ? on(build.roof) : on(att.roof));
+  out.attachments = (bom.attachments || []).map(a => Object.assign({}, a, {
+    base: on(att.base) ? a.base : [],
+    walls: (a.walls || []).filter(r => {
+      const item = String(r[0] || "").trim();
+      const isCladding = item === "Cladding" || item === "TOTAL CLADDING";
+      return isCladding ? on(att.cladding) : (on(att.walls) || item.startsWith("WALL:"));
+    }),
+    roof: on(att.roof) ? a.roof : []
+  }));
+
+  return out;
+}
+
+/**
+ * Flatten a computeDesignBOM() result into uniform CSV rows.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @param {string} [units="mm"] - "mm", "in" (fractional inches) or "both" (inch columns after the mm ones)
+ * @returns {Array<Array>} Rows of [Section, Item, Qty, L_mm, W_mm, D_mm, Notes] (header first)
+ */
+export function designBOMToRows(bom, units = "mm") {
+  return rowsInUnits(designBOMToRowsMm(bom), units);
+}
+
+/**
+ * Convert the L/W/D columns of rows laid out like designBOMToRows() in mm.
+ * "in" replaces them with fractional inches; "both" adds L_in/W_in/D_in after D_mm.
+ * @param {Array<Array>} rows - Header row first
+ * @param {string} [units="mm"]
+ * @returns {Array<Array>}
+ */
+export function rowsInUnits(rows, units = "mm") {
+  if (units !== "in" && units !== "both") return rows;
+  const inch = v => (v === "" || v == null || !(Number(v) > 0)) ? v : mmToInFracStr(Number(v));
+  return rows.map((r, i) => {
+    const lwd = i === 0 ? ["L_in", "W_in", "D_in"] : r.slice(3, 6).map(inch);
+    return units === "in"
+      ? r.slice(0, 3).concat(lwd, r.slice(6))
+      : r.slice(0, 6).concat(lwd, r.slice(6));
+  });
+}
+
+function designBOMToRowsMm(bom) {
+  const rows = [["Section", "Item", "Qty", "L_mm", "W_mm", "D_mm", "Notes"]];
+
+  // Base: reuse the cutting-list CSV rows ([section, item, qty, L, W, L_in, W_in, notes])
+  for (const r of bom.base.csvRows) {
+    rows.push([`Base / ${r[0]}`, r[1], r[2], r[3], r[4], "", r[7]]);
+  }
+  for (const key of Object.keys(bom.base.pirRipCuts)) {
+    const [l, w] = key.split("x");
+    rows.push(["Base / PIR Insulation", `PIR ${key}`, bom.base.pirRipCuts[key], l, w, "", "Cut Board"]);
+  }
+  for (const key of Object.keys(bom.base.gridCuts)) {
+    const [l, w] = key.split("x");
+    const isFull = Number(l) === bom.base.gridSize && Number(w) === bom.base.gridSize;
+    rows.push(["Base / Plastic Grid", `Grid ${key}`, bom.base.gridCuts[key], l, w, "", isFull ? "Full Tile" : "Cut Tile"]);
+  }
+
+  const push6 = (section, list) => {
+    for (const r of list || []) rows.push([section, r[0], r[1], r[2], r[3], r[4], r[5]]);
+  };
+  push6("Walls", bom.walls.sections);
+
+  const ins = bom.walls.insulation;
+  if (ins && ins.insulated) {
+    for (const r of ins.pir.rows) rows.push(["Walls / PIR Insulation", r.wall, r.qty, r.length_mm, r.width_mm, "", r.notes]);
+    if (ins.lining) {
+      for (const r of ins.lining.rows) {
+        rows.push([`Walls / Lining (${ins.lining.type})`, r.wall, r.qty, r.length_mm, r.height_mm || "", "", r.notes]);
+      }
+    }
+  }
+
+  for (const r of bom.roof) {
+    if (r.length === 1) continue; // placeholder message
+    rows.push(["Roof", r[0], r[1], r[2], r[3], "", r[4]]);
+  }
+
+  push6("Openings / Doors", bom.openings.doors);
+  push6("Openings / Windows", bom.openings.windows);
+  push6("Openings / Skylights", bom.openings.skylights);
+  push6("Dividers", bom.dividers);
+
+  for (const sec of bom.shelving) {
+    for (const r of sec.rows || []) {
+      rows.push([`Shelving / ${sec.title || ""}`, r.item, r.qty, r.length_mm, "", "", [r.section, r.material, r.notes].filter(Boolean).join("; ")]);
+    }
+  }
+
+  for (const sec of bom.gutters || []) {
+    for (const r of sec.rows) rows.push([`Gutters & Downpipes / ${sec.title}`, r.item, r.qty, r.length_mm, "", "", r.notes]);
+  }
+
+  for (const att of bom.attachments) {
+    for (const part of ["base", "walls", "roof", "openings"]) {
+      for (const r of att[part]) rows.push([`${att.label} / ${part}`, r[0], r[1], r[2], r[3], "", r[4]]);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Serialise rows to CSV text (RFC 4180 quoting, same as the cutting-list export).
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export function rowsToCsv(rows) {
+  return rows.map(r => r.map(v => {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(",")).join("\n");
+}
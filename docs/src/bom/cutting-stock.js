@@ -0,0 +1,296 @@
+// FILE: docs/src/bom/cutting-stock.js
+// Timber cutting-stock optimiser — packs every framing and trim piece from the
+// base, walls, roof, divider and attachment BOMs into purchasable stock lengths,
+// allowing for saw kerf.
+// The result is the order for the timber merchant: lengths to buy per section and
+// stock length, the cutting pattern for each, and the waste percentage.
+//
+// Pieces are grouped by section (e.g. 50×75), packed first-fit-decreasing into the
+// longest stock allowed, then each length is swapped for the shortest stock it still
+// fits. Every stock length is tried as the "longest allowed" and the plan buying the
+// least timber wins. Cladding courses are not included (see TOTAL CLADDING), nor
+// sheet goods such as Roof OSB.
+
+import { fmtBomLength } from "../units.js";
+
+export const DEFAULT_STOCK_LENGTHS_MM = [2400, 3000, 3600, 4800, 6200];
+export const DEFAULT_KERF_MM = 3;
+
+// Attachment rows that are sheets, courses, coverings or tiles rather than cut lengths
+// (gable diamonds are cut from fascia offcuts)
+const NOT_LINEAR_ITEMS = /OSB|PIR|Plywood|Cladding|CLADDING|Covering|Grid|Gable Diamond/;
+
+/**
+ * Stock lengths and kerf from the price table (timber.stock_lengths_mm / timber.saw_kerf_mm),
+ * falling back to the defaults.
+ * @param {object|null} priceTable - Loaded price-table.json
+ * @returns {{ stockLengths: number[], kerf: number }}
+ */
+export function cuttingOptionsFromPriceTable(priceTable) {
+  const t = (priceTable && priceTable.timber) || {};
+  const stockLengths = Array.isArray(t.stock_lengths_mm) && t.stock_lengths_mm.length
+    ? t.stock_lengths_mm
+    : DEFAULT_STOCK_LENGTHS_MM;
+  const kerf = Number.isFinite(Number(t.saw_kerf_mm)) ? Number(t.saw_kerf_mm) : DEFAULT_KERF_MM;
+  return { stockLengths, kerf };
+}
+
+/**
+ * Collect every linear framing/trim piece from a computeDesignBOM() result.
+ * Sections are normalised to "small×large" so 50×75 wall studs and 75×50 roof
+ * rafters share stock.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {Array<{source: string, item: string, qty: number, length_mm: number, section: string}>}
+ */
+export function collectFramingPieces(bom) {
+  const pieces = [];
+  const add = (source, item, qty, length, a, b) => {
+    const q = Math.round(Number(qty));
+    const L = Math.round(Number(length));
+    const s = sectionKey(a, b);
+    if (!(q > 0) || !(L > 0) || !s) return;
+    pieces.push({ source, item: String(item).trim(), qty: q, length_mm: L, section: s });
+  };
+
+  // Base: { item, qty, length_mm, section: "50×100" }
+  for (const t of (bom.base && bom.base.timber) || []) {
+    const [a, b] = String(t.section || "").split(/[×x]/);
+    add("Base", t.item, t.qty, t.length_mm, a, b);
+  }
+
+  // Walls: [item, qty, L, W, D, notes]. Framing rows sit between a "WALL:" header and
+  // TOTAL FRAME; after that only the corner boards are loose trim.
+  let inFrame = false;
+  for (const r of (bom.walls && bom.walls.sections) || []) {
+    const item = String(r[0] || "");
+    if (item.startsWith("WALL:")) { inFrame = true; continue; }
+    if (item === "TOTAL FRAME") { inFrame = false; continue; }
+    if (typeof r[1] !== "number") continue;
+    if (inFrame || item.trim() === "Corner boards") add("Walls", item, r[1], r[2], r[3], r[4]);
+  }
+
+  // Roof: [item, qty, L, W, notes]. Framing carries "D (mm): N" in the notes, boards and
+  // trims lead with their thickness ("12mm; ..."). Assemblies, sheet goods (incl. ply gussets) and totals are skipped.
+  for (const r of bom.roof || []) {
+    if (!Array.isArray(r) || r.length < 5) continue;
+    const item = String(r[0] || "");
+    const notes = String(r[4] || "");
+    if (item === "TOTAL FRAME" || /assembly/i.test(item) || /OSB|PIR|Plywood|Gusset/.test(item) || /OSB/.test(notes)) continue;
+    const depth = notes.match(/D \(mm\):\s*(\d+)/) || notes.match(/^(\d+)mm\b/);
+    if (depth) add("Roof", item, r[1], r[2], r[3], depth[1]);
+  }
+
+  // Dividers: [item, qty, L, W, D, notes]. OSB/cladding coverings are panels, not lengths.
+  for (const r of bom.dividers || []) {
+    if (typeof r[1] !== "number" || /OSB|Cladding/.test(String(r[0]))) continue;
+    add("Dividers", r[0], r[1], r[2], r[3], r[4]);
+  }
+
+  // Attachments: [item, qty, L, W, notes] with "D (mm): N" leading the notes.
+  for (const att of bom.attachments || []) {
+    for (const part of ["base", "walls", "roof"]) {
+      for (const r of att[part] || []) {
+        const item = String(r[0] || "");
+        if (typeof r[1] !== "number" || NOT_LINEAR_ITEMS.test(item)) continue;
+        const depth = String(r[4] || "").match(/^D \(mm\):\s*(\d+)/);
+        if (depth) add(att.label, item, r[1], r[2], r[3], depth[1]);
+      }
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Pack pieces into stock lengths.
+ * @param {Array<{item: string, qty: number, length_mm: number, section: string}>} pieces
+ * @param {object} [opts]
+ * @param {number[]} [opts.stockLengths] - Purchasable lengths in mm
+ * @param {number} [opts.kerf] - Saw kerf in mm, lost between adjacent cuts
+ * @returns {{
+ *   stockLengths: number[], kerf: number,
+ *   sections: Array<{ section: string, buy: Array<{stock_mm: number, qty: number}>,
+ *     patterns: Array<{stock_mm: number, count: number, cuts: Array<{length_mm: number, item: string}>, offcut_mm: number}>,
+ *     required_mm: number, purchased_mm: number, waste_pct: number }>,
+ *   oversize: Array<{section: string, item: string, qty: number, length_mm: number}>,
+ *   totals: { lengths: number, required_mm: number, purchased_mm: number, waste_pct: number }
+ * }}
+ */
+export function optimiseCuttingStock(pieces, opts) {
+  const o = opts || {};
+  const stockLengths = [...new Set((o.stockLengths || DEFAULT_STOCK_LENGTHS_MM).map(Number).filter(n => n > 0))].sort((a, b) => a - b);
+  const kerf = Math.max(0, Number.isFinite(Number(o.kerf)) ? Number(o.kerf) : DEFAULT_KERF_MM);
+  const longest = stockLengths[stockLengths.length - 1] || 0;
+
+  const bySection = new Map();
+  const oversize = [];
+  for (const p of pieces) {
+    if (p.length_mm > longest) {
+      const same = oversize.find(x => x.section === p.section && x.item === p.item && x.length_mm === p.length_mm);
+      if (same) same.qty += p.qty;
+      else oversize.push({ section: p.section, item: p.item, qty: p.qty, length_mm: p.length_mm });
+      continue;
+    }
+    if (!bySection.has(p.section)) bySection.set(p.section, []);
+    const list = bySection.get(p.section);
+    for (let i = 0; i < p.qty; i++) list.push({ length_mm: p.length_mm, item: p.item });
+  }
+
+  const sections = [];
+  for (const section of [...bySection.keys()].sort(compareSections)) {
+    // Longest first; equal lengths grouped by item so identical bins share a pattern.
+    const cuts = bySection.get(section).sort((a, b) => (b.length_mm - a.length_mm) || a.item.localeCompare(b.item));
+    const bins = bestPacking(cuts, stockLengths, kerf);
+    sections.push(summariseSection(section, cuts, bins));
+  }
+
+  const required_mm = sections.reduce((s, x) => s + x.required_mm, 0);
+  const purchased_mm = sections.reduce((s, x) => s + x.purchased_mm, 0);
+  const lengths = sections.reduce((s, x) => s + x.buy.reduce((n, b) => n + b.qty, 0), 0);
+
+  return {
+    stockLengths,
+    kerf,
+    sections,
+    oversize,
+    totals: { lengths, required_mm, purchased_mm, waste_pct: wastePct(required_mm, purchased_mm) }
+  };
+}
+
+/**
+ * Cutting plan as flat rows (for CSV export and the BOM table).
+ * @param {object} plan - Result of optimiseCuttingStock()
+ * @param {function(number): string} [fmt] - Length formatter (defaults to plain mm)
+ * @returns {Array<Array>} Rows of [Section, Stock (mm), Qty, Cuts, Offcut (mm)]
+ */
+export function cuttingPlanToRows(plan, fmt = String) {
+  const rows = [];
+  for (const s of plan.sections) {
+    const buy = s.buy.map(b => `${b.qty} × ${fmt(b.stock_mm)}`).join(", ");
+    rows.push([s.section, "", "", `Buy ${buy}`, `${s.waste_pct}% waste`]);
+    for (const p of s.patterns) {
+      rows.push(["", fmt(p.stock_mm), p.count, describeCuts(p.cuts, fmt), fmt(p.offcut_mm)]);
+    }
+  }
+  for (const p of plan.oversize) {
+    rows.push([p.section, "", p.qty, `${p.item.trim()} ${fmt(p.length_mm)}`, "Longer than stock — order to length or join"]);
+  }
+  return rows;
+}
+
+/**
+ * Describe a cutting pattern, merging runs of identical cuts.
+ * @param {Array<{length_mm: number, item: string}>} cuts
+ * @param {function(number): string} [fmt] - Length formatter (defaults to plain mm)
+ * @returns {string} e.g. "2 × 1750 (Studs) + 1 × 1800 (Top Plate)"
+ */
+export function describeCuts(cuts, fmt = String) {
+  const parts = [];
+  for (const c of cuts) {
+    const last = parts[parts.length - 1];
+    if (last && last.length_mm === c.length_mm && last.item === c.item) last.n++;
+    else parts.push({ length_mm: c.length_mm, item: c.item, n: 1 });
+  }
+  return parts.map(p => `${p.n} × ${fmt(p.length_mm)} (${p.item})`).join(" + ");
+}
+
+/**
+ * Update the Timber Cutting Plan section of the walls cutting list page.
+ * @param {object} plan - Result of optimiseCuttingStock()
+ */
+export function renderCuttingPlan(plan) {
+  const tbody = document.getElementById("cuttingPlanBody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  for (const row of cuttingPlanToRows(plan, mm => fmtBomLength(mm))) {
+    const tr = document.createElement("tr");
+    if (row[0]) tr.style.fontWeight = "600";
+    for (const cell of row) {
+      const td = document.createElement("td");
+      td.textContent = cell !== undefined && cell !== null ? String(cell) : "";
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+
+  const summary = document.getElementById("cuttingPlanSummary");
+  if (summary) {
+    const t = plan.totals;
+    summary.textContent = `${t.lengths} lengths to buy (${(t.purchased_mm / 1000).toFixed(1)}m) for ` +
+      `${(t.required_mm / 1000).toFixed(1)}m of cut pieces — ${t.waste_pct}% waste. ` +
+      `Stock: ${plan.stockLengths.join(" / ")}mm, kerf ${plan.kerf}mm.`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+function sectionKey(a, b) {
+  const x = Math.round(Number(a));
+  const y = Math.round(Number(b));
+  if (!(x > 0) || !(y > 0)) return "";
+  return `${Math.min(x, y)}×${Math.max(x, y)}`;
+}
+
+function compareSections(a, b) {
+  const [a1, a2] = a.split("×").map(Number);
+  const [b1, b2] = b.split("×").map(Number);
+  return (a1 - b1) || (a2 - b2);
+}
+
+/** Try each stock length as the packing capacity; keep the plan buying the least timber. */
+function bestPacking(cuts, stockLengths, kerf) {
+  const longestCut = cuts.length ? cuts[0].length_mm : 0;
+  let best = null;
+  let bestTotal = Infinity;
+  for (const cap of stockLengths) {
+    if (cap < longestCut) continue;
+    const bins = packFirstFitDecreasing(cuts, cap, kerf);
+    for (const bin of bins) bin.stock_mm = stockLengths.find(s => s >= bin.used_mm);
+    const total = bins.reduce((s, b) => s + b.stock_mm, 0);
+    if (total < bestTotal || (total === bestTotal && bins.length < best.length)) {
+      best = bins;
+      bestTotal = total;
+    }
+  }
+  return best || [];
+}
+
+/** cuts must be sorted longest first. */
+function packFirstFitDecreasing(cuts, cap, kerf) {
+  const bins = [];
+  for (const c of cuts) {
+    let bin = bins.find(b => b.used_mm + kerf + c.length_mm <= cap);
+    if (bin) {
+      bin.used_mm += kerf + c.length_mm;
+      bin.cuts.push(c);
+    } else {
+      bins.push({ used_mm: c.length_mm, cuts: [c] });
+    }
+  }
+  return bins;
+}
+
+function summariseSection(section, cuts, bins) {
+  // Identical bins (same stock, same cut lengths) become one pattern with a count.
+  const patterns = new Map();
+  for (const bin of bins) {
+    const key = bin.stock_mm + ":" + bin.cuts.map(c => c.length_mm + "/" + c.item).join(",");
+    if (!patterns.has(key)) {
+      patterns.set(key, { stock_mm: bin.stock_mm, count: 0, cuts: bin.cuts, offcut_mm: bin.stock_mm - bin.used_mm });
+    }
+    patterns.get(key).count++;
+  }
+  const patternList = [...patterns.values()].sort((a, b) => (b.stock_mm - a.stock_mm) || (b.count - a.count));
+
+  const buyMap = new Map();
+  for (const bin of bins) buyMap.set(bin.stock_mm, (buyMap.get(bin.stock_mm) || 0) + 1);
+  const buy = [...buyMap.entries()].sort((a, b) => b[0] - a[0]).map(([stock_mm, qty]) => ({ stock_mm, qty }));
+
+  const required_mm = cuts.reduce((s, c) => s + c.length_mm, 0);
+  const purchased_mm = bins.reduce((s, b) => s + b.stock_mm, 0);
+  return { section, buy, patterns: patternList, required_mm, purchased_mm, waste_pct: wastePct(required_mm, purchased_mm) };
+}
+
+function wastePct(required, purchased) {
+  return purchased > 0 ? Math.round((1 - required / purchased) * 1000) / 10 : 0;
+}
@@ -0,0 +1,416 @@
+// FILE: docs/src/bom/fixings.js
+// Fixings & ironmongery schedule — nails, screws, hangers, clips, hinges, hasps,
+// bolts, bracket screws and anchors counted from the framing and cladding model.
+//
+// Counts come from the computeDesignBOM() rows (every stud, plate, joist, truss,
+// cladding course and sheet), door hardware from each door's style as build3D()
+// draws it (buildTHinge / buildFrenchHinge), and shelf brackets from shelving.js.
+// Each line is rounded up to whole packs and priced from the price table's
+// fixings.packs; fixings.rates holds the per-joint / per-m² allowances.
+
+/** Items on the schedule, in display order. pack_size is the default when the price table has none. */
+export const FIXINGS_CATALOGUE = [
+  { id: "framing_nails", item: "Round wire nails 90 × 3.75mm, galvanised", category: "Framing", unit: "nails", pack_size: 500 },
+  { id: "frame_screws", item: "Timber frame screws 6 × 120mm", category: "Framing", unit: "screws", pack_size: 50 },
+  { id: "joist_hangers", item: "Joist hangers (to suit joist section)", category: "Framing", unit: "hangers", pack_size: 10 },
+  { id: "hanger_nails", item: "Square twist nails 30 × 3.75mm", category: "Framing", unit: "nails", pack_size: 500 },
+  { id: "truss_clips", item: "Truss clips 50mm", category: "Framing", unit: "clips", pack_size: 10 },
+  { id: "cladding_screws", item: "Cladding screws 4 × 45mm, stainless", category: "Cladding", unit: "screws", pack_size: 200 },
+  { id: "trim_nails", item: "Lost-head nails 50mm, galvanised", category: "Cladding", unit: "nails", pack_size: 500 },
+  { id: "deck_screws", item: "Flooring screws 4.5 × 50mm", category: "Sheets", unit: "screws", pack_size: 200 },
+  { id: "felt_nails", item: "Felt clout nails 20mm, galvanised", category: "Roofing", unit: "nails", pack_size: 500 },
+  { id: "t_hinges", item: "T-hinges 250mm, black (pair)", category: "Ironmongery", unit: "pairs", pack_size: 1 },
+  { id: "french_hinges", item: "Cylinder hinges 80mm (pair)", category: "Ironmongery", unit: "pairs", pack_size: 1 },
+  { id: "hasps", item: "Hasp & staple 150mm", category: "Ironmongery", unit: "sets", pack_size: 1 },
+  { id: "lever_latches", item: "Lever handle & latch set", category: "Ironmongery", unit: "sets", pack_size: 1 },
+  { id: "tower_bolts", item: "Tower bolts 150mm", category: "Ironmongery", unit: "bolts", pack_size: 1 },
+  { id: "window_screws", item: "Frame fixing screws 5 × 80mm", category: "Ironmongery", unit: "screws", pack_size: 100 },
+  { id: "shelf_screws", item: "Wood screws 5 × 70mm (shelf brackets)", category: "Ironmongery", unit: "screws", pack_size: 200 },
+  { id: "frame_anchors", item: "Concrete frame anchors 10 × 100mm", category: "Anchors", unit: "anchors", pack_size: 10 },
+  { id: "ground_anchors", item: "Ground anchor kit (4 anchors)", category: "Anchors", unit: "anchors", pack_size: 4 }
+];
+
+/** Per-joint / per-m² allowances, overridden by the price table's fixings.rates. */
+export const DEFAULT_FIXING_RATES = {
+  stud_joint_nails: 2,              // per stud-to-plate joint (each end of every stud, upright and cripple)
+  header_joint_nails: 2,            // per header/sill end into its uprights
+  plate_fixing_centres_mm: 400,     // bottom plate to floor frame
+  corner_screws: 4,                 // per wall-to-wall corner and attachment-to-building junction
+  cladding_fixings_per_crossing: 2, // per board per stud crossing
+  trim_fixing_centres_mm: 400,      // corner boards, soffits, fascias, barge boards (2 nails per station)
+  hanger_nails: 8,                  // per joist hanger
+  truss_joint_nails: 6,             // per truss joint (two heels + apex, plus two knees on gambrel trusses)
+  gusset_nails: 8,                  // per ply gusset plate (gambrel trusses, each face)
+  purlin_nails_per_crossing: 2,     // purlins and ridge beam over each truss
+  deck_screws_per_m2: 12,           // floor, roof and divider sheet goods
+  felt_nails_per_m2: 30,            // felt only; EPDM is bonded
+  window_frame_screws: 8,           // per window or skylight frame
+  shelf_bracket_screws: 8,          // per timber bracket (2 frame joints + wall + shelf)
+  anchor_centres_mm: 600,           // concrete anchors along plates / rim joists
+  ground_anchors_per_building: 4,   // grid and skid bases, one per corner
+  ground_anchors_per_attachment: 2  // outer corners of an attachment on grids
+};
+
+// Door hardware per style, mirroring the build3D() switch in elements/doors.js.
+// Double styles below 1200mm fall back to the single door.
+const DOOR_HARDWARE = {
+  standard: { leaves: 1, hinge: "t_hinges", lock: "hasps" },
+  "mortise-tenon": { leaves: 1, hinge: "t_hinges", lock: "lever_latches" },
+  "double-standard": { leaves: 2, hinge: "t_hinges", lock: "hasps", fallback: "standard" },
+  "double-half": { leaves: 2, hinge: "t_hinges", lock: "hasps", fallback: "standard" },
+  "double-mortise-tenon": { leaves: 2, hinge: "t_hinges", lock: "lever_latches", fallback: "mortise-tenon" },
+  french: { leaves: 2, hinge: "french_hinges", lock: "lever_latches" },
+  none: null
+};
+const DOUBLE_DOOR_MIN_WIDTH_MM = 1200;
+
+const GRID_BASES = ["ecodeck"];
+const GROUND_ANCHOR_BASES = ["ecodeck", "skids"];
+
+/**
+ * Count the fixings for a design and round them to packs.
+ * Respects the state.build toggles the price estimate uses (base, walls, cladding, roof, openings).
+ * @param {object} bom - Result of computeDesignBOM()
+ * @param {object} state - Full application state
+ * @param {object|null} priceTable - Loaded price-table.json (pack sizes, pack prices, rates)
+ * @returns {{ lines: Array<object>, total_cost: number, priced: boolean }}
+ *   lines: { id, item, category, unit, qty, pack_size, packs, pack_price, cost, uses: [{ label, qty }] }
+ */
+export function computeFixingsSchedule(bom, state, priceTable) {
+  const cfg = (priceTable && priceTable.fixings) || {};
+  const rates = Object.assign({}, DEFAULT_FIXING_RATES, cfg.rates || {});
+  const build = (state && state.build) || {};
+  const inc = {
+    base: build.base !== false,
+    walls: build.walls !== false,
+    cladding: build.walls !== false && build.cladding !== false,
+    roof: build.roof !== false,
+    openings: build.openings !== false
+  };
+  const cladParts = build.cladParts || {};
+  const attBuild = build.attachments || {};
+  const baseType = (state && state.base && state.base.type) || "ecodeck";
+  const covering = (state && state.roof && state.roof.covering) || "felt";
+
+  const counts = {};
+  const add = (id, qty, label) => {
+    const q = Math.ceil(Number(qty) || 0);
+    if (!(q > 0)) return;
+    if (!counts[id]) counts[id] = { qty: 0, uses: [] };
+    counts[id].qty += q;
+    const use = counts[id].uses.find(u => u.label === label);
+    if (use) use.qty += q;
+    else counts[id].uses.push({ label, qty: q });
+  };
+
+  // ─── BASE ───
+  if (inc.base && bom.base) {
+    const b = bom.base;
+    const inner = (b.timber || []).find(t => t.item === "Inner Joists");
+    const rim = (b.timber || []).find(t => t.item === "Rim Joists");
+    if (inner) {
+      add("joist_hangers", inner.qty * 2, "Base joists");
+      add("hanger_nails", inner.qty * 2 * rates.hanger_nails, "Base joists");
+    }
+    let deck_mm2 = 0;
+    for (const r of b.csvRows || []) {
+      if (r[0] === "OSB Decking") deck_mm2 += Number(r[2]) * Number(r[3]) * Number(r[4]);
+    }
+    add("deck_screws", deck_mm2 / 1e6 * rates.deck_screws_per_m2, "Floor OSB");
+
+    if (baseType === "concrete-timber" || baseType === "floor-only") {
+      // Floor frame perimeter fixed down to the slab
+      const perimeter = rim && inner ? 2 * rim.length_mm + 2 * inner.length_mm : 0;
+      add("frame_anchors", anchorsAlong(perimeter, rates.anchor_centres_mm), "Floor frame to slab");
+    }
+    if (GROUND_ANCHOR_BASES.includes(baseType)) {
+      add("ground_anchors", rates.ground_anchors_per_building, "Main building corners");
+    }
+  }
+
+  // ─── WALLS ───
+  if (inc.walls && bom.walls) {
+    const walls = wallTakeoff(bom.walls.sections || []);
+    for (const w of walls) {
+      countWallFraming(add, rates, w, "Walls", baseType === "concrete-only" && inc.base);
+      if (inc.cladding && cladParts[w.wallId] !== false) {
+        add("cladding_screws", w.courses * w.crossings * rates.cladding_fixings_per_crossing, "Wall cladding");
+      }
+    }
+    add("frame_screws", walls.length * rates.corner_screws, "Wall corners");
+    if (inc.cladding) countTrim(add, rates, bom.walls.sections || [], "Walls");
+  }
+
+  for (const r of bom.dividers || []) {
+    if (typeof r[1] !== "number" || !inc.walls) continue;
+    const item = String(r[0]).trim();
+    if (/Studs|Cripple/.test(item)) add("framing_nails", r[1] * 2 * rates.stud_joint_nails, "Dividers");
+    else if (/Header/.test(item)) add("framing_nails", r[1] * 2 * rates.header_joint_nails, "Dividers");
+    else if (item === "Bottom Plate") add("framing_nails", platePoints(r[2], rates.plate_fixing_centres_mm) * r[1], "Dividers");
+    else if (/^(OSB Covering|Cladding)/.test(item)) add("deck_screws", r[1] * r[2] * r[3] / 1e6 * rates.deck_screws_per_m2, "Divider sheets");
+  }
+
+  // ─── ROOF ───
+  if (inc.roof) countRoof(add, rates, bom.roof || [], covering, "Roof");
+
+  // ─── OPENINGS ───
+  if (inc.openings) {
+    countDoors(add, (state.walls && state.walls.openings) || [], "Doors");
+    const windows = ((state.walls && state.walls.openings) || []).filter(o => o && o.type === "window" && o.enabled !== false).length;
+    add("window_screws", windows * rates.window_frame_screws, "Windows");
+  }
+  if (inc.roof && inc.openings) {
+    const skylights = (bom.openings && bom.openings.skylights || []).filter(r => /^\s*Skylight \d/.test(String(r[0]))).length;
+    add("window_screws", skylights * rates.window_frame_screws, "Skylights");
+  }
+
+  // ─── SHELVING ───
+  let brackets = 0;
+  for (const sec of bom.shelving || []) {
+    for (const r of sec.rows || []) if (/bracket vertical/.test(r.item)) brackets += r.qty;
+  }
+  add("shelf_screws", brackets * rates.shelf_bracket_screws, "Shelf brackets");
+
+  // ─── ATTACHMENTS ───
+  // Toggled as a group (state.build.attachments), like the attachment price
+  const attachments = ((state.sections && state.sections.attachments) || []).filter(a => a && a.enabled !== false);
+  (bom.attachments || []).forEach((att, i) => {
+    const label = att.label;
+    const a = attachments[i] || {};
+    if (attBuild.base !== false) {
+      for (const r of att.base) {
+        if (r[0] === "Floor Joist") {
+          add("joist_hangers", r[1] * 2, `${label} floor joists`);
+          add("hanger_nails", r[1] * 2 * rates.hanger_nails, `${label} floor joists`);
+        } else if (r[0] === "Floor OSB") {
+          add("deck_screws", r[1] * r[2] * r[3] / 1e6 * rates.deck_screws_per_m2, `${label} floor OSB`);
+        }
+      }
+      if (GRID_BASES.includes(baseType) && att.base.some(r => r[0] === "Plastic Grid Tile")) {
+        add("ground_anchors", rates.ground_anchors_per_attachment, `${label} corners`);
+      }
+    }
+    if (attBuild.walls !== false) {
+      const walls = wallTakeoff(att.walls);
+      for (const w of walls) {
+        countWallFraming(add, rates, w, label, false);
+        if (attBuild.cladding !== false) {
+          add("cladding_screws", w.courses * w.crossings * rates.cladding_fixings_per_crossing, `${label} cladding`);
+        }
+      }
+      // Corners between its own walls plus the two junctions with the main building
+      add("frame_screws", (Math.max(0, walls.length - 1) + 2) * rates.corner_screws, `${label} corners`);
+    }
+    if (attBuild.roof !== false) countRoof(add, rates, att.roof, covering, `${label} roof`);
+    const ops = (a.walls && a.walls.openings) || [];
+    countDoors(add, ops, `${label} doors`);
+    add("window_screws", ops.filter(o => o && o.type === "window" && o.enabled !== false).length * rates.window_frame_screws, `${label} windows`);
+  });
+
+  // ─── PACKS ───
+  const packs = cfg.packs || {};
+  let priced = true;
+  const lines = [];
+  for (const c of FIXINGS_CATALOGUE) {
+    const n = counts[c.id];
+    if (!n) continue;
+    const p = packs[c.id] || {};
+    const packSize = Number(p.pack_size) > 0 ? Number(p.pack_size) : c.pack_size;
+    const packCount = Math.ceil(n.qty / packSize);
+    const packPrice = Number(p.pack_price);
+    if (!Number.isFinite(packPrice)) priced = false;
+    lines.push({
+      id: c.id,
+      item: p.item || c.item,
+      category: c.category,
+      unit: c.unit,
+      qty: n.qty,
+      pack_size: packSize,
+      packs: packCount,
+      pack_price: Number.isFinite(packPrice) ? packPrice : null,
+      cost: Number.isFinite(packPrice) ? Math.round(packCount * packPrice * 100) / 100 : 0,
+      uses: n.uses
+    });
+  }
+
+  const total = lines.reduce((s, l) => s + l.cost, 0);
+  return { lines, total_cost: Math.round(total * 100) / 100, priced };
+}
+
+/**
+ * Fixings schedule as flat rows (for CSV export and the BOM table).
+ * @param {object} schedule - Result of computeFixingsSchedule()
+ * @returns {Array<Array>} Rows of [Item, Qty, Pack, Packs, Cost, Used for]
+ */
+export function fixingsScheduleToRows(schedule) {
+  return schedule.lines.map(l => [
+    l.item,
+    `${l.qty} ${l.unit}`,
+    l.pack_size === 1 ? "each" : `${l.pack_size}`,
+    l.packs,
+    l.pack_price === null ? "" : `£${l.cost.toFixed(2)}`,
+    l.uses.map(u => `${u.label} ${u.qty}`).join(", ")
+  ]);
+}
+
+/**
+ * Update the Fixings & Ironmongery section of the walls cutting list page.
+ * @param {object} schedule - Result of computeFixingsSchedule()
+ */
+export function renderFixingsSchedule(schedule) {
+  const tbody = document.getElementById("fixingsScheduleBody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  let category = null;
+  const rows = fixingsScheduleToRows(schedule);
+  schedule.lines.forEach((line, i) => {
+    if (line.category !== category) {
+      category = line.category;
+      const tr = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = 6;
+      td.style.fontWeight = "600";
+      td.textContent = category;
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+    const tr = document.createElement("tr");
+    for (const cell of rows[i]) {
+      const td = document.createElement("td");
+      td.textContent = String(cell);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+
+  const summary = document.getElementById("fixingsScheduleSummary");
+  if (summary) {
+    const packs = schedule.lines.reduce((s, l) => s + l.packs, 0);
+    summary.textContent = schedule.lines.length
+      ? `${schedule.lines.length} items, ${packs} packs to order` +
+        (schedule.priced ? ` — £${schedule.total_cost.toFixed(2)} at pack prices.` : ". Some pack prices are missing from the price table.")
+      : "No fixings in this design.";
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Group wall BOM rows by wall. Works for both the main walls ([item, qty, L, W, D, notes],
+ * cladding in its own block as "Front wall cladding") and attachment walls ([item, qty, L, W, notes],
+ * "  Cladding" inside each WALL block).
+ */
+function wallTakeoff(rows) {
+  const walls = [];
+  const byId = {};
+  let current = null;
+  for (const r of rows) {
+    const item = String(r[0] || "");
+    const header = item.match(/^WALL:\s*(\w+)/);
+    if (header) {
+      current = { wallId: header[1], members: [], crossings: 0, courses: 0 };
+      walls.push(current);
+      byId[current.wallId] = current;
+      continue;
+    }
+    if (item === "TOTAL FRAME" || item === "TOTAL CLADDING" || item === "CLADDING") { current = null; continue; }
+    if (typeof r[1] !== "number") continue;
+
+    const name = item.trim();
+    const cladFor = name.match(/^(\w+) wall cladding$/i);
+    if (cladFor) {
+      const w = byId[cladFor[1].toLowerCase()];
+      if (w) w.courses += r[1];
+      continue;
+    }
+    if (!current) continue;
+    if (name === "Cladding") { current.courses += r[1]; continue; }
+    current.members.push({ name, qty: r[1], L: Number(r[2]) || 0 });
+    // Full-height verticals carry every cladding course
+    if (/Studs|Uprights/.test(name) && !/Cripple/.test(name)) current.crossings += r[1];
+  }
+  return walls;
+}
+
+function countWallFraming(add, rates, wall, label, anchoredToSlab) {
+  for (const m of wall.members) {
+    if (/Studs|Uprights/.test(m.name)) {
+      add("framing_nails", m.qty * 2 * rates.stud_joint_nails, `${label} stud-to-plate`);
+    } else if (/Header|Sill/.test(m.name)) {
+      add("framing_nails", m.qty * 2 * rates.header_joint_nails, `${label} headers & sills`);
+    } else if (m.name === "Bottom Plate") {
+      if (anchoredToSlab) add("frame_anchors", m.qty * anchorsAlong(m.L, rates.anchor_centres_mm), "Bottom plates to slab");
+      else add("framing_nails", m.qty * platePoints(m.L, rates.plate_fixing_centres_mm), `${label} plate to floor`);
+    }
+  }
+}
+
+function countRoof(add, rates, rows, covering, label) {
+  let trusses = 0, rafters = 0, hipRafters = 0, runs = 0, kingPosts = 0, collars = 0, gussets = 0, sheet_mm2 = 0;
+  let kneeJoints = false;
+  // Main roof rows carry numeric strings, attachment rows numbers
+  for (const r of rows) {
+    const qty = Array.isArray(r) ? Number(r[1]) : 0;
+    if (!(qty > 0)) continue;
+    const item = String(r[0]);
+    if (item === "Truss Tie (bottom chord)") trusses += qty;
+    else if (item === "Roof Rafter") rafters += qty;
+    else if (/^(Hip Rafter|Common Rafter|Jack Rafter)/.test(item)) hipRafters += qty;
+    else if (item === "Purlin" || item === "Ridge Beam") runs += qty;
+    else if (item === "King Post") kingPosts += qty;
+    else if (item === "Collar Tie") collars += qty;
+    else if (item === "Truss Gusset") gussets += qty;
+    else if (item === "Truss Rafter (lower)") kneeJoints = true;
+    else if (/OSB/.test(item)) sheet_mm2 += qty * Number(r[2]) * Number(r[3]);
+  }
+  add("truss_clips", (trusses + rafters) * 2, `${label} trusses & rafters`);
+  // Gambrel trusses have a knee joint on each side as well as the heels and apex
+  add("framing_nails", trusses * (kneeJoints ? 5 : 3) * rates.truss_joint_nails, `${label} truss joints`);
+  add("framing_nails", kingPosts * 2 * rates.stud_joint_nails, `${label} king posts`);
+  add("framing_nails", collars * 2 * rates.stud_joint_nails, `${label} collar ties`);
+  add("hanger_nails", gussets * rates.gusset_nails, `${label} truss gussets`);
+  add("framing_nails", runs * trusses * rates.purlin_nails_per_crossing, `${label} purlins`);
+  // Pent rim joists are end-nailed into every rafter at both ends
+  add("framing_nails", rafters * 2 * rates.stud_joint_nails, `${label} rafters to rims`);
+  // Hip, common and jack rafters sit on one plate and are nailed at the ridge or hip end too
+  add("truss_clips", hipRafters, `${label} hip & jack rafters`);
+  add("framing_nails", hipRafters * 2 * rates.stud_joint_nails, `${label} hip & jack rafters`);
+  add("deck_screws", sheet_mm2 / 1e6 * rates.deck_screws_per_m2, `${label} OSB`);
+  if (covering === "felt") add("felt_nails", sheet_mm2 / 1e6 * rates.felt_nails_per_m2, `${label} felt`);
+  countTrim(add, rates, rows, label);
+}
+
+function countTrim(add, rates, rows, label) {
+  for (const r of rows) {
+    const qty = Array.isArray(r) ? Number(r[1]) : 0;
+    if (!(qty > 0)) continue;
+    if (/^(Corner boards|Soffit Board|Fascia Board|Barge Board)$/.test(String(r[0]).trim())) {
+      add("trim_nails", qty * 2 * platePoints(r[2], rates.trim_fixing_centres_mm), `${label} trims`);
+    }
+  }
+}
+
+function countDoors(add, openings, label) {
+  for (const o of openings) {
+    if (!o || o.type !== "door" || o.enabled === false) continue;
+    let hw = DOOR_HARDWARE[o.style || "standard"];
+    if (hw === undefined) hw = DOOR_HARDWARE.standard;
+    if (hw && hw.fallback && Math.floor(o.width_mm || 800) < DOUBLE_DOOR_MIN_WIDTH_MM) hw = DOOR_HARDWARE[hw.fallback];
+    if (!hw) continue;
+    // One hinge pair per leaf (top and bottom), one lock per door, bolts on the fixed leaf
+    add(hw.hinge, hw.leaves, label);
+    add(hw.lock, 1, label);
+    if (hw.leaves === 2) add("tower_bolts", 2, label);
+  }
+}
+
+/** Fixing points along a member: both ends plus one per spacing. */
+function platePoints(length_mm, centres_mm) {
+  const L = Number(length_mm) || 0;
+  return L > 0 ? Math.ceil(L / centres_mm) + 1 : 0;
+}
+
+/** Anchors along a run, at least two. */
+function anchorsAlong(length_mm, centres_mm) {
+  return length_mm > 0 ? Math.max(2, Math.ceil(length_mm / centres_mm) + 1) : 0;
+}
@@ -1,9 +1,13 @@
 // FILE: docs/src/bom/index.js
 
+import { fmtBomLength } from '../units.js';
+import { tagPartRow } from '../part-ids.js';
+
 export function renderBOM(sections) {
   const tbody = document.getElementById('bomTable');
   if (!tbody) return;
   tbody.innerHTML = '';
+  let wall = null;
   for (const row of sections) {
     const tr = document.createElement('tr');
 
@@ -20,10 +24,15 @@ export function renderBOM(sections) {
 
     appendCell(tr, item);
     appendCell(tr, String(qty));
-    appendCell(tr, String(L));
-    appendCell(tr, String(W));
-    appendCell(tr, String(D));
+    appendCell(tr, fmtBomLength(L));
+    appendCell(tr, fmtBomLength(W));
+    appendCell(tr, fmtBomLength(D));
     appendCell(tr, notes || '');
+
+    // "WALL: front (insulated)" heads that wall's framing rows
+    const wallHead = /^WALL: (\w+)/.exec(String(item));
+    if (wallHead) wall = wallHead[1];
+    else if (wall) tagPartRow(tr, { item, qty, length_mm: L, notes, wall });
     tbody.appendChild(tr);
   }
 }
@@ -0,0 +1,213 @@
+// FILE: docs/src/bom/labour.js
+// Labour by task — groundwork, floor, each wall's framing, roof structure, covering,
+// cladding, insulation and lining, joinery, shelving/dividers and each attachment —
+// sized from the computeDesignBOM() quantities and scheduled into a simple plan.
+//
+// Every task has a crew and the tasks it waits for. Duration is person-days over the
+// crew, rounded up to quarter days; a task starts when everything it waits for is done.
+// Tasks with no work in a design drop out and their dependants wait for whatever the
+// dropped task waited for. Rates live in the price table's labour.tasks.
+
+import { roofCoveringParts } from "./purchase-orders.js";
+
+/** Task rates used when the price table has none (person-days; crew = people on the task). */
+export const DEFAULT_LABOUR_TASKS = {
+  setup: { label: "Site set-up and set-out", crew: 2, days: 0.5 },
+  groundwork: { label: "Groundwork and base", crew: 2, days: 0.2, per_m2: { ecodeck: 0.05, skids: 0.03 } },
+  floor: { label: "Floor frame and deck", crew: 2, days: 0.1, per_m2: 0.04 },
+  walls: { label: "Wall framing", crew: 2, days: 0.1, per_m: 0.06, per_opening: 0.1 },
+  roof: { label: "Roof structure", crew: 2, days: 0.2, per_m2: 0.04, style_factor: { hipped: 1.6, gambrel: 1.3 } },
+  covering: { label: "Roof covering", crew: 2, per_m2: { felt: 0.02, epdm: 0.03, slate: 0.3 } },
+  cladding: { label: "Cladding", crew: 2, per_m: 0.006 },
+  insulation: { label: "Insulation and lining", crew: 2, per_m2: 0.025 },
+  joinery: { label: "Joinery fit (doors, windows, skylights)", crew: 1, per_door: 0.4, per_window: 0.2, per_skylight: 0.4 },
+  fitout: { label: "Shelving and dividers", crew: 1, per_shelf: 0.15, per_divider: 0.75 },
+  attachment: { label: "Attachment", crew: 2, days: 0.5, per_m2: 0.25 }
+};
+
+// Durations are planned in quarter days
+const SLOT_DAYS = 0.25;
+
+/**
+ * Split the labour for a design into tasks and schedule them.
+ * Works on a BOM already narrowed by scopeBOMToBuild(), so excluded parts carry no labour.
+ * @param {object} bom - Result of computeDesignBOM() (scoped to the build)
+ * @param {object} state - Full application state
+ * @param {object|null} priceTable - Loaded price-table.json (labour.tasks)
+ * @returns {{ tasks: Array<{id: string, label: string, personDays: number, crew: number, duration: number, dependsOn: string[], start: number, end: number}>, personDays: number, elapsedDays: number }}
+ */
+export function computeLabourSchedule(bom, state, priceTable) {
+  const cfg = (priceTable && priceTable.labour && priceTable.labour.tasks) || {};
+  const rate = id => Object.assign({}, DEFAULT_LABOUR_TASKS[id], cfg[id] || {});
+  const byType = (table, key) => (table && typeof table === "object") ? Number(table[key]) || 0 : Number(table) || 0;
+  const baseType = (state && state.base && state.base.type) || "ecodeck";
+  const roofStyle = (state && state.roof && state.roof.style) || "apex";
+  const covering = (state && state.roof && state.roof.covering) || "felt";
+
+  const planned = [];
+  const plan = (id, r, personDays, dependsOn, label) => {
+    planned.push({ id, label: label || r.label, personDays: round2(personDays), crew: Math.max(1, Number(r.crew) || 1), dependsOn });
+  };
+  const withFixed = (r, work) => work > 0 ? (Number(r.days) || 0) + work : 0;
+
+  // ─── SITE AND BASE ───
+  plan("setup", rate("setup"), Number(rate("setup").days) || 0, []);
+  const base = bom.base || {};
+  const floor_m2 = baseFloorArea(base);
+  const groundwork = rate("groundwork");
+  const footprint_m2 = base.includeGrid || base.includeTimber || base.includeOsb ? floor_m2 : 0;
+  plan("groundwork", groundwork, withFixed(groundwork, footprint_m2 * byType(groundwork.per_m2, baseType)), ["setup"]);
+  const floor = rate("floor");
+  plan("floor", floor, withFixed(floor, (base.includeTimber || base.includeOsb ? floor_m2 : 0) * floor.per_m2), ["groundwork"]);
+
+  // ─── WALLS (one task per wall, framed in BOM order) ───
+  const walls = rate("walls");
+  let prev = "floor";
+  for (const w of wallFrames((bom.walls && bom.walls.sections) || [])) {
+    const id = `walls:${w.wallId}`;
+    plan(id, walls, withFixed(walls, w.length_mm / 1000 * walls.per_m + w.openings * walls.per_opening), [prev],
+      `${walls.label} — ${w.wallId}`);
+    prev = id;
+  }
+  const wallsDone = prev;
+
+  // ─── ROOF ───
+  const roof = rate("roof");
+  const deck_m2 = roofCoveringParts({ roof: bom.roof }).reduce((s, p) => s + p.m2, 0);
+  const styleFactor = (roof.style_factor && Number(roof.style_factor[roofStyle])) || 1;
+  plan("roof", roof, withFixed(roof, deck_m2 * roof.per_m2 * styleFactor), [wallsDone]);
+  const cover = rate("covering");
+  plan("covering", cover, withFixed(cover, deck_m2 * byType(cover.per_m2, covering)), ["roof"]);
+
+  // ─── CLADDING ───
+  const clad = rate("cladding");
+  const cladRun_mm = wallCladdingRun((bom.walls && bom.walls.sections) || []);
+  plan("cladding", clad, withFixed(clad, cladRun_mm / 1000 * clad.per_m), ["roof"]);
+
+  // ─── JOINERY ───
+  const joinery = rate("joinery");
+  const o = bom.openings || {};
+  const doors = countHeaders(o.doors, /^Door \d/);
+  const windows = countHeaders(o.windows, /^Window \d/);
+  const skylights = countHeaders(o.skylights, /^Skylight \d/);
+  plan("joinery", joinery, withFixed(joinery,
+    doors * joinery.per_door + windows * joinery.per_window + skylights * joinery.per_skylight), ["cladding", "covering"]);
+
+  // ─── INSULATION AND LINING (once the roof is on and the openings are in) ───
+  const ins = rate("insulation");
+  plan("insulation", ins, withFixed(ins, insulationArea(bom, base, floor_m2) * ins.per_m2), ["joinery"]);
+
+  // ─── SHELVING AND DIVIDERS ───
+  const fit = rate("fitout");
+  const shelves = (bom.shelving || []).reduce((n, sec) => n + (sec.rows || []).filter(r => / board /.test(String(r.item || ""))).length, 0);
+  const dividers = countHeaders(bom.dividers, /^Divider \d/);
+  plan("fitout", fit, withFixed(fit, shelves * fit.per_shelf + dividers * fit.per_divider), ["insulation"]);
+
+  // ─── ATTACHMENTS (alongside the main roof once its walls are up) ───
+  const att = rate("attachment");
+  const attState = (state && state.sections && state.sections.attachments) || [];
+  for (const a of bom.attachments || []) {
+    const hasWork = (a.base || []).length || (a.walls || []).some(r => !String(r[0]).startsWith("WALL:")) || (a.roof || []).length;
+    const src = attState.find(s => s && s.id === a.id) || {};
+    const m2 = ((src.dimensions && src.dimensions.width_mm) || 1800) * ((src.dimensions && src.dimensions.depth_mm) || 1200) / 1e6;
+    plan(`attachment:${a.id}`, att, hasWork ? withFixed(att, m2 * att.per_m2) : 0, [wallsDone], a.label);
+  }
+
+  return schedule(planned);
+}
+
+/**
+ * Lay the tasks out in time: each starts when the last task it waits for ends.
+ * Tasks with no work are dropped and their dependencies passed on to their dependants.
+ */
+function schedule(planned) {
+  const byId = {};
+  for (const t of planned) byId[t.id] = t;
+  const resolve = ids => {
+    const out = [];
+    for (const id of ids) {
+      const t = byId[id];
+      if (!t) continue;
+      for (const d of t.personDays > 0 ? [id] : resolve(t.dependsOn)) if (!out.includes(d)) out.push(d);
+    }
+    return out;
+  };
+
+  const tasks = [];
+  const ends = {};
+  for (const t of planned) {
+    if (!(t.personDays > 0)) continue;
+    const dependsOn = resolve(t.dependsOn);
+    const start = dependsOn.reduce((m, id) => Math.max(m, ends[id] || 0), 0);
+    const duration = Math.ceil(t.personDays / t.crew / SLOT_DAYS) * SLOT_DAYS;
+    ends[t.id] = start + duration;
+    tasks.push(Object.assign({}, t, { dependsOn, duration, start, end: start + duration }));
+  }
+  return {
+    tasks,
+    personDays: round2(tasks.reduce((s, t) => s + t.personDays, 0)),
+    elapsedDays: tasks.reduce((m, t) => Math.max(m, t.end), 0)
+  };
+}
+
+// Floor area from the base timber (rim joist length × inner joist length)
+function baseFloorArea(base) {
+  const timber = base.timber || [];
+  const rim = timber.find(t => t.item === "Rim Joists");
+  const inner = timber.find(t => t.item === "Inner Joists");
+  if (rim && inner) return rim.length_mm * inner.length_mm / 1e6;
+  let mm2 = 0;
+  for (const r of base.csvRows || []) if (r[0] === "OSB Decking") mm2 += Number(r[2]) * Number(r[3]) * Number(r[4]);
+  return mm2 / 1e6;
+}
+
+// Each wall's frame length and how many openings it frames, from the "WALL:" blocks
+function wallFrames(rows) {
+  const walls = [];
+  let current = null;
+  for (const r of rows) {
+    const item = String(r[0] || "");
+    const header = item.match(/^WALL:\s*(\w+)/);
+    if (header) {
+      const len = String(r[5] || "").match(/\bL=(\d+)mm/);
+      current = { wallId: header[1], length_mm: len ? Number(len[1]) : 0, ids: new Set() };
+      walls.push(current);
+      continue;
+    }
+    if (item === "TOTAL FRAME") current = null;
+    const opening = current && String(r[5] || "").match(/^(door|window) (\S+)/);
+    if (opening) current.ids.add(opening[2]);
+  }
+  return walls.map(w => ({ wallId: w.wallId, length_mm: w.length_mm, openings: w.ids.size }));
+}
+
+// Board run on the main walls (each wall's "total run")
+function wallCladdingRun(rows) {
+  let total = 0;
+  for (const r of rows) {
+    if (!/ wall cladding$/i.test(String(r[0] || "").trim())) continue;
+    const m = String(r[5] || "").match(/total run:\s*(\d+)mm/);
+    if (m) total += Number(m[1]);
+  }
+  return total;
+}
+
+// Wall PIR and lining, floor PIR and any roof PIR or ply, in m²
+function insulationArea(bom, base, floor_m2) {
+  const ins = (bom.walls && bom.walls.insulation) || {};
+  let mm2 = 0;
+  for (const r of (ins.pir && ins.pir.rows) || []) mm2 += r.qty * r.length_mm * r.width_mm;
+  for (const r of (ins.lining && ins.lining.rows) || []) mm2 += r.height_mm * r.length_mm;
+  for (const r of bom.roof || []) {
+    if (Array.isArray(r) && /PIR|Ply/i.test(String(r[0])) && typeof r[1] === "number") mm2 += r[1] * Number(r[2]) * Number(r[3]);
+  }
+  return mm2 / 1e6 + (base.isInsulated ? floor_m2 : 0);
+}
+
+function countHeaders(rows, re) {
+  return (rows || []).filter(r => re.test(String((Array.isArray(r) ? r[0] : r && r.item) || "").trim())).length;
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
@@ -0,0 +1,612 @@
+// FILE: docs/src/bom/purchase-orders.js
+// Supplier purchase orders — turns a design's BOM into one order per merchant.
+// The same lines, split back onto the BOM rows they supply, are what pricing.js costs.
+//
+// Quantities are what gets bought, not what gets cut: timber is the cutting plan's
+// stock lengths (framing plus door, window and shelf joinery), sheet goods the nesting
+// plan's sheet counts, cladding whole boards, lining and felt whole packs/rolls, glazing
+// one DGU per pane size, rainwater goods by the length or piece, fixings the schedule's packs. Each priced item names its
+// supplier and SKU in the price table (a section's "supply" map, or on each fixings pack);
+// merchant details live in price-table.json "suppliers".
+
+import { cuttingOptionsFromPriceTable, collectFramingPieces, optimiseCuttingStock } from "./cutting-stock.js";
+import { collectSheetPieces, nestSheets } from "./sheet-nesting.js";
+import { computeFixingsSchedule } from "./fixings.js";
+import { rowsToCsv } from "./compute.js";
+
+const PO_HEADERS = ["SKU", "Description", "Qty", "Unit", "Unit price", "Line total", "Notes"];
+
+// Nested sheet material → sheets price key
+const SHEET_PRICE_KEYS = { osb18: "osb_18mm_per_sheet", ply12: "ply_12mm_per_sheet", pir50: "pir_50mm_per_sheet" };
+
+const CLAD_STOCK_LENGTH_MM = 6200;
+const CLAD_BOARD_WIDTH_MM = 140;
+
+/**
+ * Every line to buy for a design, before grouping by supplier. Each line records the
+ * BOM rows it supplies in uses (amount is that row's share: cut length for timber,
+ * board run for cladding, piece area for sheets and roofing, tiles, panes or one per
+ * fixing), so a line's cost can be traced back to the cutting lists row by row.
+ * kind is "timber", "cladding", a sheet material id ("osb18", "ply12", "pir50"),
+ * "lining", "roofing", "grids", "glazing", "rainwater" or "fixings".
+ * @param {object} bom - Result of computeDesignBOM()
+ * @param {object} state - Full application state
+ * @param {object} priceTable - Loaded price-table.json
+ * @param {{ stockLengths?: number[], kerf?: number }} [cuttingOpts] - Overrides the price table's stock lengths and kerf
+ * @returns {Array<{ kind: string, supplierId: string, sku: string, description: string, qty: number, unit: string,
+ *   unit_price: number|null, notes: string,
+ *   uses: Array<{ source: string, item: string, qty: number, size: string, amount: number }> }>}
+ */
+export function collectPurchaseLines(bom, state, priceTable, cuttingOpts) {
+  const pt = priceTable || {};
+  const lines = [];
+  const push = (kind, section, key, line, uses) => {
+    const supply = (pt[section] && pt[section].supply && pt[section].supply[key]) || {};
+    lines.push(Object.assign({ kind, supplierId: supply.supplier || "", sku: supply.sku || "", notes: "" }, line, { uses }));
+  };
+  const pieceUse = p => ({ source: p.source, item: p.item, qty: p.qty, size: `${p.length_mm}mm`, amount: p.qty * p.length_mm });
+
+  // ─── TIMBER ───
+  // Stock lengths of one section are shared by every piece cut from them
+  const opts = Object.assign(cuttingOptionsFromPriceTable(pt), cuttingOpts);
+  const pieces = collectFramingPieces(bom).concat(collectJoineryPieces(bom));
+  const plan = optimiseCuttingStock(pieces, opts);
+  const longest = plan.stockLengths[plan.stockLengths.length - 1] || 0;
+  for (const s of plan.sections) {
+    const price = timberPrice(s.section, pt);
+    const uses = pieces.filter(p => p.section === s.section && p.length_mm <= longest).map(pieceUse);
+    for (const b of s.buy) {
+      push("timber", "timber", price.key, {
+        description: `Sawn timber ${s.section} × ${b.stock_mm}mm`,
+        qty: b.qty,
+        unit: "lengths",
+        unit_price: price.per_lm === null ? null : round2(price.per_lm * b.stock_mm / 1000),
+        notes: price.note
+      }, uses);
+    }
+  }
+  for (const p of plan.oversize) {
+    const price = timberPrice(p.section, pt);
+    push("timber", "timber", price.key, {
+      description: `Sawn timber ${p.section} × ${p.length_mm}mm (cut to length)`,
+      qty: p.qty,
+      unit: "lengths",
+      unit_price: price.per_lm === null ? null : round2(price.per_lm * p.length_mm / 1000),
+      notes: [p.item.trim(), price.note].filter(Boolean).join("; ")
+    }, pieces.filter(x => x.section === p.section && x.item === p.item && x.length_mm === p.length_mm).map(pieceUse));
+  }
+
+  // ─── CLADDING ───
+  const cladLinear_mm = claddingLinearMm(bom);
+  if (cladLinear_mm > 0) {
+    const profile = (state.cladding && (state.cladding.style || state.cladding.profile)) || "shiplap";
+    const c = pt.cladding || {};
+    const uses = claddingRuns(bom).map(r => ({ source: r.source, item: r.item, qty: 1, size: `${round1(r.run_mm / 1000)}m run`, amount: r.run_mm }));
+    if (profile === "composite-panel") {
+      const boardLen = c.composite_panel_board_length_mm || 3600;
+      push("cladding", "cladding", "composite_panel_board_price_ex", {
+        description: `Composite cladding board × ${boardLen}mm`,
+        qty: Math.ceil(cladLinear_mm / boardLen),
+        unit: "boards",
+        unit_price: numOrNull(c.composite_panel_board_price_ex)
+      }, uses);
+    } else {
+      const featherEdge = profile === "featherEdge" || profile === "feather_edge" || profile === "overlap";
+      const key = featherEdge ? "feather_edge_175x38_per_lm" : "shiplap_150x25_per_lm";
+      push("cladding", "cladding", key, {
+        description: `${featherEdge ? "Feather edge 175×38" : "Shiplap 150×25"} cladding × ${CLAD_STOCK_LENGTH_MM}mm`,
+        qty: Math.ceil(cladLinear_mm / CLAD_STOCK_LENGTH_MM),
+        unit: "boards",
+        unit_price: c[key] == null ? null : round2(c[key] * CLAD_STOCK_LENGTH_MM / 1000),
+        notes: `${round1(cladLinear_mm / 1000)}m linear`
+      }, uses);
+    }
+  }
+
+  // ─── SHEETS ───
+  const sheetPieces = collectSheetPieces(bom);
+  const sheets = nestSheets(sheetPieces, { kerf: opts.kerf });
+  for (const m of sheets.materials) {
+    const key = SHEET_PRICE_KEYS[m.id];
+    push(m.id, "sheets", key, {
+      description: `${m.label} ${m.sheet_l_mm} × ${m.sheet_w_mm}mm`,
+      qty: m.count,
+      unit: "sheets",
+      unit_price: numOrNull(pt.sheets && pt.sheets[key]),
+      notes: `${m.waste_pct}% waste`
+    }, sheetPieces.filter(p => p.material === m.id).map(p => ({
+      source: p.source, item: p.label, qty: p.qty, size: `${p.l_mm} × ${p.w_mm}mm`, amount: p.qty * p.l_mm * p.w_mm
+    })));
+  }
+
+  const lining = bom.walls && bom.walls.insulation && bom.walls.insulation.lining;
+  if (lining && lining.type === "pine-tg" && lining.tgLinear_m > 0) {
+    const il = pt.internal_lining || {};
+    const packLinear_m = (il.pine_tg_pack_qty || 5) * (il.pine_tg_board_length_mm || 2400) / 1000;
+    push("lining", "internal_lining", "pine_tg_pack_price_ex", {
+      description: `Pine T&G lining, pack of ${il.pine_tg_pack_qty || 5} × ${il.pine_tg_board_length_mm || 2400}mm`,
+      qty: Math.ceil(lining.tgLinear_m / packLinear_m),
+      unit: "packs",
+      unit_price: numOrNull(il.pine_tg_pack_price_ex),
+      notes: `${round1(lining.tgLinear_m)}m linear`
+    }, [{ source: "Walls", item: "Pine T&G lining", qty: 1, size: `${round1(lining.tgLinear_m)}m run`, amount: lining.tgLinear_m }]);
+  }
+
+  // ─── ROOFING ───
+  const roofParts = roofCoveringParts(bom);
+  const roof_m2 = roofParts.reduce((s, r) => s + r.m2, 0);
+  if (roof_m2 > 0) {
+    const covering = (state.roof && state.roof.covering) || "felt";
+    const r = pt.roofing || {};
+    const uses = roofParts.map(x => ({ source: x.source, item: x.item, qty: 1, size: `${round1(x.m2)}m²`, amount: x.m2 }));
+    if (covering === "felt") {
+      const roll = r.felt_roll_m2 || 10;
+      push("roofing", "roofing", "felt_per_m2", {
+        description: `Roofing felt, ${roll}m² roll`,
+        qty: Math.ceil(roof_m2 / roll),
+        unit: "rolls",
+        unit_price: r.felt_per_m2 == null ? null : round2(r.felt_per_m2 * roll),
+        notes: `${round1(roof_m2)}m² roof`
+      }, uses);
+    } else {
+      const key = covering === "epdm" ? "epdm_per_m2" : "slate_per_m2";
+      push("roofing", "roofing", key, {
+        description: covering === "epdm" ? "EPDM membrane" : "Synthetic slate, battens and membrane",
+        qty: Math.ceil(roof_m2),
+        unit: "m²",
+        unit_price: numOrNull(r[key])
+      }, uses);
+    }
+  }
+
+  // ─── BASE GRIDS ───
+  const tileParts = gridTileParts(bom);
+  const tiles = tileParts.reduce((s, t) => s + t.qty, 0);
+  if (tiles > 0) {
+    const tile_m2 = Math.pow((bom.base && bom.base.gridSize) || 500, 2) / 1e6;
+    const perM2 = pt.base_grids && pt.base_grids.cost_per_m2;
+    push("grids", "base_grids", "cost_per_m2", {
+      description: `Plastic ground grid tile ${(bom.base && bom.base.gridSize) || 500} × ${(bom.base && bom.base.gridSize) || 500}mm`,
+      qty: tiles,
+      unit: "tiles",
+      unit_price: perM2 == null ? null : round2(perM2 * tile_m2),
+      notes: "Cut tiles counted as whole tiles"
+    }, tileParts.map(t => ({ source: t.source, item: t.item, qty: t.qty, size: t.size, amount: t.qty })));
+  }
+
+  // ─── GLAZING ───
+  for (const g of glassPanes(bom)) {
+    push("glazing", "openings", "dgu_per_unit", {
+      description: `Double-glazed unit ${g.l} × ${g.w}mm`,
+      qty: g.qty,
+      unit: "units",
+      unit_price: numOrNull(pt.openings && pt.openings.dgu_per_unit),
+      notes: g.uses.join(", ")
+    }, g.uses.map(u => ({ source: u, item: "Glass Pane", qty: g.by[u], size: `${g.l} × ${g.w}mm`, amount: g.by[u] })));
+  }
+
+  // ─── RAINWATER GOODS ───
+  // One line per part; prices per profile in the price table's rainwater section
+  const gutters = bom.gutters || [];
+  if (gutters.length) {
+    const profile = gutters[0].profile;
+    const rw = pt.rainwater || {};
+    const prices = rw[profile] || {};
+    const parts = [];
+    for (const sec of gutters) {
+      for (const r of sec.rows) {
+        let p = parts.find(x => x.part === r.part);
+        if (!p) parts.push(p = { part: r.part, item: r.item, length_mm: r.length_mm, qty: 0, uses: [] });
+        p.qty += r.qty;
+        p.uses.push({ source: sec.title, item: r.item, qty: r.qty, size: r.length_mm ? `${r.length_mm}mm` : "", amount: r.qty });
+      }
+    }
+    for (const p of parts) {
+      push("rainwater", "rainwater", profile, {
+        description: `${p.item}${p.length_mm ? ` × ${p.length_mm}mm` : ""}`,
+        qty: p.qty,
+        unit: p.length_mm ? "lengths" : "pcs",
+        unit_price: numOrNull(prices[p.part])
+      }, p.uses);
+    }
+  }
+
+  // ─── FIXINGS ───
+  const packs = (pt.fixings && pt.fixings.packs) || {};
+  for (const f of computeFixingsSchedule(bom, state, pt).lines) {
+    const p = packs[f.id] || {};
+    lines.push({
+      kind: "fixings",
+      supplierId: p.supplier || "",
+      sku: p.sku || "",
+      description: f.pack_size === 1 ? f.item : `${f.item}, pack of ${f.pack_size}`,
+      qty: f.packs,
+      unit: f.pack_size === 1 ? f.unit : "packs",
+      unit_price: f.pack_price,
+      notes: `${f.qty} ${f.unit}`,
+      uses: [{ source: "Fixings schedule", item: `${f.qty} ${f.unit}`, qty: 1, size: "", amount: 1 }]
+    });
+  }
+
+  return lines.filter(l => l.qty > 0);
+}
+
+/**
+ * Build the purchase orders for a design: collectPurchaseLines() grouped by supplier.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @param {object} state - Full application state
+ * @param {object} priceTable - Loaded price-table.json
+ * @param {{ stockLengths?: number[], kerf?: number }} [cuttingOpts] - Overrides the price table's stock lengths and kerf
+ * @returns {{ currency: string, vatMode: string, orders: Array<{
+ *   supplierId: string, supplier: object,
+ *   lines: Array<{ sku: string, description: string, qty: number, unit: string, unit_price: number|null, total: number, notes: string }>,
+ *   subtotal: number, unpriced: number }>, total: number }}
+ */
+export function buildPurchaseOrders(bom, state, priceTable, cuttingOpts) {
+  const pt = priceTable || {};
+  const lines = collectPurchaseLines(bom, state, pt, cuttingOpts);
+
+  // ─── GROUP BY SUPPLIER ───
+  const suppliers = pt.suppliers || {};
+  const order = Object.keys(suppliers).filter(k => suppliers[k] && typeof suppliers[k] === "object");
+  const byId = {};
+  for (const l of lines) {
+    const id = l.supplierId || "unassigned";
+    if (!byId[id]) {
+      byId[id] = { supplierId: id, supplier: suppliers[id] || { name: id === "unassigned" ? "Unassigned" : id }, lines: [], subtotal: 0, unpriced: 0 };
+      if (!order.includes(id)) order.push(id);
+    }
+    const total = l.unit_price === null ? 0 : round2(l.qty * l.unit_price);
+    byId[id].lines.push({ sku: l.sku, description: l.description, qty: l.qty, unit: l.unit, unit_price: l.unit_price, total, notes: l.notes });
+    byId[id].subtotal = round2(byId[id].subtotal + total);
+    if (l.unit_price === null) byId[id].unpriced++;
+  }
+
+  const orders = order.filter(id => byId[id]).map(id => byId[id]);
+  return {
+    currency: pt.currency || "GBP",
+    vatMode: pt.vatMode || "ex",
+    orders,
+    total: round2(orders.reduce((s, o) => s + o.subtotal, 0))
+  };
+}
+
+/**
+ * One purchase order as CSV rows (header first, subtotal last).
+ * @param {object} order - Entry of buildPurchaseOrders().orders
+ * @returns {Array<Array>} Rows of [SKU, Description, Qty, Unit, Unit price, Line total, Notes]
+ */
+export function purchaseOrderToRows(order) {
+  const rows = [PO_HEADERS.slice()];
+  for (const l of order.lines) {
+    rows.push([l.sku, l.description, l.qty, l.unit, l.unit_price === null ? "" : l.unit_price.toFixed(2), l.total.toFixed(2), l.notes]);
+  }
+  rows.push(["", "Subtotal", "", "", "", order.subtotal.toFixed(2), order.unpriced ? `${order.unpriced} unpriced line(s)` : ""]);
+  return rows;
+}
+
+/**
+ * Printable HTML document with every purchase order, one per page.
+ * @param {object} pos - Result of buildPurchaseOrders()
+ * @param {object} [meta]
+ * @param {string} [meta.job] - Job description shown on each order
+ * @param {Date} [meta.date] - Order date (defaults to today)
+ * @returns {string} Standalone HTML
+ */
+export function purchaseOrdersToHtml(pos, meta) {
+  const m = meta || {};
+  const date = m.date || new Date();
+  const ymd = date.toISOString().slice(0, 10);
+  const money = v => `${pos.currency === "GBP" ? "£" : pos.currency + " "}${v.toFixed(2)}`;
+  const out = [];
+  out.push("<!DOCTYPE html><html><head><meta charset=\"utf-8\"><title>Purchase orders</title><style>" +
+    "body{font-family:sans-serif;color:#222;margin:24px}section{page-break-after:always;margin-bottom:40px}" +
+    "section:last-child{page-break-after:auto}h1{font-size:20px;margin:0 0 4px}table{border-collapse:collapse;width:100%;font-size:13px}" +
+    "th,td{border:1px solid #bbb;padding:4px 6px;text-align:left}td.n{text-align:right}.meta td{border:none;padding:2px 12px 2px 0}" +
+    ".sub td{font-weight:600}</style></head><body>");
+  for (const o of pos.orders) {
+    const s = o.supplier || {};
+    out.push("<section>");
+    out.push(`<h1>Purchase order — ${esc(s.name || o.supplierId)}</h1>`);
+    out.push("<table class=\"meta\">");
+    out.push(`<tr><td>PO number</td><td>${esc(poNumber(o, date))}</td></tr>`);
+    out.push(`<tr><td>Date</td><td>${ymd}</td></tr>`);
+    if (s.account_ref) out.push(`<tr><td>Account</td><td>${esc(s.account_ref)}</td></tr>`);
+    if (s.email || s.phone) out.push(`<tr><td>Contact</td><td>${esc([s.email, s.phone].filter(Boolean).join(" · "))}</td></tr>`);
+    if (m.job) out.push(`<tr><td>Job</td><td>${esc(m.job)}</td></tr>`);
+    out.push(`<tr><td>Prices</td><td>${pos.vatMode === "ex" ? "Ex VAT" : "Inc VAT"}, ${esc(pos.currency)}</td></tr>`);
+    out.push("</table><br>");
+    out.push("<table><thead><tr>" + PO_HEADERS.map(h => `<th>${h}</th>`).join("") + "</tr></thead><tbody>");
+    for (const l of o.lines) {
+      out.push(`<tr><td>${esc(l.sku)}</td><td>${esc(l.description)}</td><td class="n">${l.qty}</td><td>${esc(l.unit)}</td>` +
+        `<td class="n">${l.unit_price === null ? "" : money(l.unit_price)}</td><td class="n">${money(l.total)}</td><td>${esc(l.notes)}</td></tr>`);
+    }
+    out.push(`<tr class="sub"><td></td><td>Subtotal</td><td></td><td></td><td></td><td class="n">${money(o.subtotal)}</td>` +
+      `<td>${o.unpriced ? `${o.unpriced} unpriced line(s)` : ""}</td></tr>`);
+    out.push("</tbody></table></section>");
+  }
+  out.push("</body></html>");
+  return out.join("\n");
+}
+
+/**
+ * Update the Purchase Orders section of the walls cutting list page: one row per
+ * supplier with a CSV download, plus a print button for all orders.
+ * @param {object} pos - Result of buildPurchaseOrders()
+ * @param {object} [meta] - Passed to purchaseOrdersToHtml()
+ */
+export function renderPurchaseOrders(pos, meta) {
+  const tbody = document.getElementById("purchaseOrdersBody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  const money = v => `${pos.currency === "GBP" ? "£" : pos.currency + " "}${v.toFixed(2)}`;
+  for (const o of pos.orders) {
+    const tr = document.createElement("tr");
+    const cells = [(o.supplier && o.supplier.name) || o.supplierId, o.lines.length, money(o.subtotal) + (o.unpriced ? ` (${o.unpriced} unpriced)` : "")];
+    for (const c of cells) {
+      const td = document.createElement("td");
+      td.textContent = String(c);
+      tr.appendChild(td);
+    }
+    const td = document.createElement("td");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = "CSV";
+    btn.addEventListener("click", () => downloadCsv(`po-${o.supplierId}.csv`, purchaseOrderToRows(o)));
+    td.appendChild(btn);
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+
+  const summary = document.getElementById("purchaseOrdersSummary");
+  if (summary) {
+    summary.textContent = pos.orders.length
+      ? `${pos.orders.length} orders, ${money(pos.total)} ${pos.vatMode === "ex" ? "ex VAT" : "inc VAT"}.`
+      : "Nothing to order.";
+  }
+
+  // The print button always prints the latest orders
+  const printBtn = document.getElementById("printPurchaseOrdersBtn");
+  if (printBtn) {
+    printBtn._orders = { pos, meta };
+    if (!printBtn._wired) {
+      printBtn._wired = true;
+      printBtn.addEventListener("click", () => {
+        const w = window.open("", "_blank");
+        if (!w) return;
+        w.document.write(purchaseOrdersToHtml(printBtn._orders.pos, printBtn._orders.meta));
+        w.document.close();
+        w.focus();
+        w.print();
+      });
+    }
+  }
+}
+
+/** PO reference: date plus supplier id, e.g. PO-20260219-EAST_BROS. */
+export function poNumber(order, date) {
+  return `PO-${(date || new Date()).toISOString().slice(0, 10).replace(/-/g, "")}-${String(order.supplierId).toUpperCase()}`;
+}
+
+/**
+ * Door, window, skylight and shelf timber as cutting-stock pieces (glass and hinges
+ * are bought separately). Doors/windows/skylights are [item, qty, L, W, D, notes],
+ * attachment openings [item, qty, L, W, notes] with "D (mm): N".
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {Array<{source: string, item: string, qty: number, length_mm: number, section: string}>}
+ */
+export function collectJoineryPieces(bom) {
+  const pieces = [];
+  const add = (source, item, qty, L, a, b) => {
+    const q = Math.round(Number(qty));
+    const len = Math.round(Number(L));
+    const x = Math.round(Number(a));
+    const y = Math.round(Number(b));
+    if (!(q > 0) || !(len > 0) || !(x > 0) || !(y > 0)) return;
+    pieces.push({ source, item: String(item).trim(), qty: q, length_mm: len, section: `${Math.min(x, y)}×${Math.max(x, y)}` });
+  };
+  const isJoinery = item => !/Glass|Hinge/i.test(String(item));
+
+  const o = bom.openings || {};
+  for (const [source, list] of [["Doors", o.doors], ["Windows", o.windows], ["Skylights", o.skylights]]) {
+    for (const r of list || []) {
+      if (typeof r[1] === "number" && isJoinery(r[0])) add(source, r[0], r[1], r[2], r[3], r[4]);
+    }
+  }
+  for (const att of bom.attachments || []) {
+    for (const r of att.openings || []) {
+      const depth = String(r[4] || "").match(/^D \(mm\):\s*(\d+)/);
+      if (typeof r[1] === "number" && depth && isJoinery(r[0])) add(att.label, r[0], r[1], r[2], r[3], depth[1]);
+    }
+  }
+  for (const sec of bom.shelving || []) {
+    for (const r of sec.rows || []) {
+      const [a, b] = String(r.section || "").split(/\s*×\s*/);
+      add("Shelving", r.item, r.qty, r.length_mm, a, b);
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Cladding run in mm: TOTAL CLADDING boards on the main walls and attachments, plus divider cladding.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {number}
+ */
+export function claddingLinearMm(bom) {
+  let total = 0;
+  const fromTotal = r => {
+    const m = String(r[r.length - 1] || "").match(/Total:\s*([\d.]+)m linear/);
+    return m ? Number(m[1]) * 1000 : 0;
+  };
+  for (const r of (bom.walls && bom.walls.sections) || []) {
+    if (String(r[0]).trim() === "TOTAL CLADDING") total += fromTotal(r);
+  }
+  for (const att of bom.attachments || []) {
+    for (const r of att.walls || []) if (r[0] === "TOTAL CLADDING") total += fromTotal(r);
+  }
+  for (const r of bom.dividers || []) {
+    if (/^\s*Cladding/.test(String(r[0])) && typeof r[1] === "number") total += r[1] * r[2] * r[3] / CLAD_BOARD_WIDTH_MM;
+  }
+  return Math.round(total);
+}
+
+/**
+ * Cladding run per wall in mm — the "total run" on each wall's cladding row, which add up
+ * to the TOTAL CLADDING rows — plus divider cladding.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {Array<{source: string, item: string, run_mm: number}>}
+ */
+export function claddingRuns(bom) {
+  const runs = [];
+  const runOf = r => {
+    const m = String(r[r.length - 1] || "").match(/total run:\s*(\d+)mm/);
+    return m ? Number(m[1]) : 0;
+  };
+  for (const r of (bom.walls && bom.walls.sections) || []) {
+    const item = String(r[0]).trim();
+    if (/ wall cladding$/i.test(item) && runOf(r) > 0) runs.push({ source: "Walls", item, run_mm: runOf(r) });
+  }
+  for (const att of bom.attachments || []) {
+    let wall = "";
+    for (const r of att.walls || []) {
+      const head = String(r[0]).match(/^WALL:\s*(\S+)/);
+      if (head) wall = head[1];
+      else if (String(r[0]).trim() === "Cladding" && runOf(r) > 0) runs.push({ source: att.label, item: `${wall} wall cladding`, run_mm: runOf(r) });
+    }
+  }
+  for (const r of bom.dividers || []) {
+    if (/^\s*Cladding/.test(String(r[0])) && typeof r[1] === "number") {
+      runs.push({ source: "Dividers", item: String(r[0]).trim(), run_mm: Math.round(r[1] * r[2] * r[3] / CLAD_BOARD_WIDTH_MM) });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Roof area to cover in m²: main roof deck plus each attachment's covering.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {number}
+ */
+export function roofCoveringArea(bom) {
+  return roofCoveringParts(bom).reduce((s, r) => s + r.m2, 0);
+}
+
+/**
+ * Roof covering by roof: the main roof's deck area and each attachment's covering rows.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {Array<{source: string, item: string, m2: number}>}
+ */
+export function roofCoveringParts(bom) {
+  const parts = [];
+  let mm2 = 0;
+  for (const r of bom.roof || []) {
+    if (Array.isArray(r) && r.length >= 5 && /OSB/.test(String(r[0]))) mm2 += Number(r[1]) * Number(r[2]) * Number(r[3]);
+  }
+  if (mm2 > 0) parts.push({ source: "Roof", item: "Roof deck", m2: mm2 / 1e6 });
+  for (const att of bom.attachments || []) {
+    let attMm2 = 0;
+    for (const r of att.roof || []) if (r[0] === "Roof Covering") attMm2 += r[1] * r[2] * r[3];
+    if (attMm2 > 0) parts.push({ source: att.label, item: "Roof Covering", m2: attMm2 / 1e6 });
+  }
+  return parts;
+}
+
+/**
+ * Ground grid tiles under the base and attachments (cut tiles count as whole ones).
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {number}
+ */
+export function gridTileCount(bom) {
+  return gridTileParts(bom).reduce((s, t) => s + t.qty, 0);
+}
+
+/**
+ * Ground grid tiles by BOM row: each full/cut tile size under the base, and each
+ * attachment's tile rows.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {Array<{source: string, item: string, qty: number, size: string}>}
+ */
+export function gridTileParts(bom) {
+  const parts = [];
+  const base = bom.base || {};
+  const cuts = (base.includeGrid && base.gridCuts) || {};
+  for (const k of Object.keys(cuts)) {
+    const [l, w] = k.split("x").map(Number);
+    const full = l === base.gridSize && w === base.gridSize;
+    if (cuts[k] > 0) parts.push({ source: "Base", item: full ? "Grid tile" : "Grid tile (cut)", qty: cuts[k], size: `${l} × ${w}mm` });
+  }
+  for (const att of bom.attachments || []) {
+    for (const r of att.base || []) {
+      if (r[0] === "Plastic Grid Tile" && r[1] > 0) parts.push({ source: att.label, item: r[0], qty: r[1], size: `${r[2]} × ${r[3]}mm` });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Glass panes grouped by size (long × short), with the openings they glaze and how
+ * many panes each of those takes.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {Array<{l: number, w: number, qty: number, uses: string[], by: Object<string, number>}>}
+ */
+export function glassPanes(bom) {
+  const sizes = {};
+  const add = (qty, a, b, use) => {
+    const l = Math.round(Math.max(Number(a), Number(b)));
+    const w = Math.round(Math.min(Number(a), Number(b)));
+    if (!(qty > 0) || !(w > 0)) return;
+    const key = `${l}x${w}`;
+    if (!sizes[key]) sizes[key] = { l, w, qty: 0, uses: [], by: {} };
+    sizes[key].qty += qty;
+    if (!sizes[key].uses.includes(use)) sizes[key].uses.push(use);
+    sizes[key].by[use] = (sizes[key].by[use] || 0) + qty;
+  };
+  const o = bom.openings || {};
+  for (const [source, list] of [["Doors", o.doors], ["Windows", o.windows], ["Skylights", o.skylights]]) {
+    for (const r of list || []) if (/Glass/i.test(String(r[0]))) add(Number(r[1]), r[2], r[3], source);
+  }
+  for (const att of bom.attachments || []) {
+    for (const r of att.openings || []) if (/Glass/i.test(String(r[0]))) add(Number(r[1]), r[2], r[3], att.label);
+  }
+  return Object.keys(sizes).map(k => sizes[k]).sort((x, y) => (y.l - x.l) || (y.w - x.w));
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Price per metre for a timber section: the exact price-table key where there is one,
+ * otherwise the nearest stock scaled by cross-section (boards under 38mm thick from
+ * boards_150x30, framing from structural_75x50).
+ */
+function timberPrice(section, pt) {
+  const t = pt.timber || {};
+  const [a, b] = section.split("×").map(Number);
+  if (section === "50×75") return { key: "structural_75x50_per_lm", per_lm: numOrNull(t.structural_75x50_per_lm), note: "" };
+  if (section === "50×100") return { key: "structural_50x100_per_lm", per_lm: numOrNull(t.structural_50x100_per_lm), note: "" };
+  if (section === "30×150") return { key: "boards_150x30_per_lm", per_lm: numOrNull(t.boards_150x30_per_lm), note: "" };
+  const board = Math.min(a, b) < 38;
+  const key = board ? "boards_150x30_per_lm" : "structural_75x50_per_lm";
+  const ref = board ? 30 * 150 : 50 * 75;
+  if (t[key] == null) return { key, per_lm: null, note: "" };
+  return { key, per_lm: t[key] * (a * b) / ref, note: `price scaled from ${board ? "150×30" : "75×50"}` };
+}
+
+function downloadCsv(filename, rows) {
+  const blob = new Blob([rowsToCsv(rows)], { type: "text/csv;charset=utf-8;" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+function numOrNull(v) {
+  return v == null || !Number.isFinite(Number(v)) ? null : Number(v);
+}
+
+function round1(v) { return Math.round(v * 10) / 10; }
+function round2(v) { return Math.round(v * 100) / 100; }
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
@@ -0,0 +1,358 @@
+// FILE: docs/src/bom/sheet-nesting.js
+// 2D sheet nesting — lays out every sheet-goods piece (floor deck and roof OSB, wall
+// and pent roof plywood lining, gambrel truss gussets, floor, wall and pent roof PIR,
+// divider OSB, and the same for attachments) on full sheets and draws a cut diagram per sheet.
+//
+// The element BOMs each list their pieces on their own (base: computeDeckPiecesAB_NoStagger,
+// roof: computeOsbPiecesForSlope / computeOsbPiecesNoStagger, walls: computeWallInsulationBOM)
+// and count sheets by area. Here all pieces of one material share the same pool of sheets,
+// so a roof rip can come out of the offcut of a floor rip.
+//
+// Packing is guillotine (every cut runs edge to edge, as on a panel saw): pieces are placed
+// largest first into the free rectangle that fits tightest on any open sheet, rotated if
+// needed, and the leftover is split along its shorter side. Saw kerf is left between cuts.
+
+import { CONFIG } from "../params.js";
+import { DEFAULT_KERF_MM } from "./cutting-stock.js";
+import { fmtBomLength } from "../units.js";
+
+/** Sheet goods handled by the nesting plan (sheet size is short × long side). */
+export const SHEET_MATERIALS = {
+  osb18: { label: "18mm OSB", w_mm: CONFIG.decking.w, l_mm: CONFIG.decking.d },
+  ply12: { label: "12mm Plywood", w_mm: 1220, l_mm: 2440 },
+  pir50: { label: "50mm PIR", w_mm: CONFIG.insulation.w, l_mm: CONFIG.insulation.d }
+};
+
+// Offcuts smaller than this on either side are treated as waste.
+const MIN_OFFCUT_MM = 300;
+
+const COMPONENT_COLOURS = {
+  "Floor deck": "#d7b377",
+  "Roof deck": "#c49a5a",
+  "Wall lining": "#e6cf9f",
+  "Roof lining": "#efdcb4",
+  "Truss gussets": "#d9c08c",
+  "Floor PIR": "#b9d3ea",
+  "Wall PIR": "#8fb8dc",
+  "Roof PIR": "#a7c6e3",
+  "Divider OSB": "#b5894a"
+};
+
+/**
+ * Collect the sheet-goods pieces from a computeDesignBOM() result.
+ * source is the part of the design the piece belongs to: "Base", "Walls", "Roof",
+ * "Dividers" or an attachment's label.
+ * @param {object} bom - Result of computeDesignBOM()
+ * @returns {Array<{material: string, component: string, label: string, source: string, w_mm: number, l_mm: number, qty: number}>}
+ */
+export function collectSheetPieces(bom) {
+  const pieces = [];
+  let source = "";
+  const add = (material, component, label, a, b, qty) => {
+    const x = Math.round(Number(a));
+    const y = Math.round(Number(b));
+    const q = Math.round(Number(qty));
+    if (!(x > 0) || !(y > 0) || !(q > 0)) return;
+    pieces.push({ material, component, label, source, w_mm: Math.min(x, y), l_mm: Math.max(x, y), qty: q });
+  };
+  // Wall-sized panels are hung in landscape sheets: split into full-sheet columns and
+  // courses plus the remainders (openings are cut on site).
+  const addPanel = (material, component, label, length, height) => {
+    const sheet = SHEET_MATERIALS[material];
+    for (const across of splitRun(length, sheet.l_mm)) {
+      for (const up of splitRun(height, sheet.w_mm)) add(material, component, label, up, across, 1);
+    }
+  };
+  const addMap = (material, component, map) => {
+    for (const key of Object.keys(map || {})) {
+      const [a, b] = key.split("x").map(Number);
+      add(material, component, component, a, b, map[key]);
+    }
+  };
+
+  source = "Base";
+  const base = bom.base || {};
+  if (base.includeOsb) {
+    addMap("osb18", "Floor deck", base.osbStd);
+    addMap("osb18", "Floor deck", base.osbRip);
+  }
+  if (base.isInsulated) addMap("pir50", "Floor PIR", base.pirPieces);
+
+  // Roof: [item, qty, L, W, notes]. Pent roofs also list PIR between the rafters and
+  // the plywood ceiling under them (one row per bay / per roof). Gambrel truss gussets are
+  // cut from ply too; each row is the gusset's bounding rectangle.
+  source = "Roof";
+  for (const r of bom.roof || []) {
+    if (!Array.isArray(r) || r.length < 5) continue;
+    const item = String(r[0]);
+    if (/OSB/.test(item)) add("osb18", "Roof deck", "Roof deck", r[2], r[3], r[1]);
+    else if (/PIR/.test(item)) {
+      for (let i = 0; i < Number(r[1]); i++) addPanel("pir50", "Roof PIR", "Roof PIR", r[2], r[3]);
+    } else if (/Gusset/.test(item)) {
+      add("ply12", "Truss gussets", "Truss gusset", r[2], r[3], r[1]);
+    } else if (/Plywood/.test(item)) {
+      for (let i = 0; i < Number(r[1]); i++) addPanel("ply12", "Roof lining", "Roof lining", r[3], r[2]);
+    }
+  }
+
+  source = "Walls";
+  const ins = bom.walls && bom.walls.insulation;
+  if (ins && ins.insulated) {
+    for (const r of (ins.pir && ins.pir.rows) || []) {
+      add("pir50", "Wall PIR", `${r.wall} wall PIR`, r.width_mm, r.length_mm, r.qty);
+    }
+    // Plywood lining rows give the wall panel
+    if (ins.lining && ins.lining.type === "plywood") {
+      for (const r of ins.lining.rows) addPanel("ply12", "Wall lining", `${r.wall} wall lining`, r.length_mm, r.height_mm);
+    }
+  }
+
+  // Dividers: [item, qty, L, H, D, notes], one covering panel per side
+  source = "Dividers";
+  for (const r of bom.dividers || []) {
+    if (/^\s*OSB Covering/.test(String(r[0]))) addPanel("osb18", "Divider OSB", "Divider OSB", r[2], r[3]);
+  }
+
+  // Attachments: [item, qty, L, W, notes]; floor and roof OSB are already cut to sheet
+  // size by the attachment BOM, wall lining is one panel per wall.
+  for (const att of bom.attachments || []) {
+    source = att.label;
+    for (const r of att.base || []) {
+      if (r[0] === "Floor OSB") add("osb18", "Floor deck", `${att.label} floor`, r[2], r[3], r[1]);
+    }
+    for (const r of att.roof || []) {
+      if (r[0] === "Roof OSB") add("osb18", "Roof deck", `${att.label} roof`, r[2], r[3], r[1]);
+    }
+    for (const r of att.walls || []) {
+      const item = String(r[0]).trim();
+      if (item === "PIR Insulation") add("pir50", "Wall PIR", `${att.label} wall PIR`, r[2], r[3], r[1]);
+      else if (item === "Plywood Lining") addPanel("ply12", "Wall lining", `${att.label} wall lining`, r[3], r[2]);
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Nest pieces onto sheets, one pool of sheets per material.
+ * @param {Array} pieces - Result of collectSheetPieces()
+ * @param {object} [opts]
+ * @param {number} [opts.kerf] - Saw kerf in mm
+ * @returns {{ kerf: number, materials: Array<{
+ *   id: string, label: string, sheet_w_mm: number, sheet_l_mm: number, count: number, waste_pct: number,
+ *   components: Object<string, number>,
+ *   sheets: Array<{ placements: Array<{x: number, y: number, w: number, h: number, component: string, label: string}>,
+ *     offcuts: Array<{x: number, y: number, w: number, h: number}>, waste_pct: number }> }> }}
+ *   Sheet coordinates are mm with the long side along x. Pieces larger than a sheet are
+ *   cut into sheet-sized parts first.
+ */
+export function nestSheets(pieces, opts) {
+  const o = opts || {};
+  const kerf = Math.max(0, Number.isFinite(Number(o.kerf)) ? Number(o.kerf) : DEFAULT_KERF_MM);
+  const materials = [];
+
+  for (const id of Object.keys(SHEET_MATERIALS)) {
+    const mat = SHEET_MATERIALS[id];
+    const list = [];
+    const components = {};
+    for (const p of pieces) {
+      if (p.material !== id) continue;
+      components[p.component] = (components[p.component] || 0) + p.qty;
+      const parts = splitToSheet(p, mat);
+      for (let i = 0; i < p.qty; i++) list.push(...parts);
+    }
+    if (!list.length) continue;
+
+    // Largest first; equal pieces stay together so their sheets repeat.
+    list.sort((a, b) => (b.w_mm * b.l_mm - a.w_mm * a.l_mm) || (b.l_mm - a.l_mm) || a.component.localeCompare(b.component));
+
+    const sheets = [];
+    for (const p of list) placePiece(sheets, p, mat, kerf);
+
+    let used = 0;
+    for (const s of sheets) {
+      const area = s.placements.reduce((n, pl) => n + pl.w * pl.h, 0);
+      used += area;
+      s.waste_pct = wastePct(area, mat.w_mm * mat.l_mm);
+      s.offcuts = s.free.filter(r => Math.min(r.w, r.h) >= MIN_OFFCUT_MM).sort((a, b) => b.w * b.h - a.w * a.h);
+      delete s.free;
+    }
+
+    materials.push({
+      id,
+      label: mat.label,
+      sheet_w_mm: mat.w_mm,
+      sheet_l_mm: mat.l_mm,
+      count: sheets.length,
+      waste_pct: wastePct(used, sheets.length * mat.w_mm * mat.l_mm),
+      components,
+      sheets
+    });
+  }
+
+  return { kerf, materials };
+}
+
+/**
+ * Summary rows for CSV export and the BOM table.
+ * @param {object} plan - Result of nestSheets()
+ * @param {function(number): string} [fmt] - Length formatter (defaults to plain mm)
+ * @returns {Array<Array>} Rows of [Material, Sheet size, Sheets, Pieces, Waste %]
+ */
+export function nestingPlanToRows(plan, fmt = String) {
+  return plan.materials.map(m => [
+    m.label,
+    `${fmt(m.sheet_l_mm)} × ${fmt(m.sheet_w_mm)}`,
+    m.count,
+    Object.keys(m.components).map(c => `${c} × ${m.components[c]}`).join(", "),
+    `${m.waste_pct}%`
+  ]);
+}
+
+/**
+ * SVG cut diagram for one nested sheet (long side horizontal, dimensions in mm).
+ * @param {object} material - Entry of nestSheets().materials
+ * @param {number} index - Sheet index within the material
+ * @returns {string} Standalone SVG markup
+ */
+export function sheetToSvg(material, index) {
+  const sheet = material.sheets[index];
+  const W = material.sheet_l_mm;
+  const H = material.sheet_w_mm;
+  const pad = 30;
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="${-pad} ${-pad} ${W + 2 * pad} ${H + 2 * pad}" ` +
+    `width="100%" font-family="sans-serif" role="img" aria-label="${esc(material.label)} sheet ${index + 1}">`);
+  out.push(`<rect x="0" y="0" width="${W}" height="${H}" fill="#f4f4f4" stroke="#333" stroke-width="4"/>`);
+
+  for (const r of sheet.offcuts) {
+    out.push(`<rect x="${r.x}" y="${r.y}" width="${r.w}" height="${r.h}" fill="none" stroke="#4CAF50" stroke-width="3" stroke-dasharray="20 12"/>`);
+    out.push(svgLabel(r, [`offcut ${r.w} × ${r.h}`], "#2E7D32"));
+  }
+  for (const p of sheet.placements) {
+    out.push(`<rect x="${p.x}" y="${p.y}" width="${p.w}" height="${p.h}" fill="${COMPONENT_COLOURS[p.component] || "#ddd"}" stroke="#333" stroke-width="3"/>`);
+    out.push(svgLabel(p, [`${p.w} × ${p.h}`, p.label], "#222"));
+  }
+
+  out.push("</svg>");
+  return out.join("");
+}
+
+/**
+ * Update the Sheet Nesting section (summary table and one diagram per sheet).
+ * @param {object} plan - Result of nestSheets()
+ */
+export function renderSheetNesting(plan) {
+  const tbody = document.getElementById("sheetNestingBody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  const rows = nestingPlanToRows(plan, mm => fmtBomLength(mm));
+  if (!rows.length) rows.push(["No sheet materials in this design.", "", "", "", ""]);
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    for (const cell of row) {
+      const td = document.createElement("td");
+      td.textContent = String(cell);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+
+  const printBtn = document.getElementById("printSheetPlanBtn");
+  if (printBtn && !printBtn._wired) {
+    printBtn._wired = true;
+    printBtn.addEventListener("click", () => window.print());
+  }
+
+  const holder = document.getElementById("sheetNestingDiagrams");
+  if (!holder) return;
+  const html = [];
+  for (const m of plan.materials) {
+    m.sheets.forEach((s, i) => {
+      html.push(`<figure class="sheet-diagram"><figcaption>${esc(m.label)} — sheet ${i + 1} of ${m.count} ` +
+        `(${s.placements.length} piece${s.placements.length === 1 ? "" : "s"}, ${s.waste_pct}% waste)</figcaption>${sheetToSvg(m, i)}</figure>`);
+    });
+  }
+  holder.innerHTML = html.join("");
+}
+
+// ---------------------------------------------------------------------------
+
+/** Full sheet runs plus the remainder, e.g. splitRun(5000, 2440) -> [2440, 2440, 120]. */
+function splitRun(total, step) {
+  const out = [];
+  let left = Math.round(Number(total) || 0);
+  while (left > 0) {
+    out.push(Math.min(step, left));
+    left -= step;
+  }
+  return out;
+}
+
+/**
+ * A piece larger than the sheet (either way round) as sheet-sized parts, turned whichever
+ * way needs fewer; e.g. 2440 × 1223 on a 2440 × 1220 sheet is a full sheet plus a 3mm strip.
+ */
+function splitToSheet(piece, mat) {
+  if ((piece.l_mm <= mat.l_mm && piece.w_mm <= mat.w_mm) || (piece.w_mm <= mat.l_mm && piece.l_mm <= mat.w_mm)) return [piece];
+  const grid = (l, w) => ({ ls: splitRun(l, mat.l_mm), ws: splitRun(w, mat.w_mm) });
+  const a = grid(piece.l_mm, piece.w_mm);
+  const b = grid(piece.w_mm, piece.l_mm);
+  const g = a.ls.length * a.ws.length <= b.ls.length * b.ws.length ? a : b;
+  const label = `${piece.label} (part of ${piece.l_mm} × ${piece.w_mm})`;
+  const parts = [];
+  for (const l of g.ls) for (const w of g.ws) parts.push(Object.assign({}, piece, { l_mm: l, w_mm: w, label }));
+  return parts;
+}
+
+function placePiece(sheets, piece, mat, kerf) {
+  const W = mat.l_mm;
+  const H = mat.w_mm;
+  const label = piece.label;
+
+  let best = null;
+  for (const sheet of sheets) {
+    sheet.free.forEach((r, i) => {
+      for (const [w, h] of [[piece.l_mm, piece.w_mm], [piece.w_mm, piece.l_mm]]) {
+        if (w > r.w || h > r.h) continue;
+        const score = r.w * r.h - w * h;
+        if (!best || score < best.score) best = { sheet, i, w, h, score };
+      }
+    });
+  }
+  if (!best) {
+    const sheet = { placements: [], free: [{ x: 0, y: 0, w: W, h: H }] };
+    sheets.push(sheet);
+    best = piece.l_mm <= W && piece.w_mm <= H
+      ? { sheet, i: 0, w: piece.l_mm, h: piece.w_mm }
+      : { sheet, i: 0, w: piece.w_mm, h: piece.l_mm };
+  }
+
+  const r = best.sheet.free[best.i];
+  best.sheet.placements.push({ x: r.x, y: r.y, w: best.w, h: best.h, component: piece.component, label });
+
+  // Guillotine split along the shorter leftover axis; kerf is lost at each cut.
+  const rightW = r.w - best.w - kerf;
+  const belowH = r.h - best.h - kerf;
+  const splitHorizontal = (r.w - best.w) < (r.h - best.h);
+  const right = { x: r.x + best.w + kerf, y: r.y, w: rightW, h: splitHorizontal ? best.h : r.h };
+  const below = { x: r.x, y: r.y + best.h + kerf, w: splitHorizontal ? r.w : best.w, h: belowH };
+  best.sheet.free.splice(best.i, 1, ...[right, below].filter(f => f.w > 0 && f.h > 0));
+}
+
+function svgLabel(r, lines, colour) {
+  const size = Math.max(18, Math.min(70, r.h / (lines.length + 1.5), (r.w * 1.6) / Math.max(...lines.map(l => l.length))));
+  const cx = r.x + r.w / 2;
+  const top = r.y + r.h / 2 - ((lines.length - 1) * size * 1.2) / 2;
+  return lines.map((l, i) =>
+    `<text x="${Math.round(cx)}" y="${Math.round(top + i * size * 1.2)}" font-size="${Math.round(size)}" text-anchor="middle" dominant-baseline="middle" fill="${colour}">${esc(l)}</text>`
+  ).join("");
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function wastePct(used, total) {
+  return total > 0 ? Math.round((1 - used / total) * 1000) / 10 : 0;
+}
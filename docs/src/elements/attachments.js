@@ -6,7 +6,7 @@
  * - Base (ground supports)
  * - Floor (joists and OSB)
  * - Walls (3 of 4, with the 4th being the main building's wall)
- * - Roof (pent or apex style)
+ * - Roof (pent, apex or hipped style)
  * 
  * ## Coordinate System
  * Attachments use the same coordinate system as the main building:
@@ -34,11 +34,13 @@
  * ## Roof Types
  * - **Pent**: Single slope, high edge at main building, low edge outward
  * - **Apex**: Gabled roof with ridge running perpendicular to attached wall
+ * - **Hipped**: Lean-to sloping down to all three outer walls, the two hips
+ *   ending against the main wall
  * 
  * @module elements/attachments
  */
 
-import { CONFIG } from '../params.js';
+import { CONFIG, resolveGambrelProfile } from '../params.js';
 import * as Doors from './doors.js';
 import * as Windows from './windows.js';
 
@@ -150,12 +152,153 @@ function getMainBuildingFasciaBottom(mainState) {
       mainState.roof?.hipped?.heightToEaves_mm || 2500
     );
     return floorSurfaceY + eavesHeight - FASCIA_DEPTH_MM;
+  } else if (roofStyle === "gambrel") {
+    // For gambrel roof, the fascia is at the eaves like apex
+    return floorSurfaceY + resolveGambrelProfile(mainState).eaves_mm - FASCIA_DEPTH_MM;
   } else {
     // Default/fallback
     return floorSurfaceY + 1850 - FASCIA_DEPTH_MM;
   }
 }
 
+/**
+ * Resolve the wall heights, extents and roof member sizes of an attachment.
+ *
+ * This is the single source of the dimensions build3D() builds with: user
+ * heights are capped below the main building's fascia (or apex diamond when
+ * the ridges run parallel), and the attachment's width/depth are mapped onto
+ * local X/Z. The BOM (bom/attachments.js) reads the same values so the
+ * cutting list matches the model. Does not modify the attachment.
+ *
+ * @param {object} mainState - The main building state object
+ * @param {object} attachment - The attachment configuration
+ * @returns {object} { attachWall, roofType, variant, wallThk_mm, width_mm, depth_mm, extentX, extentZ,
+ *   wallHeightInner, wallHeightOuter, apexCrestHeight_mm, apexEavesHeight_mm,
+ *   hippedCrestHeight_mm, hippedEavesHeight_mm, memberW_mm, memberD_mm, mainFasciaBottom }
+ */
+export function resolveAttachmentGeometry(mainState, attachment) {
+  const attachWall = attachment.attachTo?.wall || "left";
+  const width = attachment.dimensions?.width_mm || 1800;  // Along the attached wall
+  const depth = attachment.dimensions?.depth_mm || 1200;  // Outward from main building
+  const roofType = attachment.roof?.type || "pent";
+  const variant = attachment.walls?.variant || "basic";
+
+  // The highest point of the attachment roof cannot exceed the main building's lowest fascia bottom
+  const mainFasciaBottom = getMainBuildingFasciaBottom(mainState);
+
+  // For pent roof, the highest point is at the inner edge (highHeight_mm)
+  // This height includes the roof structure (rafters + OSB + covering)
+  // So we need to account for the roof stack: RAFTER_D_MM (50) + ROOF_OSB_MM (18) + COVERING_MM (2) = 70mm
+  const roofStackHeight = RAFTER_D_MM + ROOF_OSB_MM + COVERING_MM;
+
+  // Account for ground level offset — when the attachment is raised, the max
+  // allowed heights (relative to the attachment's own base) must shrink so the
+  // roof never exceeds the main building's eaves in absolute world space.
+  const levelOffset = attachment.base?.levelOffset_mm || 0;
+
+  // Maximum wall height at inner edge = fascia bottom - roof stack - level offset
+  const floorStackHeight = GRID_HEIGHT_MM + FLOOR_FRAME_DEPTH_MM + FLOOR_OSB_MM;
+  const maxInnerHeight = mainFasciaBottom - roofStackHeight - levelOffset;
+
+  let wallHeightInner, wallHeightOuter;
+  let apexCrestHeight_mm = null;
+  let apexEavesHeight_mm = null;
+  let hippedCrestHeight_mm = null;
+  let hippedEavesHeight_mm = null;
+
+  if (roofType === "apex") {
+    // For apex roof, all walls have the same height (eaves level)
+    // The gable peak is above the walls, handled by the roof
+    // UI writes to: attachment.roof.apex.eaveHeight_mm and crestHeight_mm
+    const userEaves = attachment.roof?.apex?.eaveHeight_mm;
+    const userCrest = attachment.roof?.apex?.crestHeight_mm;
+
+    // Default crest: 200mm below main fascia bottom (safe clearance)
+    // EXCEPTION: For front/back attachments on apex primary, ridges run parallel,
+    // so crest can go up to 50mm below the primary's apex (diamond)
+    const mainRoofStyle = mainState.roof?.style || "apex";
+    const roofRidgesParallel = mainRoofStyle === "apex" &&
+      (attachWall === "front" || attachWall === "back");
+
+    // Subtract levelOffset so raised attachments stay under the main roof
+    const maxCrestHeight = roofRidgesParallel
+      ? getMainBuildingDiamondBottom(mainState) - 50 - levelOffset
+      : mainFasciaBottom - 200 - levelOffset;
+
+    // Default eaves: crest - 400mm rise (reasonable pitch)
+    const defaultCrest = maxCrestHeight;
+    const defaultEaves = defaultCrest - 400;
+
+    // Clamp crest to max allowed height, eaves to the fascia limit
+    apexCrestHeight_mm = Math.max(500, Math.min(userCrest ?? defaultCrest, maxCrestHeight));
+    apexEavesHeight_mm = Math.max(500, Math.min(userEaves ?? defaultEaves, maxInnerHeight));
+
+    wallHeightInner = Math.max(500, apexEavesHeight_mm - floorStackHeight);
+    wallHeightOuter = wallHeightInner;  // Same height for apex
+  } else if (roofType === "hipped") {
+    // Hipped lean-to: all three walls stop at the eaves, the roof rises to the main wall.
+    // The top edge abuts the main wall like a pent high edge, so it has the same limit.
+    const userEaves = attachment.roof?.hipped?.eaveHeight_mm;
+    const userCrest = attachment.roof?.hipped?.crestHeight_mm;
+
+    hippedCrestHeight_mm = Math.max(600, Math.min(userCrest ?? maxInnerHeight, maxInnerHeight));
+    hippedEavesHeight_mm = Math.max(500, Math.min(userEaves ?? hippedCrestHeight_mm - 400, hippedCrestHeight_mm - 100));
+
+    wallHeightInner = Math.max(500, hippedEavesHeight_mm - floorStackHeight);
+    wallHeightOuter = wallHeightInner;
+  } else {
+    // For pent roof, inner wall (at main building) is higher, outer wall is lower
+    let highHeight_mm = attachment.roof?.pent?.highHeight_mm;
+    if (highHeight_mm == null) {
+      highHeight_mm = maxInnerHeight;
+    }
+
+    let lowHeight_mm = attachment.roof?.pent?.lowHeight_mm;
+    if (lowHeight_mm == null) {
+      lowHeight_mm = Math.max(500, highHeight_mm - 300);
+    }
+
+    if (highHeight_mm > maxInnerHeight) {
+      highHeight_mm = maxInnerHeight;
+    }
+
+    const effectiveLowHeight = Math.min(lowHeight_mm, highHeight_mm - 100);
+
+    wallHeightInner = Math.max(500, highHeight_mm - floorStackHeight);
+    wallHeightOuter = Math.max(500, effectiveLowHeight - floorStackHeight);
+  }
+
+  // For left/right attachments: extentX = depth (outward), extentZ = width (along wall)
+  // For front/back attachments: extentX = width (along wall), extentZ = depth (outward)
+  const alongZ = attachWall === "left" || attachWall === "right";
+
+  // Timber dimensions from main building's frame settings
+  // memberW = horizontal width (depth_mm), memberD = vertical height (thickness_mm)
+  // This matches main building's roof.js convention
+  const frameThickness = Math.max(1, Math.floor(Number(mainState?.frame?.thickness_mm || 50)));
+  const frameDepth = Math.max(1, Math.floor(Number(mainState?.frame?.depth_mm || 75)));
+
+  return {
+    attachWall,
+    roofType,
+    variant,
+    wallThk_mm: variant === "insulated" ? STUD_H_INSULATED_MM : STUD_H_BASIC_MM,
+    width_mm: width,
+    depth_mm: depth,
+    extentX: alongZ ? depth : width,
+    extentZ: alongZ ? width : depth,
+    wallHeightInner,
+    wallHeightOuter,
+    apexCrestHeight_mm,
+    apexEavesHeight_mm,
+    hippedCrestHeight_mm,
+    hippedEavesHeight_mm,
+    memberW_mm: frameDepth,
+    memberD_mm: frameThickness,
+    mainFasciaBottom
+  };
+}
+
 /**
  * Build complete 3D geometry for an attachment building
  * 
@@ -176,7 +319,7 @@ function getMainBuildingFasciaBottom(mainState) {
  * @param {number} attachment.dimensions.width_mm - Width along the attached wall
  * @param {number} attachment.dimensions.depth_mm - Depth outward from main building
  * @param {object} attachment.roof - Roof configuration
- * @param {string} attachment.roof.type - Roof style ("pent"|"apex")
+ * @param {string} attachment.roof.type - Roof style ("pent"|"apex"|"hipped"|"overhang")
  * 
  * @param {object} ctx - Babylon.js rendering context
  * @param {BABYLON.Scene} ctx.scene - The Babylon.js scene
@@ -201,7 +344,9 @@ export function build3D(mainState, attachment, ctx) {
   }
 
   const attId = attachment.id;
-  const attachWall = attachment.attachTo?.wall || "left";
+  const geom = resolveAttachmentGeometry(mainState, attachment);
+  const { attachWall, roofType, extentX, extentZ, wallHeightInner, wallHeightOuter,
+          memberW_mm, memberD_mm, mainFasciaBottom } = geom;
 
   console.log("[attachments] Building attachment:", attId, "wall:", attachWall);
 
@@ -219,10 +364,6 @@ export function build3D(mainState, attachment, ctx) {
   const position = calculateAttachmentPosition(mainState, attachment);
   console.log("[attachments] Position:", position);
 
-  // Get attachment dimensions
-  const width = attachment.dimensions?.width_mm || 1800;  // Along the attached wall
-  const depth = attachment.dimensions?.depth_mm || 1200;  // Outward from main building
-
   // Create root node for this attachment
   const rootName = `attachment-${attId}-root`;
   const root = new BABYLON.TransformNode(rootName, scene);
@@ -233,153 +374,21 @@ export function build3D(mainState, attachment, ctx) {
   );
   root.metadata = { dynamic: true, attachmentId: attId };
 
-  // Get roof configuration
-  const roofType = attachment.roof?.type || "pent";
-
-  // Calculate the maximum allowed height for the attachment roof
-  // The highest point of the attachment roof cannot exceed the main building's lowest fascia bottom
-  const mainFasciaBottom = getMainBuildingFasciaBottom(mainState);
-
-  // Get main building eaves height for apex crest capping
-  const mainEavesHeight = Number(
-    mainState.roof?.apex?.heightToEaves_mm ||
-    mainState.roof?.apex?.eavesHeight_mm ||
-    mainState.roof?.pent?.maxHeight_mm ||
-    2400
-  );
-
-  // For pent roof, the highest point is at the inner edge (highHeight_mm)
-  // This height includes the roof structure (rafters + OSB + covering)
-  // So we need to account for the roof stack: RAFTER_D_MM (50) + ROOF_OSB_MM (18) + COVERING_MM (2) = 70mm
-  const roofStackHeight = RAFTER_D_MM + ROOF_OSB_MM + COVERING_MM;
-
-  // Account for ground level offset — when the attachment is raised, the max
-  // allowed heights (relative to the attachment's own base) must shrink so the
-  // roof never exceeds the main building's eaves in absolute world space.
-  const levelOffset = attachment.base?.levelOffset_mm || 0;
-
-  // Maximum wall height at inner edge = fascia bottom - roof stack - level offset
-  const floorStackHeight = GRID_HEIGHT_MM + FLOOR_FRAME_DEPTH_MM + FLOOR_OSB_MM;
-  const maxInnerHeight = mainFasciaBottom - roofStackHeight - levelOffset;
-
-  console.log("[attachments] Height constraint - mainFasciaBottom:", mainFasciaBottom,
-              "roofStackHeight:", roofStackHeight, "levelOffset:", levelOffset,
-              "maxInnerHeight:", maxInnerHeight);
-
-  // Calculate wall heights based on roof type
-  let wallHeightInner, wallHeightOuter;
+  console.log("[attachments] Heights - wallInner:", wallHeightInner, "wallOuter:", wallHeightOuter,
+              "roofType:", roofType, "mainFasciaBottom:", mainFasciaBottom);
 
   if (roofType === "apex") {
-    // For apex roof, all walls have the same height (eaves level)
-    // The gable peak is above the walls, handled by the roof
-    
-    // User-specified values from UI
-    // UI writes to: attachment.roof.apex.eaveHeight_mm and crestHeight_mm
-    let userEaves = attachment.roof?.apex?.eaveHeight_mm;
-    let userCrest = attachment.roof?.apex?.crestHeight_mm;
-    
-    console.log("[attachments] RAW apex input - eaveHeight_mm:", userEaves, 
-                "crestHeight_mm:", userCrest, "full apex config:", attachment.roof?.apex);
-    
-    // Calculate sensible defaults based on main building
-    // Default crest: 200mm below main fascia bottom (safe clearance)
-    // EXCEPTION: For front/back attachments on apex primary, ridges run parallel,
-    // so crest can go up to 50mm below the primary's apex (diamond)
-    const mainRoofStyle = mainState.roof?.style || "apex";
-    const roofRidgesParallel = mainRoofStyle === "apex" && 
-      (attachWall === "front" || attachWall === "back");
-    
-    let defaultCrest;
-    if (roofRidgesParallel) {
-      // Ridges run parallel - cap at 5cm below primary's diamond bottom
-      const mainDiamondBottom = getMainBuildingDiamondBottom(mainState);
-      defaultCrest = mainDiamondBottom - 50 - levelOffset;  // 5cm below diamond bottom, adjusted for ground level
-    } else {
-      defaultCrest = mainFasciaBottom - 200 - levelOffset;
-    }
-    
-    // Default eaves: crest - 400mm rise (reasonable pitch)
-    const defaultRise = 400;
-    const defaultEaves = defaultCrest - defaultRise;
-    
-    // Use user values if provided, otherwise defaults
-    let crestHeight_mm = userCrest ?? defaultCrest;
-    let eavesHeight_mm = userEaves ?? defaultEaves;
-    
-    // Calculate max crest height based on roof configuration
-    // For parallel ridges (front/back on apex primary): 5cm below primary's diamond bottom
-    // Otherwise: 200mm below fascia bottom
-    // Subtract levelOffset so raised attachments stay under the main roof
-    const maxCrestHeight = roofRidgesParallel
-      ? getMainBuildingDiamondBottom(mainState) - 50 - levelOffset
-      : mainFasciaBottom - 200 - levelOffset;
-    
-    console.log("[attachments] Apex UI values - userEaves:", userEaves, "userCrest:", userCrest,
-                "defaults - eaves:", defaultEaves, "crest:", defaultCrest,
-                "maxCrestHeight:", maxCrestHeight, "roofRidgesParallel:", roofRidgesParallel);
-    
-    // Clamp crest to max allowed height
-    const crestBeforeCap = crestHeight_mm;
-    crestHeight_mm = Math.max(500, Math.min(crestHeight_mm, maxCrestHeight));
-    
-    // Clamp eaves to valid range (upper bound only - can't exceed main fascia)
-    const eavesBeforeCap = eavesHeight_mm;
-    eavesHeight_mm = Math.max(500, Math.min(eavesHeight_mm, maxInnerHeight));
-    
-    wallHeightInner = Math.max(500, eavesHeight_mm - floorStackHeight);
-    wallHeightOuter = wallHeightInner;  // Same height for apex
-    
-    console.log("[attachments] Apex FULL DEBUG:",
-                "userEaves:", userEaves, "userCrest:", userCrest,
-                "crestBeforeCap:", crestBeforeCap, "crestAfterCap:", crestHeight_mm,
-                "eavesBeforeCap:", eavesBeforeCap, "eavesAfterCap:", eavesHeight_mm,
-                "maxCrestHeight:", maxCrestHeight, "maxInnerHeight:", maxInnerHeight,
-                "roofRidgesParallel:", roofRidgesParallel,
-                "floorStackHeight:", floorStackHeight, "FINAL wallHeightInner:", wallHeightInner);
-    
     // Write capped values back to attachment config so buildApexRoof uses them
     // (buildApexRoof reads from attachment.roof.apex directly)
     if (!attachment.roof) attachment.roof = {};
     if (!attachment.roof.apex) attachment.roof.apex = {};
-    attachment.roof.apex.crestHeight_mm = crestHeight_mm;
-    attachment.roof.apex.eaveHeight_mm = eavesHeight_mm;
-  } else {
-    // For pent roof, calculate wall heights
-    // Inner wall (at main building) is higher, outer wall is lower
-    let highHeight_mm = attachment.roof?.pent?.highHeight_mm;
-    if (highHeight_mm == null) {
-      highHeight_mm = maxInnerHeight;
-    }
-
-    let lowHeight_mm = attachment.roof?.pent?.lowHeight_mm;
-    if (lowHeight_mm == null) {
-      lowHeight_mm = Math.max(500, highHeight_mm - 300);
-    }
-
-    if (highHeight_mm > maxInnerHeight) {
-      console.log("[attachments] Capping highHeight_mm from", highHeight_mm, "to", maxInnerHeight);
-      highHeight_mm = maxInnerHeight;
-    }
-
-    const effectiveLowHeight = Math.min(lowHeight_mm, highHeight_mm - 100);
-
-    wallHeightInner = Math.max(500, highHeight_mm - floorStackHeight);
-    wallHeightOuter = Math.max(500, effectiveLowHeight - floorStackHeight);
-
-    console.log("[attachments] Pent heights - high:", highHeight_mm, "low:", effectiveLowHeight,
-                "wallInner:", wallHeightInner, "wallOuter:", wallHeightOuter);
-  }
-
-  // Determine extents based on orientation
-  // For left/right attachments: extentX = depth (outward), extentZ = width (along wall)
-  // For front/back attachments: extentX = width (along wall), extentZ = depth (outward)
-  let extentX, extentZ;
-  if (attachWall === "left" || attachWall === "right") {
-    extentX = depth;
-    extentZ = width;
-  } else {
-    extentX = width;
-    extentZ = depth;
+    attachment.roof.apex.crestHeight_mm = geom.apexCrestHeight_mm;
+    attachment.roof.apex.eaveHeight_mm = geom.apexEavesHeight_mm;
+  } else if (roofType === "hipped") {
+    if (!attachment.roof) attachment.roof = {};
+    if (!attachment.roof.hipped) attachment.roof.hipped = {};
+    attachment.roof.hipped.crestHeight_mm = geom.hippedCrestHeight_mm;
+    attachment.roof.hipped.eaveHeight_mm = geom.hippedEavesHeight_mm;
   }
 
   // Build attachment components based on visibility settings
@@ -416,14 +425,6 @@ export function build3D(mainState, attachment, ctx) {
   }
 
   // Build roof structure (rafters, OSB, covering, fascia)
-  // Get timber dimensions from main building's frame settings
-  const frameThickness = Math.max(1, Math.floor(Number(mainState?.frame?.thickness_mm || 50)));
-  const frameDepth = Math.max(1, Math.floor(Number(mainState?.frame?.depth_mm || 75)));
-  // memberW = horizontal width (depth_mm), memberD = vertical height (thickness_mm)
-  // This matches main building's roof.js convention
-  const memberW_mm = frameDepth;   // 75mm default (width in plan / horizontal)
-  const memberD_mm = frameThickness; // 50mm default (vertical depth)
-  
   if (roofEnabled && roofType !== "overhang") {
     console.log("[attachments] Building roof... memberW:", memberW_mm, "memberD:", memberD_mm);
     try {
@@ -440,6 +441,268 @@ export function build3D(mainState, attachment, ctx) {
   console.log("[attachments] Build complete for:", attId, "- created", attMeshes.length, "meshes");
 }
 
+/**
+ * Measure what build3D() builds for an attachment, without a scene.
+ *
+ * Runs the builders' own layout code — floor layout, frameAttachmentWall(),
+ * cladding clip lines, insulation bays, pent/apex/hipped roof layouts and opening
+ * capping — with recording helpers in place of mesh creation, so the BOM is
+ * a cutting list of the model rather than an estimate. L-shaped roofs are only
+ * marked in 3D; their members come from calculateLShapedApexGeometry() /
+ * calculateLShapedPentGeometry().
+ *
+ * Every piece is { item, qty, L, W, D, notes } in mm (D = thickness). Sheet
+ * materials are returned as whole panels ({ item, L, W, D, notes }) for the
+ * BOM to cut onto standard sheets.
+ *
+ * @param {object} mainState - The main building state object
+ * @param {object} attachment - The attachment configuration
+ * @returns {object} { geom, floor: { pieces, panels }, walls: [{ wallId, length, isSloped, h0, h1,
+ *   pieces, panels, cladding: { courses, runs, total_mm } }], roof: { pieces, panels, note }, openings }
+ */
+export function computeAttachmentTakeoff(mainState, attachment) {
+  const geom = resolveAttachmentGeometry(mainState, attachment);
+  const { attachWall, roofType, variant, wallThk_mm: wallThk, extentX, extentZ,
+          wallHeightInner, wallHeightOuter, memberW_mm, memberD_mm } = geom;
+  const floorSurfaceY = GRID_HEIGHT_MM + FLOOR_FRAME_DEPTH_MM + FLOOR_OSB_MM;
+  const isApex = roofType === "apex";
+  // build3D() writes the capped crest back to attachment.roof.apex; use the same value
+  const apexCrest = isApex ? geom.apexCrestHeight_mm : 0;
+
+  // ---- Base + floor (buildAttachmentBase / buildAttachmentFloor) ----
+  const floor = { pieces: [], panels: [] };
+  const gridSize = CONFIG.grid.size;
+  for (let x = 0; x < extentX; x += gridSize) {
+    for (let z = 0; z < extentZ; z += gridSize) {
+      floor.pieces.push({ item: "Plastic Grid Tile", qty: 1, L: Math.min(gridSize, extentX - x),
+                          W: Math.min(gridSize, extentZ - z), D: CONFIG.grid.h, notes: "ground support" });
+    }
+  }
+  const fl = getAttachmentFloorLayout(extentX, extentZ);
+  floor.pieces.push({ item: "Floor Rim Joist", qty: 2, L: fl.rimLen, W: FLOOR_FRAME_DEPTH_MM, D: 50, notes: "" });
+  if (fl.joistPositions.length) {
+    floor.pieces.push({ item: "Floor Joist", qty: fl.joistPositions.length, L: fl.innerJoistLen,
+                        W: FLOOR_FRAME_DEPTH_MM, D: 50, notes: "@" + CONFIG.spacing + "mm" });
+  }
+  floor.panels.push({ item: "Floor OSB", L: extentX, W: extentZ, D: FLOOR_OSB_MM, notes: "18mm OSB decking" });
+
+  // ---- Walls (buildAttachmentWalls) ----
+  const allOpenings = Array.isArray(attachment.walls?.openings) ? attachment.walls.openings : [];
+  const walls = [];
+  const layout = getAttachmentWallLayout(extentX, extentZ, wallHeightInner, wallHeightOuter, attachWall, roofType, wallThk);
+
+  for (const wall of layout) {
+    const openings = allOpenings.filter(o => o.wall === wall.wallId && o.enabled !== false);
+    const pieces = [];
+
+    // Record members instead of building them. Vertical members are cut to their
+    // height; everything else to its length along the wall.
+    const alongWall = (lenX, lenZ) => (wall.axis === 'x' ? lenX : lenZ);
+    const recordBox = (name, lenX, lenY, lenZ) => {
+      const m = /-(plate-bottom|plate-top|stud|upright|cripple|header|sill)(?:-|$)/.exec(name);
+      const kind = m ? m[1] : "stud";
+      const isVertical = kind === "stud" || kind === "upright" || kind === "cripple";
+      const opening = /-(door|win)-(.+?)-(?:upright|header|sill|cripple)/.exec(name);
+      pieces.push({
+        kind,
+        opening: opening ? { type: opening[1] === "door" ? "door" : "window", id: opening[2] } : null,
+        L: Math.round(isVertical ? lenY : alongWall(lenX, lenZ)),
+        W: Math.round(isVertical ? alongWall(lenX, lenZ) : lenY),
+        D: wallThk
+      });
+    };
+    const recordSlopedPlate = (name, lenX, lenZ, originX, originZ, yTop0, yTop1) => {
+      const run = alongWall(lenX, lenZ);
+      const rise = Math.floor(yTop1) - Math.floor(yTop0);
+      pieces.push({ kind: "plate-top", opening: null, L: Math.round(Math.sqrt(run * run + rise * rise)),
+                    W: PLATE_HEIGHT_MM, D: wallThk, sloped: true });
+    };
+
+    frameAttachmentWall({
+      scene: null, root: null, attId: "bom", variant, baseY: floorSurfaceY, wallThk,
+      plateH: PLATE_HEIGHT_MM, studW: STUD_W_MM, studSpacing: STUD_SPACING_MM,
+      plateMat: null, studMat: null, mkBox: recordBox,
+      mkSlopedPlateAlongX: recordSlopedPlate, mkSlopedPlateAlongZ: recordSlopedPlate
+    }, wall, openings);
+
+    const panels = [];
+    if (variant !== "basic") {
+      const ins = computeAttWallInsulation(wall.length, PLATE_HEIGHT_MM, STUD_W_MM, STUD_SPACING_MM,
+                                           wall.isSloped, wall.heightAt, openings);
+      for (const bay of ins.bays) {
+        panels.push({ item: "PIR Insulation", L: Math.round(bay.height), W: Math.round(bay.width), D: PIR_THICKNESS_MM,
+                      notes: "50mm PIR; bay " + (bay.index + 1) });
+      }
+      for (const sheet of ins.ply) {
+        panels.push({ item: "Plywood Lining", L: Math.round(sheet.height), W: Math.round(sheet.width), D: PLY_THICKNESS_MM,
+                      notes: "12mm plywood lining" });
+      }
+    }
+
+    walls.push({
+      wallId: wall.wallId,
+      length: wall.length,
+      isSloped: wall.isSloped,
+      h0: Math.round(wall.heightAt(0)),
+      h1: Math.round(wall.heightAt(wall.length)),
+      pieces,
+      panels,
+      cladding: measureAttachmentCladding(wall, floorSurfaceY, wall.isApexGable ? apexCrest : 0, openings)
+    });
+  }
+
+  // ---- Roof (buildAttachmentRoof) ----
+  const roof = { pieces: [], panels: [], note: "" };
+  const pushPent = (pent) => {
+    roof.pieces.push({ item: "Roof Rim Joist", qty: 2, L: Math.round(pent.A_mm), W: RAFTER_W_MM, D: RAFTER_D_MM, notes: "" });
+    roof.pieces.push({ item: "Roof Rafter", qty: pent.rafterPositions.length, L: Math.round(pent.A_mm), W: RAFTER_W_MM,
+                       D: RAFTER_D_MM, notes: "@" + RAFTER_SPACING_MM + "mm; pent" });
+    roof.panels.push({ item: "Roof OSB", L: Math.round(pent.A_mm), W: Math.round(pent.B_mm), D: ROOF_OSB_MM, notes: "18mm OSB" });
+    roof.pieces.push({ item: "Roof Covering", qty: 1, L: Math.round(pent.A_mm) + 200, W: Math.round(pent.B_mm) + 200,
+                       D: COVERING_MM, notes: "incl. 100mm fold-downs" });
+    roof.pieces.push({ item: "Fascia Board", qty: 1, L: Math.round(pent.B_mm) + 2 * FASCIA_THK_MM, W: FASCIA_DEPTH_MM,
+                       D: FASCIA_THK_MM, notes: "eaves" });
+    roof.pieces.push({ item: "Fascia Board", qty: 2, L: Math.round(pent.A_mm), W: FASCIA_DEPTH_MM,
+                       D: FASCIA_THK_MM, notes: "verges" });
+  };
+  const pushApex = (apex) => {
+    const trussQty = apex.trussPositions.length;
+    const rafterLen = Math.round(apex.rafterLen_mm);
+    roof.pieces.push({ item: "Truss Tie (bottom chord)", qty: trussQty, L: Math.round(apex.span_mm), W: apex.MEMBER_W,
+                       D: apex.MEMBER_D, notes: "" });
+    roof.pieces.push({ item: "Truss Rafter", qty: trussQty * 2, L: rafterLen, W: apex.MEMBER_W, D: apex.MEMBER_D, notes: "" });
+    if (apex.kingPost) {
+      roof.pieces.push({ item: "King Post", qty: trussQty, L: apex.kingPost.postH_mm, W: apex.MEMBER_W, D: apex.MEMBER_D,
+                         notes: "incl. " + apex.kingPost.capH_mm + "mm cap" });
+    }
+    roof.pieces.push({ item: "Purlin", qty: 2 * apex.purlinStations.length, L: Math.round(apex.ridge_mm), W: apex.MEMBER_W,
+                       D: apex.MEMBER_D, notes: "stations=" + apex.purlinStations.length + "; step=609mm" });
+    const slopeOsb = { item: "Roof OSB", L: rafterLen, W: Math.round(apex.ridge_mm), D: ROOF_OSB_MM, notes: "18mm OSB; apex" };
+    roof.panels.push(slopeOsb, Object.assign({}, slopeOsb));
+    roof.pieces.push({ item: "Roof Covering", qty: 2, L: rafterLen, W: Math.round(apex.ridge_mm), D: COVERING_MM, notes: "one per slope" });
+    roof.pieces.push({ item: "Fascia Board", qty: 2, L: Math.round(apex.ridge_mm), W: FASCIA_DEPTH_MM, D: FASCIA_THK_MM, notes: "eaves" });
+    roof.pieces.push({ item: "Barge Board", qty: 4, L: rafterLen + FASCIA_THK_MM + 10, W: FASCIA_DEPTH_MM, D: FASCIA_THK_MM, notes: "" });
+    roof.pieces.push({ item: "Gable Diamond", qty: 2, L: 120, W: 120, D: FASCIA_THK_MM, notes: "" });
+  };
+
+  const pushHipped = (hip) => {
+    const ridge_mm = Math.round(hip.W - 2 * hip.hipRun);
+    const outerLen = Math.round(hip.outerLen_mm);
+    const endLen = Math.round(hip.endLen_mm);
+    const corner_mm = Math.round(hip.hipRun + hip.ovhEnd);
+    const endWidth_mm = Math.round(hip.D + hip.ovh);
+    roof.pieces.push({ item: "Ledger Board", qty: 1, L: Math.round(hip.ledgerLen_mm), W: RAFTER_W_MM, D: RAFTER_D_MM,
+                       notes: "fixed to main wall" });
+    roof.pieces.push({ item: "Hip Rafter", qty: 2, L: Math.round(hip.hipLen_mm), W: RAFTER_W_MM, D: RAFTER_D_MM, notes: "" });
+    roof.pieces.push({ item: "Roof Rafter", qty: hip.commons.length, L: outerLen, W: RAFTER_W_MM, D: RAFTER_D_MM,
+                       notes: "@" + RAFTER_SPACING_MM + "mm; hipped" });
+    for (const j of hip.outerJacks) {
+      roof.pieces.push({ item: "Jack Rafter", qty: 2, L: Math.round(j.len), W: RAFTER_W_MM, D: RAFTER_D_MM, notes: "outer slope" });
+    }
+    for (const j of hip.endJacks) {
+      roof.pieces.push({ item: "Jack Rafter", qty: 2, L: Math.round(j.len), W: RAFTER_W_MM, D: RAFTER_D_MM, notes: "hip ends" });
+    }
+    // Deck and covering as rectangles: the outer slope between the hips, its two corner
+    // triangles paired up, and the two end triangles paired up (each cut corner to corner)
+    if (ridge_mm > 0) {
+      roof.panels.push({ item: "Roof OSB", L: outerLen, W: ridge_mm, D: ROOF_OSB_MM, notes: "18mm OSB; hipped" });
+      roof.pieces.push({ item: "Roof Covering", qty: 1, L: outerLen, W: ridge_mm, D: COVERING_MM, notes: "outer slope" });
+    }
+    roof.panels.push({ item: "Roof OSB", L: outerLen, W: corner_mm, D: ROOF_OSB_MM, notes: "18mm OSB; hipped corners; cut corner to corner" });
+    roof.panels.push({ item: "Roof OSB", L: endLen, W: endWidth_mm, D: ROOF_OSB_MM, notes: "18mm OSB; hip ends; cut corner to corner" });
+    roof.pieces.push({ item: "Roof Covering", qty: 1, L: outerLen, W: corner_mm, D: COVERING_MM, notes: "hipped corners; cut corner to corner" });
+    roof.pieces.push({ item: "Roof Covering", qty: 1, L: endLen, W: endWidth_mm, D: COVERING_MM, notes: "hip ends; cut corner to corner" });
+    roof.pieces.push({ item: "Fascia Board", qty: 1, L: Math.round(hip.W + 2 * (hip.ovhEnd + FASCIA_THK_MM)), W: FASCIA_DEPTH_MM,
+                       D: FASCIA_THK_MM, notes: "eaves" });
+    roof.pieces.push({ item: "Fascia Board", qty: 2, L: endWidth_mm, W: FASCIA_DEPTH_MM, D: FASCIA_THK_MM, notes: "eaves" });
+  };
+
+  const roofInnerY = floorSurfaceY + wallHeightInner;
+  if (attachment.lShaped?.enabled === true) {
+    if (isApex) {
+      const g = calculateLShapedApexGeometry(mainState, attachment);
+      // Attachment ridge runs along X at the main ridge height, eaves at the main eaves
+      pushApex(getApexRoofLayout(g.attRidge.xEnd - g.attRidge.xStart, geom.depth_mm, g.hipValley.bottom.y, g.attRidge.y,
+                                 "left", memberW_mm, memberD_mm));
+    } else {
+      const g = calculateLShapedPentGeometry(mainState, attachment);
+      pushPent(getPentRoofLayout(extentX, extentZ, g.attSlope.highHeight - g.attSlope.lowHeight, attachWall, attachment));
+      const s = g.hipRidge.start, e = g.hipRidge.end;
+      roof.pieces.push({ item: "Hip Rafter", qty: 1, L: Math.round(Math.hypot(e.x - s.x, e.y - s.y, e.z - s.z)),
+                         W: RAFTER_W_MM, D: RAFTER_D_MM, notes: "" });
+    }
+    roof.note = "L-shaped roof: sized from the L-shape ridge/eaves geometry (not yet modelled in 3D)";
+  } else if (isApex) {
+    pushApex(getApexRoofLayout(extentX, extentZ, roofInnerY, apexCrest, attachWall, memberW_mm, memberD_mm));
+  } else if (roofType === "hipped") {
+    pushHipped(getHippedRoofLayout(extentX, extentZ, roofInnerY, geom.hippedCrestHeight_mm, attachWall, attachment));
+  } else {
+    pushPent(getPentRoofLayout(extentX, extentZ, wallHeightInner - wallHeightOuter, attachWall, attachment));
+  }
+
+  // ---- Openings (buildAttachmentOpenings) — capped sizes, attachment wall names kept ----
+  const mapped = mapAttachmentOpenings(allOpenings, extentX, extentZ, attachWall,
+                                       wallHeightInner, wallHeightOuter, roofType, wallThk);
+  const openings = mapped
+    .map((o, i) => Object.assign(o, { wall: allOpenings[i].wall }))
+    .filter(o => o.enabled !== false);
+
+  return { geom, floor, walls, roof, openings };
+}
+
+/**
+ * Cladding board run per course for one attachment wall, using the same clip
+ * lines as buildCladdingAlongX/Z (roof line less the top plate on pent walls,
+ * roof underside on apex gables) and the same opening cutouts.
+ * @param {object} wall - Entry from getAttachmentWallLayout()
+ * @param {number} baseY - Absolute Y of the wall base (168mm)
+ * @param {number} apexCrest - Absolute crest height for apex gables, else 0
+ * @param {Array} openings - Enabled openings on this wall
+ * @returns {object} { courses, runs: [mm per course], total_mm }
+ * @private
+ */
+function measureAttachmentCladding(wall, baseY, apexCrest, openings) {
+  const { length, isSloped, heightAt, isApexGable, cladOffset } = wall;
+  const STEP_MM = 5;
+
+  let clipAt;
+  if (isApexGable && apexCrest > 0) {
+    const mid = (length + 2 * cladOffset) / 2;
+    const yAtEaves = baseY + heightAt(0) + 50;
+    const yAtRidge = apexCrest - 100;
+    clipAt = (s) => yAtEaves + (1 - Math.abs(mid - (s + cladOffset)) / mid) * (yAtRidge - yAtEaves);
+  } else {
+    clipAt = (s) => baseY + (isSloped ? heightAt(s) : heightAt(0)) - PLATE_HEIGHT_MM;
+  }
+
+  const cutouts = openings.map(o => {
+    const x0 = o.x_mm || 0;
+    const w = o.width_mm || (o.type === 'door' ? 800 : 600);
+    const y0 = baseY + PLATE_HEIGHT_MM + (o.type === 'door' ? 0 : (o.y_mm || 900));
+    const h = o.height_mm || (o.type === 'door' ? 1900 : 400);
+    return { x0, x1: x0 + w, y0, y1: y0 + h };
+  });
+
+  const samples = [];
+  for (let s = STEP_MM / 2; s < length; s += STEP_MM) samples.push(s);
+  const maxClip = samples.reduce((m, s) => Math.max(m, clipAt(s)), -Infinity);
+
+  const runs = [];
+  for (let c = 0; ; c++) {
+    const yb = baseY - CLAD_BOTTOM_DROP_MM + c * CLAD_H_MM;
+    if (yb >= maxClip) break;
+    const yt = yb + CLAD_H_MM;
+    const cuts = cutouts.filter(k => yb < k.y1 && yt > k.y0);
+    let covered = 0;
+    for (const s of samples) {
+      if (clipAt(s) > yb && !cuts.some(k => s >= k.x0 && s < k.x1)) covered++;
+    }
+    runs.push(Math.min(length, covered * STEP_MM));
+  }
+
+  return { courses: runs.length, runs, total_mm: runs.reduce((a, b) => a + b, 0) };
+}
+
 /**
  * Calculates the world position for an attachment relative to the main building.
  * Attachment snaps to center of the specified wall with optional offset.
@@ -545,6 +808,30 @@ function buildAttachmentBase(scene, root, attId, extentX, extentZ, materials) {
   }
 }
 
+/**
+ * Floor frame layout shared by buildAttachmentFloor() and the BOM.
+ * Rim joists run along the longer side; inner joists span the shorter side at CONFIG.spacing.
+ * @param {number} extentX - X extent in mm
+ * @param {number} extentZ - Z extent in mm
+ * @returns {object} { isXLonger, rimLen, joistSpan, innerJoistLen, joistPositions }
+ * @private
+ */
+function getAttachmentFloorLayout(extentX, extentZ) {
+  const frameT = 50;  // Frame thickness
+  const isXLonger = extentX >= extentZ;
+  const rimLen = isXLonger ? extentX : extentZ;
+  const joistSpan = isXLonger ? extentZ : extentX;
+  const innerJoistLen = joistSpan - (frameT * 2);
+
+  const spacing = CONFIG.spacing; // 400mm
+  const joistPositions = [];
+  for (let cursor = spacing; cursor < rimLen - frameT; cursor += spacing) {
+    joistPositions.push(cursor);
+  }
+
+  return { isXLonger, rimLen, joistSpan, innerJoistLen, joistPositions };
+}
+
 /**
  * Build the floor frame and decking for the attachment
  */
@@ -562,9 +849,7 @@ function buildAttachmentFloor(scene, root, attId, extentX, extentZ, materials) {
   }
 
   // Build perimeter frame (rim joists)
-  const isXLonger = extentX >= extentZ;
-  const rimLen = isXLonger ? extentX : extentZ;
-  const joistSpan = isXLonger ? extentZ : extentX;
+  const { isXLonger, rimLen, joistSpan, innerJoistLen, joistPositions } = getAttachmentFloorLayout(extentX, extentZ);
 
   // Rim joists
   [0, joistSpan - frameT].forEach(offset => {
@@ -594,11 +879,7 @@ function buildAttachmentFloor(scene, root, attId, extentX, extentZ, materials) {
   });
 
   // Inner joists
-  const innerJoistLen = joistSpan - (frameT * 2);
-  const spacing = CONFIG.spacing; // 400mm
-  let cursor = spacing;
-
-  while (cursor < rimLen - frameT) {
+  joistPositions.forEach(cursor => {
     const j = BABYLON.MeshBuilder.CreateBox(`att-${attId}-joist-${cursor}`, {
       width: (isXLonger ? frameT : innerJoistLen) * 0.001,
       height: frameH * 0.001,
@@ -615,9 +896,7 @@ function buildAttachmentFloor(scene, root, attId, extentX, extentZ, materials) {
     j.material = frameMat;
     j.parent = root;
     j.metadata = { dynamic: true, attachmentId: attId, type: 'frame' };
-
-    cursor += spacing;
-  }
+  });
 
   // Decking
   const deckMat = new BABYLON.StandardMaterial(`att-${attId}-deck-mat`, scene);
@@ -689,7 +968,6 @@ function buildAttachmentWalls(scene, root, attId, extentX, extentZ, wallHeightIn
 
   console.log("[attachments] Materials - plate:", plateMat?.name, "stud:", studMat?.name, "clad:", cladMat?.name);
 
-  const isPent = roofType === "pent";
   const isApex = roofType === "apex";
 
   // Helper to create a box mesh at position (bottom-left-front corner)
@@ -888,53 +1166,11 @@ function buildAttachmentWalls(scene, root, attId, extentX, extentZ, wallHeightIn
     mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-cladding', part: 'gable' };
   }
 
-  // ---- Variant-aware wall builder ----
-  // For BASIC: uses panel-based layout (2400mm max, 3 studs per panel)
-  // For INSULATED: uses regular ≤400mm stud centres + insulation/ply
-  function buildVariantWall(wallId, axis, length, origin, isSloped, heightAt, mkSlopedPlate, openings) {
-    if (variant === "basic") {
-      // Convert openings to interval format for panel computation
-      const intervals = openings.map(o => ({
-        x0: o.x_mm || 0,
-        x1: (o.x_mm || 0) + (o.width_mm || 0),
-        ...o
-      }));
-      const panels = computeAttBasicPanels(length, studW, intervals);
-      console.log("[attachments] Basic variant wall:", wallId, "panels:", panels.length, panels);
-
-      // Build sloped top plate for the full wall (if sloped)
-      if (isSloped && mkSlopedPlate) {
-        const yTop0 = wallBaseY + heightAt(0);
-        const yTop1 = wallBaseY + heightAt(length);
-        if (axis === 'x') {
-          mkSlopedPlate(`att-${attId}-${wallId}-plate-top`, length, wallThk,
-                        origin.x, origin.z, yTop0, yTop1, plateMat);
-        } else {
-          mkSlopedPlate(`att-${attId}-${wallId}-plate-top`, wallThk, length,
-                        origin.x, origin.z, yTop0, yTop1, plateMat);
-        }
-      }
-
-      for (let p = 0; p < panels.length; p++) {
-        const pan = panels[p];
-        buildAttBasicPanel(scene, root, attId, wallId, p, axis, pan.len, origin,
-                           pan.start, wallBaseY, wallThk, plateH, studW, plateMat, studMat,
-                           isSloped, heightAt, mkBox, intervals);
-      }
-    } else {
-      // Insulated: regular stud spacing (≤400mm centres)
-      buildWallPanel(scene, root, attId, wallId, axis, length, origin, wallBaseY, wallThk,
-                     plateH, studW, studSpacing, plateMat, studMat, isSloped, heightAt,
-                     mkBox, mkSlopedPlate, openings);
-
-      // Build insulation + plywood lining for insulated walls
-      buildAttWallInsulation(scene, root, attId, wallId, axis, length, origin, wallBaseY, wallThk,
-                             plateH, studW, studSpacing, isSloped, heightAt, mkBox, openings);
-    }
-  }
-
-  // Build walls based on attachment orientation
-  // Following main building corner join rules
+  // Framing context shared by every wall (see frameAttachmentWall)
+  const frame = {
+    scene, root, attId, variant, baseY: wallBaseY, wallThk, plateH, studW, studSpacing,
+    plateMat, studMat, mkBox, mkSlopedPlateAlongX, mkSlopedPlateAlongZ
+  };
 
   // Get all openings for this attachment, grouped by wall name
   const allOpenings = Array.isArray(attachment.walls?.openings) ? attachment.walls.openings : [];
@@ -942,171 +1178,148 @@ function buildAttachmentWalls(scene, root, attId, extentX, extentZ, wallHeightIn
     return allOpenings.filter(o => o.wall === wallName && o.enabled !== false);
   }
 
-  if (attachWall === "left") {
-    // Attachment to the left - inner wall (right side X=extentX) is missing
-    // Slope runs along X: high at X=extentX (inner), low at X=0 (outer)
-    // CORNER JOIN: Front/Back are full extentX width, Outer runs BETWEEN them
-
-    const heightAtX = isPent
-      ? (x) => wallHeightOuter + (wallHeightInner - wallHeightOuter) * (x / extentX)
-      : () => wallHeightInner;
+  // For apex roofs, pass the crest height so the outer wall's cladding extends into the gable
+  const apexCrest = isApex ? (attachment.roof?.apex?.crestHeight_mm || 400) : 0;
 
-    // Side walls length (outer runs between front and back)
-    const outerLen = extentZ - 2 * wallThk;
+  const layout = getAttachmentWallLayout(extentX, extentZ, wallHeightInner, wallHeightOuter, attachWall, roofType, wallThk);
+  for (const wall of layout) {
+    const openings = openingsForWall(wall.wallId);
 
-    const frontOpenings = openingsForWall('front');
-    const backOpenings = openingsForWall('back');
-    const outerOpenings = openingsForWall('outer');
+    frameAttachmentWall(frame, wall, openings);
 
-    // FRONT WALL (at Z=0, runs along X, full width) - potentially sloped for pent
-    buildVariantWall('front', 'x', extentX, { x: 0, z: 0 }, isPent, heightAtX, mkSlopedPlateAlongX, frontOpenings);
-    buildAttOpeningFraming(attId, 'front', 'x', { x: 0, z: 0 }, frontOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtX, mkBox, studMat);
-    if (claddingEnabled) {
-      buildCladdingAlongX(scene, root, attId, 'front', extentX, wallBaseY, -CLAD_T_MM, isPent, heightAtX, cladMat, 0, false, 0, frontOpenings);
+    // Build insulation + plywood lining for insulated walls
+    if (variant !== "basic") {
+      buildAttWallInsulation(scene, root, attId, wall.wallId, wall.axis, wall.length, wall.origin, wallBaseY, wallThk,
+                             plateH, studW, studSpacing, wall.isSloped, wall.heightAt, mkBox, openings);
     }
 
-    // BACK WALL (at Z=extentZ-wallThk, runs along X, full width) - potentially sloped for pent
-    buildVariantWall('back', 'x', extentX, { x: 0, z: extentZ - wallThk }, isPent, heightAtX, mkSlopedPlateAlongX, backOpenings);
-    buildAttOpeningFraming(attId, 'back', 'x', { x: 0, z: extentZ - wallThk }, backOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtX, mkBox, studMat);
     if (claddingEnabled) {
-      buildCladdingAlongX(scene, root, attId, 'back', extentX, wallBaseY, extentZ, isPent, heightAtX, cladMat, 0, false, 0, backOpenings);
-    }
-
-    // OUTER WALL (at X=0, runs along Z, between front/back) - flat height
-    buildVariantWall('outer', 'z', outerLen, { x: 0, z: wallThk }, false, () => wallHeightOuter, null, outerOpenings);
-    buildAttOpeningFraming(attId, 'outer', 'z', { x: 0, z: wallThk }, outerOpenings,
-                           wallBaseY, plateH, studW, wallThk, false, () => wallHeightOuter, mkBox, studMat);
-    if (claddingEnabled) {
-      // For apex roofs, pass the crest height so cladding extends into the gable
-      const apexCrest = isApex ? (attachment.roof?.apex?.crestHeight_mm || 400) : 0;
-      buildCladdingAlongZ(scene, root, attId, 'outer', outerLen, wallHeightOuter, -CLAD_T_MM, wallBaseY, wallThk, cladMat, false, null, isApex, apexCrest, outerOpenings);
-    }
-
-  } else if (attachWall === "right") {
-    // Attachment to the right - inner wall (left side X=0) is missing
-    // Slope runs along X: high at X=0 (inner), low at X=extentX (outer)
-    // CORNER JOIN: Front/Back are full extentX width, Outer runs BETWEEN them
-
-    const heightAtX = isPent
-      ? (x) => wallHeightInner + (wallHeightOuter - wallHeightInner) * (x / extentX)
-      : () => wallHeightInner;
-
-    const outerLen = extentZ - 2 * wallThk;
-
-    const frontOpenings = openingsForWall('front');
-    const backOpenings = openingsForWall('back');
-    const outerOpenings = openingsForWall('outer');
-
-    // FRONT WALL (at Z=0, runs along X, full width) - potentially sloped for pent
-    buildVariantWall('front', 'x', extentX, { x: 0, z: 0 }, isPent, heightAtX, mkSlopedPlateAlongX, frontOpenings);
-    buildAttOpeningFraming(attId, 'front', 'x', { x: 0, z: 0 }, frontOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtX, mkBox, studMat);
-    if (claddingEnabled) {
-      buildCladdingAlongX(scene, root, attId, 'front', extentX, wallBaseY, -CLAD_T_MM, isPent, heightAtX, cladMat, 0, false, 0, frontOpenings);
-    }
-
-    // BACK WALL (at Z=extentZ-wallThk, runs along X, full width) - potentially sloped for pent
-    buildVariantWall('back', 'x', extentX, { x: 0, z: extentZ - wallThk }, isPent, heightAtX, mkSlopedPlateAlongX, backOpenings);
-    buildAttOpeningFraming(attId, 'back', 'x', { x: 0, z: extentZ - wallThk }, backOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtX, mkBox, studMat);
-    if (claddingEnabled) {
-      buildCladdingAlongX(scene, root, attId, 'back', extentX, wallBaseY, extentZ, isPent, heightAtX, cladMat, 0, false, 0, backOpenings);
+      const crest = wall.isApexGable ? apexCrest : 0;
+      if (wall.axis === 'x') {
+        buildCladdingAlongX(scene, root, attId, wall.wallId, wall.length, wallBaseY, wall.cladPos, wall.isSloped, wall.heightAt,
+                            cladMat, wall.cladOffset, wall.isApexGable, crest, openings);
+      } else {
+        buildCladdingAlongZ(scene, root, attId, wall.wallId, wall.length, wall.heightAt(0), wall.cladPos, wallBaseY, wall.cladOffset,
+                            cladMat, wall.isSloped, wall.isSloped ? wall.heightAt : null, wall.isApexGable, crest, openings);
+      }
     }
+  }
+}
 
-    // OUTER WALL (at X=extentX-wallThk, runs along Z, between front/back) - flat height
-    buildVariantWall('outer', 'z', outerLen, { x: extentX - wallThk, z: wallThk }, false, () => wallHeightOuter, null, outerOpenings);
-    buildAttOpeningFraming(attId, 'outer', 'z', { x: extentX - wallThk, z: wallThk }, outerOpenings,
-                           wallBaseY, plateH, studW, wallThk, false, () => wallHeightOuter, mkBox, studMat);
-    if (claddingEnabled) {
-      // For apex roofs, pass the crest height so cladding extends into the gable
-      const apexCrest = isApex ? (attachment.roof?.apex?.crestHeight_mm || 400) : 0;
-      buildCladdingAlongZ(scene, root, attId, 'outer', outerLen, wallHeightOuter, extentX, wallBaseY, wallThk, cladMat, false, null, isApex, apexCrest, outerOpenings);
-    }
+/**
+ * Lay out the three walls of an attachment (the fourth is the main building's wall).
+ *
+ * CORNER JOIN RULES (matching main building):
+ * - left/right attachment: front/back run the full extentX, outer runs between them
+ * - front/back attachment: left/right run the full extentZ, outer runs between them
+ * For pent roofs the two walls along the slope are sloped: high at the main building,
+ * low at the outer wall. The outer wall is flat and is the gable for apex roofs.
+ *
+ * @param {number} extentX - X extent in mm
+ * @param {number} extentZ - Z extent in mm
+ * @param {number} wallHeightInner - Frame height at the main building (mm)
+ * @param {number} wallHeightOuter - Frame height at the outer wall (mm)
+ * @param {string} attachWall - Main building wall ("left"|"right"|"front"|"back")
+ * @param {string} roofType - "pent"|"apex"|"hipped"
+ * @param {number} wallThk - Wall thickness / stud depth (mm)
+ * @returns {Array<object>} Walls in build order: { wallId, axis, length, origin, isSloped, heightAt,
+ *   isApexGable, cladPos, cladOffset } where cladPos is the outer face coordinate of the cladding
+ *   (Z for axis 'x', X for axis 'z') and cladOffset its start along the wall axis
+ */
+function getAttachmentWallLayout(extentX, extentZ, wallHeightInner, wallHeightOuter, attachWall, roofType, wallThk) {
+  const isPent = roofType === "pent";
+  const isApex = roofType === "apex";
+  const flat = () => wallHeightOuter;
 
-  } else if (attachWall === "front") {
-    // Attachment to the front - inner wall (back side Z=extentZ) is missing
-    // Slope runs along Z: high at Z=extentZ (inner), low at Z=0 (outer)
-    // CORNER JOIN: Left/Right are full extentZ depth, Outer runs BETWEEN them
+  if (attachWall === "left" || attachWall === "right") {
+    // Slope runs along X: left is high at X=extentX (inner), right is high at X=0 (inner)
+    const heightAtX = !isPent
+      ? () => wallHeightInner
+      : attachWall === "left"
+        ? (x) => wallHeightOuter + (wallHeightInner - wallHeightOuter) * (x / extentX)
+        : (x) => wallHeightInner + (wallHeightOuter - wallHeightInner) * (x / extentX);
+    const outerX = attachWall === "left" ? 0 : extentX - wallThk;
+
+    return [
+      { wallId: 'front', axis: 'x', length: extentX, origin: { x: 0, z: 0 }, isSloped: isPent, heightAt: heightAtX,
+        isApexGable: false, cladPos: -CLAD_T_MM, cladOffset: 0 },
+      { wallId: 'back', axis: 'x', length: extentX, origin: { x: 0, z: extentZ - wallThk }, isSloped: isPent, heightAt: heightAtX,
+        isApexGable: false, cladPos: extentZ, cladOffset: 0 },
+      { wallId: 'outer', axis: 'z', length: extentZ - 2 * wallThk, origin: { x: outerX, z: wallThk }, isSloped: false, heightAt: flat,
+        isApexGable: isApex, cladPos: attachWall === "left" ? -CLAD_T_MM : extentX, cladOffset: wallThk }
+    ];
+  }
 
-    const heightAtZ = isPent
+  // Slope runs along Z: front is high at Z=extentZ (inner), back is high at Z=0 (inner)
+  const heightAtZ = !isPent
+    ? () => wallHeightInner
+    : attachWall === "front"
       ? (z) => wallHeightOuter + (wallHeightInner - wallHeightOuter) * (z / extentZ)
-      : () => wallHeightInner;
-
-    const outerLen = extentX - 2 * wallThk;
-
-    const leftOpenings = openingsForWall('left');
-    const rightOpenings = openingsForWall('right');
-    const outerOpenings = openingsForWall('outer');
-
-    // LEFT WALL (at X=0, runs along Z, full depth) - potentially sloped for pent
-    buildVariantWall('left', 'z', extentZ, { x: 0, z: 0 }, isPent, heightAtZ, mkSlopedPlateAlongZ, leftOpenings);
-    buildAttOpeningFraming(attId, 'left', 'z', { x: 0, z: 0 }, leftOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtZ, mkBox, studMat);
-    if (claddingEnabled) {
-      buildCladdingAlongZ(scene, root, attId, 'left', extentZ, wallHeightOuter, -CLAD_T_MM, wallBaseY, 0, cladMat, isPent, heightAtZ, false, 0, leftOpenings);
-    }
-
-    // RIGHT WALL (at X=extentX-wallThk, runs along Z, full depth) - potentially sloped for pent
-    buildVariantWall('right', 'z', extentZ, { x: extentX - wallThk, z: 0 }, isPent, heightAtZ, mkSlopedPlateAlongZ, rightOpenings);
-    buildAttOpeningFraming(attId, 'right', 'z', { x: extentX - wallThk, z: 0 }, rightOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtZ, mkBox, studMat);
-    if (claddingEnabled) {
-      buildCladdingAlongZ(scene, root, attId, 'right', extentZ, wallHeightOuter, extentX, wallBaseY, 0, cladMat, isPent, heightAtZ, false, 0, rightOpenings);
-    }
-
-    // OUTER WALL (at Z=0, runs along X, between left/right) - flat height
-    buildVariantWall('outer', 'x', outerLen, { x: wallThk, z: 0 }, false, () => wallHeightOuter, null, outerOpenings);
-    buildAttOpeningFraming(attId, 'outer', 'x', { x: wallThk, z: 0 }, outerOpenings,
-                           wallBaseY, plateH, studW, wallThk, false, () => wallHeightOuter, mkBox, studMat);
-    if (claddingEnabled) {
-      // For apex roofs, pass the crest height so cladding extends into the gable
-      const apexCrest = isApex ? (attachment.roof?.apex?.crestHeight_mm || 400) : 0;
-      buildCladdingAlongX(scene, root, attId, 'outer', outerLen, wallBaseY, -CLAD_T_MM, false, () => wallHeightOuter, cladMat, wallThk, isApex, apexCrest, outerOpenings);
-    }
-
-  } else if (attachWall === "back") {
-    // Attachment to the back - inner wall (front side Z=0) is missing
-    // Slope runs along Z: high at Z=0 (inner), low at Z=extentZ (outer)
-    // CORNER JOIN: Left/Right are full extentZ depth, Outer runs BETWEEN them
-
-    const heightAtZ = isPent
-      ? (z) => wallHeightInner + (wallHeightOuter - wallHeightInner) * (z / extentZ)
-      : () => wallHeightInner;
-
-    const outerLen = extentX - 2 * wallThk;
-
-    const leftOpenings = openingsForWall('left');
-    const rightOpenings = openingsForWall('right');
-    const outerOpenings = openingsForWall('outer');
-
-    // LEFT WALL (at X=0, runs along Z, full depth) - potentially sloped for pent
-    buildVariantWall('left', 'z', extentZ, { x: 0, z: 0 }, isPent, heightAtZ, mkSlopedPlateAlongZ, leftOpenings);
-    buildAttOpeningFraming(attId, 'left', 'z', { x: 0, z: 0 }, leftOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtZ, mkBox, studMat);
-    if (claddingEnabled) {
-      buildCladdingAlongZ(scene, root, attId, 'left', extentZ, wallHeightInner, -CLAD_T_MM, wallBaseY, 0, cladMat, isPent, heightAtZ, false, 0, leftOpenings);
-    }
+      : (z) => wallHeightInner + (wallHeightOuter - wallHeightInner) * (z / extentZ);
+  const outerZ = attachWall === "front" ? 0 : extentZ - wallThk;
+
+  return [
+    { wallId: 'left', axis: 'z', length: extentZ, origin: { x: 0, z: 0 }, isSloped: isPent, heightAt: heightAtZ,
+      isApexGable: false, cladPos: -CLAD_T_MM, cladOffset: 0 },
+    { wallId: 'right', axis: 'z', length: extentZ, origin: { x: extentX - wallThk, z: 0 }, isSloped: isPent, heightAt: heightAtZ,
+      isApexGable: false, cladPos: extentX, cladOffset: 0 },
+    { wallId: 'outer', axis: 'x', length: extentX - 2 * wallThk, origin: { x: wallThk, z: outerZ }, isSloped: false, heightAt: flat,
+      isApexGable: isApex, cladPos: attachWall === "front" ? -CLAD_T_MM : extentZ, cladOffset: wallThk }
+  ];
+}
 
-    // RIGHT WALL (at X=extentX-wallThk, runs along Z, full depth) - potentially sloped for pent
-    buildVariantWall('right', 'z', extentZ, { x: extentX - wallThk, z: 0 }, isPent, heightAtZ, mkSlopedPlateAlongZ, rightOpenings);
-    buildAttOpeningFraming(attId, 'right', 'z', { x: extentX - wallThk, z: 0 }, rightOpenings,
-                           wallBaseY, plateH, studW, wallThk, isPent, heightAtZ, mkBox, studMat);
-    if (claddingEnabled) {
-      buildCladdingAlongZ(scene, root, attId, 'right', extentZ, wallHeightInner, extentX, wallBaseY, 0, cladMat, isPent, heightAtZ, false, 0, rightOpenings);
+/**
+ * Frame one attachment wall: plates, studs and opening framing.
+ * BASIC uses the panel layout (2400mm max, 3 studs per panel); INSULATED uses
+ * regular ≤400mm stud centres. Only frame.mkBox / frame.mkSlopedPlateAlongX|Z
+ * create geometry, so the BOM can pass recording helpers to get the exact members.
+ *
+ * @param {object} frame - { scene, root, attId, variant, baseY, wallThk, plateH, studW, studSpacing,
+ *   plateMat, studMat, mkBox, mkSlopedPlateAlongX, mkSlopedPlateAlongZ }
+ * @param {object} wall - Entry from getAttachmentWallLayout()
+ * @param {Array} openings - Enabled openings on this wall
+ */
+function frameAttachmentWall(frame, wall, openings) {
+  const { scene, root, attId, variant, baseY, wallThk, plateH, studW, studSpacing, plateMat, studMat, mkBox } = frame;
+  const { wallId, axis, length, origin, isSloped, heightAt } = wall;
+  const mkSlopedPlate = isSloped ? (axis === 'x' ? frame.mkSlopedPlateAlongX : frame.mkSlopedPlateAlongZ) : null;
+
+  if (variant === "basic") {
+    // Convert openings to interval format for panel computation
+    const intervals = openings.map(o => ({
+      x0: o.x_mm || 0,
+      x1: (o.x_mm || 0) + (o.width_mm || 0),
+      ...o
+    }));
+    const panels = computeAttBasicPanels(length, studW, intervals);
+
+    // Build sloped top plate for the full wall (if sloped)
+    if (mkSlopedPlate) {
+      const yTop0 = baseY + heightAt(0);
+      const yTop1 = baseY + heightAt(length);
+      if (axis === 'x') {
+        mkSlopedPlate(`att-${attId}-${wallId}-plate-top`, length, wallThk,
+                      origin.x, origin.z, yTop0, yTop1, plateMat);
+      } else {
+        mkSlopedPlate(`att-${attId}-${wallId}-plate-top`, wallThk, length,
+                      origin.x, origin.z, yTop0, yTop1, plateMat);
+      }
     }
 
-    // OUTER WALL (at Z=extentZ-wallThk, runs along X, between left/right) - flat height
-    buildVariantWall('outer', 'x', outerLen, { x: wallThk, z: extentZ - wallThk }, false, () => wallHeightOuter, null, outerOpenings);
-    buildAttOpeningFraming(attId, 'outer', 'x', { x: wallThk, z: extentZ - wallThk }, outerOpenings,
-                           wallBaseY, plateH, studW, wallThk, false, () => wallHeightOuter, mkBox, studMat);
-    if (claddingEnabled) {
-      // For apex roofs, pass the crest height so cladding extends into the gable
-      const apexCrest = isApex ? (attachment.roof?.apex?.crestHeight_mm || 400) : 0;
-      buildCladdingAlongX(scene, root, attId, 'outer', outerLen, wallBaseY, extentZ, false, () => wallHeightOuter, cladMat, wallThk, isApex, apexCrest, outerOpenings);
+    for (let p = 0; p < panels.length; p++) {
+      const pan = panels[p];
+      buildAttBasicPanel(scene, root, attId, wallId, p, axis, pan.len, origin,
+                         pan.start, baseY, wallThk, plateH, studW, plateMat, studMat,
+                         isSloped, heightAt, mkBox, intervals);
     }
+  } else {
+    buildWallPanel(scene, root, attId, wallId, axis, length, origin, baseY, wallThk,
+                   plateH, studW, studSpacing, plateMat, studMat, isSloped, heightAt,
+                   mkBox, mkSlopedPlate, openings);
   }
+
+  buildAttOpeningFraming(attId, wallId, axis, origin, openings,
+                         baseY, plateH, studW, wallThk, isSloped, heightAt, mkBox, studMat);
 }
 
 /**
@@ -1126,6 +1339,74 @@ function buildAttachmentOpenings(scene, root, attId, extentX, extentZ, attachWal
   const openings = Array.isArray(attachment.walls?.openings) ? attachment.walls.openings : [];
   if (openings.length === 0) return;
 
+  const attVariant = attachment.walls?.variant || "basic";
+  const attWallThk = attVariant === "insulated" ? STUD_H_INSULATED_MM : STUD_H_BASIC_MM;
+  const mappedOpenings = mapAttachmentOpenings(openings, extentX, extentZ, attachWall,
+                                               wallHeightInner, wallHeightOuter, roofType, attWallThk);
+
+  // Build synthetic state that Doors/Windows expect
+  const syntheticState = {
+    w: extentX,
+    d: extentZ,
+    walls: {
+      variant: attVariant,
+      openings: mappedOpenings,
+      insulated: { section: { w: STUD_W_MM, h: STUD_H_INSULATED_MM }, spacing: STUD_SPACING_MM },
+      basic: { section: { w: STUD_W_MM, h: STUD_H_BASIC_MM }, spacing: null }
+    },
+    frame: { thickness_mm: STUD_W_MM, depth_mm: attWallThk }
+  };
+
+  // Section context: positions openings in world space at the attachment root
+  const sectionContext = {
+    sectionId: "att-" + attId,
+    position: { x: worldPos.x, y: worldPos.y, z: worldPos.z }
+  };
+
+  console.log("[attachments] Building openings with synthetic state:",
+    "w:", syntheticState.w, "d:", syntheticState.d,
+    "openings:", mappedOpenings.length,
+    "sectionPos:", sectionContext.position);
+
+  // Build doors
+  const doors = mappedOpenings.filter(o => o.type === "door" && o.enabled !== false);
+  if (doors.length > 0 && Doors && typeof Doors.build3D === "function") {
+    try {
+      Doors.build3D(syntheticState, ctx, sectionContext);
+      console.log("[attachments] Doors built:", doors.length);
+    } catch (e) {
+      console.error("[attachments] Error building doors:", e);
+    }
+  }
+
+  // Build windows
+  const windows = mappedOpenings.filter(o => o.type === "window" && o.enabled !== false);
+  if (windows.length > 0 && Windows && typeof Windows.build3D === "function") {
+    try {
+      Windows.build3D(syntheticState, ctx, sectionContext);
+      console.log("[attachments] Windows built:", windows.length);
+    } catch (e) {
+      console.error("[attachments] Error building windows:", e);
+    }
+  }
+}
+
+/**
+ * Map attachment openings onto the standard wall names Doors/Windows build with,
+ * and cap their heights to the wall height available at their position.
+ * Returns new objects in the same order as `openings`; the inputs are not modified.
+ *
+ * @param {Array} openings - attachment.walls.openings
+ * @param {number} extentX - X extent in mm
+ * @param {number} extentZ - Z extent in mm
+ * @param {string} attachWall - Main building wall the attachment is on
+ * @param {number} wallHeightInner - Frame height at the main building (mm)
+ * @param {number} wallHeightOuter - Frame height at the outer wall (mm)
+ * @param {string} roofType - "pent"|"apex"|"hipped"
+ * @param {number} attWallThk - Wall thickness / stud depth (mm)
+ * @returns {Array<object>} Mapped openings
+ */
+function mapAttachmentOpenings(openings, extentX, extentZ, attachWall, wallHeightInner, wallHeightOuter, roofType, attWallThk) {
   // Determine wall name mapping based on which main wall we're attached to
   // The synthetic state uses w=extentX, d=extentZ (matching local coords)
   const wallMap = getAttachmentWallMap(attachWall);
@@ -1228,53 +1509,7 @@ function buildAttachmentOpenings(scene, root, attId, extentX, extentZ, attachWal
     return mapped;
   });
 
-  // Build synthetic state that Doors/Windows expect
-  const attVariant = attachment.walls?.variant || "basic";
-  const attWallThk = attVariant === "insulated" ? STUD_H_INSULATED_MM : STUD_H_BASIC_MM;
-  const syntheticState = {
-    w: extentX,
-    d: extentZ,
-    walls: {
-      variant: attVariant,
-      openings: mappedOpenings,
-      insulated: { section: { w: STUD_W_MM, h: STUD_H_INSULATED_MM }, spacing: STUD_SPACING_MM },
-      basic: { section: { w: STUD_W_MM, h: STUD_H_BASIC_MM }, spacing: null }
-    },
-    frame: { thickness_mm: STUD_W_MM, depth_mm: attWallThk }
-  };
-
-  // Section context: positions openings in world space at the attachment root
-  const sectionContext = {
-    sectionId: "att-" + attId,
-    position: { x: worldPos.x, y: worldPos.y, z: worldPos.z }
-  };
-
-  console.log("[attachments] Building openings with synthetic state:",
-    "w:", syntheticState.w, "d:", syntheticState.d,
-    "openings:", mappedOpenings.length,
-    "sectionPos:", sectionContext.position);
-
-  // Build doors
-  const doors = mappedOpenings.filter(o => o.type === "door" && o.enabled !== false);
-  if (doors.length > 0 && Doors && typeof Doors.build3D === "function") {
-    try {
-      Doors.build3D(syntheticState, ctx, sectionContext);
-      console.log("[attachments] Doors built:", doors.length);
-    } catch (e) {
-      console.error("[attachments] Error building doors:", e);
-    }
-  }
-
-  // Build windows
-  const windows = mappedOpenings.filter(o => o.type === "window" && o.enabled !== false);
-  if (windows.length > 0 && Windows && typeof Windows.build3D === "function") {
-    try {
-      Windows.build3D(syntheticState, ctx, sectionContext);
-      console.log("[attachments] Windows built:", windows.length);
-    } catch (e) {
-      console.error("[attachments] Error building windows:", e);
-    }
-  }
+  return mappedOpenings;
 }
 
 /**
@@ -1641,10 +1876,59 @@ function buildAttWallInsulation(scene, root, attId, wallId, axis, length, origin
   const plyMat = new BABYLON.StandardMaterial(`${prefix}-ply-mat`, scene);
   plyMat.diffuseColor = new BABYLON.Color3(0.85, 0.75, 0.65); // Light wood
 
-  // Insulation height (between plates)
-  const wallHeight = heightAt(0);
-  const insHeight = Math.max(1, wallHeight - 2 * plateH);
   const insBaseY = baseY + plateH; // Top of bottom plate
+  const { bays, ply } = computeAttWallInsulation(length, plateH, studW, studSpacing, isSloped, heightAt, openings);
+
+  // Insulation is PIR_THICKNESS_MM deep, positioned against the OUTER face of the wall
+  // (studs are wallThk deep, insulation fills the inner portion)
+  for (const bay of bays) {
+    if (isAlongX) {
+      const mesh = mkBox(`${prefix}-ins-${bay.index}`, bay.width, bay.height, PIR_THICKNESS_MM,
+            { x: origin.x + bay.start, y: insBaseY, z: origin.z + (wallThk - PIR_THICKNESS_MM) }, insMat);
+      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-insulation' };
+    } else {
+      const mesh = mkBox(`${prefix}-ins-${bay.index}`, PIR_THICKNESS_MM, bay.height, bay.width,
+            { x: origin.x + (wallThk - PIR_THICKNESS_MM), y: insBaseY, z: origin.z + bay.start }, insMat);
+      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-insulation' };
+    }
+  }
+
+  // Plywood sits on the INTERIOR side, after the insulation
+  const plyOffset = wallThk; // Flush with interior face of wall
+  for (const sheet of ply) {
+    const name = isSloped ? `${prefix}-ply-${sheet.index}` : `${prefix}-ply`;
+    if (isAlongX) {
+      const mesh = mkBox(name, sheet.width, sheet.height, PLY_THICKNESS_MM,
+            { x: origin.x + sheet.start, y: insBaseY, z: origin.z + plyOffset }, plyMat);
+      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-plywood' };
+    } else {
+      const mesh = mkBox(name, PLY_THICKNESS_MM, sheet.height, sheet.width,
+            { x: origin.x + plyOffset, y: insBaseY, z: origin.z + sheet.start }, plyMat);
+      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-plywood' };
+    }
+  }
+
+  console.log("[attachments] Built insulation + ply lining for wall:", wallId, "bays:", bays.length);
+}
+
+/**
+ * Lay out the PIR bays and plywood lining of an insulated attachment wall.
+ * PIR fills each stud bay that is clear of openings; the lining is one full-wall
+ * piece on flat walls and one piece per stud bay on sloped walls.
+ *
+ * @param {number} length - Wall length in mm
+ * @param {number} plateH - Plate height (50mm)
+ * @param {number} studW - Stud width (50mm)
+ * @param {number} studSpacing - Stud spacing (400mm)
+ * @param {boolean} isSloped - Whether this wall has a sloped top
+ * @param {function} heightAt - Function(posAlongWall) → wall frame height at that position
+ * @param {Array} openings - Wall openings [{x_mm, width_mm, ...}]
+ * @returns {{bays: Array<{index, start, width, height}>, ply: Array<{index, start, width, height}>}}
+ *   Positions along the wall; heights from the top of the bottom plate
+ */
+function computeAttWallInsulation(length, plateH, studW, studSpacing, isSloped, heightAt, openings) {
+  // Insulation height (between plates)
+  const insHeight = Math.max(1, heightAt(0) - 2 * plateH);
 
   // Stud bay positions: find where studs are placed, insulation goes between them
   const studPositions = [0]; // Start stud
@@ -1671,76 +1955,35 @@ function buildAttWallInsulation(scene, root, attId, wallId, axis, length, origin
     return false;
   }
 
-  // Build insulation panels between each pair of adjacent studs
+  const heightAtCentre = (start, width) => isSloped
+    ? Math.max(1, heightAt(start + width / 2) - 2 * plateH)
+    : insHeight;
+
+  // Insulation panels between each pair of adjacent studs
+  const bays = [];
   for (let i = 0; i < studPositions.length - 1; i++) {
     const bayStart = studPositions[i] + studW; // After left stud
-    const bayEnd = studPositions[i + 1];       // Before right stud
-    const bayWidth = bayEnd - bayStart;
-
+    const bayWidth = studPositions[i + 1] - bayStart; // Before right stud
     if (bayWidth <= 0) continue;
-    if (overlapsOpening(bayStart, bayEnd)) continue;
-
-    // Insulation height at bay centre (for sloped walls)
-    const bayCentre = bayStart + bayWidth / 2;
-    const bayInsHeight = isSloped
-      ? Math.max(1, heightAt(bayCentre) - 2 * plateH)
-      : insHeight;
-
-    if (bayInsHeight <= 0) continue;
-
-    // Insulation is PIR_THICKNESS_MM deep, positioned against the OUTER face of the wall
-    // (studs are wallThk deep, insulation fills the inner portion)
-    if (isAlongX) {
-      const mesh = mkBox(`${prefix}-ins-${i}`, bayWidth, bayInsHeight, PIR_THICKNESS_MM,
-            { x: origin.x + bayStart, y: insBaseY, z: origin.z + (wallThk - PIR_THICKNESS_MM) }, insMat);
-      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-insulation' };
-    } else {
-      const mesh = mkBox(`${prefix}-ins-${i}`, PIR_THICKNESS_MM, bayInsHeight, bayWidth,
-            { x: origin.x + (wallThk - PIR_THICKNESS_MM), y: insBaseY, z: origin.z + bayStart }, insMat);
-      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-insulation' };
-    }
+    if (overlapsOpening(bayStart, bayStart + bayWidth)) continue;
+    bays.push({ index: i, start: bayStart, width: bayWidth, height: heightAtCentre(bayStart, bayWidth) });
   }
 
-  // Build plywood lining on interior face (covers the full wall, inside the insulation)
-  // Plywood sits on the INTERIOR side, after the insulation
-  const plyOffset = wallThk; // Flush with interior face of wall
-
-  // Full-wall plywood (simple rectangle for flat walls)
+  // Plywood lining: full wall for flat walls, stud-bay segments for sloped walls
+  const ply = [];
   if (!isSloped) {
-    if (isAlongX) {
-      const mesh = mkBox(`${prefix}-ply`, length, insHeight, PLY_THICKNESS_MM,
-            { x: origin.x, y: insBaseY, z: origin.z + plyOffset }, plyMat);
-      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-plywood' };
-    } else {
-      const mesh = mkBox(`${prefix}-ply`, PLY_THICKNESS_MM, insHeight, length,
-            { x: origin.x + plyOffset, y: insBaseY, z: origin.z }, plyMat);
-      if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-plywood' };
-    }
+    ply.push({ index: 0, start: 0, width: length, height: insHeight });
   } else {
-    // For sloped walls, approximate with segments matching stud bays
     for (let i = 0; i < studPositions.length - 1; i++) {
       const bayStart = studPositions[i];
-      const bayEnd = studPositions[i + 1] + studW;
-      const bayWidth = bayEnd - bayStart;
+      const bayWidth = studPositions[i + 1] + studW - bayStart;
       if (bayWidth <= 0) continue;
-      if (overlapsOpening(bayStart, bayEnd)) continue;
-
-      const bayCentre = bayStart + bayWidth / 2;
-      const bayH = Math.max(1, heightAt(bayCentre) - 2 * plateH);
-
-      if (isAlongX) {
-        const mesh = mkBox(`${prefix}-ply-${i}`, bayWidth, bayH, PLY_THICKNESS_MM,
-              { x: origin.x + bayStart, y: insBaseY, z: origin.z + plyOffset }, plyMat);
-        if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-plywood' };
-      } else {
-        const mesh = mkBox(`${prefix}-ply-${i}`, PLY_THICKNESS_MM, bayH, bayWidth,
-              { x: origin.x + plyOffset, y: insBaseY, z: origin.z + bayStart }, plyMat);
-        if (mesh) mesh.metadata = { dynamic: true, attachmentId: attId, type: 'wall-plywood' };
-      }
+      if (overlapsOpening(bayStart, bayStart + bayWidth)) continue;
+      ply.push({ index: i, start: bayStart, width: bayWidth, height: heightAtCentre(bayStart, bayWidth) });
     }
   }
 
-  console.log("[attachments] Built insulation + ply lining for wall:", wallId, "bays:", studPositions.length - 1);
+  return { bays, ply };
 }
 
 // ============================================================================
@@ -2926,6 +3169,9 @@ function buildAttachmentRoof(scene, root, attId, extentX, extentZ, wallHeightInn
   } else if (roofType === "apex") {
     buildApexRoof(scene, root, attId, extentX, extentZ, roofInnerY,
                   attachWall, attachment, joistMat, osbMat, coveringMat, claddingMat, memberW_mm, memberD_mm, mainFasciaBottom);
+  } else if (roofType === "hipped") {
+    buildHippedRoof(scene, root, attId, extentX, extentZ, roofInnerY,
+                    attachWall, attachment, joistMat, osbMat, coveringMat, claddingMat);
   }
 }
 
@@ -2940,29 +3186,26 @@ function createMaterial(scene, name, r, g, b) {
 }
 
 /**
- * Build pent roof with proper structure
- * Follows the main building approach: build flat in a local root node, then rotate to pitch angle
- * Supports configurable overhangs (eaves, vergeLeft, vergeRight) matching main building protocol
+ * Pent roof layout shared by buildPentRoof() and the BOM.
+ * The roof is built flat in local coordinates (A along the slope from the eaves,
+ * B across it) and then pitched, so A is the true sloped length including the
+ * eaves overhang and B the span including both verges.
+ *
+ * @param {number} extentX - X extent in mm
+ * @param {number} extentZ - Z extent in mm
+ * @param {number} rise_mm - Inner minus outer bearing height (mm)
+ * @param {string} attachWall - Main building wall the attachment is on
+ * @param {object} attachment - Attachment configuration (roof.pent.overhang)
+ * @returns {object} { ovhEaves, ovhVergeL, ovhVergeR, slopeAlongX, run_mm, span_mm, rise_mm,
+ *   pitchAngle, A_mm, B_mm, rafterPositions }
  */
-function buildPentRoof(scene, root, attId, extentX, extentZ, roofInnerY, roofOuterY,
-                        attachWall, joistMat, osbMat, coveringMat, claddingMat, attachment) {
-
+function getPentRoofLayout(extentX, extentZ, rise_mm, attachWall, attachment) {
   // Get overhang values from attachment config (with defaults)
   const pentOvh = attachment?.roof?.pent?.overhang || {};
   const ovhEaves = Math.max(0, Math.floor(Number(pentOvh.eaves_mm ?? 75)));
   const ovhVergeL = Math.max(0, Math.floor(Number(pentOvh.vergeLeft_mm ?? 75)));
   const ovhVergeR = Math.max(0, Math.floor(Number(pentOvh.vergeRight_mm ?? 75)));
 
-  console.log("[attachments] buildPentRoof:", attId,
-              "extentX:", extentX, "extentZ:", extentZ,
-              "roofInnerY:", roofInnerY, "roofOuterY:", roofOuterY,
-              "attachWall:", attachWall,
-              "overhangs:", { eaves: ovhEaves, vergeL: ovhVergeL, vergeR: ovhVergeR });
-
-  // Calculate rise (height difference) and run (horizontal distance)
-  const rise_mm = roofInnerY - roofOuterY;
-
-  // Determine slope direction based on attachWall
   // For left/right attachments: slope runs along X (extentX is depth/run)
   // For front/back attachments: slope runs along Z (extentZ is depth/run)
   const slopeAlongX = (attachWall === "left" || attachWall === "right");
@@ -2970,17 +3213,47 @@ function buildPentRoof(scene, root, attId, extentX, extentZ, roofInnerY, roofOut
   const run_mm = slopeAlongX ? extentX : extentZ;       // Distance along slope direction
   const span_mm = slopeAlongX ? extentZ : extentX;     // Distance perpendicular to slope
 
-  // Calculate slope length (hypotenuse) and scale factor
-  const slopeLen_mm = Math.sqrt(run_mm * run_mm + rise_mm * rise_mm);
-  const slopeScale = slopeLen_mm / run_mm;
-
-  // Pitch angle
   const pitchAngle = Math.atan2(rise_mm, run_mm);
 
-  // Slope direction is now handled by yaw rotation (see below)
-  // - Left/Right: slope runs along X axis
-  // - Front/Back: slope runs along Z axis
-  // The yaw rotation ensures the high end (inner edge) always points toward the main building
+  // Add overhang at eaves (outer edge) - note: no overhang at ridge (connects to main building)
+  // The slope length with eaves overhang = sqrt((run + eaves_ovh)^2 + rise^2)
+  const runWithEaves_mm = run_mm + ovhEaves;
+  const A_mm = Math.sqrt(runWithEaves_mm * runWithEaves_mm + rise_mm * rise_mm);
+
+  // Span with verge overhangs on both sides
+  const B_mm = span_mm + ovhVergeL + ovhVergeR;
+
+  // Rafters at 600mm centres across the span, plus one at the far end
+  const rafterPositions = [];
+  let p = 0;
+  const maxP = B_mm - RAFTER_W_MM;
+  while (p <= maxP) {
+    rafterPositions.push(p);
+    p += RAFTER_SPACING_MM;
+  }
+  if (rafterPositions.length && rafterPositions[rafterPositions.length - 1] < maxP) {
+    rafterPositions.push(maxP);
+  }
+
+  return { ovhEaves, ovhVergeL, ovhVergeR, slopeAlongX, run_mm, span_mm, rise_mm, pitchAngle, A_mm, B_mm, rafterPositions };
+}
+
+/**
+ * Build pent roof with proper structure
+ * Follows the main building approach: build flat in a local root node, then rotate to pitch angle
+ * Supports configurable overhangs (eaves, vergeLeft, vergeRight) matching main building protocol
+ */
+function buildPentRoof(scene, root, attId, extentX, extentZ, roofInnerY, roofOuterY,
+                        attachWall, joistMat, osbMat, coveringMat, claddingMat, attachment) {
+
+  const { ovhEaves, ovhVergeL, ovhVergeR, slopeAlongX, pitchAngle, A_mm, B_mm, rafterPositions } =
+    getPentRoofLayout(extentX, extentZ, roofInnerY - roofOuterY, attachWall, attachment);
+
+  console.log("[attachments] buildPentRoof:", attId,
+              "extentX:", extentX, "extentZ:", extentZ,
+              "roofInnerY:", roofInnerY, "roofOuterY:", roofOuterY,
+              "attachWall:", attachWall,
+              "overhangs:", { eaves: ovhEaves, vergeL: ovhVergeL, vergeR: ovhVergeR });
 
   // Create a roof root node at the low point of the roof
   // We'll build everything flat (y=0 at underside of rafters) then rotate and position
@@ -2993,18 +3266,6 @@ function buildPentRoof(scene, root, attId, extentX, extentZ, roofInnerY, roofOut
   // - spanAxis runs perpendicular (0 to span)
   // - Y is up (0 at rafter bottom)
 
-  // Physical dimensions for roof (along slope, we use the scaled length)
-  // Add overhang at eaves (outer edge) - note: no overhang at ridge (connects to main building)
-  // The slope length with eaves overhang = sqrt((run + eaves_ovh)^2 + rise^2)
-  const runWithEaves_mm = run_mm + ovhEaves;
-  const slopeLenWithEaves_mm = Math.sqrt(runWithEaves_mm * runWithEaves_mm + rise_mm * rise_mm);
-
-  // Span with verge overhangs on both sides
-  const spanWithVerges_mm = span_mm + ovhVergeL + ovhVergeR;
-
-  const roofSlope_mm = slopeLenWithEaves_mm;
-  const roofSpan_mm = spanWithVerges_mm;
-
   // Helper to create box at local position (bottom-aligned in Y)
   function mkBox(name, lenX, lenY, lenZ, x, yBottom, z, mat, meta) {
     const mesh = BABYLON.MeshBuilder.CreateBox(name, {
@@ -3029,26 +3290,11 @@ function buildPentRoof(scene, root, attId, extentX, extentZ, roofInnerY, roofOut
   // If slopeAlongX: A->X, B->Z in local
   // If slopeAlongZ: A->Z, B->X in local
 
-  const A_mm = roofSlope_mm;  // Along slope direction
-  const B_mm = roofSpan_mm;   // Perpendicular to slope
-
   // Build rim joists (at front and back of span, running along slope)
   mkBox(`att-${attId}-rim-front`, A_mm, RAFTER_D_MM, RAFTER_W_MM, 0, 0, 0, joistMat, { part: 'rim', edge: 'front' });
   mkBox(`att-${attId}-rim-back`, A_mm, RAFTER_D_MM, RAFTER_W_MM, 0, 0, B_mm - RAFTER_W_MM, joistMat, { part: 'rim', edge: 'back' });
 
   // Build rafters (run along slope, spaced along span)
-  const rafterPositions = [];
-  let p = 0;
-  const maxP = B_mm - RAFTER_W_MM;
-  while (p <= maxP) {
-    rafterPositions.push(p);
-    p += RAFTER_SPACING_MM;
-  }
-  // Ensure last rafter at end
-  if (rafterPositions.length && rafterPositions[rafterPositions.length - 1] < maxP) {
-    rafterPositions.push(maxP);
-  }
-
   rafterPositions.forEach((pos, i) => {
     mkBox(`att-${attId}-rafter-${i}`, A_mm, RAFTER_D_MM, RAFTER_W_MM, 0, 0, pos, joistMat, { part: 'rafter' });
   });
@@ -3253,6 +3499,82 @@ function buildPentRoof(scene, root, attId, extentX, extentZ, roofInnerY, roofOut
               "z:", (targetRoofZ_m - eavesCorner.z).toFixed(4));
 }
 
+/**
+ * Apex roof layout shared by buildApexRoof() and the BOM.
+ * Trusses (tie + two rafters + king post) at 600mm along the ridge, purlins at
+ * 609mm stations down each slope from the ridge, always including the bottom.
+ *
+ * @param {number} extentX - X extent in mm
+ * @param {number} extentZ - Z extent in mm
+ * @param {number} roofBaseY - Absolute Y of the wall tops (eaves bearing)
+ * @param {number} crestHeightAbs - Absolute crest height (capped, see resolveAttachmentGeometry)
+ * @param {string} attachWall - Main building wall the attachment is on
+ * @param {number} memberW_mm - Member width (main frame depth_mm)
+ * @param {number} memberD_mm - Member depth (main frame thickness_mm)
+ * @returns {object} { rise_mm, ridgeAlongX, span_mm, ridge_mm, halfSpan_mm, rafterLen_mm, slopeAng, sinT, cosT,
+ *   MEMBER_W, MEMBER_D, trussPositions, kingPost: {postH_mm, capH_mm, bodyH_mm}|null, purlinStations }
+ */
+function getApexRoofLayout(extentX, extentZ, roofBaseY, crestHeightAbs, attachWall, memberW_mm, memberD_mm) {
+  const TRUSS_SPACING = 600;
+  const PURLIN_STEP_MM = 609;
+
+  const rise_mm = Math.max(100, crestHeightAbs - roofBaseY);
+
+  // Ridge direction based on attachment wall
+  // Left/Right: ridge along X, slopes face Z
+  // Front/Back: ridge along Z, slopes face X
+  const ridgeAlongX = (attachWall === "left" || attachWall === "right");
+
+  // Dimensions in world coords
+  const span_mm = ridgeAlongX ? extentZ : extentX;   // perpendicular to ridge
+  const ridge_mm = ridgeAlongX ? extentX : extentZ;  // along ridge
+  const halfSpan_mm = span_mm / 2;
+
+  // Slope geometry
+  const rafterLen_mm = Math.sqrt(halfSpan_mm * halfSpan_mm + rise_mm * rise_mm);
+  const slopeAng = Math.atan2(rise_mm, halfSpan_mm);
+  const sinT = Math.sin(slopeAng);
+  const cosT = Math.cos(slopeAng);
+
+  // Timber dimensions
+  const MEMBER_W = memberW_mm || 75;
+  const MEMBER_D = memberD_mm || 50;
+
+  const trussPositions = [];
+  for (let p = 0; p <= ridge_mm - MEMBER_W; p += TRUSS_SPACING) {
+    trussPositions.push(p);
+  }
+  // Ensure end truss
+  const lastPos = ridge_mm - MEMBER_W;
+  if (trussPositions.length === 0 || trussPositions[trussPositions.length - 1] < lastPos) {
+    trussPositions.push(lastPos);
+  }
+
+  // King post: vertical strut from tie top to apex, with a triangular cap between the rafters
+  const postH_mm = Math.max(1, Math.floor(rise_mm - MEMBER_D));
+  let kingPost = null;
+  if (postH_mm > 20) {
+    const capH_mm = Math.max(20, Math.min(Math.floor(postH_mm * 0.35), Math.floor(MEMBER_W * 0.9)));
+    kingPost = { postH_mm, capH_mm, bodyH_mm: Math.max(1, postH_mm - capH_mm) };
+  }
+
+  // Purlin slope stations: start at ridge (0), step 609mm, always include bottom
+  const sBottom_mm = cosT > 1e-6 ? (halfSpan_mm / cosT) : rafterLen_mm;
+  const purlinStations = [0];
+  let sNext = PURLIN_STEP_MM;
+  while (sNext < sBottom_mm) {
+    purlinStations.push(Math.round(sNext));
+    sNext += PURLIN_STEP_MM;
+  }
+  const sBottomRounded = Math.round(sBottom_mm);
+  if (purlinStations[purlinStations.length - 1] !== sBottomRounded) purlinStations.push(sBottomRounded);
+
+  return {
+    rise_mm, ridgeAlongX, span_mm, ridge_mm, halfSpan_mm, rafterLen_mm, slopeAng, sinT, cosT,
+    MEMBER_W, MEMBER_D, trussPositions, kingPost, purlinStations
+  };
+}
+
 /**
  * REFACTORED buildApexRoof for attachments
  * Matches the primary building's apex roof construction approach
@@ -3284,29 +3606,11 @@ function buildApexRoof(scene, root, attId, extentX, extentZ, roofBaseY, attachWa
   // Get crest height from attachment config (already capped in build3D)
   // The capping is done in build3D based on diamond bottom clearance
   const crestHeightAbs = attachment.roof?.apex?.crestHeight_mm || (roofBaseY + 400);
-  
-  const rise_mm = Math.max(100, crestHeightAbs - roofBaseY);
-
-  // Ridge direction based on attachment wall
-  // Left/Right: ridge along X, slopes face Z
-  // Front/Back: ridge along Z, slopes face X
-  const ridgeAlongX = (attachWall === "left" || attachWall === "right");
-
-  // Dimensions in world coords
-  const span_mm = ridgeAlongX ? extentZ : extentX;   // perpendicular to ridge
-  const ridge_mm = ridgeAlongX ? extentX : extentZ;  // along ridge
-  const halfSpan_mm = span_mm / 2;
-
-  // Slope geometry
-  const rafterLen_mm = Math.sqrt(halfSpan_mm * halfSpan_mm + rise_mm * rise_mm);
-  const slopeAng = Math.atan2(rise_mm, halfSpan_mm);
-  const sinT = Math.sin(slopeAng);
-  const cosT = Math.cos(slopeAng);
 
-  // Timber dimensions
-  const MEMBER_W = memberW_mm || 75;
-  const MEMBER_D = memberD_mm || 50;
-  const TRUSS_SPACING = 600;
+  const {
+    rise_mm, ridgeAlongX, span_mm, ridge_mm, halfSpan_mm, rafterLen_mm,
+    slopeAng, sinT, cosT, MEMBER_W, MEMBER_D, trussPositions, kingPost, purlinStations: sList
+  } = getApexRoofLayout(extentX, extentZ, roofBaseY, crestHeightAbs, attachWall, memberW_mm, memberD_mm);
 
   console.log("[apex-v2] Building apex roof:", attId,
     "ridgeAlongX:", ridgeAlongX,
@@ -3400,15 +3704,6 @@ function buildApexRoof(scene, root, attId, extentX, extentZ, roofBaseY, attachWa
   }
 
   // ========== 1. TRUSSES ==========
-  const trussPositions = [];
-  for (let p = 0; p <= ridge_mm - MEMBER_W; p += TRUSS_SPACING) {
-    trussPositions.push(p);
-  }
-  // Ensure end truss
-  const lastPos = ridge_mm - MEMBER_W;
-  if (trussPositions.length === 0 || trussPositions[trussPositions.length - 1] < lastPos) {
-    trussPositions.push(lastPos);
-  }
 
   trussPositions.forEach((pos, idx) => {
     const trussCenterAlongRidge = pos + MEMBER_W / 2;
@@ -3458,12 +3753,10 @@ function buildApexRoof(scene, root, attId, extentX, extentZ, roofBaseY, attachWa
 
     // King post (cripple stud): vertical strut from tie midpoint to apex
     const tieTopY_mm = MEMBER_D;  // top of tie beam
-    const postH_mm = Math.max(1, Math.floor(rise_mm - tieTopY_mm));
-    
-    if (postH_mm > 20) {  // Only create if there's meaningful height
+
+    if (kingPost) {  // Only create if there's meaningful height
       // Triangular cap that fits between rafters
-      const capH_mm = Math.max(20, Math.min(Math.floor(postH_mm * 0.35), Math.floor(MEMBER_W * 0.9)));
-      const bodyH_mm = Math.max(1, postH_mm - capH_mm);
+      const { capH_mm, bodyH_mm } = kingPost;
       
       // King post body (vertical box)
       const postCx = ridgeAlongX ? trussCenterAlongRidge : halfSpan_mm;
@@ -3527,23 +3820,9 @@ function buildApexRoof(scene, root, attId, extentX, extentZ, roofBaseY, attachWa
   // ========== 1b. PURLINS ==========
   // Purlins run parallel to the ridge, spaced at 609mm along the slope
   // They sit on top of the rafters (perpendicular offset from slope surface)
-  const PURLIN_STEP_MM = 609;
   const PURLIN_CLEAR_MM = 1;
   const purlinOutOffset_mm = (MEMBER_D / 2) + PURLIN_CLEAR_MM;
 
-  // Calculate slope stations: start at ridge (0), step 609mm, always include bottom
-  const runBottom_mm = halfSpan_mm;
-  const sBottom_mm = cosT > 1e-6 ? (runBottom_mm / cosT) : rafterLen_mm;
-  
-  const sList = [0];
-  let sNext = PURLIN_STEP_MM;
-  while (sNext < sBottom_mm) {
-    sList.push(Math.round(sNext));
-    sNext += PURLIN_STEP_MM;
-  }
-  const sBottomRounded = Math.round(sBottom_mm);
-  if (sList[sList.length - 1] !== sBottomRounded) sList.push(sBottomRounded);
-
   console.log("[apex-v2] Creating", sList.length * 2, "purlins at stations:", sList);
 
   sList.forEach((s_mm, idx) => {
@@ -3801,6 +4080,237 @@ function buildApexRoof(scene, root, attId, extentX, extentZ, roofBaseY, attachWa
   console.log("[apex-v2] Skipping gable ends (TODO: implement without CreatePolygon)");
 }
 
+/**
+ * Hipped lean-to layout shared by buildHippedRoof() and the BOM.
+ * Works in plan coordinates: u along the main wall (0..W), v outward from it (0..D).
+ * The outer slope rises from the outer wall to the main wall; the two end slopes
+ * rise from the side walls and meet it along hips that run from the outer corners
+ * to the main wall, hipRun in from each end. hipRun is the depth, so all three
+ * slopes share one pitch, or half the width on narrow attachments, where the ends
+ * get steeper. Heights are rafter undersides; the eaves overhang is scaled on the
+ * ends so all three eaves drop the same.
+ *
+ * @param {number} extentX - X extent in mm
+ * @param {number} extentZ - Z extent in mm
+ * @param {number} roofBaseY - Absolute Y of the wall tops (eaves bearing)
+ * @param {number} crestHeightAbs - Absolute height at the main wall (capped, see resolveAttachmentGeometry)
+ * @param {string} attachWall - Main building wall the attachment is on
+ * @param {object} attachment - Attachment configuration (roof.hipped.overhang_mm)
+ * @returns {object} { W, D, rise_mm, hipRun, ovh, ovhEnd, outerAng, endAng, outerLen_mm, endLen_mm, hipLen_mm,
+ *   ledgerLen_mm, commons, outerJacks: [{u, v0, len}], endJacks: [{v, u1, len}], planes, heightAt(u, v), toLocal(u, v) }
+ */
+function getHippedRoofLayout(extentX, extentZ, roofBaseY, crestHeightAbs, attachWall, attachment) {
+  const alongZ = attachWall === "left" || attachWall === "right";
+  const W = alongZ ? extentZ : extentX;   // along the main wall
+  const D = alongZ ? extentX : extentZ;   // outward from it
+
+  const rise_mm = Math.max(100, crestHeightAbs - roofBaseY);
+  const hipRun = Math.min(D, W / 2);
+  const ovh = Math.max(0, Math.floor(Number(attachment?.roof?.hipped?.overhang_mm ?? OVERHANG_MM)));
+  const ovhEnd = ovh * hipRun / D;
+
+  const outerAng = Math.atan2(rise_mm, D);
+  const endAng = Math.atan2(rise_mm, hipRun);
+  const eavesDrop = rise_mm * ovh / D;
+
+  // Rafter underside: the lowest of the three slope planes
+  const heightAt = (u, v) => roofBaseY + rise_mm * Math.min(1 - v / D, u / hipRun, (W - u) / hipRun);
+
+  // Plan (u, v) → attachment local (x, z); the main wall is at x = extentX (left),
+  // x = 0 (right), z = extentZ (front) or z = 0 (back)
+  const toLocal = (u, v) => {
+    if (attachWall === "left") return { x: extentX - v, z: u };
+    if (attachWall === "right") return { x: v, z: u };
+    if (attachWall === "front") return { x: u, z: extentZ - v };
+    return { x: u, z: v };
+  };
+
+  const outerLen_mm = (D + ovh) / Math.cos(outerAng);
+  const endLen_mm = (hipRun + ovhEnd) / Math.cos(endAng);
+  const hipLen_mm = Math.hypot(hipRun + ovhEnd, D + ovh, rise_mm + eavesDrop);
+  const ledgerLen_mm = W - 2 * hipRun + RAFTER_W_MM;
+
+  // Common rafters down the outer slope between the hip feet, at 600mm centres
+  const commons = [];
+  if (W - 2 * hipRun < 1) {
+    commons.push(W / 2);
+  } else {
+    for (let u = hipRun; u < W - hipRun; u += RAFTER_SPACING_MM) commons.push(u);
+    commons.push(W - hipRun);
+  }
+
+  // Jack rafters from the hips: down the outer slope towards each end, and down
+  // each end slope from a wall rafter against the main wall outwards
+  const outerJacks = [];
+  for (let u = hipRun - RAFTER_SPACING_MM; u >= RAFTER_SPACING_MM / 2; u -= RAFTER_SPACING_MM) {
+    const v0 = D * (1 - u / hipRun);
+    outerJacks.push({ u, v0, len: (D + ovh - v0) / Math.cos(outerAng) });
+  }
+  const endJacks = [];
+  for (let v = RAFTER_W_MM / 2; v <= D - RAFTER_SPACING_MM / 2; v = v < RAFTER_SPACING_MM ? RAFTER_SPACING_MM : v + RAFTER_SPACING_MM) {
+    const u1 = hipRun * (1 - v / D);
+    endJacks.push({ v, u1, len: (u1 + ovhEnd) / Math.cos(endAng) });
+  }
+
+  // Deck outlines in plan, each with its pitch
+  const outerPts = [[hipRun, 0], [W - hipRun, 0], [W + ovhEnd, D + ovh], [-ovhEnd, D + ovh]];
+  if (W - 2 * hipRun < 1) outerPts.splice(1, 1);
+  const planes = [
+    { id: "outer", ang: outerAng, pts: outerPts },
+    { id: "end-L", ang: endAng, pts: [[-ovhEnd, 0], [hipRun, 0], [-ovhEnd, D + ovh]] },
+    { id: "end-R", ang: endAng, pts: [[W + ovhEnd, 0], [W - hipRun, 0], [W + ovhEnd, D + ovh]] }
+  ];
+
+  return {
+    W, D, rise_mm, hipRun, ovh, ovhEnd, outerAng, endAng, outerLen_mm, endLen_mm, hipLen_mm,
+    ledgerLen_mm, commons, outerJacks, endJacks, planes, heightAt, toLocal
+  };
+}
+
+/**
+ * Build a hipped lean-to roof: ledger on the main wall, two hip rafters, common
+ * rafters and jacks (pent rafter section), OSB deck and covering on each of the
+ * three slopes, and eaves fascia all round. Members are placed from their plan
+ * end points on the rafter underside (see getHippedRoofLayout), so one builder
+ * serves all four attachment walls.
+ */
+function buildHippedRoof(scene, root, attId, extentX, extentZ, roofBaseY, attachWall, attachment, joistMat, osbMat, coveringMat, claddingMat) {
+  const crestHeightAbs = attachment.roof?.hipped?.crestHeight_mm || (roofBaseY + 400);
+  const L = getHippedRoofLayout(extentX, extentZ, roofBaseY, crestHeightAbs, attachWall, attachment);
+  const { W, D, rise_mm, hipRun, ovh, ovhEnd, outerAng, endAng, heightAt, toLocal } = L;
+
+  console.log("[attachments] buildHippedRoof:", attId, "W:", W, "D:", D, "rise:", rise_mm,
+              "hipRun:", Math.round(hipRun), "pitch:", (outerAng * 180 / Math.PI).toFixed(1) + "°");
+
+  const fasciaMat = scene._fasciaMat || claddingMat;
+
+  const roofRoot = new BABYLON.TransformNode(`att-${attId}-hipped-roof-root`, scene);
+  roofRoot.metadata = { dynamic: true, attachmentId: attId };
+  roofRoot.parent = root;
+
+  const meta = (extra) => Object.assign({ dynamic: true, attachmentId: attId, type: 'roof' }, extra);
+  const toPoint = (u, v, y) => {
+    const p = toLocal(u, v);
+    return new BABYLON.Vector3(p.x, y, p.z);
+  };
+
+  // Axis-aligned box from a plan rectangle and a Y range
+  function mkPlanBox(name, u0, u1, v0, v1, y0, y1, mat, extra) {
+    const a = toLocal(u0, v0), b = toLocal(u1, v1);
+    const lenX = Math.abs(b.x - a.x), lenZ = Math.abs(b.z - a.z);
+    const mesh = BABYLON.MeshBuilder.CreateBox(name, { width: lenX / 1000, height: (y1 - y0) / 1000, depth: lenZ / 1000 }, scene);
+    mesh.position = new BABYLON.Vector3((a.x + b.x) / 2000, (y0 + y1) / 2000, (a.z + b.z) / 2000);
+    mesh.material = mat;
+    mesh.parent = roofRoot;
+    mesh.metadata = meta(extra);
+    return mesh;
+  }
+
+  // Rafter between two plan points on the underside, its section standing plumb
+  function mkMember(name, a, b, mat, extra) {
+    const p0 = toPoint(a[0], a[1], heightAt(a[0], a[1]));
+    const p1 = toPoint(b[0], b[1], heightAt(b[0], b[1]));
+    const t = p1.subtract(p0);
+    const len = t.length();
+    if (len < 1) return null;
+    const run = Math.hypot(t.x, t.z);
+    const phi = Math.atan2(t.y, run);
+    const yaw = Math.atan2(t.x, t.z);
+    // Section centre sits half a rafter depth above the underside line
+    const up = new BABYLON.Vector3(-Math.sin(yaw) * Math.sin(phi), Math.cos(phi), -Math.cos(yaw) * Math.sin(phi));
+    const c = p0.add(p1).scale(0.5).add(up.scale(RAFTER_D_MM / 2));
+
+    const mesh = BABYLON.MeshBuilder.CreateBox(name, { width: RAFTER_W_MM / 1000, height: RAFTER_D_MM / 1000, depth: len / 1000 }, scene);
+    mesh.position = c.scale(0.001);
+    mesh.rotation = new BABYLON.Vector3(-phi, yaw, 0);
+    mesh.material = mat;
+    mesh.parent = roofRoot;
+    mesh.metadata = meta(extra);
+    return mesh;
+  }
+
+  // Sheet laid on one slope: its plan outline lifted off the rafter underside
+  function mkDeck(name, plane, lift_mm, thk_mm, mat, extra) {
+    const dy0 = lift_mm / Math.cos(plane.ang);
+    const dy1 = (lift_mm + thk_mm) / Math.cos(plane.ang);
+    const n = plane.pts.length;
+    const positions = [];
+    for (const dy of [dy0, dy1]) {
+      for (const [u, v] of plane.pts) {
+        const p = toPoint(u, v, heightAt(u, v) + dy);
+        positions.push(p.x / 1000, p.y / 1000, p.z / 1000);
+      }
+    }
+    const indices = [];
+    for (let i = 1; i < n - 1; i++) {
+      indices.push(0, i + 1, i);          // underside
+      indices.push(n, n + i, n + i + 1);  // top
+    }
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      indices.push(i, j, n + j, i, n + j, n + i);
+    }
+    const normals = [];
+    BABYLON.VertexData.ComputeNormals(positions, indices, normals);
+    const vd = new BABYLON.VertexData();
+    vd.positions = positions;
+    vd.indices = indices;
+    vd.normals = normals;
+
+    const mesh = new BABYLON.Mesh(name, scene);
+    vd.applyToMesh(mesh, true);
+    mesh.material = mat;
+    mesh.parent = roofRoot;
+    mesh.metadata = meta(extra);
+    return mesh;
+  }
+
+  // ========== 1. FRAME ==========
+  const crestY = heightAt(W / 2, 0);
+  mkPlanBox(`att-${attId}-ledger`, (W - L.ledgerLen_mm) / 2, (W + L.ledgerLen_mm) / 2, 0, RAFTER_D_MM,
+            crestY - RAFTER_W_MM, crestY, joistMat, { part: 'ledger' });
+
+  mkMember(`att-${attId}-hip-L`, [hipRun, 0], [-ovhEnd, D + ovh], joistMat, { part: 'hip-rafter', side: 'L' });
+  mkMember(`att-${attId}-hip-R`, [W - hipRun, 0], [W + ovhEnd, D + ovh], joistMat, { part: 'hip-rafter', side: 'R' });
+
+  L.commons.forEach((u, i) => {
+    mkMember(`att-${attId}-rafter-${i}`, [u, 0], [u, D + ovh], joistMat, { part: 'rafter' });
+  });
+  L.outerJacks.forEach((j, i) => {
+    mkMember(`att-${attId}-jack-outer-L-${i}`, [j.u, j.v0], [j.u, D + ovh], joistMat, { part: 'jack-rafter' });
+    mkMember(`att-${attId}-jack-outer-R-${i}`, [W - j.u, j.v0], [W - j.u, D + ovh], joistMat, { part: 'jack-rafter' });
+  });
+  L.endJacks.forEach((j, i) => {
+    mkMember(`att-${attId}-jack-end-L-${i}`, [j.u1, j.v], [-ovhEnd, j.v], joistMat, { part: 'jack-rafter' });
+    mkMember(`att-${attId}-jack-end-R-${i}`, [W - j.u1, j.v], [W + ovhEnd, j.v], joistMat, { part: 'jack-rafter' });
+  });
+
+  // ========== 2. OSB + COVERING ==========
+  for (const plane of L.planes) {
+    const osb = mkDeck(`att-${attId}-osb-${plane.id}`, plane, RAFTER_D_MM, ROOF_OSB_MM, osbMat, { part: 'osb', side: plane.id });
+    if (osb.enableEdgesRendering) {
+      osb.enableEdgesRendering();
+      osb.edgesWidth = 3;
+      osb.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+    }
+    mkDeck(`att-${attId}-covering-${plane.id}`, plane, RAFTER_D_MM + ROOF_OSB_MM, COVERING_MM, coveringMat,
+           { part: 'covering', side: plane.id });
+  }
+
+  // ========== 3. FASCIA ==========
+  // Eaves fascia on all three outer edges, tops flush with the deck; the outer
+  // board runs past the end boards to cover their end grain
+  const eavesY = heightAt(W / 2, D + ovh);
+  const topOuter = eavesY + (RAFTER_D_MM + ROOF_OSB_MM) / Math.cos(outerAng);
+  const topEnd = eavesY + (RAFTER_D_MM + ROOF_OSB_MM) / Math.cos(endAng);
+  mkPlanBox(`att-${attId}-fascia-eaves`, -ovhEnd - FASCIA_THK_MM, W + ovhEnd + FASCIA_THK_MM, D + ovh, D + ovh + FASCIA_THK_MM,
+            topOuter - FASCIA_DEPTH_MM, topOuter, fasciaMat, { part: 'fascia', edge: 'eaves' });
+  mkPlanBox(`att-${attId}-fascia-eaves-L`, -ovhEnd - FASCIA_THK_MM, -ovhEnd, 0, D + ovh,
+            topEnd - FASCIA_DEPTH_MM, topEnd, fasciaMat, { part: 'fascia', edge: 'eaves-L' });
+  mkPlanBox(`att-${attId}-fascia-eaves-R`, W + ovhEnd, W + ovhEnd + FASCIA_THK_MM, 0, D + ovh,
+            topEnd - FASCIA_DEPTH_MM, topEnd, fasciaMat, { part: 'fascia', edge: 'eaves-R' });
+}
+
 // Export for testing
 if (typeof module !== 'undefined') module.exports = { buildApexRoof };
 
@@ -1,5 +1,7 @@
 // FILE: docs/src/elements/base.js
 import { CONFIG } from '../params.js';
+import { mmToInFracStr, fmtBomSize } from '../units.js';
+import { partRowAttrs } from '../part-ids.js';
 
 export function build3D(state, ctx, sectionContext) {
   const { scene } = ctx;
@@ -108,7 +110,7 @@ export function build3D(state, ctx, sectionContext) {
         : new BABYLON.Vector3((L.rimLen / 2) * 0.001, yF * 0.001, (o + (frameT / 2)) * 0.001);
       r.material = mat;
       r.parent = shedRoot;
-      r.metadata = { dynamic: true, sectionId: sectionId || null };
+      r.metadata = { dynamic: true, sectionId: sectionId || null, part: 'rim' };
       meshes.frame.push(r);
     });
 
@@ -124,7 +126,7 @@ export function build3D(state, ctx, sectionContext) {
         : new BABYLON.Vector3(p * 0.001, yF * 0.001, mid);
       j.material = mat;
       j.parent = shedRoot;
-      j.metadata = { dynamic: true, sectionId: sectionId || null };
+      j.metadata = { dynamic: true, sectionId: sectionId || null, part: 'joist' };
       meshes.frame.push(j);
     });
   }
@@ -201,8 +203,13 @@ export function build3D(state, ctx, sectionContext) {
   // Floorboard options may be added in a future update.
 }
 
-export function updateBOM(state) {
-  const unitsMode = (document.getElementById('unitsSelect')?.value) || 'mm';
+/**
+ * Compute the base BOM without touching the DOM.
+ * Used by updateBOM() for the on-page schedule and by headless tooling.
+ * @param {object} state - Base state (state with w/d resolved to base dims)
+ * @returns {object} Timber, OSB, PIR and grid schedules plus flat CSV rows
+ */
+export function computeBOM(state) {
   const gauge = getFrameGauge(state);
   const L = getLayout(state, gauge);
 
@@ -212,25 +219,6 @@ export function updateBOM(state) {
   const includeOsb = (baseType !== 'none' && baseType !== 'concrete-only');
   const includeGrid = (baseType !== 'floor-only' && baseType !== 'none' && baseType !== 'concrete-timber' && baseType !== 'concrete-only' && baseType !== 'skids');
 
-  function mmToInFracStr(mm) {
-    const inches = mm / 25.4;
-    const whole = Math.floor(inches);
-    const frac = Math.round((inches - whole) * 16);
-    const adjWhole = frac === 16 ? whole + 1 : whole;
-    const adjFrac = frac === 16 ? 0 : frac;
-    return adjFrac === 0 ? `${adjWhole}"` : `${adjWhole}-${adjFrac}/16"`;
-  }
-  function fmtSize(a, b) {
-    const mmTxt = `${a}mm × ${b}mm`;
-    if (unitsMode !== 'both') return mmTxt;
-    return `${mmTxt} (${mmToInFracStr(a)} × ${mmToInFracStr(b)})`;
-  }
-  function fmtLenOnly(a) {
-    const mmTxt = `${a}mm`;
-    if (unitsMode !== 'both') return mmTxt;
-    return `${mmTxt} (${mmToInFracStr(a)})`;
-  }
-
   const csvRows = [];
   function pushCsv(section, item, qty, Lmm, Wmm, notes) {
     const Lin = (Lmm ? mmToInFracStr(Lmm) : '');
@@ -238,29 +226,37 @@ export function updateBOM(state) {
     csvRows.push([section, item, qty, Lmm || '', Wmm || '', Lin, Win, notes || '']);
   }
 
-  // ----- Timber -----
-  let timberHtml = '';
-  let timberCount = 0;
+  const result = {
+    baseType,
+    includeTimber,
+    includeOsb,
+    includeGrid,
+    gauge: { thickness_mm: gauge.thickness_mm, depth_mm: gauge.depth_mm },
+    timber: [],
+    frameTotal: null,
+    osbStd: {},
+    osbRip: {},
+    osbMinSheets: 0,
+    isInsulated: state.walls?.variant === 'insulated',
+    pirRipCuts: {},
+    pirPieces: {},   // every PIR piece incl. full sheets (sheet nesting)
+    pirMinSheets: 0,
+    gridSize: CONFIG.grid.size,
+    gridCuts: {},
+    csvRows
+  };
 
+  // ----- Timber -----
   if (includeTimber) {
-    const secTxt = `Section ${gauge.thickness_mm}×${gauge.depth_mm}`;
-
-    timberHtml += `<tr><td>Rim Joists</td><td>2</td><td class="highlight">${fmtLenOnly(L.rimLen)}</td><td>${secTxt}</td></tr>`;
-    pushCsv('Timber Frame', 'Rim Joist', 2, L.rimLen, '', `${gauge.thickness_mm}×${gauge.depth_mm} section`);
-    timberCount += 2;
+    const sec = `${gauge.thickness_mm}×${gauge.depth_mm}`;
 
-    timberHtml += `<tr><td>Inner Joists</td><td>${L.positions.length}</td><td class="highlight">${fmtLenOnly(L.innerJoistLen)}</td><td>${secTxt}</td></tr>`;
-    pushCsv('Timber Frame', 'Inner Joist', L.positions.length, L.innerJoistLen, '', `${gauge.thickness_mm}×${gauge.depth_mm} section`);
-    timberCount += L.positions.length;
-  } else {
-    timberHtml = '<tr><td colspan="4">Base timber excluded (customer supplied)</td></tr>';
-  }
+    result.timber.push({ item: 'Rim Joists', qty: 2, length_mm: L.rimLen, section: sec });
+    pushCsv('Timber Frame', 'Rim Joist', 2, L.rimLen, '', `${sec} section`);
 
-  document.getElementById('timberTableBody').innerHTML = timberHtml;
-  document.getElementById('timberTotals').textContent = includeTimber ? `Total pieces: ${timberCount}` : '';
+    result.timber.push({ item: 'Inner Joists', qty: L.positions.length, length_mm: L.innerJoistLen, section: sec });
+    pushCsv('Timber Frame', 'Inner Joist', L.positions.length, L.innerJoistLen, '', `${sec} section`);
 
-  // ----- TOTAL FRAME Summary -----
-  if (includeTimber) {
+    // ----- TOTAL FRAME Summary -----
     const FRAME_STOCK_LENGTH = 6200;
     let totalFrameLength_mm = 0;
     totalFrameLength_mm += 2 * L.rimLen;                          // Rim Joists
@@ -269,16 +265,11 @@ export function updateBOM(state) {
     const totalFrameStockPieces = Math.ceil(totalFrameLength_mm / FRAME_STOCK_LENGTH);
     const totalFrameLinearM = Math.round(totalFrameLength_mm / 1000 * 10) / 10;
 
-    // Add to timber table as summary row
-    const timberBody = document.getElementById('timberTableBody');
-    if (timberBody) {
-      timberBody.innerHTML += `<tr class="total-row" style="font-weight:bold; background:#f0f0f0;">
-        <td>TOTAL FRAME</td>
-        <td>${totalFrameStockPieces}</td>
-        <td class="highlight">${FRAME_STOCK_LENGTH}mm</td>
-        <td>${totalFrameLinearM}m linear; ${totalFrameStockPieces} × ${FRAME_STOCK_LENGTH}mm lengths</td>
-      </tr>`;
-    }
+    result.frameTotal = {
+      stockLength_mm: FRAME_STOCK_LENGTH,
+      pieces: totalFrameStockPieces,
+      linear_m: totalFrameLinearM
+    };
     pushCsv('Timber Frame', 'TOTAL FRAME', totalFrameStockPieces, FRAME_STOCK_LENGTH, '', `${totalFrameLinearM}m linear; ${totalFrameStockPieces} × ${FRAME_STOCK_LENGTH}mm lengths`);
   }
 
@@ -305,65 +296,33 @@ export function updateBOM(state) {
     const fullPieceXZ = mapABtoXZ({ a0: 0, b0: 0, aLen: sheetShort, bLen: sheetLong }, L.isWShort);
     const fullKey = `${Math.round(fullPieceXZ.wX)}x${Math.round(fullPieceXZ.dZ)}`;
 
-    const osbStd = {};
-    const osbRip = {};
     Object.keys(osbMap).forEach(key => {
-      if (key === fullKey) osbStd[key] = (osbStd[key] || 0) + osbMap[key];
-      else osbRip[key] = (osbRip[key] || 0) + osbMap[key];
+      if (key === fullKey) result.osbStd[key] = (result.osbStd[key] || 0) + osbMap[key];
+      else result.osbRip[key] = (result.osbRip[key] || 0) + osbMap[key];
     });
 
-    function renderOsbTable(map, bodyId, totalsId, label) {
-      let html = '';
-      let count = 0;
-      Object.keys(map).sort((a, b) => {
-        const [aw, ah] = a.split('x').map(Number), [bw, bh] = b.split('x').map(Number);
-        return ah - bh || aw - bw;
-      }).forEach(key => {
-        const [wStr, hStr] = key.split('x');
-        const w = parseInt(wStr, 10), h = parseInt(hStr, 10);
-        const qty = map[key];
-        const pieceName = `Piece ${w}x${h}`;
-        const notes = label;
-        html += `<tr><td>${pieceName}</td><td>${qty}</td><td class="highlight">${fmtSize(w, h)}</td><td>${notes}</td></tr>`;
-        pushCsv('OSB Decking', pieceName, qty, w, h, notes);
-        count += qty;
+    [[result.osbStd, 'Standard Sheet'], [result.osbRip, 'Rip/Trim Cut']].forEach(([map, label]) => {
+      sortSizeKeys(Object.keys(map)).forEach(key => {
+        const [w, h] = key.split('x').map(Number);
+        pushCsv('OSB Decking', `Piece ${w}x${h}`, map[key], w, h, label);
       });
-      document.getElementById(bodyId).innerHTML = html || `<tr><td colspan="4">None</td></tr>`;
-      document.getElementById(totalsId).textContent = `Total ${label.toLowerCase()}: ${count}`;
-    }
-    renderOsbTable(osbStd, 'osbStdBody', 'osbStdTotals', 'Standard Sheet');
-    renderOsbTable(osbRip, 'osbRipBody', 'osbRipTotals', 'Rip/Trim Cut');
+    });
 
     // ----- OSB Minimum Sheet Summary (area-based) -----
     let totalOSBArea = 0;
     Object.keys(osbMap).forEach(key => {
-      const [wStr, hStr] = key.split('x');
-      const w = parseInt(wStr, 10);
-      const h = parseInt(hStr, 10);
-      const qty = osbMap[key];
-      totalOSBArea += qty * w * h;
+      const [w, h] = key.split('x').map(Number);
+      totalOSBArea += osbMap[key] * w * h;
     });
     const sheetArea = sheetShort * sheetLong;
-    const minSheets = sheetArea > 0 ? Math.ceil(totalOSBArea / sheetArea) : 0;
-    const osbSummaryEl = document.getElementById('osbSummary');
-    if (osbSummaryEl) osbSummaryEl.textContent = `Minimum full sheets required (by area): ${minSheets}`;
-  } else {
-    // OSB excluded for baseType 'none' or 'concrete-only'
-    document.getElementById('osbStdBody').innerHTML = '<tr><td colspan="4">Floor OSB excluded (customer supplied)</td></tr>';
-    document.getElementById('osbRipBody').innerHTML = '';
-    document.getElementById('osbStdTotals').textContent = '';
-    document.getElementById('osbRipTotals').textContent = '';
-    const osbSummaryEl = document.getElementById('osbSummary');
-    if (osbSummaryEl) osbSummaryEl.textContent = '';
+    result.osbMinSheets = sheetArea > 0 ? Math.ceil(totalOSBArea / sheetArea) : 0;
   }
 
   // ----- PIR Insulation — Rip Cuts Only (insulated variant only) -----
-  const isInsulatedBOM = state.walls?.variant === 'insulated';
   const gW = CONFIG.insulation.w;
   const gL = CONFIG.insulation.d;
-  const pirRipCuts = {};
   let totalPirArea = 0;
-  for (let i = 0; isInsulatedBOM && i < L.positions.length - 1; i++) {
+  for (let i = 0; result.isInsulated && i < L.positions.length - 1; i++) {
     const start = L.positions[i] + 25;
     const currentBayW = (L.positions[i + 1] - 25) - start;
     for (let z = 0; z < L.innerJoistLen; z += gL) {
@@ -374,54 +333,125 @@ export function updateBOM(state) {
       const wmm = Math.round(pieceW);
       if (lmm > 0 && wmm > 0) {
         totalPirArea += (lmm * wmm);
+        const pieceKey = `${lmm}x${wmm}`;
+        result.pirPieces[pieceKey] = (result.pirPieces[pieceKey] || 0) + 1;
         const isFull = (lmm === gL && wmm === gW) || (lmm === gW && wmm === gL);
         if (!isFull) {
           const key = `${lmm}x${wmm}`;
-          pirRipCuts[key] = (pirRipCuts[key] || 0) + 1;
+          result.pirRipCuts[key] = (result.pirRipCuts[key] || 0) + 1;
         }
       }
     }
   }
-  let pirRipHtml = '';
-  Object.keys(pirRipCuts).forEach(key => {
-    const [lStr, wStr] = key.split('x');
-    const lmm = parseInt(lStr, 10);
-    const wmm = parseInt(wStr, 10);
-    pirRipHtml += `<tr><td>PIR ${key}</td><td>${pirRipCuts[key]}</td><td class="highlight">${lmm}mm x ${wmm}mm</td><td>Cut Board</td></tr>`;
-  });
-  document.getElementById('pirRipBody').innerHTML = pirRipHtml || `<tr><td colspan="4">None</td></tr>`;
   const pirSheetArea = gW * gL;
-  const pirMinSheets = pirSheetArea > 0 ? Math.ceil(totalPirArea / pirSheetArea) : 0;
-  const pirSummaryEl = document.getElementById('pirSummary');
-  if (pirSummaryEl) pirSummaryEl.textContent = `Minimum full sheets required (by area): ${pirMinSheets}`;
-
-  // Hide entire floor PIR section when not insulated variant
-  const floorPirSection = document.getElementById('floorPirSection');
-  if (floorPirSection) floorPirSection.style.display = isInsulatedBOM ? '' : 'none';
+  result.pirMinSheets = pirSheetArea > 0 ? Math.ceil(totalPirArea / pirSheetArea) : 0;
 
   // ----- Plastic Grid Tiles (mirror base grid placement) -----
   const g = CONFIG.grid.size;
-  const gridCuts = {};
   for (let x = 0; x < state.w; x += g) {
     const sw = Math.min(g, state.w - x);
     for (let z = 0; z < state.d; z += g) {
       const sd = Math.min(g, state.d - z);
       if (sw > 0 && sd > 0) {
         const key = `${sw}x${sd}`;
-        gridCuts[key] = (gridCuts[key] || 0) + 1;
+        result.gridCuts[key] = (result.gridCuts[key] || 0) + 1;
       }
     }
   }
+
+  return result;
+}
+
+let lastCsvRows = [];
+
+export function updateBOM(state) {
+  const bom = computeBOM(state);
+  lastCsvRows = bom.csvRows;
+
+  // BOM units (mm / mm + in / in) are chosen by index.js from #unitsSelect and state.unitMode
+  const fmtSize = (a, b) => fmtBomSize(a, b);
+  const fmtLenOnly = a => fmtBomSize(a);
+
+  // ----- Timber -----
+  let timberHtml = '';
+  let timberCount = 0;
+
+  if (bom.includeTimber) {
+    bom.timber.forEach(row => {
+      timberHtml += `<tr${partRowAttrs({ item: row.item, qty: row.qty, length_mm: row.length_mm })}><td>${row.item}</td><td>${row.qty}</td><td class="highlight">${fmtLenOnly(row.length_mm)}</td><td>Section ${row.section}</td></tr>`;
+      timberCount += row.qty;
+    });
+  } else {
+    timberHtml = '<tr><td colspan="4">Base timber excluded (customer supplied)</td></tr>';
+  }
+
+  // ----- TOTAL FRAME Summary -----
+  if (bom.frameTotal) {
+    const ft = bom.frameTotal;
+    timberHtml += `<tr class="total-row" style="font-weight:bold; background:#f0f0f0;">
+        <td>TOTAL FRAME</td>
+        <td>${ft.pieces}</td>
+        <td class="highlight">${fmtLenOnly(ft.stockLength_mm)}</td>
+        <td>${ft.linear_m}m linear; ${ft.pieces} × ${ft.stockLength_mm}mm lengths</td>
+      </tr>`;
+  }
+
+  document.getElementById('timberTableBody').innerHTML = timberHtml;
+  document.getElementById('timberTotals').textContent = bom.includeTimber ? `Total pieces: ${timberCount}` : '';
+
+  // ----- OSB Decking -----
+  if (bom.includeOsb) {
+    function renderOsbTable(map, bodyId, totalsId, label) {
+      let html = '';
+      let count = 0;
+      sortSizeKeys(Object.keys(map)).forEach(key => {
+        const [w, h] = key.split('x').map(Number);
+        const qty = map[key];
+        html += `<tr><td>Piece ${w}x${h}</td><td>${qty}</td><td class="highlight">${fmtSize(w, h)}</td><td>${label}</td></tr>`;
+        count += qty;
+      });
+      document.getElementById(bodyId).innerHTML = html || `<tr><td colspan="4">None</td></tr>`;
+      document.getElementById(totalsId).textContent = `Total ${label.toLowerCase()}: ${count}`;
+    }
+    renderOsbTable(bom.osbStd, 'osbStdBody', 'osbStdTotals', 'Standard Sheet');
+    renderOsbTable(bom.osbRip, 'osbRipBody', 'osbRipTotals', 'Rip/Trim Cut');
+
+    const osbSummaryEl = document.getElementById('osbSummary');
+    if (osbSummaryEl) osbSummaryEl.textContent = `Minimum full sheets required (by area): ${bom.osbMinSheets}`;
+  } else {
+    // OSB excluded for baseType 'none' or 'concrete-only'
+    document.getElementById('osbStdBody').innerHTML = '<tr><td colspan="4">Floor OSB excluded (customer supplied)</td></tr>';
+    document.getElementById('osbRipBody').innerHTML = '';
+    document.getElementById('osbStdTotals').textContent = '';
+    document.getElementById('osbRipTotals').textContent = '';
+    const osbSummaryEl = document.getElementById('osbSummary');
+    if (osbSummaryEl) osbSummaryEl.textContent = '';
+  }
+
+  // ----- PIR Insulation — Rip Cuts Only (insulated variant only) -----
+  let pirRipHtml = '';
+  Object.keys(bom.pirRipCuts).forEach(key => {
+    const [lmm, wmm] = key.split('x').map(Number);
+    pirRipHtml += `<tr><td>PIR ${key}</td><td>${bom.pirRipCuts[key]}</td><td class="highlight">${fmtSize(lmm, wmm)}</td><td>Cut Board</td></tr>`;
+  });
+  document.getElementById('pirRipBody').innerHTML = pirRipHtml || `<tr><td colspan="4">None</td></tr>`;
+  const pirSummaryEl = document.getElementById('pirSummary');
+  if (pirSummaryEl) pirSummaryEl.textContent = `Minimum full sheets required (by area): ${bom.pirMinSheets}`;
+
+  // Hide entire floor PIR section when not insulated variant
+  const floorPirSection = document.getElementById('floorPirSection');
+  if (floorPirSection) floorPirSection.style.display = bom.isInsulated ? '' : 'none';
+
+  // ----- Plastic Grid Tiles -----
+  const g = bom.gridSize;
   let gridHtml = '';
-  Object.keys(gridCuts).forEach(key => {
-    const [wStr, hStr] = key.split('x');
-    const sw = parseInt(wStr, 10);
-    const sd = parseInt(hStr, 10);
+  Object.keys(bom.gridCuts).forEach(key => {
+    const [sw, sd] = key.split('x').map(Number);
     const isFull = (sw === g && sd === g);
     gridHtml += `<tr>
       <td>Grid ${key}</td>
-      <td>${gridCuts[key]}</td>
-      <td class="highlight">${sw}mm x ${sd}mm</td>
+      <td>${bom.gridCuts[key]}</td>
+      <td class="highlight">${fmtSize(sw, sd)}</td>
       <td>${isFull ? 'Full Tile' : 'Cut Tile'}</td>
     </tr>`;
   });
@@ -442,7 +472,7 @@ export function updateBOM(state) {
     exportBtn._wired = true;
     exportBtn.addEventListener('click', () => {
       const header = ['Section', 'Item', 'Qty', 'L_mm', 'W_mm', 'L_in', 'W_in', 'Notes'];
-      const rows = [header, ...csvRows].map(r => r.map(v => {
+      const rows = [header, ...lastCsvRows].map(r => r.map(v => {
         const s = String(v ?? '');
         return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
       }).join(',')).join('\n');
@@ -458,11 +488,13 @@ export function updateBOM(state) {
     printBtn._wired = true;
     printBtn.addEventListener('click', () => window.print());
   }
-  const unitsSel = document.getElementById('unitsSelect');
-  if (unitsSel && !unitsSel._wired) {
-    unitsSel._wired = true;
-    unitsSel.addEventListener('change', () => updateBOM(state));
-  }
+}
+
+function sortSizeKeys(keys) {
+  return keys.sort((a, b) => {
+    const [aw, ah] = a.split('x').map(Number), [bw, bh] = b.split('x').map(Number);
+    return ah - bh || aw - bw;
+  });
 }
 
 function computeDeckPiecesAB_NoStagger(extA, extB) {
@@ -8,7 +8,7 @@
  * - Independent covering on each side (OSB, cladding, or none)
  */
 
-import { resolveDims } from "../params.js";
+import { resolveDims, resolveGambrelProfile } from "../params.js";
 
 // Constants matching walls.js
 const STUD_W = 50;        // Stud width (same as walls)
@@ -61,6 +61,47 @@ export function build3D(state, ctx, sectionContext) {
 
   if (dividers.length === 0) return;
 
+  const { bounds, eavesHeight, roofInfo } = resolveDividerContext(state);
+
+  // Build each divider
+  for (let i = 0; i < dividers.length; i++) {
+    const divider = dividers[i];
+    if (!divider || divider.enabled === false) continue;
+    
+    // Calculate height based on heightMode
+    const heightMode = divider.heightMode || "walls";
+    let dividerHeight;
+    
+    if (heightMode === "roof") {
+      // For roof mode with apex and X-axis divider, we'll build a gable
+      // For now, set base height to eaves (gable will be added on top)
+      dividerHeight = Math.max(100, eavesHeight - WALL_RISE_MM);
+    } else {
+      // For walls mode, use eaves height
+      dividerHeight = Math.max(100, eavesHeight - WALL_RISE_MM);
+    }
+
+    buildDivider(
+      divider,
+      scene,
+      materials,
+      dividerHeight,
+      bounds,
+      dividerPrefix,
+      sectionPos,
+      sectionId,
+      heightMode,
+      roofInfo
+    );
+  }
+}
+
+/**
+ * Resolve the internal bounds and roof heights shared by build3D and updateBOM.
+ * @param {object} state - Full application state
+ * @returns {{ bounds: object, eavesHeight: number, roofInfo: object }}
+ */
+function resolveDividerContext(state) {
   // Resolve dimensions
   const dims = resolveDims(state);
   const variant = (state && state.walls && state.walls.variant) || "basic";
@@ -89,11 +130,26 @@ export function build3D(state, ctx, sectionContext) {
     pentMaxH = Number(state.roof.pent.maxHeight_mm) || 2300;
     eavesHeight = pentMinH;
     crestHeight = pentMaxH;
+  } else if (roofStyle === "gambrel") {
+    // Gambrel: dividers stop at the eaves (no gable fill follows the two-pitch profile)
+    const prof = resolveGambrelProfile(state);
+    eavesHeight = prof.eaves_mm;
+    crestHeight = prof.crest_mm;
   } else if (state && state.walls && state.walls.height_mm) {
     eavesHeight = Math.floor(Number(state.walls.height_mm));
     crestHeight = eavesHeight;
   }
 
+  const bounds = {
+    internalOriginX,
+    internalOriginZ,
+    internalEndX,
+    internalEndZ,
+    internalW,
+    internalD,
+    wallThk
+  };
+
   // Roof geometry info for gable building
   const roofInfo = {
     style: roofStyle,
@@ -104,45 +160,7 @@ export function build3D(state, ctx, sectionContext) {
     buildingWidth: internalW + 2 * wallThk // Full building width for pitch calc
   };
 
-  // Build each divider
-  for (let i = 0; i < dividers.length; i++) {
-    const divider = dividers[i];
-    if (!divider || divider.enabled === false) continue;
-    
-    // Calculate height based on heightMode
-    const heightMode = divider.heightMode || "walls";
-    let dividerHeight;
-    
-    if (heightMode === "roof") {
-      // For roof mode with apex and X-axis divider, we'll build a gable
-      // For now, set base height to eaves (gable will be added on top)
-      dividerHeight = Math.max(100, eavesHeight - WALL_RISE_MM);
-    } else {
-      // For walls mode, use eaves height
-      dividerHeight = Math.max(100, eavesHeight - WALL_RISE_MM);
-    }
-
-    buildDivider(
-      divider,
-      scene,
-      materials,
-      dividerHeight,
-      {
-        internalOriginX,
-        internalOriginZ,
-        internalEndX,
-        internalEndZ,
-        internalW,
-        internalD,
-        wallThk
-      },
-      dividerPrefix,
-      sectionPos,
-      sectionId,
-      heightMode,
-      roofInfo
-    );
-  }
+  return { bounds, eavesHeight, roofInfo };
 }
 
 /**
@@ -623,9 +641,73 @@ function addDividerCovering(divider, origin, axis, length, height, scene, materi
 }
 
 /**
- * Update Bill of Materials for dividers
+ * Generate BOM for dividers.
+ * Mirrors the framing laid out by buildFrameAlongX/Z and the covering panels
+ * from addDividerCovering. Rows use the walls format: [item, qty, L, W, D, notes].
+ * @param {object} state - Full application state (wall-state dims)
+ * @returns {{ sections: Array }}
  */
 export function updateBOM(state) {
-  // BOM implementation can be added later if needed
-  // Similar pattern to walls.js updateBOM_Pent/Apex
+  const sections = [];
+  const dividers = (state && state.dividers && Array.isArray(state.dividers.items))
+    ? state.dividers.items.filter(d => d && d.enabled !== false)
+    : [];
+
+  if (dividers.length === 0) return { sections };
+
+  const { bounds, eavesHeight } = resolveDividerContext(state);
+  const height = Math.max(100, eavesHeight - WALL_RISE_MM);
+  const studLen = Math.max(1, height - 2 * PLATE_Y);
+
+  sections.push(["DIVIDERS", "", "", "", "", ""]);
+
+  dividers.forEach((divider, index) => {
+    const axis = divider.axis || "x";
+    const length = axis === "x" ? bounds.internalD : bounds.internalW;
+    const doors = (Array.isArray(divider.openings) ? divider.openings : [])
+      .filter(o => o && o.enabled !== false && o.type === "door")
+      .map(o => {
+        const x0 = Math.floor(Number(o.position_mm || 0));
+        const w = Math.floor(Number(o.width_mm || 800));
+        return { id: o.id, x0, x1: x0 + w, w, h: Math.floor(Number(o.height_mm || 1900)) };
+      });
+    const isInsideOpening = (p) => doors.some(d => p >= d.x0 && p < d.x1);
+
+    sections.push([`  Divider ${index + 1} (${axis === "x" ? "front-to-back" : "left-to-right"})`, "", "", "", "", `L=${length}mm, H=${height}mm`]);
+    sections.push([`    Bottom Plate`, 1, length, PLATE_Y, STUD_H, ""]);
+    sections.push([`    Top Plate`, 1, length, PLATE_Y, STUD_H, ""]);
+
+    let studs = 0;
+    if (!isInsideOpening(0)) studs++;
+    if (!isInsideOpening(length - STUD_W)) studs++;
+    let p = SPACING;
+    while (p <= length - STUD_W - 1) {
+      if (Math.abs(p - (length - STUD_W)) < 1) break;
+      if (!isInsideOpening(p)) studs++;
+      p += SPACING;
+    }
+    if (studs > 0) sections.push([`    Studs`, studs, studLen, STUD_W, STUD_H, `@${SPACING}`]);
+
+    for (const door of doors) {
+      const doorH = Math.min(door.h, height - 2 * PLATE_Y);
+      const headerY = PLATE_Y + doorH;
+      const crippleLen = height - PLATE_Y - headerY - STUD_W;
+      sections.push([`    Door Jack Studs`, 2, doorH, STUD_W, STUD_H, `door ${door.id || ""}`]);
+      sections.push([`    Door Header`, 1, door.w + 2 * STUD_W, STUD_W, STUD_H, `door ${door.id || ""}`]);
+      if (crippleLen > STUD_W) {
+        sections.push([`    Door Cripple`, 1, crippleLen, STUD_W, STUD_H, `door ${door.id || ""}`]);
+      }
+    }
+
+    for (const side of ["Left", "Right"]) {
+      const cover = divider["covering" + side] || "none";
+      if (cover === "osb") {
+        sections.push([`    OSB Covering (${side.toLowerCase()})`, 1, length, height, OSB_THK, doors.length ? "Cut for door openings" : "Full panel"]);
+      } else if (cover !== "none") {
+        sections.push([`    Cladding (${side.toLowerCase()})`, 1, length, height, CLAD_THK, doors.length ? "Cut for door openings" : "Full panel"]);
+      }
+    }
+  });
+
+  return { sections };
 }
@@ -0,0 +1,447 @@
+/**
+ * gutters.js - Rainwater goods (gutters and downpipes) along the eaves
+ *
+ * Gutters hang off the eaves fascia of the main roof and of every attachment roof:
+ *   apex   - both eaves (left and right), each an open run with stop ends
+ *   gambrel - as apex
+ *   pent   - the low edge (left), one open run
+ *   hipped - all four edges, one closed loop joined by external angles
+ *   attachments - each eaves fascia, one downpipe at the end away from the main building
+ *
+ * Data model: state.gutters
+ *   {
+ *     enabled: true,
+ *     profile: "half-round",  // half-round|square
+ *     colour: "black",        // black|brown|grey|white
+ *     downpipes: {            // main roof corners with a downpipe (front = Z min, left = X min)
+ *       frontLeft: true, frontRight: false, backLeft: false, backRight: true
+ *     }
+ *   }
+ *
+ * A corner takes its downpipe on the eaves run along the side wall at that corner
+ * (hipped: the left or right run), so a pent roof only uses the left corners. An
+ * open run with no corner selected still gets one downpipe at its front end, and a
+ * hipped loop with none gets one at the front-left corner.
+ *
+ * All dimensions in millimeters.
+ */
+
+import { resolveDims, resolveGambrelProfile } from "../params.js";
+import { computeAttachmentTakeoff } from "./attachments.js?_v=3";
+
+// ─── Constants ───────────────────────────────────────────────────────
+const GUTTER_STOCK_MM = 4000;       // gutter length as sold
+const DOWNPIPE_STOCK_MM = 2500;     // downpipe length as sold
+const BRACKET_CENTRES_MM = 800;     // fascia brackets, plus one at the end of each run
+const CLIP_CENTRES_MM = 1800;       // downpipe clips, plus one at the top
+const SWAN_NECK_MM = 300;           // two offset bends from the outlet back to the wall
+const WALL_RISE_MM = 168;           // attachment walls stand on the floor (see index.js)
+
+export const GUTTER_PROFILES = {
+  "half-round": { label: "Half-round", width_mm: 112, depth_mm: 56, pipe_mm: 68 },
+  square: { label: "Square", width_mm: 114, depth_mm: 76, pipe_mm: 65 }
+};
+
+export const GUTTER_COLOURS = {
+  black: { label: "Black", rgb: [0.08, 0.08, 0.09] },
+  brown: { label: "Brown", rgb: [0.30, 0.20, 0.14] },
+  grey: { label: "Grey", rgb: [0.42, 0.44, 0.46] },
+  white: { label: "White", rgb: [0.92, 0.92, 0.90] }
+};
+
+const CORNERS = {
+  frontLeft: { x: "left", z: "front" },
+  frontRight: { x: "right", z: "front" },
+  backLeft: { x: "left", z: "back" },
+  backRight: { x: "right", z: "back" }
+};
+
+// BOM rows in this order; part is the price key in the price table's rainwater section
+const PARTS = [
+  ["gutter_length", "gutter"],
+  ["union", "gutter union"],
+  ["running_outlet", "running outlet"],
+  ["stop_end", "stop end"],
+  ["external_angle", "external angle 90°"],
+  ["bracket", "fascia bracket"],
+  ["downpipe_length", "downpipe"],
+  ["pipe_socket", "pipe socket"],
+  ["offset_bend", "offset bend"],
+  ["shoe", "downpipe shoe"],
+  ["pipe_clip", "pipe clip"]
+];
+
+/**
+ * Resolved gutter settings (defaults filled in).
+ * @param {object} state
+ * @returns {{ enabled: boolean, profile: string, colour: string, downpipes: object }}
+ */
+export function getGutterSettings(state) {
+  const g = (state && state.gutters) || {};
+  return {
+    enabled: g.enabled !== false,
+    profile: GUTTER_PROFILES[g.profile] ? g.profile : "half-round",
+    colour: GUTTER_COLOURS[g.colour] ? g.colour : "black",
+    downpipes: Object.assign({ frontLeft: true, frontRight: false, backLeft: false, backRight: true }, g.downpipes || {})
+  };
+}
+
+// ─── Runs ────────────────────────────────────────────────────────────
+
+/**
+ * Gutter runs of the main roof and each attachment roof, without a scene.
+ * Each run lies along one eaves edge; downpipes are listed per run.
+ * @param {object} state - Full application state
+ * @returns {Array<{ source: string, title: string, closed: boolean,
+ *   runs: Array<{ edge: string, axis: string, length_mm: number, downpipes: Array<{ corner: string, length_mm: number }> }> }>}
+ */
+export function computeGutterRuns(state) {
+  const cfg = getGutterSettings(state);
+  if (!cfg.enabled) return [];
+  const out = [];
+
+  const main = mainRoofRuns(state, cfg);
+  if (main) out.push(main);
+
+  const attachments = ((state && state.sections && state.sections.attachments) || []).filter(a => a && a.enabled !== false);
+  attachments.forEach((att, i) => {
+    const takeoff = computeAttachmentTakeoff(state, att);
+    const eaves = takeoff.roof.pieces.filter(p => p.item === "Fascia Board" && p.notes === "eaves");
+    if (!eaves.length) return;
+    const pipe = Math.max(0, Math.round(takeoff.geom.wallHeightOuter + WALL_RISE_MM - SWAN_NECK_MM));
+    const runs = [];
+    for (const p of eaves) {
+      for (let k = 0; k < p.qty; k++) {
+        runs.push({ edge: p.qty > 1 ? `eaves-${k === 0 ? "L" : "R"}` : "eaves", axis: "", length_mm: p.L, downpipes: [{ corner: "outer", length_mm: pipe }] });
+      }
+    }
+    // Same label as computeAttachmentBOM()
+    out.push({ source: att.id, title: `Attachment ${i + 1} (${(att.attachTo && att.attachTo.wall) || "left"})`, closed: false, runs });
+  });
+
+  return out;
+}
+
+function mainRoofRuns(state, cfg) {
+  const style = (state && state.roof && state.roof.style) || "apex";
+  const R = resolveDims(state);
+  const roofW = Math.max(1, Math.floor(R.roof.w_mm));
+  let roofD = Math.max(1, Math.floor(R.roof.d_mm));
+  if (state.bespoke && state.bespoke.footprint === "trapezoid") {
+    roofD = Math.max(Number(state.bespoke.leftDepth_mm) || roofD, Number(state.bespoke.rightDepth_mm) || roofD);
+  }
+
+  const roof = state.roof || {};
+  const apex = roof.apex || {};
+  let eavesH;
+  let runs;
+  if (style === "apex") {
+    eavesH = Number(apex.heightToEaves_mm) || 1850;
+    runs = [{ edge: "left", axis: "z", length_mm: roofD }, { edge: "right", axis: "z", length_mm: roofD }];
+  } else if (style === "gambrel") {
+    eavesH = resolveGambrelProfile(state).eaves_mm;
+    runs = [{ edge: "left", axis: "z", length_mm: roofD }, { edge: "right", axis: "z", length_mm: roofD }];
+  } else if (style === "pent") {
+    eavesH = Number(roof.pent && roof.pent.minHeight_mm) || 2300;
+    runs = [{ edge: "left", axis: "z", length_mm: roofD }];
+  } else if (style === "hipped") {
+    eavesH = Number((roof.hipped && roof.hipped.heightToEaves_mm) || apex.heightToEaves_mm) || 1850;
+    runs = [
+      { edge: "front", axis: "x", length_mm: roofW }, { edge: "right", axis: "z", length_mm: roofD },
+      { edge: "back", axis: "x", length_mm: roofW }, { edge: "left", axis: "z", length_mm: roofD }
+    ];
+  } else {
+    return null;
+  }
+
+  const closed = style === "hipped";
+  const pipe = Math.max(0, Math.round(eavesH - SWAN_NECK_MM));
+  for (const run of runs) run.downpipes = [];
+  for (const corner of Object.keys(CORNERS)) {
+    if (!cfg.downpipes[corner]) continue;
+    const run = runForCorner(runs, corner);
+    if (run) run.downpipes.push({ corner, length_mm: pipe });
+  }
+  if (closed) {
+    if (!runs.some(r => r.downpipes.length)) runForCorner(runs, "frontLeft").downpipes.push({ corner: "frontLeft", length_mm: pipe });
+  } else {
+    for (const run of runs) {
+      if (!run.downpipes.length) run.downpipes.push({ corner: run.edge === "left" ? "frontLeft" : "frontRight", length_mm: pipe });
+    }
+  }
+  return { source: "Roof", title: `Main roof (${style})`, closed, runs };
+}
+
+// The run along the side wall at a corner, else the one along the front/back wall
+function runForCorner(runs, corner) {
+  const c = CORNERS[corner];
+  return runs.find(r => r.axis === "z" && r.edge === c.x) || runs.find(r => r.axis === "x" && r.edge === c.z) || null;
+}
+
+// ─── Materials ───────────────────────────────────────────────────────
+
+function ensureGutterMaterials(scene, materials, colour) {
+  const key = `gutter_${colour}`;
+  if (!materials[key]) {
+    const rgb = GUTTER_COLOURS[colour].rgb;
+    const mat = new BABYLON.StandardMaterial(`gutterMat-${colour}`, scene);
+    mat.diffuseColor = new BABYLON.Color3(rgb[0], rgb[1], rgb[2]);
+    mat.specularColor = new BABYLON.Color3(0.25, 0.25, 0.25);
+    mat.backFaceCulling = false;
+    materials[key] = mat;
+  }
+  return materials[key];
+}
+
+// ─── 3D ──────────────────────────────────────────────────────────────
+
+/**
+ * Build gutters and downpipes on the eaves fascias already in the scene.
+ * Call after the roof (and any attachment roofs) are built and shifted: runs are
+ * placed from the fascias' world bounds, so they follow whatever the roof built.
+ * @param {object} state - Full application state
+ * @param {{scene: BABYLON.Scene, materials: object}} ctx - Babylon context
+ */
+export function build3D(state, ctx) {
+  const { scene, materials } = ctx;
+  scene.meshes
+    .filter(m => m.metadata && m.metadata.dynamic === true && m.name.startsWith("gutter-"))
+    .forEach(m => { if (!m.isDisposed()) m.dispose(false, true); });
+
+  const cfg = getGutterSettings(state);
+  if (!cfg.enabled) return;
+
+  // Fascia boards grouped by roof: the main roof, then each attachment
+  const groups = {};
+  for (const m of scene.meshes) {
+    const md = m.metadata;
+    if (!md || md.dynamic !== true || md.part !== "fascia" || m.isDisposed()) continue;
+    const owner = md.attachmentId ? md.attachmentId : (md.roof ? "main" : null);
+    if (!owner) continue;
+    m.computeWorldMatrix(true);
+    const bb = m.getBoundingInfo().boundingBox;
+    const entry = { mesh: m, min: bb.minimumWorld.clone(), max: bb.maximumWorld.clone() };
+    (groups[owner] = groups[owner] || { fascias: [], eaves: [] }).fascias.push(entry);
+    if (isEavesFascia(md)) groups[owner].eaves.push(entry);
+  }
+
+  const prof = GUTTER_PROFILES[cfg.profile];
+  const mat = ensureGutterMaterials(scene, materials, cfg.colour);
+  const mainBox = groups.main ? unionBox(groups.main.fascias) : null;
+  let count = 0;
+
+  for (const owner of Object.keys(groups)) {
+    const g = groups[owner];
+    if (!g.eaves.length) continue;
+    const box = unionBox(g.fascias);
+    const centre = { x: (box.min.x + box.max.x) / 2, z: (box.min.z + box.max.z) / 2 };
+
+    // Main roof: corners go to runs by the same rule as the BOM (see mainRoofRuns)
+    const runs = g.eaves.map(f => Object.assign(fasciaSide(f, box), { f, corners: [] }));
+    if (owner === "main") {
+      for (const corner of Object.keys(CORNERS)) {
+        const r = cfg.downpipes[corner] && runForCorner(runs, corner);
+        if (r) r.corners.push(corner);
+      }
+      if (state.roof && state.roof.style === "hipped") {
+        const r = runForCorner(runs, "frontLeft");
+        if (r && !runs.some(x => x.corners.length)) r.corners.push("frontLeft");
+      } else {
+        for (const r of runs) if (!r.corners.length) r.corners.push(r.edge === "left" ? "frontLeft" : "frontRight");
+      }
+    }
+
+    for (const r of runs) {
+      const run = placeRun(r.f, centre, prof);
+      mkGutter(scene, `gutter-${owner}-${r.f.mesh.name}`, run, prof, cfg.profile, mat);
+      count++;
+      let ends;
+      if (owner === "main") {
+        ends = r.corners.map(c => cornerEnd(run, c));
+      } else {
+        // Attachments: the end further from the main building
+        ends = [mainBox && distToBox(run.point(-1), mainBox) > distToBox(run.point(1), mainBox) ? -1 : 1];
+      }
+      for (const end of ends) mkDownpipe(scene, `gutter-${owner}-${r.f.mesh.name}-pipe-${end > 0 ? "b" : "a"}`, run, end, prof, mat);
+    }
+  }
+
+  if (count) console.log(`[GUTTERS] Built ${count} gutter run(s)`);
+}
+
+function isEavesFascia(md) {
+  const edge = String(md.edge || "");
+  if (md.attachmentId) return edge === "eaves" || edge.startsWith("eaves-");
+  if (md.roof === "hipped") return ["front", "back", "left", "right"].includes(edge);
+  return edge === "eaves";
+}
+
+function unionBox(list) {
+  const min = list[0].min.clone();
+  const max = list[0].max.clone();
+  for (const f of list) {
+    min.minimizeInPlace(f.min);
+    max.maximizeInPlace(f.max);
+  }
+  return { min, max };
+}
+
+function distToBox(p, box) {
+  const dx = Math.max(box.min.x - p.x, 0, p.x - box.max.x);
+  const dz = Math.max(box.min.z - p.z, 0, p.z - box.max.z);
+  return Math.hypot(dx, dz);
+}
+
+// Gutter centre line just outside the fascia face, its top a little below the fascia top
+function placeRun(f, centre, prof) {
+  const S = 1 / 1000;
+  const alongX = (f.max.x - f.min.x) >= (f.max.z - f.min.z);
+  const mid = { x: (f.min.x + f.max.x) / 2, z: (f.min.z + f.max.z) / 2 };
+  const out = alongX ? Math.sign(mid.z - centre.z) || -1 : Math.sign(mid.x - centre.x) || -1;
+  const y = f.max.y - 15 * S - prof.depth_mm * S / 2;
+  const a0 = alongX ? f.min.x : f.min.z;
+  const a1 = alongX ? f.max.x : f.max.z;
+  const off = out * prof.width_mm * S / 2;
+  const fixed = alongX ? (out > 0 ? f.max.z : f.min.z) + off : (out > 0 ? f.max.x : f.min.x) + off;
+  return {
+    alongX, out, y, a0, a1, fixed,
+    // point(-1) = start end, point(1) = far end, point(0) = middle
+    point(t) {
+      const a = t < 0 ? a0 : t > 0 ? a1 : (a0 + a1) / 2;
+      return alongX ? new BABYLON.Vector3(a, y, fixed) : new BABYLON.Vector3(fixed, y, a);
+    }
+  };
+}
+
+// Which side of the roof a fascia runs along, as { axis, edge } (see runForCorner)
+function fasciaSide(f, box) {
+  const alongX = (f.max.x - f.min.x) >= (f.max.z - f.min.z);
+  const mid = alongX ? (f.min.z + f.max.z) / 2 : (f.min.x + f.max.x) / 2;
+  const lo = alongX ? box.min.z : box.min.x;
+  const hi = alongX ? box.max.z : box.max.x;
+  const nearLo = mid - lo < hi - mid;
+  return alongX ? { axis: "x", edge: nearLo ? "front" : "back" } : { axis: "z", edge: nearLo ? "left" : "right" };
+}
+
+// Which end of a run a corner is at: -1 = start (front/left), 1 = far end
+function cornerEnd(run, corner) {
+  const c = CORNERS[corner];
+  return run.alongX ? (c.x === "left" ? -1 : 1) : (c.z === "front" ? -1 : 1);
+}
+
+function mkGutter(scene, name, run, prof, profile, mat) {
+  const S = 1 / 1000;
+  const len = run.a1 - run.a0;
+  let mesh;
+  if (profile === "square") {
+    mesh = BABYLON.MeshBuilder.CreateBox(name, {
+      width: run.alongX ? len : prof.width_mm * S,
+      height: prof.depth_mm * S,
+      depth: run.alongX ? prof.width_mm * S : len
+    }, scene);
+  } else {
+    // Half cylinder, open side up: arc 0.5 spans local z <= 0, turned so local z is world -y
+    mesh = BABYLON.MeshBuilder.CreateCylinder(name, {
+      height: len, diameter: prof.width_mm * S, arc: 0.5, tessellation: 24, enclose: true
+    }, scene);
+    mesh.rotation.x = -Math.PI / 2;
+    if (run.alongX) mesh.rotation.y = Math.PI / 2;
+  }
+  mesh.position = run.point(0);
+  if (profile !== "square") mesh.position.y += prof.depth_mm * S / 2;
+  mesh.material = mat;
+  mesh.metadata = { dynamic: true, part: "gutter" };
+  return mesh;
+}
+
+// Running outlet near one end, swan neck back under the fascia face, then the pipe to the ground
+function mkDownpipe(scene, name, run, end, prof, mat) {
+  const S = 1 / 1000;
+  const pipe = prof.pipe_mm * S;
+  const inset = 150 * S;
+  const a = end < 0 ? run.a0 + inset : run.a1 - inset;
+  const outletY = run.y - prof.depth_mm * S / 2;
+  const wallOff = -run.out * prof.width_mm * S / 2;
+  const topY = outletY - SWAN_NECK_MM * S;
+  const bottomY = 0.05;
+  const at = (dy, off) => run.alongX
+    ? new BABYLON.Vector3(a, dy, run.fixed + off)
+    : new BABYLON.Vector3(run.fixed + off, dy, a);
+
+  const neck = BABYLON.MeshBuilder.CreateTube(`${name}-neck`, {
+    path: [at(outletY, 0), at(outletY - SWAN_NECK_MM * S * 0.3, 0), at(topY + SWAN_NECK_MM * S * 0.3, wallOff), at(topY, wallOff)],
+    radius: pipe / 2, tessellation: 12, cap: BABYLON.Mesh.CAP_ALL
+  }, scene);
+  neck.material = mat;
+  neck.metadata = { dynamic: true, part: "downpipe" };
+
+  if (topY <= bottomY) return;
+  const shaft = BABYLON.MeshBuilder.CreateCylinder(`${name}-shaft`, { height: topY - bottomY, diameter: pipe, tessellation: 12 }, scene);
+  shaft.position = at((topY + bottomY) / 2, wallOff);
+  shaft.material = mat;
+  shaft.metadata = { dynamic: true, part: "downpipe" };
+}
+
+// ─── BOM ─────────────────────────────────────────────────────────────
+
+/**
+ * Rainwater goods for the main roof and each attachment roof: gutter and downpipe
+ * lengths, unions, running outlets, stop ends, external angles, brackets, sockets,
+ * offset bends, shoes and clips. Each row's part is its price key (price table "rainwater").
+ * @param {object} state - Full application state
+ * @returns {{ sections: Array<{ title: string, source: string, profile: string, colour: string,
+ *   runs: Array, rows: Array<{ item: string, part: string, qty: number, length_mm: number|string, notes: string }> }> }}
+ */
+export function updateBOM(state) {
+  const cfg = getGutterSettings(state);
+  const prof = GUTTER_PROFILES[cfg.profile];
+  const name = `${prof.label} ${GUTTER_COLOURS[cfg.colour].label.toLowerCase()}`;
+
+  const sections = computeGutterRuns(state).map(sec => {
+    const qty = {};
+    const add = (part, n) => { qty[part] = (qty[part] || 0) + n; };
+    let run_mm = 0;
+    let pipe_mm = 0;
+    for (const run of sec.runs) {
+      const lengths = Math.ceil(run.length_mm / GUTTER_STOCK_MM);
+      run_mm += run.length_mm;
+      add("gutter_length", lengths);
+      add("union", lengths - 1);
+      add("stop_end", sec.closed ? 0 : 2);
+      add("bracket", Math.ceil(run.length_mm / BRACKET_CENTRES_MM) + 1);
+      for (const dp of run.downpipes) {
+        const pieces = Math.max(1, Math.ceil(dp.length_mm / DOWNPIPE_STOCK_MM));
+        pipe_mm += dp.length_mm;
+        add("running_outlet", 1);
+        add("downpipe_length", pieces);
+        add("pipe_socket", pieces - 1);
+        add("offset_bend", 2);
+        add("shoe", 1);
+        add("pipe_clip", Math.ceil(dp.length_mm / CLIP_CENTRES_MM) + 1);
+      }
+    }
+    if (sec.closed) add("external_angle", sec.runs.length);
+
+    const pipes = sec.runs.reduce((n, r) => n + r.downpipes.length, 0);
+    const notes = {
+      gutter_length: `${round1(run_mm / 1000)}m of gutter over ${sec.runs.length} run${sec.runs.length !== 1 ? "s" : ""}`,
+      downpipe_length: `${pipes} downpipe${pipes !== 1 ? "s" : ""}, ${round1(pipe_mm / 1000)}m`,
+      running_outlet: "one per downpipe",
+      offset_bend: "swan neck: two per downpipe"
+    };
+    const rows = PARTS.filter(([part]) => qty[part] > 0).map(([part, label]) => ({
+      item: `${name} ${label}`,
+      part,
+      qty: qty[part],
+      length_mm: part === "gutter_length" ? GUTTER_STOCK_MM : part === "downpipe_length" ? DOWNPIPE_STOCK_MM : "",
+      notes: notes[part] || ""
+    }));
+    return { title: sec.title, source: sec.source, profile: cfg.profile, colour: cfg.colour, runs: sec.runs, rows };
+  });
+
+  return { sections };
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
@@ -1,9 +1,11 @@
 /**
- * @fileoverview Roof Builder - Creates pent and apex roof structures
+ * @fileoverview Roof Builder - Creates pent, apex, hipped and gambrel roof structures
  * 
- * Supports two roof styles:
+ * Supports four roof styles:
  * - **Pent (lean-to)**: Single slope from high edge to low edge
  * - **Apex (gabled)**: Two slopes meeting at a central ridge
+ * - **Hipped**: Four slopes meeting at a ridge (or a point on square plans)
+ * - **Gambrel (barn)**: Steep lower and shallow upper slope on each side
  * 
  * ## Pent Roof Components
  * - Rafters running down the slope
@@ -23,6 +25,11 @@
  * - Ridge cap at peak
  * - Fascia boards at eaves and verges
  * 
+ * ## Gambrel Roof Components
+ * - Trusses: tie beam, lower and upper rafters, collar tie at the knee
+ * - 12mm ply gussets on both faces at heels, knees and ridge
+ * - Purlins, OSB and covering on each of the four planes
+ * 
  * ## Mesh Naming Convention
  * All roof meshes use the pattern: `${meshPrefix}roof-${part}-${index}`
  * Where meshPrefix includes section ID for multi-section buildings.
@@ -38,9 +45,11 @@
  * @module elements/roof
  */
 
-import { CONFIG, resolveDims } from "../params.js";
+import { CONFIG, resolveDims, resolveGambrelProfile } from "../params.js";
 import { buildTileLayers, disposeTileMeshes } from "./roof-tiles.js?_v=9";
 import { getSkylightOpenings } from "./skylights.js?_v=11";
+import { fmtBomLength } from "../units.js";
+import { tagPartRow } from "../part-ids.js";
 
 /**
  * Builds the 3D roof geometry for the current building state.
@@ -187,14 +196,24 @@ export function build3D(state, ctx, sectionContext) {
     return;
   }
 
+  if (style === "gambrel") {
+    console.log("[ROOF] Building gambrel roof");
+    try {
+      buildGambrel(state, ctx, meshPrefix, sectionPos, sectionId);
+      console.log("[ROOF] Gambrel roof build COMPLETE");
+    } catch (e) {
+      console.error("[ROOF] Gambrel roof build FAILED:", e);
+    }
+    return;
+  }
+
   console.log("[ROOF] Unsupported roof style:", style);
   // Unsupported styles: do nothing.
 }
 
 /**
  * Updates the Bill of Materials (BOM) table for roof components.
- * Populates the #roofBomTable element with cutting list data.
- * Dispatches to updateBOM_Pent() or updateBOM_Apex() based on roof style.
+ * Populates the #roofBomTable element with cutting list data from computeBOM().
  * 
  * @param {Object} state - The building state object
  */
@@ -204,24 +223,63 @@ export function updateBOM(state) {
 
   tbody.innerHTML = "";
 
+  const rows = computeBOM(state);
+  for (let i = 0; i < rows.length; i++) {
+    const cols = rows[i];
+    const tr = document.createElement("tr");
+    if (cols.length === 1) {
+      // Placeholder row spanning all 5 columns
+      const td = document.createElement("td");
+      td.colSpan = 5;
+      td.textContent = String(cols[0] || "");
+      tr.appendChild(td);
+    } else {
+      for (let j = 0; j < cols.length; j++) {
+        const td = document.createElement("td");
+        // Columns 2 and 3 are L / W in mm
+        td.textContent = cols[j] == null ? "" : (j === 2 || j === 3) ? fmtBomLength(cols[j]) : String(cols[j]);
+        tr.appendChild(td);
+      }
+      tagPartRow(tr, { item: cols[0], qty: cols[1], length_mm: cols[2], notes: cols[4] });
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+/**
+ * Computes the roof cutting list without touching the DOM.
+ * Dispatches to updateBOM_Pent(), updateBOM_Apex(), updateBOM_Hipped() or updateBOM_Gambrel() based on roof style.
+ * Each row is [Item, Qty, L_mm, W_mm, Notes]; a single-element row is a placeholder message.
+ * 
+ * @param {Object} state - The building state object
+ * @returns {Array<Array<string>>} Rows in table order
+ */
+export function computeBOM(state) {
+  const rows5 = [];
   const style = String(state && state.roof && state.roof.style ? state.roof.style : "apex");
 
   if (style === "pent") {
-    updateBOM_Pent(state, tbody);
-    return;
+    updateBOM_Pent(state, rows5);
+    return rows5;
   }
 
   if (style === "apex") {
-    updateBOM_Apex(state, tbody);
-    return;
+    updateBOM_Apex(state, rows5);
+    return rows5;
   }
 
   if (style === "hipped") {
-    updateBOM_Hipped(state, tbody);
-    return;
+    updateBOM_Hipped(state, rows5);
+    return rows5;
+  }
+
+  if (style === "gambrel") {
+    updateBOM_Gambrel(state, rows5);
+    return rows5;
   }
 
-  appendPlaceholderRow(tbody, "Roof not enabled.");
+  appendPlaceholderRow(rows5, "Roof not enabled.");
+  return rows5;
 }
 
 /* ----------------------------- PENT (existing) ----------------------------- */
@@ -1155,9 +1213,9 @@ function buildPent(state, ctx, meshPrefix = "", sectionPos = { x: 0, y: 0, z: 0
   } catch (e) {}
 }
 
-function updateBOM_Pent(state, tbody) {
+function updateBOM_Pent(state, rows5) {
   if (!isPentEnabled(state)) {
-    appendPlaceholderRow(tbody, "Roof not enabled.");
+    appendPlaceholderRow(rows5, "Roof not enabled.");
     return;
   }
 
@@ -1297,7 +1355,7 @@ function updateBOM_Pent(state, tbody) {
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    appendRow5(tbody, [r.item, String(r.qty), String(r.L), String(r.W), r.notes]);
+    appendRow5(rows5, [r.item, String(r.qty), String(r.L), String(r.W), r.notes]);
   }
 
   // Calculate total frame timber (exclude OSB)
@@ -1308,7 +1366,7 @@ function updateBOM_Pent(state, tbody) {
   totalFrameLength_mm += data.rafters.length * rafterLenPhys_mm;  // Rafters
 
   const totalFrameStockPieces = Math.ceil(totalFrameLength_mm / FRAME_STOCK_LENGTH);
-  appendRow5(tbody, [
+  appendRow5(rows5, [
     "TOTAL FRAME",
     String(totalFrameStockPieces),
     String(FRAME_STOCK_LENGTH),
@@ -1316,7 +1374,7 @@ function updateBOM_Pent(state, tbody) {
     `Total: ${Math.round(totalFrameLength_mm / 1000 * 10) / 10}m linear; ${totalFrameStockPieces} × ${FRAME_STOCK_LENGTH}mm lengths`
   ]);
 
-  if (!rows.length) appendPlaceholderRow(tbody, "Roof cutting list not yet generated.");
+  if (!rows.length) appendPlaceholderRow(rows5, "Roof cutting list not yet generated.");
 }
 
 function isPentEnabled(state) {
@@ -3633,7 +3691,7 @@ if (roofParts.osb) {
   } catch (e) {}
 }
 
-function updateBOM_Apex(state, tbody) {
+function updateBOM_Apex(state, rows5) {
   const dims = resolveDims(state);
 
   const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? state?.w ?? 1)));
@@ -3805,6 +3863,36 @@ function updateBOM_Apex(state, tbody) {
     });
   }
 
+  // ---- Insulation (PIR between the trusses, insulated variant only) ----
+  // With raised ties buildApex() insulates up the slopes to the tie and across a flat
+  // ceiling between the ties; with eaves ties the full slopes are insulated.
+  if (state.walls?.variant === "insulated" && trussQty >= 2) {
+    const frameD_mm = Math.max(1, Math.floor(Number(dims?.frame?.d_mm ?? roofD_mm)));
+    const bays = trussQty - 1;
+    const bayW_mm = Math.max(1, Math.round((frameD_mm - memberW_mm) / bays - memberW_mm));
+    const raised = (state.roof?.apex?.tieBeam || "eaves") === "raised";
+    const RAISED_TIE_RATIO = 3 / 8;
+    const slopeLen_mm = raised ? Math.round(rafterLen_mm * RAISED_TIE_RATIO) : rafterLen_mm;
+    const ceilingW_mm = Math.round(A_mm * (1 - RAISED_TIE_RATIO));
+
+    rows.push({
+      item: "Roof PIR Insulation",
+      qty: bays * 2,
+      L: slopeLen_mm,
+      W: bayW_mm,
+      notes: "50mm PIR; between trusses; both slopes" + (raised ? " up to the raised ties" : ""),
+    });
+    if (raised) {
+      rows.push({ item: "Roof PIR Insulation", qty: bays, L: ceilingW_mm, W: bayW_mm, notes: "50mm PIR; ceiling between the raised ties" });
+    }
+
+    // Interior plywood (12mm) under the insulation
+    rows.push({ item: "Roof Interior Plywood", qty: 2, L: slopeLen_mm, W: frameD_mm, notes: "12mm plywood lining; both slopes" });
+    if (raised) {
+      rows.push({ item: "Roof Interior Plywood", qty: 1, L: ceilingW_mm, W: frameD_mm, notes: "12mm plywood lining; ceiling" });
+    }
+  }
+
   // ---- Soffit boards (12mm cladding board under overhang) ----
   const showSoffits_apex = (state?.roof?.soffits !== false);
   if (showSoffits_apex) {
@@ -3827,7 +3915,7 @@ function updateBOM_Apex(state, tbody) {
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    appendRow5(tbody, [r.item, String(r.qty), String(r.L), String(r.W), r.notes || ""]);
+    appendRow5(rows5, [r.item, String(r.qty), String(r.L), String(r.W), r.notes || ""]);
   }
 
   // Calculate total frame timber (exclude OSB)
@@ -3839,7 +3927,7 @@ function updateBOM_Apex(state, tbody) {
   totalFrameLength_mm += purlinQty * B_mm;          // Purlins
 
   const totalFrameStockPieces = Math.ceil(totalFrameLength_mm / FRAME_STOCK_LENGTH);
-  appendRow5(tbody, [
+  appendRow5(rows5, [
     "TOTAL FRAME",
     String(totalFrameStockPieces),
     String(FRAME_STOCK_LENGTH),
@@ -3847,7 +3935,7 @@ function updateBOM_Apex(state, tbody) {
     `Total: ${Math.round(totalFrameLength_mm / 1000 * 10) / 10}m linear; ${totalFrameStockPieces} × ${FRAME_STOCK_LENGTH}mm lengths`
   ]);
 
-  if (!rows.length) appendPlaceholderRow(tbody, "Roof cutting list not yet generated.");
+  if (!rows.length) appendPlaceholderRow(rows5, "Roof cutting list not yet generated.");
 }
 
 /* ------------------------------ HIPPED (new) ------------------------------ */
@@ -4965,10 +5053,10 @@ function buildHipped(state, ctx, meshPrefix = "", sectionPos = { x: 0, y: 0, z:
 /**
  * Updates the Bill of Materials (BOM) for hipped roof components.
  * @param {Object} state - Building state object
- * @param {HTMLTableSectionElement} tbody - Target table body element
+ * @param {Array<Array<string>>} rows5 - Output rows (see appendRow5)
  * @private
  */
-function updateBOM_Hipped(state, tbody) {
+function updateBOM_Hipped(state, rows5) {
   const dims = resolveDims(state);
 
   const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? state?.w ?? 1)));
@@ -5049,6 +5137,50 @@ function updateBOM_Hipped(state, tbody) {
     });
   }
 
+  // ---- OSB sheathing (same planes as buildHipped) ----
+  // Saddles: one common rafter down the slope × ridge length per side, laid like an apex slope.
+  // Hip ends: all 8 triangles have legs of one common rafter and half the span, so they pair
+  // up into 4 such rectangles, each cut corner to corner.
+  const SHEET_SHORT = 1220;
+  const SHEET_LONG = 2440;
+  const osbGroups = {};
+  const addOsbPieces = (pieces, mult, where) => {
+    for (let i = 0; i < pieces.length; i++) {
+      const p = pieces[i];
+      const key = `${where}|${p.aLen_mm}x${p.bLen_mm}`;
+      if (!osbGroups[key]) osbGroups[key] = { qty: 0, L: p.aLen_mm, W: p.bLen_mm, where: where };
+      osbGroups[key].qty += mult;
+    }
+  };
+  if (ridgeLen_mm > 0) {
+    addOsbPieces(computeOsbPiecesForSlope(commonRafterLen_mm, ridgeLen_mm, SHEET_SHORT, SHEET_LONG), 2, "hipped saddle");
+  }
+  addOsbPieces(computeOsbPiecesForSlope(commonRafterLen_mm, Math.round(halfSpan_mm), SHEET_SHORT, SHEET_LONG), 4, "hipped ends; cut corner to corner");
+
+  const osbKeys = Object.keys(osbGroups).sort();
+  for (let i = 0; i < osbKeys.length; i++) {
+    const g = osbGroups[osbKeys[i]];
+    const isStd = (g.L === SHEET_SHORT && g.W === SHEET_LONG) || (g.L === SHEET_LONG && g.W === SHEET_SHORT);
+    rows.push({
+      item: "Roof OSB",
+      qty: g.qty,
+      L: g.L,
+      W: g.W,
+      notes: "18mm OSB; " + (isStd ? "standard sheet" : "rip/trim cut") + "; " + g.where,
+    });
+  }
+
+  // ---- Insulation (PIR between the rafters, insulated variant only) ----
+  // Same planes as the OSB: the saddles, and the hip ends as rectangles cut corner to corner.
+  if (state.walls?.variant === "insulated") {
+    if (ridgeLen_mm > 0) {
+      rows.push({ item: "Roof PIR Insulation", qty: 2, L: commonRafterLen_mm, W: ridgeLen_mm, notes: "50mm PIR; between rafters; hipped saddles" });
+      rows.push({ item: "Roof Interior Plywood", qty: 2, L: commonRafterLen_mm, W: ridgeLen_mm, notes: "12mm plywood lining; hipped saddles" });
+    }
+    rows.push({ item: "Roof PIR Insulation", qty: 4, L: commonRafterLen_mm, W: Math.round(halfSpan_mm), notes: "50mm PIR; between rafters; hipped ends; cut corner to corner" });
+    rows.push({ item: "Roof Interior Plywood", qty: 4, L: commonRafterLen_mm, W: Math.round(halfSpan_mm), notes: "12mm plywood lining; hipped ends; cut corner to corner" });
+  }
+
   // ---- Soffit boards (12mm cladding board under overhang) ----
   const showSoffits_hipped = (state?.roof?.soffits !== false);
   if (showSoffits_hipped) {
@@ -5071,7 +5203,7 @@ function updateBOM_Hipped(state, tbody) {
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    appendRow5(tbody, [r.item, String(r.qty), String(r.L), String(r.W), r.notes || ""]);
+    appendRow5(rows5, [r.item, String(r.qty), String(r.L), String(r.W), r.notes || ""]);
   }
 
   // Total frame timber
@@ -5089,7 +5221,7 @@ function updateBOM_Hipped(state, tbody) {
   totalFrameLength_mm += totalJacks * avgJackLen;
 
   const totalFrameStockPieces = Math.ceil(totalFrameLength_mm / FRAME_STOCK_LENGTH);
-  appendRow5(tbody, [
+  appendRow5(rows5, [
     "TOTAL FRAME",
     String(totalFrameStockPieces),
     String(FRAME_STOCK_LENGTH),
@@ -5097,7 +5229,665 @@ function updateBOM_Hipped(state, tbody) {
     `Total: ${Math.round(totalFrameLength_mm / 1000 * 10) / 10}m linear; ${totalFrameStockPieces} × ${FRAME_STOCK_LENGTH}mm lengths`
   ]);
 
-  if (!rows.length) appendPlaceholderRow(tbody, "Roof cutting list not yet generated.");
+  if (!rows.length) appendPlaceholderRow(rows5, "Roof cutting list not yet generated.");
+}
+
+/* ------------------------------ GAMBREL (barn) ------------------------------ */
+
+const GAMBREL_GUSSET_THK_MM = 12;  // Ply gusset plates, one on each face of every joint
+const GAMBREL_GUSSET_LEG_MM = 300; // How far a gusset runs along each member from the joint
+
+/**
+ * Builds a gambrel (barn) roof: each side has a steep lower slope from the eaves up to the
+ * knee and a shallow upper slope from the knee to the ridge, which frees up loft headroom.
+ * The profile comes from resolveGambrelProfile() so walls, skylights and gutters agree with it.
+ *
+ * Components built:
+ * - Trusses: tie beam, lower + upper rafters each side, collar tie at the knee,
+ *   12mm ply gussets on both faces at the heels, knees and ridge
+ * - Purlins on all four planes at 609mm centres (the knee and ridge purlins included)
+ * - OSB and covering per plane (split around skylights), eaves and verge folds
+ * - Fascia at the eaves, barge boards per plane, diamond caps at the ridge
+ * - Soffits under the eaves and gable overhangs
+ *
+ * Local frame matches apex: X = span (0..roof width), Z = ridge axis (0..roof depth),
+ * Y = 0 at the tie underside. Planes are "L"/"R" (lower) and "LU"/"RU" (upper).
+ *
+ * @param {Object} state - Building state with roof.gambrel parameters
+ * @param {Object} ctx - Babylon.js context {scene, materials}
+ * @param {string} [meshPrefix=""] - Prefix for mesh names (for multi-section)
+ * @param {Object} [sectionPos={x:0,y:0,z:0}] - Section position offset in mm
+ * @param {string|null} [sectionId=null] - Section identifier for metadata
+ * @private
+ */
+function buildGambrel(state, ctx, meshPrefix = "", sectionPos = { x: 0, y: 0, z: 0 }, sectionId = null) {
+  const { scene, materials } = ctx || {};
+  if (!scene) return;
+
+  const roofParts = getRoofParts(state);
+  const dims = resolveDims(state);
+
+  const ovh = (dims && dims.overhang) ? dims.overhang : { l_mm: 0, r_mm: 0, f_mm: 0, b_mm: 0 };
+  const l_mm = Math.max(0, Math.floor(Number(ovh.l_mm || 0)));
+  const r_mm = Math.max(0, Math.floor(Number(ovh.r_mm || 0)));
+  const f_mm = Math.max(0, Math.floor(Number(ovh.f_mm || 0)));
+  const b_mm = Math.max(0, Math.floor(Number(ovh.b_mm || 0)));
+
+  const A_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? 1)));
+  const B_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? 1)));
+  const halfSpan_mm = A_mm / 2;
+
+  const prof = resolveGambrelProfile(state);
+
+  // Trusses stand on edge like the hipped rafters: narrow face in plan, deep face vertical
+  const g = getRoofFrameGauge(state);
+  const memberW_mm = Math.max(1, Math.floor(Number(g.thickness_mm)));
+  const memberD_mm = Math.max(1, Math.floor(Number(g.depth_mm)));
+
+  const OSB_THK_MM = 18;
+  const OSB_CLEAR_MM = 1;
+  const COVERING_THK_MM = 2;
+  const osbOutOffset_mm = memberD_mm + OSB_CLEAR_MM;           // rafter line -> OSB underside
+  const coveringOutOffset_mm = osbOutOffset_mm + OSB_THK_MM;   // rafter line -> covering underside
+
+  const joistMat = materials && materials.timber ? materials.timber : null;
+
+  const osbMat = (() => {
+    try {
+      if (scene._roofOsbMat) return scene._roofOsbMat;
+      const m = new BABYLON.StandardMaterial("roofOsbMat", scene);
+      m.diffuseColor = new BABYLON.Color3(0.75, 0.62, 0.45);
+      scene._roofOsbMat = m;
+      return m;
+    } catch (e) {
+      return null;
+    }
+  })();
+
+  const coveringMat = (() => {
+    try {
+      if (scene._roofCoveringMat) return scene._roofCoveringMat;
+      const m = new BABYLON.StandardMaterial("roofCoveringMat", scene);
+      m.diffuseColor = new BABYLON.Color3(0.1, 0.1, 0.1); // Black
+      scene._roofCoveringMat = m;
+      return m;
+    } catch (e) {
+      return null;
+    }
+  })();
+
+  function mkBoxBottomLocal(name, Lx_mm, Ly_mm, Lz_mm, x_mm, yBottom_m, z_mm, parentNode, mat, meta) {
+    const mesh = BABYLON.MeshBuilder.CreateBox(
+      name,
+      { width: Lx_mm / 1000, height: Ly_mm / 1000, depth: Lz_mm / 1000 },
+      scene
+    );
+    mesh.position = new BABYLON.Vector3(
+      (x_mm + Lx_mm / 2) / 1000,
+      yBottom_m + (Ly_mm / 2) / 1000,
+      (z_mm + Lz_mm / 2) / 1000
+    );
+    mesh.material = mat;
+    mesh.metadata = Object.assign({ dynamic: true, sectionId: sectionId || null }, meta || {});
+    if (parentNode) mesh.parent = parentNode;
+    return mesh;
+  }
+
+  function mkBoxCenteredLocal(name, Lx_mm, Ly_mm, Lz_mm, cx_mm, cy_mm, cz_mm, parentNode, mat, meta) {
+    const mesh = BABYLON.MeshBuilder.CreateBox(
+      name,
+      { width: Lx_mm / 1000, height: Ly_mm / 1000, depth: Lz_mm / 1000 },
+      scene
+    );
+    mesh.position = new BABYLON.Vector3(cx_mm / 1000, cy_mm / 1000, cz_mm / 1000);
+    mesh.material = mat;
+    mesh.metadata = Object.assign({ dynamic: true, sectionId: sectionId || null }, meta || {});
+    if (parentNode) mesh.parent = parentNode;
+    return mesh;
+  }
+
+  const roofRoot = new BABYLON.TransformNode(`${meshPrefix}roof-root`, scene);
+  roofRoot.metadata = { dynamic: true, sectionId: sectionId || null };
+  roofRoot.position = new BABYLON.Vector3(sectionPos.x / 1000, sectionPos.y / 1000, sectionPos.z / 1000);
+  roofRoot.rotationQuaternion = BABYLON.Quaternion.Identity();
+
+  const planes = gambrelPlanes(prof, A_mm, memberD_mm);
+  const kneeY_mm = planes[0].yTop;
+  const ridgeY_mm = planes[1].yTop;
+  const upperAng = planes[1].ang;
+
+  // Point `a_mm` down a plane from its top edge, pushed `out_mm` along the outward normal
+  function planePoint(pl, a_mm, out_mm) {
+    const c = Math.cos(pl.ang);
+    const s = Math.sin(pl.ang);
+    return {
+      x: pl.xTop + pl.dir * (a_mm * c + s * out_mm),
+      y: pl.yTop - a_mm * s + c * out_mm
+    };
+  }
+
+  // Box lying in a plane: aLen down the slope, thk along the normal (underside at out_mm), bLen along Z
+  function mkPlaneBox(name, pl, a0_mm, aLen_mm, thk_mm, out_mm, b0_mm, bLen_mm, mat, meta) {
+    const c = planePoint(pl, a0_mm + aLen_mm / 2, out_mm + thk_mm / 2);
+    const mesh = mkBoxCenteredLocal(name, aLen_mm, thk_mm, bLen_mm, c.x, c.y, b0_mm + bLen_mm / 2, roofRoot, mat, meta);
+    mesh.rotation = new BABYLON.Vector3(0, 0, -pl.dir * pl.ang);
+    return mesh;
+  }
+
+  if (roofParts.structure) {
+    const trussPos = gambrelTrussPositions(state, dims, memberW_mm);
+    const gussets = gambrelGussetShapes(prof, A_mm, memberD_mm);
+    const collarLen_mm = Math.max(1, A_mm - 2 * prof.lowerRun_mm);
+
+    for (let i = 0; i < trussPos.length; i++) {
+      const tr = new BABYLON.TransformNode(`${meshPrefix}roof-truss-${i}`, scene);
+      tr.metadata = { dynamic: true, sectionId: sectionId || null };
+      tr.parent = roofRoot;
+      tr.position = new BABYLON.Vector3(0, 0, trussPos[i] / 1000);
+
+      // Tie beam across the full span at y=0
+      mkBoxBottomLocal(
+        `${meshPrefix}roof-truss-${i}-tie`,
+        A_mm, memberD_mm, memberW_mm,
+        0, 0, 0,
+        tr, joistMat,
+        { roof: "gambrel", part: "truss", member: "tie" }
+      );
+
+      // Rafters: top face on the rafter line, so purlins sit directly on them
+      for (let p = 0; p < planes.length; p++) {
+        const pl = planes[p];
+        const c = planePoint(pl, pl.len / 2, -memberD_mm / 2);
+        const rafter = mkBoxCenteredLocal(
+          `${meshPrefix}roof-truss-${i}-rafter-${pl.side}`,
+          pl.len, memberD_mm, memberW_mm,
+          c.x, c.y, memberW_mm / 2,
+          tr, joistMat,
+          { roof: "gambrel", part: "truss", member: "rafter" + pl.side }
+        );
+        rafter.rotation = new BABYLON.Vector3(0, 0, -pl.dir * pl.ang);
+      }
+
+      // Collar tie between the knees, tucked under the rafters
+      mkBoxBottomLocal(
+        `${meshPrefix}roof-truss-${i}-collar`,
+        collarLen_mm, memberD_mm, memberW_mm,
+        prof.lowerRun_mm, (kneeY_mm - 2 * memberD_mm) / 1000, 0,
+        tr, joistMat,
+        { roof: "gambrel", part: "truss", member: "collar" }
+      );
+
+      // Ply gussets on both faces of every joint
+      for (let k = 0; k < gussets.length; k++) {
+        const gs = gussets[k];
+        const shape = gs.pts.map((pt) => new BABYLON.Vector3(pt[0] / 1000, pt[1] / 1000, 0));
+        shape.push(shape[0].clone());
+        const faces = [-GAMBREL_GUSSET_THK_MM, memberW_mm];
+        for (let fi = 0; fi < faces.length; fi++) {
+          const z0 = faces[fi];
+          const gusset = BABYLON.MeshBuilder.ExtrudeShape(
+            `${meshPrefix}roof-truss-${i}-gusset-${gs.joint}-${fi === 0 ? "front" : "back"}`,
+            {
+              shape: shape,
+              path: [
+                new BABYLON.Vector3(0, 0, z0 / 1000),
+                new BABYLON.Vector3(0, 0, (z0 + GAMBREL_GUSSET_THK_MM) / 1000)
+              ],
+              cap: BABYLON.Mesh.CAP_ALL,
+              sideOrientation: BABYLON.Mesh.DOUBLESIDE
+            },
+            scene
+          );
+          gusset.material = osbMat;
+          gusset.metadata = { dynamic: true, sectionId: sectionId || null, roof: "gambrel", part: "truss", member: "gusset", joint: gs.joint };
+          gusset.parent = tr;
+        }
+      }
+    }
+
+    // Purlins: sit on the rafter line, rotated to their plane
+    const purlinOutOffset_mm = (memberD_mm / 2) + 1;
+    for (let p = 0; p < planes.length; p++) {
+      const pl = planes[p];
+      const stations = gambrelPurlinStations(pl, memberW_mm);
+      for (let s = 0; s < stations.length; s++) {
+        const c = planePoint(pl, stations[s], purlinOutOffset_mm);
+        const purlin = mkBoxCenteredLocal(
+          `${meshPrefix}roof-purlin-${pl.side}-${s}`,
+          memberW_mm, memberD_mm, B_mm,
+          c.x, c.y, B_mm / 2,
+          roofRoot, joistMat,
+          { roof: "gambrel", part: "purlin", side: pl.side }
+        );
+        purlin.rotation = new BABYLON.Vector3(0, 0, -pl.dir * pl.ang);
+      }
+    }
+  }
+
+  if (roofParts.osb) {
+    // 8x4 sheets per plane: 1220mm down the slope, 2440mm along the ridge (same as apex)
+    for (let p = 0; p < planes.length; p++) {
+      const pl = planes[p];
+      const pieces = computeOsbPiecesForSlope(pl.len, B_mm, 1220, 2440);
+      let holes = [];
+      try { holes = getSkylightOpenings(state, pl.side) || []; } catch (e) { /* safe fallback */ }
+
+      let osbIdx = 0;
+      for (let i = 0; i < pieces.length; i++) {
+        const subPieces = splitRectAroundHoles(pieces[i], holes);
+        for (let j = 0; j < subPieces.length; j++) {
+          const sp = subPieces[j];
+          const mesh = mkPlaneBox(
+            `${meshPrefix}roof-gambrel-osb-${pl.side}-${osbIdx++}`,
+            pl, sp.a0_mm, sp.aLen_mm, OSB_THK_MM, osbOutOffset_mm, sp.b0_mm, sp.bLen_mm,
+            osbMat,
+            { roof: "gambrel", part: "osb", side: pl.side, kind: sp.kind || pieces[i].kind }
+          );
+          if (mesh && mesh.enableEdgesRendering) {
+            mesh.enableEdgesRendering();
+            mesh.edgesWidth = 3;
+            mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+          }
+        }
+      }
+    }
+  }
+
+  const FASCIA_THK_MM = 20;
+  const FASCIA_DEPTH_MM = 135;
+  const SOFFIT_THK_MM = 12;
+
+  if (roofParts.covering) {
+    const FOLD_DOWN_MM = 100;
+    const TOP_OVERLAP_MM = 20; // Run past the knee/ridge so neighbouring planes meet without a gap
+
+    for (let p = 0; p < planes.length; p++) {
+      const pl = planes[p];
+      const rotZ = -pl.dir * pl.ang;
+      let holes = [];
+      try { holes = getSkylightOpenings(state, pl.side) || []; } catch (e) { /* safe */ }
+
+      const mainRect = { a0_mm: -TOP_OVERLAP_MM, b0_mm: 0, aLen_mm: pl.len + TOP_OVERLAP_MM, bLen_mm: B_mm };
+      const pieces = splitRectAroundHoles(mainRect, holes);
+      for (let i = 0; i < pieces.length; i++) {
+        mkPlaneBox(
+          `${meshPrefix}roof-covering-${pl.side}-${i}`,
+          pl, pieces[i].a0_mm, pieces[i].aLen_mm, COVERING_THK_MM, coveringOutOffset_mm, pieces[i].b0_mm, pieces[i].bLen_mm,
+          coveringMat,
+          { roof: "gambrel", part: "covering", side: pl.side }
+        );
+      }
+
+      // Verge folds hang down over the gable ends of the purlins
+      const vergeMid = planePoint(pl, (pl.len - TOP_OVERLAP_MM) / 2, coveringOutOffset_mm + COVERING_THK_MM / 2 - FOLD_DOWN_MM / 2);
+      const verges = [["front", -(COVERING_THK_MM / 2)], ["back", B_mm + (COVERING_THK_MM / 2)]];
+      for (let v = 0; v < verges.length; v++) {
+        const verge = mkBoxCenteredLocal(
+          `${meshPrefix}roof-covering-${pl.side}-verge-${verges[v][0]}`,
+          pl.len + TOP_OVERLAP_MM, FOLD_DOWN_MM, COVERING_THK_MM,
+          vergeMid.x, vergeMid.y, verges[v][1],
+          roofRoot, coveringMat,
+          { roof: "gambrel", part: "covering-verge", side: pl.side, edge: verges[v][0] }
+        );
+        verge.rotation = new BABYLON.Vector3(0, 0, rotZ);
+      }
+
+      // Eaves fold (lower planes only): hangs straight down from the outer edge of the OSB
+      if (pl.tier === "lower") {
+        const osbTop = planePoint(pl, pl.len, osbOutOffset_mm + OSB_THK_MM);
+        mkBoxCenteredLocal(
+          `${meshPrefix}roof-covering-${pl.side}-eaves`,
+          COVERING_THK_MM, FOLD_DOWN_MM, B_mm,
+          osbTop.x + pl.dir * (COVERING_THK_MM / 2), osbTop.y - FOLD_DOWN_MM / 2, B_mm / 2,
+          roofRoot, coveringMat,
+          { roof: "gambrel", part: "covering-eaves", side: pl.side }
+        );
+      }
+    }
+
+    // Fascia and barge boards (20 x 135mm)
+    const fasciaMat = scene._fasciaMat || joistMat;
+
+    for (let p = 0; p < planes.length; p++) {
+      const pl = planes[p];
+
+      if (pl.tier === "lower") {
+        // Eaves fascia: top flush with the OSB, deep enough to hide the tie ends and the soffit edge
+        const osbTop = planePoint(pl, pl.len, osbOutOffset_mm + OSB_THK_MM);
+        const depth_mm = Math.max(FASCIA_DEPTH_MM, Math.ceil(osbTop.y + SOFFIT_THK_MM));
+        mkBoxCenteredLocal(
+          `${meshPrefix}roof-fascia-eaves-${pl.side}`,
+          FASCIA_THK_MM, depth_mm, B_mm,
+          osbTop.x + pl.dir * (FASCIA_THK_MM / 2), osbTop.y - depth_mm / 2, B_mm / 2,
+          roofRoot, fasciaMat,
+          { roof: "gambrel", part: "fascia", side: pl.side, edge: "eaves" }
+        );
+      }
+
+      const bargeMid = planePoint(pl, pl.len / 2, osbOutOffset_mm + OSB_THK_MM - FASCIA_DEPTH_MM / 2);
+      const barges = [["front", -FASCIA_THK_MM / 2], ["back", B_mm + FASCIA_THK_MM / 2]];
+      for (let v = 0; v < barges.length; v++) {
+        const barge = mkBoxCenteredLocal(
+          `${meshPrefix}roof-fascia-barge-${pl.side}-${barges[v][0]}`,
+          pl.len, FASCIA_DEPTH_MM, FASCIA_THK_MM,
+          bargeMid.x, bargeMid.y, barges[v][1],
+          roofRoot, fasciaMat,
+          { roof: "gambrel", part: "fascia", side: pl.side, edge: "barge-" + barges[v][0] }
+        );
+        barge.rotation = new BABYLON.Vector3(0, 0, -pl.dir * pl.ang);
+      }
+    }
+
+    // Diamond caps over the barge joint at the ridge
+    {
+      const DIAMOND_SIZE_MM = 120;
+      const DIAMOND_THK_MM = 20;
+      const cosU = Math.cos(upperAng);
+      const ridgeTopY_mm = ridgeY_mm + cosU * (osbOutOffset_mm + OSB_THK_MM);
+      const diamondY_mm = ridgeTopY_mm - (FASCIA_DEPTH_MM / 2) * cosU + DIAMOND_SIZE_MM / 2;
+      const ends = [["front", -DIAMOND_THK_MM / 2], ["back", B_mm + DIAMOND_THK_MM / 2]];
+      for (let v = 0; v < ends.length; v++) {
+        const diamond = mkBoxCenteredLocal(
+          `${meshPrefix}roof-fascia-diamond-${ends[v][0]}`,
+          DIAMOND_SIZE_MM, DIAMOND_SIZE_MM, DIAMOND_THK_MM,
+          halfSpan_mm, diamondY_mm, ends[v][1],
+          roofRoot, fasciaMat,
+          { roof: "gambrel", part: "fascia", edge: "diamond-" + ends[v][0] }
+        );
+        diamond.rotation = new BABYLON.Vector3(0, 0, Math.PI / 4);
+      }
+    }
+  }
+
+  // ---- GAMBREL SOFFIT BOARDS (12mm cladding board under the overhangs) ----
+  {
+    const showSoffits = (state?.roof?.soffits !== false);
+    if (showSoffits && (l_mm > 0 || r_mm > 0 || f_mm > 0 || b_mm > 0)) {
+      if (!scene._soffitMat && !scene._claddingMatLight) {
+        const m = new BABYLON.StandardMaterial("claddingMatLight", scene);
+        m.diffuseColor = new BABYLON.Color3(0.85, 0.72, 0.55);
+        m.emissiveColor = new BABYLON.Color3(0.17, 0.14, 0.11);
+        m.specularColor = new BABYLON.Color3(0.02, 0.02, 0.02);
+        m.specularPower = 16;
+        scene._claddingMatLight = m;
+      }
+      const soffitMat = scene._soffitMat || scene._claddingMatLight;
+
+      // Eaves soffits close the underside of the tie ends, from the wall line out to the fascia
+      const eavesY_mm = -SOFFIT_THK_MM / 2;
+      const eavesOut_mm = Math.max(0, -planePoint(planes[0], planes[0].len, osbOutOffset_mm + OSB_THK_MM).x);
+      if (l_mm > 0) {
+        const w_mm = l_mm + eavesOut_mm;
+        mkBoxCenteredLocal(
+          `${meshPrefix}roof-soffit-eaves-L`,
+          w_mm, SOFFIT_THK_MM, B_mm,
+          l_mm - w_mm / 2, eavesY_mm, B_mm / 2,
+          roofRoot, soffitMat,
+          { roof: "gambrel", part: "soffit", edge: "eaves-L" }
+        );
+      }
+      if (r_mm > 0) {
+        const w_mm = r_mm + eavesOut_mm;
+        mkBoxCenteredLocal(
+          `${meshPrefix}roof-soffit-eaves-R`,
+          w_mm, SOFFIT_THK_MM, B_mm,
+          A_mm - r_mm + w_mm / 2, eavesY_mm, B_mm / 2,
+          roofRoot, soffitMat,
+          { roof: "gambrel", part: "soffit", edge: "eaves-R" }
+        );
+      }
+
+      // Gable soffits: one sloped panel per plane under the purlin overhang at each gable
+      const gableEnds = [["front", f_mm, f_mm / 2], ["back", b_mm, B_mm - b_mm / 2]];
+      for (let e = 0; e < gableEnds.length; e++) {
+        const label = gableEnds[e][0];
+        const ovhDepth_mm = gableEnds[e][1];
+        if (ovhDepth_mm <= 0) continue;
+        for (let p = 0; p < planes.length; p++) {
+          const pl = planes[p];
+          mkPlaneBox(
+            `${meshPrefix}roof-soffit-gable-${label}-${pl.side}`,
+            pl, 0, pl.len, SOFFIT_THK_MM, -SOFFIT_THK_MM, gableEnds[e][2] - ovhDepth_mm / 2, ovhDepth_mm,
+            soffitMat,
+            { roof: "gambrel", part: "soffit", edge: `gable-${label}-${pl.side}` }
+          );
+        }
+      }
+    }
+  }
+
+  // === FINAL POSITIONING ===
+  // Same rule as hipped: align the plan to the overhangs, then put the tie underside at the
+  // eaves height. shiftRoofMeshes() in index.js adds WALL_RISE_MM to every roof mesh.
+  const WALL_RISE_MM = 168;
+  roofRoot.position.x = (-l_mm) / 1000;
+  roofRoot.position.z = (-f_mm) / 1000;
+  roofRoot.position.y = (prof.eaves_mm - WALL_RISE_MM) / 1000;
+
+  console.log(`[GAMBREL_ROOF] Built gambrel roof: ${A_mm}mm x ${B_mm}mm`);
+  console.log(`[GAMBREL_ROOF] eaves=${prof.eaves_mm}mm knee=${prof.knee_mm}mm crest=${prof.crest_mm}mm pitches=${prof.lowerPitch_deg}/${prof.upperPitch_deg}`);
+}
+
+/**
+ * The four roof planes of a gambrel in roof-local mm (see buildGambrel), lower planes first on each side.
+ * xTop/yTop is the top edge of the plane on the rafter line; dir is -1 for planes facing left, +1 right.
+ * @param {Object} prof - Result of resolveGambrelProfile()
+ * @param {number} A_mm - Roof width (span)
+ * @param {number} memberD_mm - Truss member depth (the tie top is the rafter line at the eaves)
+ * @returns {Array<{side: string, tier: string, xTop: number, yTop: number, ang: number, len: number, dir: number}>}
+ * @private
+ */
+function gambrelPlanes(prof, A_mm, memberD_mm) {
+  const lowerAng = Math.atan2(prof.lowerRise_mm, prof.lowerRun_mm);
+  const upperAng = Math.atan2(prof.upperRise_mm, prof.upperRun_mm);
+  const kneeY_mm = memberD_mm + prof.lowerRise_mm;
+  const ridgeY_mm = kneeY_mm + prof.upperRise_mm;
+  return [
+    { side: "L", tier: "lower", xTop: prof.lowerRun_mm, yTop: kneeY_mm, ang: lowerAng, len: prof.lowerLen_mm, dir: -1 },
+    { side: "LU", tier: "upper", xTop: A_mm / 2, yTop: ridgeY_mm, ang: upperAng, len: prof.upperLen_mm, dir: -1 },
+    { side: "RU", tier: "upper", xTop: A_mm / 2, yTop: ridgeY_mm, ang: upperAng, len: prof.upperLen_mm, dir: 1 },
+    { side: "R", tier: "lower", xTop: A_mm - prof.lowerRun_mm, yTop: kneeY_mm, ang: lowerAng, len: prof.lowerLen_mm, dir: 1 }
+  ];
+}
+
+/**
+ * Gambrel truss positions along the ridge axis: trussCount evenly spaced over the frame depth
+ * (first and last flush with the gable walls), else @600mm like apex.
+ * @private
+ */
+function gambrelTrussPositions(state, dims, memberW_mm) {
+  const ovh = (dims && dims.overhang) ? dims.overhang : { f_mm: 0 };
+  const f_mm = Math.max(0, Math.floor(Number(ovh.f_mm || 0)));
+  const frameD_mm = Math.max(1, Math.floor(Number(dims?.frame?.d_mm ?? 1)));
+
+  const minP = f_mm;
+  const maxP = Math.max(minP, Math.floor(f_mm + frameD_mm - memberW_mm));
+  const n = Math.floor(Number(state?.roof?.gambrel?.trussCount));
+
+  const pos = [];
+  if (Number.isFinite(n) && n >= 2) {
+    for (let i = 0; i < n; i++) pos.push(i === n - 1 ? maxP : Math.round(minP + ((maxP - minP) * i) / (n - 1)));
+  } else {
+    for (let p = minP; p <= maxP; p += 600) pos.push(p);
+    if (pos[pos.length - 1] !== maxP) pos.push(maxP);
+  }
+  return pos;
+}
+
+/**
+ * Purlin stations on one gambrel plane, as distances down the plane from its top edge:
+ * against the top edge, then 609mm centres, always ending flush with the bottom edge.
+ * Lower planes skip the top station because the upper plane's bottom purlin sits on the knee.
+ * @private
+ */
+function gambrelPurlinStations(pl, memberW_mm) {
+  const PURLIN_STEP_MM = 609;
+  const half = memberW_mm / 2;
+  const bottom = Math.max(Math.round(half), Math.round(pl.len - half));
+  const out = (pl.tier === "lower") ? [] : [Math.round(half)];
+  for (let s = half + PURLIN_STEP_MM; s < bottom; s += PURLIN_STEP_MM) out.push(Math.round(s));
+  if (out[out.length - 1] !== bottom) out.push(bottom);
+  return out;
+}
+
+/**
+ * Gusset plate outlines in truss-local mm (X across the span, Y up from the tie underside):
+ * one per heel, knee and the ridge. Each is built on both faces of the truss.
+ * @returns {Array<{joint: string, pts: Array<Array<number>>}>}
+ * @private
+ */
+function gambrelGussetShapes(prof, A_mm, memberD_mm) {
+  const G = GAMBREL_GUSSET_LEG_MM;
+  const [lower, upper] = gambrelPlanes(prof, A_mm, memberD_mm);
+  const cL = Math.cos(lower.ang), sL = Math.sin(lower.ang);
+  const cU = Math.cos(upper.ang), sU = Math.sin(upper.ang);
+  const kx = lower.xTop, ky = lower.yTop;
+  const rx = upper.xTop, ry = upper.yTop;
+
+  const heel = [[0, 0], [G, 0], [G * cL, memberD_mm + G * sL], [0, memberD_mm]];
+  const knee = [[kx - G * cL, ky - G * sL], [kx, ky], [kx + G * cU, ky + G * sU], [kx + G / 2, ky - G]];
+  const mirror = (pts) => pts.map((pt) => [A_mm - pt[0], pt[1]]);
+
+  return [
+    { joint: "heel-L", pts: heel },
+    { joint: "heel-R", pts: mirror(heel) },
+    { joint: "knee-L", pts: knee },
+    { joint: "knee-R", pts: mirror(knee) },
+    { joint: "ridge", pts: [[rx - G * cU, ry - G * sU], [rx, ry], [rx + G * cU, ry - G * sU], [rx, ry - G * sU - memberD_mm * 1.5]] }
+  ];
+}
+
+/**
+ * Updates the Bill of Materials (BOM) for gambrel roof components.
+ * Quantities follow buildGambrel(): trusses, purlin stations and OSB pieces per plane.
+ * @param {Object} state - Building state object
+ * @param {Array<Array<string>>} rows5 - Output rows (see appendRow5)
+ * @private
+ */
+function updateBOM_Gambrel(state, rows5) {
+  const dims = resolveDims(state);
+
+  const A_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? 1)));
+  const B_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? 1)));
+
+  const g = getRoofFrameGauge(state);
+  const memberW_mm = Math.max(1, Math.floor(Number(g.thickness_mm)));
+  const memberD_mm = Math.max(1, Math.floor(Number(g.depth_mm)));
+  const depthNote = "D (mm): " + String(memberD_mm);
+
+  const prof = resolveGambrelProfile(state);
+  const planes = gambrelPlanes(prof, A_mm, memberD_mm);
+  const trussQty = gambrelTrussPositions(state, dims, memberW_mm).length;
+  const collarLen_mm = Math.round(A_mm - 2 * prof.lowerRun_mm);
+
+  const rows = [];
+
+  rows.push({
+    item: "Roof Truss (assembly)",
+    qty: trussQty,
+    L: B_mm,
+    W: A_mm,
+    notes: "gambrel; pitches " + String(prof.lowerPitch_deg) + "°/" + String(prof.upperPitch_deg) + "°; knee_mm=" + String(prof.knee_mm),
+  });
+  rows.push({ item: "Truss Tie (bottom chord)", qty: trussQty, L: A_mm, W: memberW_mm, notes: depthNote });
+  rows.push({ item: "Truss Rafter (lower)", qty: trussQty * 2, L: prof.lowerLen_mm, W: memberW_mm, notes: depthNote });
+  rows.push({ item: "Truss Rafter (upper)", qty: trussQty * 2, L: prof.upperLen_mm, W: memberW_mm, notes: depthNote });
+  rows.push({ item: "Collar Tie", qty: trussQty, L: collarLen_mm, W: memberW_mm, notes: depthNote });
+
+  // Gussets: bounding rectangle of each plate, both faces of every truss
+  const gussetGroups = {};
+  const shapes = gambrelGussetShapes(prof, A_mm, memberD_mm);
+  for (let i = 0; i < shapes.length; i++) {
+    const xs = shapes[i].pts.map((pt) => pt[0]);
+    const ys = shapes[i].pts.map((pt) => pt[1]);
+    const L = Math.ceil(Math.max.apply(null, xs) - Math.min.apply(null, xs));
+    const W = Math.ceil(Math.max.apply(null, ys) - Math.min.apply(null, ys));
+    const joint = shapes[i].joint.replace(/-[LR]$/, "");
+    const key = `${L}x${W}|${joint}`;
+    if (!gussetGroups[key]) gussetGroups[key] = { qty: 0, L: L, W: W, joint: joint };
+    gussetGroups[key].qty += trussQty * 2;
+  }
+  Object.keys(gussetGroups).sort().forEach((key) => {
+    const gg = gussetGroups[key];
+    rows.push({ item: "Truss Gusset", qty: gg.qty, L: gg.L, W: gg.W, notes: "12mm ply; " + gg.joint + "; both faces" });
+  });
+
+  let purlinQty = 0;
+  for (let p = 0; p < planes.length; p++) purlinQty += gambrelPurlinStations(planes[p], memberW_mm).length;
+  rows.push({ item: "Purlin", qty: purlinQty, L: B_mm, W: memberW_mm, notes: depthNote + "; step=609mm" });
+
+  // OSB per plane (same sheet layout as buildGambrel); both sides of each tier are identical
+  const SHEET_SHORT = 1220;
+  const SHEET_LONG = 2440;
+  const osbGroups = {};
+  for (let p = 0; p < planes.length; p++) {
+    const pl = planes[p];
+    if (pl.dir > 0) continue;
+    const pieces = computeOsbPiecesForSlope(pl.len, B_mm, SHEET_SHORT, SHEET_LONG);
+    for (let i = 0; i < pieces.length; i++) {
+      const pc = pieces[i];
+      const key = `${pl.tier}|${pc.aLen_mm}x${pc.bLen_mm}|${pc.kind}`;
+      if (!osbGroups[key]) osbGroups[key] = { qty: 0, L: pc.aLen_mm, W: pc.bLen_mm, tier: pl.tier };
+      osbGroups[key].qty += 2;
+    }
+  }
+  Object.keys(osbGroups).sort().forEach((key) => {
+    const og = osbGroups[key];
+    const isStd = (og.L === SHEET_SHORT && og.W === SHEET_LONG) || (og.L === SHEET_LONG && og.W === SHEET_SHORT);
+    rows.push({
+      item: "Roof OSB",
+      qty: og.qty,
+      L: og.L,
+      W: og.W,
+      notes: "18mm OSB; " + (isStd ? "standard sheet" : "rip/trim cut") + "; gambrel " + og.tier,
+    });
+  });
+
+  if (state?.roof?.soffits !== false) {
+    const ovh = dims?.overhang || { l_mm: 0, r_mm: 0, f_mm: 0, b_mm: 0 };
+    const ol = Math.max(0, Math.floor(Number(ovh.l_mm || 0)));
+    const or_ = Math.max(0, Math.floor(Number(ovh.r_mm || 0)));
+    const of_ = Math.max(0, Math.floor(Number(ovh.f_mm || 0)));
+    const ob = Math.max(0, Math.floor(Number(ovh.b_mm || 0)));
+
+    if (ol > 0) rows.push({ item: "Soffit Board", qty: 1, L: B_mm, W: ol, notes: "12mm; left eaves" });
+    if (or_ > 0) rows.push({ item: "Soffit Board", qty: 1, L: B_mm, W: or_, notes: "12mm; right eaves" });
+    // Gable soffits: one sloped panel per plane (lower + upper each side)
+    if (of_ > 0) {
+      rows.push({ item: "Soffit Board", qty: 2, L: prof.lowerLen_mm, W: of_, notes: "12mm; front gable lower (L+R)" });
+      rows.push({ item: "Soffit Board", qty: 2, L: prof.upperLen_mm, W: of_, notes: "12mm; front gable upper (L+R)" });
+    }
+    if (ob > 0) {
+      rows.push({ item: "Soffit Board", qty: 2, L: prof.lowerLen_mm, W: ob, notes: "12mm; back gable lower (L+R)" });
+      rows.push({ item: "Soffit Board", qty: 2, L: prof.upperLen_mm, W: ob, notes: "12mm; back gable upper (L+R)" });
+    }
+  }
+
+  rows.sort((a, b) => String(a.item).localeCompare(String(b.item)));
+
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    appendRow5(rows5, [r.item, String(r.qty), String(r.L), String(r.W), r.notes || ""]);
+  }
+
+  // Total frame timber (ties, rafters, collars and purlins; gussets and OSB are sheet goods)
+  const FRAME_STOCK_LENGTH = 6200;
+  let totalFrameLength_mm = 0;
+  totalFrameLength_mm += trussQty * A_mm;
+  totalFrameLength_mm += trussQty * 2 * (prof.lowerLen_mm + prof.upperLen_mm);
+  totalFrameLength_mm += trussQty * collarLen_mm;
+  totalFrameLength_mm += purlinQty * B_mm;
+
+  const totalFrameStockPieces = Math.ceil(totalFrameLength_mm / FRAME_STOCK_LENGTH);
+  appendRow5(rows5, [
+    "TOTAL FRAME",
+    String(totalFrameStockPieces),
+    String(FRAME_STOCK_LENGTH),
+    "",
+    `Total: ${Math.round(totalFrameLength_mm / 1000 * 10) / 10}m linear; ${totalFrameStockPieces} × ${FRAME_STOCK_LENGTH}mm lengths`
+  ]);
+
+  if (!rows.length) appendPlaceholderRow(rows5, "Roof cutting list not yet generated.");
 }
 
 /* ------------------------------ Shared helpers ------------------------------ */
@@ -5153,34 +5943,23 @@ function getRoofParts(state) {
 }
 
 /**
- * Appends a row with 5 columns to a table body element.
- * @param {HTMLTableSectionElement} tbody - Target table body
+ * Appends a row with 5 columns to the roof BOM output.
+ * @param {Array<Array<string>>} rows5 - Output rows
  * @param {Array<string>} cols - Array of 5 cell values
  * @private
  */
-function appendRow5(tbody, cols) {
-  const tr = document.createElement("tr");
-  for (let i = 0; i < cols.length; i++) {
-    const td = document.createElement("td");
-    td.textContent = cols[i] == null ? "" : String(cols[i]);
-    tr.appendChild(td);
-  }
-  tbody.appendChild(tr);
+function appendRow5(rows5, cols) {
+  rows5.push(cols.map((c) => (c == null ? "" : String(c))));
 }
 
 /**
- * Appends a placeholder row spanning all 5 columns.
- * @param {HTMLTableSectionElement} tbody - Target table body
+ * Appends a placeholder row (rendered spanning all 5 columns).
+ * @param {Array<Array<string>>} rows5 - Output rows
  * @param {string} msg - Message to display
  * @private
  */
-function appendPlaceholderRow(tbody, msg) {
-  const tr = document.createElement("tr");
-  const td = document.createElement("td");
-  td.colSpan = 5;
-  td.textContent = String(msg || "");
-  tr.appendChild(td);
-  tbody.appendChild(tr);
+function appendPlaceholderRow(rows5, msg) {
+  rows5.push([String(msg || "")]);
 }
 
 /**
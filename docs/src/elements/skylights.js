@@ -6,14 +6,15 @@
  *   x_mm = distance from left wall along eaves direction
  *   y_mm = distance up from wall plate along the slope
  *
- * Supports apex (front/back), pent (single face), and hipped (all four faces).
+ * Supports apex (front/back), pent (single face), hipped (all four faces) and
+ * gambrel (lower front/back plus the upper front-upper/back-upper planes).
  *
  * All dimensions in millimeters.
  *
  * @module elements/skylights
  */
 
-import { CONFIG, resolveDims } from "../params.js";
+import { CONFIG, resolveDims, resolveGambrelProfile } from "../params.js";
 
 // ── Constants ──────────────────────────────────────────────────────────────
 const FRAME_THK_MM  = 35;   // Frame section thickness
@@ -49,7 +50,8 @@ function clampSkylightToSlope(skyY_mm, skyH_mm, slopeLen) {
  *   b = distance along ridge from front edge (0 = front verge)
  *
  * @param {Object} state - Building state
- * @param {string} side  - "L" (front/left slope) or "R" (back/right slope)
+ * @param {string} side  - "L" (front/left slope) or "R" (back/right slope);
+ *                         gambrel upper planes are "LU" / "RU"
  * @returns {Array<{a0_mm: number, b0_mm: number, aLen_mm: number, bLen_mm: number}>}
  */
 export function getSkylightOpenings(state, side) {
@@ -188,6 +190,40 @@ export function getSkylightOpenings(state, side) {
     return openings;
   }
 
+  // ── GAMBREL ROOF ──
+  // Four planes: lower L/R (faces front/back) and upper LU/RU (faces front-upper/back-upper).
+  // y_mm is measured up each plane from its own bottom edge (eaves or knee).
+  if (roofStyle === "gambrel") {
+    const faceBySide = { L: "front", R: "back", LU: "front-upper", RU: "back-upper" };
+    const wantFace = faceBySide[side];
+    if (!wantFace) return [];
+
+    const prof = resolveGambrelProfile(state);
+    const slopeLen_mm = (side === "LU" || side === "RU") ? prof.upperLen_mm : prof.lowerLen_mm;
+
+    const openings = [];
+    for (const sky of active) {
+      if ((sky.face || "front") !== wantFace) continue;
+
+      const skyX_mm = Math.max(0, Math.floor(sky.x_mm || 0));
+      const rawY = Math.max(0, Math.floor(sky.y_mm || 300));
+      const skyW_mm = Math.max(100, Math.floor(sky.width_mm || 600));
+      const rawH = Math.max(100, Math.floor(sky.height_mm || 800));
+
+      const clamped = clampSkylightToSlope(rawY, rawH, slopeLen_mm);
+      if (clamped.h < 50) continue;
+
+      // Same slope-local coords as apex: a from the top edge of the plane, b from the front verge
+      openings.push({
+        a0_mm: Math.max(0, slopeLen_mm - (clamped.y + clamped.h)),
+        b0_mm: f_mm + skyX_mm,
+        aLen_mm: clamped.h,
+        bLen_mm: skyW_mm
+      });
+    }
+    return openings;
+  }
+
   // ── APEX ROOF ──
   if (roofStyle !== "apex") return [];
 
@@ -314,6 +350,9 @@ export function build3D(state, ctx, sectionCtx, roofShift) {
   } else if (roofStyle === "hipped") {
     buildHippedSkylights(active, state, scene, dims, meshPrefix, sectionPos, sectionId, mats,
       frameW_mm, frameD_mm, roofW_mm, roofD_mm, l_mm, r_mm, f_mm, b_mm, roofRoot);
+  } else if (roofStyle === "gambrel") {
+    buildGambrelSkylights(active, state, scene, meshPrefix, sectionPos, sectionId, mats,
+      roofW_mm, f_mm, roofRoot);
   }
 
   // ── Cut openings through roof surfaces (OSB + covering) ──
@@ -612,6 +651,71 @@ function buildHippedSkylights(skylights, state, scene, dims, meshPrefix, section
   });
 }
 
+// ════════════════════════════════════════════════════════════════════════════
+// GAMBREL SKYLIGHTS
+// ════════════════════════════════════════════════════════════════════════════
+
+function buildGambrelSkylights(skylights, state, scene, meshPrefix, sectionPos, sectionId, mats,
+    roofW_mm, f_mm, roofRoot) {
+
+  // Gambrel planes are built exactly (no empirical offsets): the rafter line starts on top of
+  // the tie at the eaves, rises lowerRise to the knee, then upperRise to the ridge.
+  // Trusses stand on edge, so the rafter depth is the frame depth.
+  const A_mm = roofW_mm;
+  const prof = resolveGambrelProfile(state);
+  const memberD = Math.floor(Number(state.frame?.depth_mm) || Number(CONFIG.timber?.d) || 100);
+  const OSB_THK = 18;
+  const COVERING_THK = 2;
+  const OSB_CLEAR = 1;
+  const normalOffset_mm = memberD + OSB_CLEAR + OSB_THK + COVERING_THK;
+
+  // Roof meshes are shifted after the build (see shiftRoofMeshes in index.js) but skylight
+  // groups hang off roof-root, so apply the same shift here.
+  const SHIFT_X = -25;
+  const SHIFT_Y = 168;
+  const SHIFT_Z = -25;
+  const FRAME_OVERLAP = 20;
+
+  const kneeY = memberD + prof.lowerRise_mm;
+  const ridgeY = kneeY + prof.upperRise_mm;
+  const planes = {
+    "front":       { xTop: prof.lowerRun_mm,     yTop: kneeY,  run: prof.lowerRun_mm, rise: prof.lowerRise_mm, len: prof.lowerLen_mm, dir: -1 },
+    "front-upper": { xTop: A_mm / 2,             yTop: ridgeY, run: prof.upperRun_mm, rise: prof.upperRise_mm, len: prof.upperLen_mm, dir: -1 },
+    "back-upper":  { xTop: A_mm / 2,             yTop: ridgeY, run: prof.upperRun_mm, rise: prof.upperRise_mm, len: prof.upperLen_mm, dir: 1 },
+    "back":        { xTop: A_mm - prof.lowerRun_mm, yTop: kneeY, run: prof.lowerRun_mm, rise: prof.lowerRise_mm, len: prof.lowerLen_mm, dir: 1 }
+  };
+
+  skylights.forEach((sky, idx) => {
+    const face = sky.face || "front";
+    const pl = planes[face];
+    if (!pl) return;
+
+    const skyX_mm = Math.max(0, Math.floor(sky.x_mm || 0));
+    const rawY = Math.max(0, Math.floor(sky.y_mm || 300));
+    const skyW_mm = Math.max(100, Math.floor(sky.width_mm || 600));
+    const rawH = Math.max(100, Math.floor(sky.height_mm || 800));
+
+    const clamped = clampSkylightToSlope(rawY, rawH, pl.len);
+    const skyY_mm = clamped.y;
+    const skyH_mm = clamped.h;
+
+    // Distance down the plane from its top edge to the skylight centre
+    const slopeAng = Math.atan2(pl.rise, pl.run);
+    const cosA = Math.cos(slopeAng);
+    const sinA = Math.sin(slopeAng);
+    const a = pl.len - (skyY_mm + skyH_mm / 2);
+
+    const cx = pl.xTop + pl.dir * (a * cosA + sinA * normalOffset_mm);
+    const cy = pl.yTop - a * sinA + cosA * normalOffset_mm;
+    const cz = f_mm + skyX_mm + skyW_mm / 2;
+
+    buildSkylightMesh(scene, sky, idx, meshPrefix, sectionPos, sectionId, mats,
+      cx + SHIFT_X, cy + SHIFT_Y, cz + SHIFT_Z,
+      skyW_mm + FRAME_OVERLAP * 2, skyH_mm + FRAME_OVERLAP * 2,
+      -pl.dir * slopeAng, face, "gambrel", roofRoot);
+  });
+}
+
 // ════════════════════════════════════════════════════════════════════════════
 // MESH BUILDERS
 // ════════════════════════════════════════════════════════════════════════════
@@ -24,6 +24,7 @@
  * ## Roof Integration
  * - **Pent roof**: Wall heights vary along X (sloped top plates)
  * - **Apex roof**: Constant wall height to eaves, gable infill above on front/back
+ * - **Gambrel roof**: As apex, with the gable infill following the two-pitch profile
  * 
  * ## Key Measurements
  * - Stud width: 50mm
@@ -37,7 +38,8 @@
  * @module elements/walls
  */
 
-import { CONFIG, resolveDims } from "../params.js";
+import { CONFIG, resolveDims, resolveGambrelProfile } from "../params.js";
+import { fmtBomSize } from "../units.js";
 
 /**
  * Build all four walls of the main building
@@ -59,9 +61,12 @@ export function build3D(state, ctx, sectionContext) {
   const sectionPos = sectionContext?.position || { x: 0, y: 0, z: 0 };
 
   // Precompute apex roof underside model once per rebuild (used only for gable cladding trim + height).
+  // Gambrel roofs have gables too; their model has the same shape plus the knee break points.
   const apexRoofModel = (state && state.roof && String(state.roof.style || "") === "apex")
     ? computeApexRoofUndersideModelMm(state)
-    : null;
+    : (state && state.roof && String(state.roof.style || "") === "gambrel")
+      ? computeGambrelRoofUndersideModelMm(state)
+      : null;
 
   // Wall height is normally driven by state.walls.height_mm.
   // APEX ONLY: "Height to Eaves" is the DRIVING dimension = underside of truss tie beams.
@@ -100,6 +105,12 @@ export function build3D(state, ctx, sectionContext) {
       height = Math.max(minWallH_mm, Math.floor(hippedH.eaves_mm - WALL_RISE_MM));
       console.log(`[WALLS-HIPPED] Height to Eaves: ${hippedH.eaves_mm}mm, WALL_RISE: ${WALL_RISE_MM}mm, Derived wall frame height: ${height}mm`);
     }
+  } else if (roofStyle === "gambrel") {
+    // GAMBREL roofs: walls stop at the eaves like apex; the gables are clad up to the roof line
+    const gambrelH = resolveGambrelHeightsMm(state);
+    const minWallH_mm = Math.max(100, 2 * 50 + 1);
+    height = Math.max(minWallH_mm, Math.floor(gambrelH.eaves_mm - WALL_RISE_MM));
+    console.log(`[WALLS-GAMBREL] Height to Eaves: ${gambrelH.eaves_mm}mm, WALL_RISE: ${WALL_RISE_MM}mm, Derived wall frame height: ${height}mm`);
   }
 
   // Dispose existing meshes for this section (or all wall meshes in legacy mode)
@@ -508,7 +519,7 @@ if (isPent) {
     // Calculate courses with extra padding to ensure we extend past the wall top
     // The roof trim will cut it back to the correct height
     // For apex roofs, only front/back (gable) walls need extra courses - left/right stop at eaves
-    const isApexGableWall = roofStyle === "apex" && (String(wallId) === "front" || String(wallId) === "back");
+    const isApexGableWall = (roofStyle === "apex" || roofStyle === "gambrel") && (String(wallId) === "front" || String(wallId) === "back");
     const needsExtraCourses = roofStyle === "pent" || isApexGableWall;
     let courses = (CLAD_H > 0) ? Math.max(1, Math.ceil(panelHeightMm / CLAD_H) + (needsExtraCourses ? 2 : 0)) : 0;
     if (isSheetCladding) courses = 0; // Sheet cladding uses its own rib generation, not courses
@@ -841,7 +852,7 @@ console.log("CLAD_COURSES_FINAL", {
     if (isSheetCladding) {
       // Cap sheet height: apex gable → eaves; pent side → minH/maxH; pent slope → maxH
       let cappedH = panelHeightMm;
-      const isApexGable = roofStyle === "apex" && (String(wallId) === "front" || String(wallId) === "back");
+      const isApexGable = (roofStyle === "apex" || roofStyle === "gambrel") && (String(wallId) === "front" || String(wallId) === "back");
       if (isApexGable) {
         cappedH = Math.min(panelHeightMm, height);
       } else if (isPent && !isAlongX) {
@@ -1495,7 +1506,7 @@ console.log('DEBUG CSG roofStyle:', roofStyle, 'state.roof=', state?.roof);
 
           // Only proceed if we have a roof style that needs clipping
           console.log('[DEBUG_ROOF_CLIP_CONDITION] roofStyle=', roofStyle, 'checking if pent/apex/hipped matches');
-          if (roofStyle === "pent" || roofStyle === "apex" || roofStyle === "hipped") {
+          if (roofStyle === "pent" || roofStyle === "apex" || roofStyle === "hipped" || roofStyle === "gambrel") {
             console.log('[DEBUG_ROOF_CLIP_ENTERED] Entered roof clip block for roofStyle=', roofStyle);
             const CUT_EXTRA_ROOF = 120;
             const cutDepthRoof = Math.max(1, Math.floor(CLAD_T + 2 * CUT_EXTRA_ROOF));
@@ -1669,6 +1680,44 @@ if (apexRoofModel) {
                     try { if (wedges[wi] && !wedges[wi].isDisposed()) wedges[wi].dispose(false, true); } catch (e) {}
                   }
                 }
+              } else if (roofStyle === "gambrel" && apexRoofModel) {
+                // GAMBREL gable trim: same as apex, but the underside line also bends at both knees,
+                // so split the wedge at every break point inside the panel.
+                const xA0 = origin.x + Math.floor(Number(panelStart || 0));
+                const xA1 = xA0 + Math.floor(Number(panelLen || 0));
+                const yAt = (x_mm) => Math.floor(apexRoofModel.yUnderAtWorldX_mm(x_mm));
+
+                const xs = [xA0];
+                const breaks = apexRoofModel.breaksWorldX_mm || [];
+                for (let bi = 0; bi < breaks.length; bi++) {
+                  if (breaks[bi] > xA0 && breaks[bi] < xA1) xs.push(breaks[bi]);
+                }
+                xs.push(xA1);
+
+                const wedges = [];
+                for (let xi = 0; xi + 1 < xs.length; xi++) {
+                  wedges.push(
+                    mkWedgeAboveLineX_Fixed(
+                      `cladroofcut-${String(wallId)}-panel-${String(panelIndex)}-gambrel-${xi}`,
+                      xs[xi], xs[xi + 1],
+                      yAt(xs[xi]), yAt(xs[xi + 1])
+                    )
+                  );
+                }
+
+                try {
+                  cutterCSG = BABYLON.CSG.FromMesh(wedges[0]);
+                  for (let wi = 1; wi < wedges.length; wi++) {
+                    cutterCSG = cutterCSG.union(BABYLON.CSG.FromMesh(wedges[wi]));
+                  }
+                } catch (e) {
+                  console.error('GAMBREL CSG error:', e);
+                  cutterCSG = null;
+                }
+
+                for (let wi = 0; wi < wedges.length; wi++) {
+                  try { if (wedges[wi] && !wedges[wi].isDisposed()) wedges[wi].dispose(false, true); } catch (e) {}
+                }
               }
             } else if (!isAlongX && (String(wallId) === "left" || String(wallId) === "right")) {
               // Left/right walls - horizontal cut at constant height for pent roofs
@@ -2349,6 +2398,11 @@ function scheduleFollowUpFinalisers() {
                 const minWallH_mm = Math.max(100, 2 * 50 + 1);
                 heightLocal = Math.max(minWallH_mm, Math.floor(hippedH.eaves_mm - WALL_RISE_MM));
               }
+            } else if (roofStyleLocal === "gambrel") {
+              const WALL_RISE_MM = 168;
+              const gambrelH = resolveGambrelHeightsMm(s);
+              const minWallH_mm = Math.max(100, 2 * 50 + 1);
+              heightLocal = Math.max(minWallH_mm, Math.floor(gambrelH.eaves_mm - WALL_RISE_MM));
             }
             
             const GRID_HEIGHT_MM = 50;
@@ -2368,7 +2422,9 @@ function scheduleFollowUpFinalisers() {
             
             const apexRoofModelLocal = (s && s.roof && String(s.roof.style || "") === "apex")
               ? computeApexRoofUndersideModelMm(s)
-              : null;
+              : (s && s.roof && String(s.roof.style || "") === "gambrel")
+                ? computeGambrelRoofUndersideModelMm(s)
+                : null;
             
 addCornerBoards(scene, s, wallThk, plateY, heightLocal, minHLocal, maxHLocal, isPentLocal, materials, apexRoofModelLocal);
           }
@@ -3176,6 +3232,18 @@ if (isAlongX) {
           console.log('DEBUG PENT LEFT/RIGHT: panelH after=', panelH);
         }
 
+        if (
+          state &&
+          state.roof &&
+          String(state.roof.style || "") === "gambrel" &&
+          isAlongX &&
+          (String(wallId) === "front" || String(wallId) === "back")
+        ) {
+          // Gambrel gable: clad up to the crest (the roof trim cuts it back to the roof line)
+          const gambrelH = resolveGambrelHeightsMm(state);
+          panelH = Math.max(panelH, Math.floor(gambrelH.crest_mm));
+        }
+
         if (
           state &&
           state.roof &&
@@ -3270,6 +3338,17 @@ if (apexH && Number.isFinite(apexH.crest_mm)) {
       panelH = panelH + WALL_RISE_MM_PENT;
       console.log('DEBUG PENT BASIC LEFT/RIGHT: panelH after=', panelH);
     }
+    if (
+      state &&
+      state.roof &&
+      String(state.roof.style || "") === "gambrel" &&
+      isAlongX &&
+      (String(wallId) === "front" || String(wallId) === "back")
+    ) {
+      // Gambrel gable: clad up to the crest (the roof trim cuts it back to the roof line)
+      const gambrelH = resolveGambrelHeightsMm(state);
+      panelH = Math.max(panelH, Math.floor(gambrelH.crest_mm));
+    }
     if (
       state &&
       state.roof &&
@@ -4048,47 +4127,20 @@ function pickPanelIndexForCenter(panels, x0, x1) {
  * Update Wall Insulation and Plywood BOM sections
  * Called from updateBOM for both apex and pent roofs
  */
-function updateWallInsulationBOM(state, variant, isPent) {
-  console.log('[WALL_INS_BOM] Updating wall insulation BOM - variant:', variant);
-  
-  // Get elements for both pages
-  const wallPirBodyEl = document.getElementById('wallPirBody');
-  const wallPirSummaryEl = document.getElementById('wallPirSummary');
-  const wallPirSectionEl = document.getElementById('wallPirSection');
-  const wallPlyBodyEl = document.getElementById('wallPlyBody');
-  const wallPlySummaryEl = document.getElementById('wallPlySummary');
-  const wallPlySectionEl = document.getElementById('wallPlySection');
-  const wallPirBodyEl2 = document.getElementById('wallPirBody2');
-  const wallPirSummaryEl2 = document.getElementById('wallPirSummary2');
-  const wallPirSectionEl2 = document.getElementById('wallPirSection2');
-  const wallPlyBodyEl2 = document.getElementById('wallPlyBody2');
-  const wallPlySummaryEl2 = document.getElementById('wallPlySummary2');
-  const wallPlySectionEl2 = document.getElementById('wallPlySection2');
-  
-  console.log('[WALL_INS_BOM] Elements found:', {
-    wallPirBodyEl: !!wallPirBodyEl,
-    wallPirBodyEl2: !!wallPirBodyEl2,
-    wallPlyBodyEl: !!wallPlyBodyEl,
-    wallPlyBodyEl2: !!wallPlyBodyEl2
-  });
-  
+/**
+ * Computes wall PIR insulation and internal lining quantities (insulated variant only).
+ * Pure: no DOM access, so it can be used by headless BOM tooling.
+ *
+ * @param {Object} state - Building state with wall dimensions and openings
+ * @param {string} variant - "insulated" | "basic"
+ * @param {boolean} isPent - True when the roof style is pent
+ * @returns {Object} { insulated, pir: { rows, minSheets, ... }, lining: { type, rows, ... } | null }
+ */
+export function computeWallInsulationBOM(state, variant, isPent) {
   if (variant !== 'insulated') {
-    console.log('[WALL_INS_BOM] Not insulated variant - hiding sections');
-    if (wallPirSectionEl) wallPirSectionEl.style.display = 'none';
-    if (wallPlySectionEl) wallPlySectionEl.style.display = 'none';
-    if (wallPirSectionEl2) wallPirSectionEl2.style.display = 'none';
-    if (wallPlySectionEl2) wallPlySectionEl2.style.display = 'none';
-    return;
+    return { insulated: false, pir: null, lining: null };
   }
-  
-  console.log('[WALL_INS_BOM] Insulated variant - calculating BOM');
-  
-  // Show sections
-  if (wallPirSectionEl) wallPirSectionEl.style.display = '';
-  if (wallPlySectionEl) wallPlySectionEl.style.display = '';
-  if (wallPirSectionEl2) wallPirSectionEl2.style.display = '';
-  if (wallPlySectionEl2) wallPlySectionEl2.style.display = '';
-  
+
   const PIR_SHEET_W = 1200;
   const PIR_SHEET_L = 2400;
   const PLY_SHEET_W = 1220;
@@ -4110,6 +4162,8 @@ function updateWallInsulationBOM(state, variant, isPent) {
       const baseRise_mm = resolveBaseRiseMm(state);
       height = Math.max(100, Math.floor(apexH.eaves_mm - baseRise_mm));
     }
+  } else if (!isPent && state?.roof?.style === "gambrel") {
+    height = Math.max(100, Math.floor(resolveGambrelHeightsMm(state).eaves_mm - 168));
   } else if (isPent && state?.roof?.pent) {
     const minH = state.roof.pent.minHeight_mm || 2100;
     const maxH = state.roof.pent.maxHeight_mm || 2300;
@@ -4128,9 +4182,10 @@ function updateWallInsulationBOM(state, variant, isPent) {
   
   const flags = normalizeWallFlags(state);
   const walls = ["front", "back", "left", "right"].filter((w) => flags[w]);
+  const wallLabel = (wname) => wname.charAt(0).toUpperCase() + wname.slice(1);
   
   // Calculate PIR insulation
-  let wallPirHtml = '';
+  const pirRows = [];
   let totalPirArea = 0;
   
   for (const wname of walls) {
@@ -4170,58 +4225,27 @@ function updateWallInsulationBOM(state, variant, isPent) {
     }
     
     if (bayCount > 0) {
-      wallPirHtml += `<tr><td>${wname.charAt(0).toUpperCase() + wname.slice(1)}</td><td>${bayCount}</td><td>${studLen}mm × ~${Math.round(STUD_SPACING - studW)}mm</td><td>Between studs</td></tr>`;
+      pirRows.push({ wall: wallLabel(wname), qty: bayCount, length_mm: studLen, width_mm: Math.round(STUD_SPACING - studW), notes: 'Between studs' });
     }
   }
   
-  const pirHtmlContent = wallPirHtml || `<tr><td colspan="4">None</td></tr>`;
-  if (wallPirBodyEl) wallPirBodyEl.innerHTML = pirHtmlContent;
-  if (wallPirBodyEl2) wallPirBodyEl2.innerHTML = pirHtmlContent;
-  
   const pirSheetArea = PIR_SHEET_W * PIR_SHEET_L;
-  const pirMinSheets = pirSheetArea > 0 ? Math.ceil(totalPirArea / pirSheetArea) : 0;
-  const pirSummaryText = `50mm PIR (Celotex) - Minimum sheets (${PIR_SHEET_W}×${PIR_SHEET_L}mm): ${pirMinSheets}`;
-  if (wallPirSummaryEl) wallPirSummaryEl.textContent = pirSummaryText;
-  if (wallPirSummaryEl2) wallPirSummaryEl2.textContent = pirSummaryText;
+  const pir = {
+    rows: pirRows,
+    sheetW_mm: PIR_SHEET_W,
+    sheetL_mm: PIR_SHEET_L,
+    minSheets: pirSheetArea > 0 ? Math.ceil(totalPirArea / pirSheetArea) : 0
+  };
   
   // Calculate internal lining BOM (plywood sheets OR pine T&G boards, or none)
   const liningType = state?.walls?.internalLining || "plywood";
   const isPineTG = liningType === "pine-tg";
-  const isNoLining = liningType === "none";
-  
-  // Hide lining BOM section entirely when "none" selected
-  if (isNoLining) {
-    if (wallPlySectionEl) wallPlySectionEl.style.display = 'none';
-    if (wallPlySectionEl2) wallPlySectionEl2.style.display = 'none';
-    console.log('[WALL_INS_BOM] No internal lining selected - hiding lining BOM sections. PIR sheets:', pirMinSheets);
-    return;
-  }
-  
-  // Update BOM section titles and descriptions based on lining type
-  const wallPlyTitleEl = document.getElementById('wallPlyTitle');
-  const wallPlyTitleEl2 = document.getElementById('wallPlyTitle2');
-  const wallPlyDescEl = document.getElementById('wallPlyDesc');
-  const wallPlyDescEl2 = document.getElementById('wallPlyDesc2');
-  const wallPlyTheadEl = document.getElementById('wallPlyThead');
-  const wallPlyTheadEl2 = document.getElementById('wallPlyThead2');
   
-  if (isPineTG) {
-    if (wallPlyTitleEl) wallPlyTitleEl.textContent = 'Pine T&G Internal Lining (Walls) — 12.5mm Horizontal';
-    if (wallPlyTitleEl2) wallPlyTitleEl2.textContent = 'Pine T&G Internal Lining — 12.5mm Horizontal';
-    if (wallPlyDescEl) wallPlyDescEl.textContent = 'Horizontal tongue & groove pine boards. Insulated variant only.';
-    if (wallPlyDescEl2) wallPlyDescEl2.textContent = 'Horizontal tongue & groove pine boards. Insulated variant only.';
-    if (wallPlyTheadEl) wallPlyTheadEl.innerHTML = '<tr><th>Wall</th><th>Boards</th><th>Board Length</th><th>Notes</th></tr>';
-    if (wallPlyTheadEl2) wallPlyTheadEl2.innerHTML = '<tr><th>Wall</th><th>Boards</th><th>Board Length</th><th>Notes</th></tr>';
-  } else {
-    if (wallPlyTitleEl) wallPlyTitleEl.textContent = 'Plywood Internal Lining (Walls) — 12mm';
-    if (wallPlyTitleEl2) wallPlyTitleEl2.textContent = 'Internal Plywood Lining — 12mm';
-    if (wallPlyDescEl) wallPlyDescEl.textContent = 'Internal wall lining from 8×4ft (2440×1220mm) sheets. Insulated variant only.';
-    if (wallPlyDescEl2) wallPlyDescEl2.textContent = 'Cut from 8×4ft (2440×1220mm) sheets. Insulated variant only.';
-    if (wallPlyTheadEl) wallPlyTheadEl.innerHTML = '<tr><th>Piece</th><th>Qty</th><th>Size (H × W)</th><th>Notes</th></tr>';
-    if (wallPlyTheadEl2) wallPlyTheadEl2.innerHTML = '<tr><th>Wall</th><th>Sheets</th><th>Panel Size (H × W)</th><th>Notes</th></tr>';
+  if (liningType === "none") {
+    return { insulated: true, pir, lining: null };
   }
   
-  let wallPlyHtml = '';
+  const liningRows = [];
   let totalPlyArea = 0;
   let totalTgBoards = 0;
   let totalTgLinearMm = 0;
@@ -4234,6 +4258,7 @@ function updateWallInsulationBOM(state, variant, isPent) {
     
     const panelH = height;
     const panelW = wallLen;
+    const hasOpenings = doorsW.length + winsW.length > 0;
     
     if (isPineTG) {
       // T&G: horizontal boards run the width of the wall
@@ -4243,8 +4268,7 @@ function updateWallInsulationBOM(state, variant, isPent) {
       totalTgBoards += boardCount;
       totalTgLinearMm += boardCount * boardLength;
       
-      const hasOpenings = doorsW.length + winsW.length > 0;
-      wallPlyHtml += `<tr><td>${wname.charAt(0).toUpperCase() + wname.slice(1)}</td><td>${boardCount}</td><td>${boardLength}mm</td><td>${hasOpenings ? 'Cut around openings' : 'Full width'}</td></tr>`;
+      liningRows.push({ wall: wallLabel(wname), qty: boardCount, length_mm: boardLength, notes: hasOpenings ? 'Cut around openings' : 'Full width' });
     } else {
       // Plywood sheets (original logic)
       const sheetsAcross = Math.ceil(panelW / PLY_SHEET_L);
@@ -4262,44 +4286,149 @@ function updateWallInsulationBOM(state, variant, isPent) {
       const netArea = Math.max(0, grossArea - openingArea);
       totalPlyArea += netArea;
       
-      wallPlyHtml += `<tr><td>${wname.charAt(0).toUpperCase() + wname.slice(1)}</td><td>${sheetsAcross * sheetsUp}</td><td>${panelH}mm × ${panelW}mm</td><td>${doorsW.length + winsW.length > 0 ? 'Cut for openings' : 'Full panel'}</td></tr>`;
+      liningRows.push({ wall: wallLabel(wname), qty: sheetsAcross * sheetsUp, height_mm: panelH, length_mm: panelW, notes: hasOpenings ? 'Cut for openings' : 'Full panel' });
     }
   }
   
-  const plyHtmlContent = wallPlyHtml || `<tr><td colspan="4">None</td></tr>`;
-  if (wallPlyBodyEl) wallPlyBodyEl.innerHTML = plyHtmlContent;
-  if (wallPlyBodyEl2) wallPlyBodyEl2.innerHTML = plyHtmlContent;
+  const plySheetArea = PLY_SHEET_W * PLY_SHEET_L;
+  const lining = {
+    type: liningType,
+    rows: liningRows,
+    tgBoards: totalTgBoards,
+    tgLinear_m: totalTgLinearMm / 1000,
+    plyMinSheets: (!isPineTG && plySheetArea > 0) ? Math.ceil(totalPlyArea / plySheetArea) : 0
+  };
+  
+  return { insulated: true, pir, lining };
+}
+
+/**
+ * Renders the wall insulation/lining result from computeWallInsulationBOM()
+ * into both BOM pages (wallPir* and wallPly* element pairs).
+ */
+function renderWallInsulationBOM(ins) {
+  // Get elements for both pages
+  const wallPirBodyEl = document.getElementById('wallPirBody');
+  const wallPirSummaryEl = document.getElementById('wallPirSummary');
+  const wallPirSectionEl = document.getElementById('wallPirSection');
+  const wallPlyBodyEl = document.getElementById('wallPlyBody');
+  const wallPlySummaryEl = document.getElementById('wallPlySummary');
+  const wallPlySectionEl = document.getElementById('wallPlySection');
+  const wallPirBodyEl2 = document.getElementById('wallPirBody2');
+  const wallPirSummaryEl2 = document.getElementById('wallPirSummary2');
+  const wallPirSectionEl2 = document.getElementById('wallPirSection2');
+  const wallPlyBodyEl2 = document.getElementById('wallPlyBody2');
+  const wallPlySummaryEl2 = document.getElementById('wallPlySummary2');
+  const wallPlySectionEl2 = document.getElementById('wallPlySection2');
+  
+  if (!ins.insulated) {
+    console.log('[WALL_INS_BOM] Not insulated variant - hiding sections');
+    if (wallPirSectionEl) wallPirSectionEl.style.display = 'none';
+    if (wallPlySectionEl) wallPlySectionEl.style.display = 'none';
+    if (wallPirSectionEl2) wallPirSectionEl2.style.display = 'none';
+    if (wallPlySectionEl2) wallPlySectionEl2.style.display = 'none';
+    return;
+  }
+  
+  // Show sections
+  if (wallPirSectionEl) wallPirSectionEl.style.display = '';
+  if (wallPlySectionEl) wallPlySectionEl.style.display = '';
+  if (wallPirSectionEl2) wallPirSectionEl2.style.display = '';
+  if (wallPlySectionEl2) wallPlySectionEl2.style.display = '';
+  
+  const pir = ins.pir;
+  let wallPirHtml = '';
+  for (const r of pir.rows) {
+    wallPirHtml += `<tr><td>${r.wall}</td><td>${r.qty}</td><td>${fmtBomSize(r.length_mm, r.width_mm).replace(" × ", " × ~")}</td><td>${r.notes}</td></tr>`;
+  }
+  const pirHtmlContent = wallPirHtml || `<tr><td colspan="4">None</td></tr>`;
+  if (wallPirBodyEl) wallPirBodyEl.innerHTML = pirHtmlContent;
+  if (wallPirBodyEl2) wallPirBodyEl2.innerHTML = pirHtmlContent;
+  
+  const pirSummaryText = `50mm PIR (Celotex) - Minimum sheets (${pir.sheetW_mm}×${pir.sheetL_mm}mm): ${pir.minSheets}`;
+  if (wallPirSummaryEl) wallPirSummaryEl.textContent = pirSummaryText;
+  if (wallPirSummaryEl2) wallPirSummaryEl2.textContent = pirSummaryText;
+  
+  // Hide lining BOM section entirely when "none" selected
+  const lining = ins.lining;
+  if (!lining) {
+    if (wallPlySectionEl) wallPlySectionEl.style.display = 'none';
+    if (wallPlySectionEl2) wallPlySectionEl2.style.display = 'none';
+    console.log('[WALL_INS_BOM] No internal lining selected - hiding lining BOM sections. PIR sheets:', pir.minSheets);
+    return;
+  }
+  const isPineTG = lining.type === "pine-tg";
+  
+  // Update BOM section titles and descriptions based on lining type
+  const wallPlyTitleEl = document.getElementById('wallPlyTitle');
+  const wallPlyTitleEl2 = document.getElementById('wallPlyTitle2');
+  const wallPlyDescEl = document.getElementById('wallPlyDesc');
+  const wallPlyDescEl2 = document.getElementById('wallPlyDesc2');
+  const wallPlyTheadEl = document.getElementById('wallPlyThead');
+  const wallPlyTheadEl2 = document.getElementById('wallPlyThead2');
   
   if (isPineTG) {
-    const totalLinearM = (totalTgLinearMm / 1000).toFixed(1);
-    const plySummaryText = `12.5mm Pine T&G (100mm cover) — ${totalTgBoards} boards, ${totalLinearM} linear metres total`;
-    if (wallPlySummaryEl) wallPlySummaryEl.textContent = plySummaryText;
-    if (wallPlySummaryEl2) wallPlySummaryEl2.textContent = plySummaryText;
+    if (wallPlyTitleEl) wallPlyTitleEl.textContent = 'Pine T&G Internal Lining (Walls) — 12.5mm Horizontal';
+    if (wallPlyTitleEl2) wallPlyTitleEl2.textContent = 'Pine T&G Internal Lining — 12.5mm Horizontal';
+    if (wallPlyDescEl) wallPlyDescEl.textContent = 'Horizontal tongue & groove pine boards. Insulated variant only.';
+    if (wallPlyDescEl2) wallPlyDescEl2.textContent = 'Horizontal tongue & groove pine boards. Insulated variant only.';
+    if (wallPlyTheadEl) wallPlyTheadEl.innerHTML = '<tr><th>Wall</th><th>Boards</th><th>Board Length</th><th>Notes</th></tr>';
+    if (wallPlyTheadEl2) wallPlyTheadEl2.innerHTML = '<tr><th>Wall</th><th>Boards</th><th>Board Length</th><th>Notes</th></tr>';
   } else {
-    const plySheetArea = PLY_SHEET_W * PLY_SHEET_L;
-    const plyMinSheets = plySheetArea > 0 ? Math.ceil(totalPlyArea / plySheetArea) : 0;
-    const plySummaryText = `12mm Plywood - Minimum 8×4ft sheets required: ${plyMinSheets}`;
-    if (wallPlySummaryEl) wallPlySummaryEl.textContent = plySummaryText;
-    if (wallPlySummaryEl2) wallPlySummaryEl2.textContent = plySummaryText;
+    if (wallPlyTitleEl) wallPlyTitleEl.textContent = 'Plywood Internal Lining (Walls) — 12mm';
+    if (wallPlyTitleEl2) wallPlyTitleEl2.textContent = 'Internal Plywood Lining — 12mm';
+    if (wallPlyDescEl) wallPlyDescEl.textContent = 'Internal wall lining from 8×4ft (2440×1220mm) sheets. Insulated variant only.';
+    if (wallPlyDescEl2) wallPlyDescEl2.textContent = 'Cut from 8×4ft (2440×1220mm) sheets. Insulated variant only.';
+    if (wallPlyTheadEl) wallPlyTheadEl.innerHTML = '<tr><th>Piece</th><th>Qty</th><th>Size (H × W)</th><th>Notes</th></tr>';
+    if (wallPlyTheadEl2) wallPlyTheadEl2.innerHTML = '<tr><th>Wall</th><th>Sheets</th><th>Panel Size (H × W)</th><th>Notes</th></tr>';
   }
   
-  console.log('[WALL_INS_BOM] Done - PIR sheets:', pirMinSheets, 'liningType:', liningType, isPineTG ? 'T&G boards:' + totalTgBoards : 'Ply sheets:' + (totalPlyArea > 0 ? Math.ceil(totalPlyArea / (PLY_SHEET_W * PLY_SHEET_L)) : 0));
+  let wallPlyHtml = '';
+  for (const r of lining.rows) {
+    const size = isPineTG ? fmtBomSize(r.length_mm) : fmtBomSize(r.height_mm, r.length_mm);
+    wallPlyHtml += `<tr><td>${r.wall}</td><td>${r.qty}</td><td>${size}</td><td>${r.notes}</td></tr>`;
+  }
+  const plyHtmlContent = wallPlyHtml || `<tr><td colspan="4">None</td></tr>`;
+  if (wallPlyBodyEl) wallPlyBodyEl.innerHTML = plyHtmlContent;
+  if (wallPlyBodyEl2) wallPlyBodyEl2.innerHTML = plyHtmlContent;
+  
+  const plySummaryText = isPineTG
+    ? `12.5mm Pine T&G (100mm cover) — ${lining.tgBoards} boards, ${lining.tgLinear_m.toFixed(1)} linear metres total`
+    : `12mm Plywood - Minimum 8×4ft sheets required: ${lining.plyMinSheets}`;
+  if (wallPlySummaryEl) wallPlySummaryEl.textContent = plySummaryText;
+  if (wallPlySummaryEl2) wallPlySummaryEl2.textContent = plySummaryText;
+  
+  console.log('[WALL_INS_BOM] Done - PIR sheets:', pir.minSheets, 'liningType:', lining.type, isPineTG ? 'T&G boards:' + lining.tgBoards : 'Ply sheets:' + lining.plyMinSheets);
 }
 
 /**
  * Updates the Bill of Materials (BOM) for wall components.
- * Populates cutting lists for framing timber, cladding, insulation, and plywood.
+ * Renders the insulation/lining schedules and returns the framing/cladding
+ * sections for renderBOM().
  * 
  * @param {Object} state - Building state with wall dimensions and openings
+ * @returns {Object} { sections }
  */
 export function updateBOM(state) {
   console.log('[WALLS_BOM] updateBOM called');
+  const bom = computeBOM(state);
+  renderWallInsulationBOM(bom.insulation);
+  return { sections: bom.sections };
+}
+
+/**
+ * Computes the Bill of Materials (BOM) for wall components without touching the DOM.
+ * Cutting lists for framing timber and cladding, plus insulation and plywood.
+ * 
+ * @param {Object} state - Building state with wall dimensions and openings
+ * @returns {Object} { sections, insulation }
+ */
+export function computeBOM(state) {
   const isPent = !!(state && state.roof && String(state.roof.style || "") === "pent");
   const variant = state.walls?.variant || "insulated";
   console.log('[WALLS_BOM] isPent:', isPent, 'variant:', variant);
   
-  // Update wall PIR and plywood BOM (runs for both apex and pent)
-  updateWallInsulationBOM(state, variant, isPent);
+  const insulation = computeWallInsulationBOM(state, variant, isPent);
   
   if (!isPent) {
     const sections = [];
@@ -4316,6 +4445,9 @@ export function updateBOM(state) {
         const minWallH_mm = Math.max(100, 2 * 50 + 1);
         height = Math.max(minWallH_mm, Math.floor(apexH.eaves_mm - baseRise_mm));
       }
+    } else if (state && state.roof && String(state.roof.style || "") === "gambrel") {
+      const minWallH_mm = Math.max(100, 2 * 50 + 1);
+      height = Math.max(minWallH_mm, Math.floor(resolveGambrelHeightsMm(state).eaves_mm - 168));
     }
 
     const prof = resolveProfile(state, variant);
@@ -4544,7 +4676,7 @@ export function updateBOM(state) {
       `4 corners`
     ]);
 
-    return { sections };
+    return { sections, insulation };
   }
 
   const sections = [];
@@ -4901,7 +5033,7 @@ export function updateBOM(state) {
     `4 corners`
   ]);
 
-  return { sections };
+  return { sections, insulation };
 }
 
 function resolveBaseRiseMm(state) {
@@ -5012,6 +5144,15 @@ function resolveHippedHeightsMm(state) {
   return { eaves_mm, crest_mm };
 }
 
+/**
+ * Resolve gambrel roof heights from state (ground-referenced, like apex).
+ * The profile maths lives in params.js so roof.js, walls and skylights agree.
+ */
+function resolveGambrelHeightsMm(state) {
+  const prof = resolveGambrelProfile(state);
+  return { eaves_mm: prof.eaves_mm, crest_mm: prof.crest_mm };
+}
+
 function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
@@ -5226,3 +5367,62 @@ function computeApexRoofUndersideModelMm(state) {
     return null;
   }
 }
+
+/* ---------------- GAMBREL helpers (match roof.js buildGambrel for gable trim) ---------------- */
+
+function computeGambrelRoofUndersideModelMm(state) {
+  // Returns the OSB underside height for the GAMBREL roof in WORLD mm, consistent with roof.js.
+  // Same contract as computeApexRoofUndersideModelMm plus breaksWorldX_mm: the X positions where
+  // the underside line changes slope (both knees and the ridge), so the gable trim can follow it.
+  try {
+    const dims = resolveDims(state);
+    const ovh = (dims && dims.overhang) ? dims.overhang : { l_mm: 0 };
+    const l_mm = Math.max(0, Math.floor(Number(ovh.l_mm || 0)));
+    const A_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? 1)));
+
+    const prof = resolveGambrelProfile(state);
+
+    // Gambrel trusses stand on edge: the rafter depth is the frame depth
+    const g = getRoofFrameGauge_Apex(state);
+    const memberD_mm = Math.max(1, Math.floor(Number(g.depth_mm)));
+    const OSB_CLEAR_MM = 1;
+
+    const tanL = prof.lowerRise_mm / Math.max(1, prof.lowerRun_mm);
+    const tanU = prof.upperRise_mm / Math.max(1, prof.upperRun_mm);
+    const offL_mm = (memberD_mm + OSB_CLEAR_MM) * Math.sqrt(1 + tanL * tanL); // (memberD+clear) / cos
+    const offU_mm = (memberD_mm + OSB_CLEAR_MM) * Math.sqrt(1 + tanU * tanU);
+    const kneeY_mm = memberD_mm + prof.lowerRise_mm;
+
+    // Each plane's OSB underside as a line in roof-local X; the roof is convex so the surface is their minimum
+    const lowerAt = (d) => memberD_mm + tanL * d + offL_mm;                       // d = distance from the eave
+    const upperAt = (d) => kneeY_mm + tanU * (d - prof.lowerRun_mm) + offU_mm;
+
+    const yUnderAtLocalX_mm = (xLocal_mm) => {
+      const x = Math.max(0, Math.min(A_mm, Number(xLocal_mm)));
+      const d = Math.min(x, A_mm - x);
+      return Math.min(lowerAt(d), upperAt(d));
+    };
+
+    // Knee break: where the lower and upper underside lines cross (just inside the rafter knee)
+    const kneeD_mm = (tanL > tanU) ? prof.lowerRun_mm + (offU_mm - offL_mm) / (tanL - tanU) : prof.lowerRun_mm;
+
+    // Same placement as roof.js: tie underside at the eaves height, local X 0 at world -l
+    const roofRootY_mm = prof.eaves_mm;
+    const roofRootX_mm = -l_mm;
+    const ridgeWorldX_mm = roofRootX_mm + A_mm / 2;
+
+    const yUnderAtWorldX_mm = (xWorld_mm) => roofRootY_mm + yUnderAtLocalX_mm(Number(xWorld_mm) - roofRootX_mm);
+
+    return {
+      yUnderAtWorldX_mm,
+      ridgeWorldX_mm,
+      breaksWorldX_mm: [
+        roofRootX_mm + kneeD_mm,
+        ridgeWorldX_mm,
+        roofRootX_mm + A_mm - kneeD_mm
+      ]
+    };
+  } catch (e) {
+    return null;
+  }
+}
@@ -55,26 +55,42 @@ window.addEventListener("unhandledrejection", function (e) {
 });
 
 import { createStateStore, deepMerge } from "./state.js";
-import { DEFAULTS, resolveDims, CONFIG, createAttachment, ATTACHMENT_DEFAULTS, isLShapedAllowed } from "./params.js";
+import { DEFAULTS, resolveDims, resolveGambrelProfile, CONFIG, createAttachment, ATTACHMENT_DEFAULTS, isLShapedAllowed } from "./params.js";
+import { migrateState } from "./migrations.js";
+import { reviewStateProblems } from "./ui/state-problems.js";
 import { boot, disposeAll } from "./renderer/babylon.js?_v=3";
+import { SUBSYSTEMS, computeRenderSignatures, diffRenderSignatures, buildOwned, disposeOwned } from "./renderer/dirty.js";
 import * as Base from "./elements/base.js";
-import * as Walls from "./elements/walls.js?_v=4";
+import * as Walls from "./elements/walls.js?_v=5";
 import * as Dividers from "./elements/dividers.js";
-import * as Roof from "./elements/roof.js?_v=18";
-import * as Attachments from "./elements/attachments.js?_v=2";
+import * as Roof from "./elements/roof.js?_v=20";
+import * as Attachments from "./elements/attachments.js?_v=3";
 import { renderBOM } from "./bom/index.js";
 import { updateAttachmentBOM } from "./bom/attachments.js";
+import { computeDesignBOM, scopeBOMToBuild } from "./bom/compute.js";
+import { cuttingOptionsFromPriceTable, collectFramingPieces, optimiseCuttingStock, renderCuttingPlan } from "./bom/cutting-stock.js";
+import { collectSheetPieces, nestSheets, renderSheetNesting } from "./bom/sheet-nesting.js";
+import { computeFixingsSchedule, renderFixingsSchedule } from "./bom/fixings.js";
+import { buildPurchaseOrders, renderPurchaseOrders } from "./bom/purchase-orders.js";
+import { buildAssemblySteps, renderAssemblySteps } from "./bom/assembly.js";
+import { loadCarbonFactors, getCarbonFactors, computeCarbonReport, renderCarbonReport } from "./bom/carbon.js";
+import { getPriceTable } from "./pricing.js?_v=14";
+import { parseLength, formatLength, mmToInFracStr, mmToFtInStr, setBomUnits, fmtBomLength, relabelLengthHeaders } from "./units.js";
+import { initPartLinks, linkParts } from "./part-ids.js";
 import { initInstancesUI } from "./instances.js?_v=11";
 import * as Doors from "./elements/doors.js";
 import * as Windows from "./elements/windows.js";
 import * as Skylights from "./elements/skylights.js?_v=11";
 import * as Shelving from "./elements/shelving.js";
+import * as Gutters from "./elements/gutters.js";
 import { findBuiltInPresetById, getDefaultBuiltInPresetId } from "../instances.js?_v=9";
 import { initViews } from "./views.js?_v=5";
 import * as Sections from "./sections.js";
 import { isViewerMode, parseUrlState, applyViewerProfile, copyViewerUrlToClipboard, loadProfiles, applyProfile, getProfileFromUrl, isFieldVisible, isFieldDisabled, getFieldDefault, getFieldOptionRestrictions, getCurrentProfile, hideDisabledVisibilityControls } from "./profiles.js";
 import { initProfileEditor } from "./profile-editor.js";
+import { initPriceEditor } from "./price-editor.js";
 import { initPanelResize } from "./ui/panel-resize.js";
+import { initUndoRedo } from "./ui/undo-redo.js";
 
 function $(id) { return document.getElementById(id); }
 function setDisplay(el, val) { if (el && el.style) el.style.display = val; }
@@ -156,7 +172,7 @@ function updateOpeningsBOM(state) {
         var D = row && row.length > 4 ? row[4] : "";
         var notes = row && row.length > 5 ? row[5] : "";
 
-        [item, qty, L, W, D, notes].forEach(function(val) {
+        [item, qty, fmtBomLength(L), fmtBomLength(W), fmtBomLength(D), notes].forEach(function(val) {
           var td = document.createElement("td");
           td.textContent = String(val);
           tr.appendChild(td);
@@ -187,7 +203,7 @@ function updateOpeningsBOM(state) {
         var D = row && row.length > 4 ? row[4] : "";
         var notes = row && row.length > 5 ? row[5] : "";
 
-        [item, qty, L, W, D, notes].forEach(function(val) {
+        [item, qty, fmtBomLength(L), fmtBomLength(W), fmtBomLength(D), notes].forEach(function(val) {
           var td = document.createElement("td");
           td.textContent = String(val);
           tr.appendChild(td);
@@ -249,7 +265,7 @@ function updateShelvingBOM(state) {
         row.item || "",
         String(row.qty || ""),
         row.section || "",
-        String(row.length_mm || ""),
+        fmtBomLength(row.length_mm || ""),
         row.material || "",
         row.notes || ""
       ];
@@ -263,6 +279,87 @@ function updateShelvingBOM(state) {
   }
 }
 
+/**
+ * Update the Gutters & Downpipes table on the roof cutting list page
+ */
+function updateGuttersBOM(state) {
+  var guttersBom = (Gutters && typeof Gutters.updateBOM === "function") ? Gutters.updateBOM(state) : { sections: [] };
+  var sections = (guttersBom && guttersBom.sections) ? guttersBom.sections : [];
+
+  var tbody = $("guttersBomTable");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  if (sections.length === 0) {
+    var emptyRow = document.createElement("tr");
+    var emptyCell = document.createElement("td");
+    emptyCell.colSpan = 4;
+    emptyCell.textContent = "No gutters configured.";
+    emptyRow.appendChild(emptyCell);
+    tbody.appendChild(emptyRow);
+    return;
+  }
+
+  for (var s = 0; s < sections.length; s++) {
+    var sec = sections[s];
+    var hr = document.createElement("tr");
+    var th = document.createElement("td");
+    th.colSpan = 4;
+    th.style.fontWeight = "bold";
+    th.style.paddingTop = "12px";
+    th.textContent = sec.title;
+    hr.appendChild(th);
+    tbody.appendChild(hr);
+
+    for (var r = 0; r < sec.rows.length; r++) {
+      var row = sec.rows[r];
+      var tr = document.createElement("tr");
+      [row.item, String(row.qty), fmtBomLength(row.length_mm), row.notes || ""].forEach(function (val) {
+        var td = document.createElement("td");
+        td.textContent = val;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    }
+  }
+}
+
+/**
+ * Update the Timber Cutting Plan (framing packed into stock lengths), the Sheet Nesting
+ * diagrams, the Fixings & Ironmongery schedule, the supplier Purchase Orders, the
+ * Assembly Instructions and the Embodied Carbon report on the walls cutting list page.
+ * Stock lengths, kerf, fixing packs, suppliers and SKUs come from the price table and
+ * carbon factors from the carbon factor table when they have loaded.
+ */
+function updateCuttingPlan(state) {
+  if (!$("cuttingPlanBody") && !$("sheetNestingBody") && !$("fixingsScheduleBody") && !$("purchaseOrdersBody") && !$("assemblyStepsBody") && !$("carbonReportBody")) return;
+  var bom = computeDesignBOM(state);
+  var opts = cuttingOptionsFromPriceTable(getPriceTable());
+  renderCuttingPlan(optimiseCuttingStock(collectFramingPieces(bom), opts));
+  renderSheetNesting(nestSheets(collectSheetPieces(bom), { kerf: opts.kerf }));
+  renderFixingsSchedule(computeFixingsSchedule(bom, state, getPriceTable()));
+  renderPurchaseOrders(buildPurchaseOrders(scopeBOMToBuild(bom, state), state, getPriceTable()));
+  renderAssemblySteps(buildAssemblySteps(bom, state));
+  renderCarbonReport(getCarbonFactors() ? computeCarbonReport(bom, state, getCarbonFactors()) : null);
+}
+
+/**
+ * Choose the cutting-list units before the BOM tables render: inches in imperial
+ * mode, otherwise mm or mm + in from the Units selector. "(mm)" column headers on
+ * the BOM pages are relabelled to match.
+ */
+function syncBomUnits(state) {
+  var sel = $("unitsSelect");
+  var units = sel ? sel.value : "mm";
+  if (state && state.unitMode === "imperial") units = "in";
+  else if (units === "in") units = "mm";
+  if (sel) sel.value = units;
+  setBomUnits(units);
+  ["bomPage", "wallsBomPage", "roofBomPage", "openingsBomPage", "shelvingBomPage"].forEach(function (id) {
+    if ($(id)) relabelLengthHeaders($(id));
+  });
+}
+
 var WALL_OVERHANG_MM = 25;
 var WALL_RISE_MM = 168;
 
@@ -749,6 +846,9 @@ function initApp() {
       }
     } catch (e) {}
 
+    // Part IDs: hover a member for its ID, click between members and cutting-list rows
+    try { initPartLinks(ctx.scene); } catch (e) { console.warn("[PARTS] init failed:", e); }
+
   var defaultPreset = findBuiltInPresetById(getDefaultBuiltInPresetId());
 
     // Debug: Log what we're starting with
@@ -756,16 +856,16 @@ function initApp() {
     console.log("[INIT] defaultPreset.state.vis:", defaultPreset?.state?.vis);
 
     var initialState = defaultPreset && defaultPreset.state
-      ? deepMerge(DEFAULTS, defaultPreset.state)
+      ? deepMerge(DEFAULTS, migrateState(defaultPreset.state))
       : DEFAULTS;
 
     // Check for viewer mode - merge URL parameters into state
     var viewerMode = isViewerMode();
     if (viewerMode) {
       console.log("[INIT] Viewer mode detected - parsing URL state");
-      var urlState = parseUrlState();
+      var urlState = reviewStateProblems(parseUrlState(), "Shared link");
       console.log("[INIT] URL state:", urlState);
-      initialState = deepMerge(initialState, urlState);
+      if (urlState) initialState = deepMerge(initialState, urlState);
       console.log("[INIT] State after URL merge:", initialState);
       console.log("[INIT] State vis object:", initialState.vis);
       console.log("[INIT] State dim object:", initialState.dim);
@@ -778,7 +878,7 @@ function initApp() {
     console.log("[INIT] Profile URL check - urlProfile:", urlProfile, "hasStateParam:", hasStateParam, "viewerMode:", viewerMode);
     if (!viewerMode && urlProfile && hasStateParam) {
       console.log("[INIT] Profile link with state detected - parsing URL state");
-      var profileUrlState = parseUrlState();
+      var profileUrlState = reviewStateProblems(parseUrlState(), "Shared link") || {};
       console.log("[INIT] Parsed profile URL state:", profileUrlState);
       console.log("[INIT] Parsed state.dim:", profileUrlState.dim);
       console.log("[INIT] Parsed state.w:", profileUrlState.w);
@@ -794,6 +894,11 @@ function initApp() {
     window.__dbg.store = store; // Expose for debugging
     window.__dbg.viewerMode = viewerMode; // Track viewer mode
 
+    // Carbon factors load alongside the price table; refresh the report once they arrive
+    loadCarbonFactors().then(function (ok) {
+      if (ok) { try { updateCuttingPlan(store.getState()); } catch (ce) { console.warn("[BOM] Cutting plan error:", ce); } }
+    });
+
     // Apply viewer profile UI changes after DOM is ready
     if (viewerMode) {
       // Defer to ensure DOM is fully ready
@@ -912,6 +1017,14 @@ var roofApexEaveFtInEl = $("roofApexEaveFtIn");
     var roofHippedEavesHeightEl = $("roofHippedEaveHeight");
     var roofHippedCrestHeightEl = $("roofHippedCrestHeight");
 
+    // Gambrel roof: eaves + knee heights (mm), the two pitches and the truss count
+    // These map to state.roof.gambrel (see resolveGambrelProfile in params.js)
+    var roofGambrelEavesHeightEl = $("roofGambrelEaveHeight");
+    var roofGambrelKneeHeightEl = $("roofGambrelKneeHeight");
+    var roofGambrelLowerPitchEl = $("roofGambrelLowerPitch");
+    var roofGambrelUpperPitchEl = $("roofGambrelUpperPitch");
+    var roofGambrelTrussCountEl = $("roofGambrelTrussCount");
+
     // Apex roof: truss count + spacing readout (mm only)
     var roofApexTrussCountEl = $("roofApexTrussCount");
     var roofApexTrussSpacingEl = $("roofApexTrussSpacing");
@@ -928,6 +1041,14 @@ var roofApexEaveFtInEl = $("roofApexEaveFtIn");
     var internalLiningEl = $("internalLining");
     var internalLiningLabel = $("internalLiningLabel");
     var soffitsEnabledEl = $("soffitsEnabled");
+    var guttersEnabledEl = $("guttersEnabled");
+    var guttersOptionsEl = $("guttersOptions");
+    var gutterProfileEl = $("gutterProfile");
+    var gutterColourEl = $("gutterColour");
+    var downpipeEls = {
+      frontLeft: $("downpipeFrontLeft"), frontRight: $("downpipeFrontRight"),
+      backLeft: $("downpipeBackLeft"), backRight: $("downpipeBackRight")
+    };
     var wallHeightEl = $("wallHeight");
     var claddingStyleEl = $("claddingStyle");
     var claddingColourEl = $("claddingColour");
@@ -1098,10 +1219,11 @@ var roofApexEaveFtInEl = $("roofApexEaveFtIn");
 
     // Unit conversion helpers
     function mmToFeetInches(mm) {
-      var totalInches = mm / 25.4;
-      var feet = Math.floor(totalInches / 12);
-      var inches = totalInches % 12;
-      return { feet: feet, inches: inches, display: feet + "'" + inches.toFixed(1) + '"' };
+      // Nearest 1/16": inchesText is the fractional remainder for the inches box, e.g. "10 1/2"
+      var sixteenths = Math.round(mm / 25.4 * 16);
+      var feet = Math.floor(sixteenths / 192);
+      var inches = (sixteenths - feet * 192) / 16;
+      return { feet: feet, inches: inches, inchesText: mmToInFracStr(inches * 25.4).replace('"', ""), display: mmToFtInStr(mm) };
     }
 
     function feetInchesToMm(feet, inches) {
@@ -1129,19 +1251,46 @@ var roofApexEaveFtInEl = $("roofApexEaveFtIn");
     }
 
 function formatDimension(mm, unitMode) {
-      if (unitMode === "imperial") {
-        // Display as decimal inches for number input compatibility
-        var totalInches = mm / 25.4;
-        return String(Math.round(totalInches * 10) / 10);
-      }
-      return String(Math.round(mm));
+      // Imperial inputs are text fields showing feet-inches, e.g. 7' 10 1/2"
+      return formatLength(mm, unitMode);
     }
 
     function formatFeetInchesReadout(mm) {
-      var totalInches = mm / 25.4;
-      var feet = Math.floor(totalInches / 12);
-      var inches = totalInches % 12;
-      return feet + "'" + inches.toFixed(1) + '"';
+      return mmToFtInStr(mm);
+    }
+
+    // Length inputs: metric is a number field in mm; imperial is a text field that
+    // takes feet-inches (7' 10 1/2", 94 1/2", 94.5). State is always mm.
+    function setLengthInputType(el, unitMode) {
+      if (!el) return;
+      var type = (unitMode === "imperial") ? "text" : "number";
+      if (el.type !== type) el.type = type;
+    }
+
+    function setLengthInput(el, mm) {
+      var unitMode = getUnitMode(store.getState());
+      setLengthInputType(el, unitMode);
+      el.value = formatDimension(mm, unitMode);
+    }
+
+    // Typed length in mm (NaN when unreadable), truncated like the parseInt() it replaces
+    function readLengthInput(el) {
+      var mm = parseLength(el ? el.value : "", getUnitMode(store.getState()));
+      return mm == null ? NaN : Math.floor(mm);
+    }
+
+    function lengthUnitLabel() {
+      return (getUnitMode(store.getState()) === "imperial") ? "(ft-in)" : "(mm)";
+    }
+
+    // Editors built from mm HTML strings: re-show each matching input (and the
+    // "(mm)" in its label span) in the current unit
+    function localiseLengthInputs(root, selector) {
+      root.querySelectorAll(selector).forEach(function (inp) {
+        if (inp.value !== "" && isFinite(Number(inp.value))) setLengthInput(inp, Number(inp.value));
+        var span = inp.parentElement ? inp.parentElement.querySelector("span") : null;
+        if (span) span.textContent = span.textContent.replace("(mm)", lengthUnitLabel());
+      });
     }
 
 
@@ -2554,12 +2703,39 @@ function applyOpeningsVisibility(scene, on) {
       return { minH: minH, maxH: maxH, base: base };
     }
 
+    // Builder signatures from the last render (null forces a full rebuild)
+    var lastRender = null;
+
+    // Work out which builders to re-run and dispose what they built (see renderer/dirty.js).
+    // Switching between the legacy and multi-section paths always rebuilds everything.
+    function beginRender(inputs, special, multi) {
+      var sigs = computeRenderSignatures(inputs);
+      var fullRebuild = !lastRender || lastRender.special || special || lastRender.multi !== multi || window.__dbg.forceFullRender === true;
+      var dirty;
+      if (fullRebuild) {
+        dirty = {};
+        SUBSYSTEMS.forEach(function (k) { dirty[k] = true; });
+        safeDispose();
+      } else {
+        dirty = diffRenderSignatures(lastRender.sigs, sigs);
+        Object.keys(dirty).forEach(function (k) { disposeOwned(ctx.scene, k); });
+      }
+      // Attachment root nodes are transform nodes, which disposeAll() leaves behind
+      if (dirty.attachments && Attachments && typeof Attachments.disposeAllAttachments === "function") {
+        Attachments.disposeAllAttachments(ctx.scene);
+      }
+      lastRender = { sigs: sigs, special: special, multi: multi };
+      window.__dbg.lastRebuild = fullRebuild ? "all" : Object.keys(dirty);
+      return dirty;
+    }
+
 function render(state) {
       console.log("[RENDER] render() called");
       console.log("[RENDER] state:", state ? "exists" : "null/undefined");
       console.log("[RENDER] state.sections:", state ? state.sections : "N/A");
       try {
         window.__dbg.buildCalls += 1;
+        syncBomUnits(state);
 
         // CRITICAL: Legacy mode check - if sections not enabled, use current code unchanged
         // This ensures zero impact on existing functionality
@@ -2567,6 +2743,7 @@ function render(state) {
           // LEGACY PATH - existing code runs exactly as before
           console.log("[RENDER] Taking LEGACY path -> renderLegacyMode");
           renderLegacyMode(state);
+          refreshPartLinks(state);
           return;
         }
 
@@ -2574,6 +2751,7 @@ function render(state) {
         // Phase 1.3 - Multi-section rendering
         console.log("[RENDER] Taking MULTI-SECTION path");
         renderMultiSectionMode(state);
+        refreshPartLinks(state);
 
       } catch (e) {
         console.error("[RENDER] render() threw:", e);
@@ -2581,6 +2759,15 @@ function render(state) {
       }
     }
 
+    // Number framing meshes and link them to the freshly rendered cutting-list rows
+    function refreshPartLinks(state) {
+      // Attachments number in cutting-list order: A1, A2, …
+      var attIds = ((state.sections && state.sections.attachments) || [])
+        .filter(function (a) { return a && a.enabled !== false; })
+        .map(function (a) { return a.id; });
+      try { linkParts(ctx.scene, undefined, attIds); } catch (e) { console.warn("[PARTS] link failed:", e); }
+    }
+
     // ── Gazebo: build 4 corner posts ──
     function buildGazeboPosts(state, scene) {
       var BAB = window.BABYLON;
@@ -2859,25 +3046,58 @@ function render(state) {
           }
         } catch (eWallDerive) {}
 
-        safeDispose();
+        var roofW = (R && R.roof && R.roof.w_mm != null) ? Math.max(1, Math.floor(R.roof.w_mm)) : Math.max(1, Math.floor(R.base.w_mm));
+        var roofD = (R && R.roof && R.roof.d_mm != null) ? Math.max(1, Math.floor(R.roof.d_mm)) : Math.max(1, Math.floor(R.base.d_mm));
+
+        // Trapezoid override for roof depth
+        if (state.bespoke && state.bespoke.footprint === "trapezoid") {
+          var _ldR = Number(state.bespoke.leftDepth_mm) || roofD;
+          var _rdR = Number(state.bespoke.rightDepth_mm) || roofD;
+          roofD = Math.max(_ldR, _rdR);
+        }
+
+        var roofState = Object.assign({}, state, { w: roofW, d: roofD });
+        // Trapezoid: also override dim.frameD_mm so resolveDims() inside Roof
+        // computes the correct depth for purlins, OSB, covering, etc.
+        if (state.bespoke && state.bespoke.footprint === "trapezoid") {
+          var _maxTrapD = Math.max(
+            Number(state.bespoke.leftDepth_mm) || 0,
+            Number(state.bespoke.rightDepth_mm) || 0
+          );
+          if (_maxTrapD > 0) {
+            roofState = Object.assign({}, roofState, {
+              dim: Object.assign({}, roofState.dim || {}, { frameD_mm: _maxTrapD })
+            });
+          }
+        }
+
+        var _isGazebo = isGazeboMode(state);
+        var _isTrapezoid = !!(state.bespoke && state.bespoke.footprint === "trapezoid");
+
+        // Dirty tracking: only re-run builders whose state slices changed (see renderer/dirty.js).
+        // Gazebo and trapezoid designs post-process meshes across builders, so they always rebuild fully.
+        var dirty = beginRender({
+          base: baseState, walls: wallState, dividers: wallState, doors: wallState,
+          windows: wallState, shelving: wallState, roof: roofState, skylights: roofState, gutters: roofState,
+          attachments: state
+        }, _isGazebo || _isTrapezoid, false);
+        console.log("[RENDER_DEBUG] Rebuilding:", window.__dbg.lastRebuild);
 
         console.log("[RENDER_DEBUG] getBaseEnabled:", getBaseEnabled(state));
         console.log("[RENDER_DEBUG] getWallsEnabled:", getWallsEnabled(state));
         console.log("[RENDER_DEBUG] Base module:", Base ? "exists" : "null");
         console.log("[RENDER_DEBUG] Walls module:", Walls ? "exists" : "null");
 
-        if (getBaseEnabled(state)) {
+        if (dirty.base && getBaseEnabled(state)) {
           console.log("[RENDER_DEBUG] Building base with baseState.w/d:", baseState.w, baseState.d);
           try {
-            if (Base && typeof Base.build3D === "function") Base.build3D(baseState, ctx, undefined);
+            if (Base && typeof Base.build3D === "function") buildOwned(ctx.scene, "base", function () { Base.build3D(baseState, ctx, undefined); });
             console.log("[RENDER_DEBUG] Base.build3D complete, meshes:", ctx.scene.meshes.length);
           } catch (baseError) {
             console.error("[RENDER_DEBUG] Base.build3D threw:", baseError);
           }
         }
 
-        var _isGazebo = isGazeboMode(state);
-
         if (_isGazebo) {
           // Gazebo mode: corner posts + ring beam instead of walls
           console.log("[RENDER_DEBUG] GAZEBO MODE — building posts");
@@ -2893,10 +3113,10 @@ function render(state) {
           }
         } else {
           // Standard shed mode: walls, dividers, doors, windows
-if (getWallsEnabled(state)) {
+if (dirty.walls && getWallsEnabled(state)) {
           console.log("[RENDER_DEBUG] Building walls with wallState.w/d:", wallState.w, wallState.d);
           try {
-            if (Walls && typeof Walls.build3D === "function") Walls.build3D(wallState, ctx, undefined);
+            if (Walls && typeof Walls.build3D === "function") buildOwned(ctx.scene, "walls", function () { Walls.build3D(wallState, ctx, undefined); });
             console.log("[RENDER_DEBUG] Walls.build3D complete, meshes:", ctx.scene.meshes.length);
           } catch (wallError) {
             console.error("[RENDER_DEBUG] Walls.build3D threw:", wallError);
@@ -2905,15 +3125,15 @@ if (getWallsEnabled(state)) {
         }
 
         // Build internal dividers (always build if they exist)
-        if (Dividers && typeof Dividers.build3D === "function") {
-          Dividers.build3D(wallState, ctx, undefined);
+        if (dirty.dividers && Dividers && typeof Dividers.build3D === "function") {
+          buildOwned(ctx.scene, "dividers", function () { Dividers.build3D(wallState, ctx, undefined); });
           shiftDividerMeshes(ctx.scene, -WALL_OVERHANG_MM, WALL_RISE_MM, -WALL_OVERHANG_MM);
         }
 
         // Build door and window geometry into openings (always build regardless of wall visibility)
-        if (Doors && typeof Doors.build3D === "function") Doors.build3D(wallState, ctx, undefined);
-        if (Windows && typeof Windows.build3D === "function") Windows.build3D(wallState, ctx, undefined);
-        if (Shelving && typeof Shelving.build3D === "function") Shelving.build3D(wallState, ctx, undefined);
+        if (dirty.doors && Doors && typeof Doors.build3D === "function") buildOwned(ctx.scene, "doors", function () { Doors.build3D(wallState, ctx, undefined); });
+        if (dirty.windows && Windows && typeof Windows.build3D === "function") buildOwned(ctx.scene, "windows", function () { Windows.build3D(wallState, ctx, undefined); });
+        if (dirty.shelving && Shelving && typeof Shelving.build3D === "function") buildOwned(ctx.scene, "shelving", function () { Shelving.build3D(wallState, ctx, undefined); });
         } // end shed mode
 
         var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
@@ -2921,44 +3141,24 @@ if (getWallsEnabled(state)) {
         var roofEnabled = getRoofEnabled(state);
         console.log("[RENDER_LEGACY] Roof check:", { roofEnabled, roofStyle, visRoof: state?.vis?.roof });
 
-        // Build roof for supported styles (pent + apex + hipped). (No behavior change for pent.)
-        if (roofEnabled && (roofStyle === "pent" || roofStyle === "apex" || roofStyle === "hipped")) {
+        // Build roof for supported styles (pent + apex + hipped + gambrel). (No behavior change for pent.)
+        if (roofEnabled && (roofStyle === "pent" || roofStyle === "apex" || roofStyle === "hipped" || roofStyle === "gambrel")) {
           console.log("[RENDER_LEGACY] Building roof...");
-          var roofW = (R && R.roof && R.roof.w_mm != null) ? Math.max(1, Math.floor(R.roof.w_mm)) : Math.max(1, Math.floor(R.base.w_mm));
-          var roofD = (R && R.roof && R.roof.d_mm != null) ? Math.max(1, Math.floor(R.roof.d_mm)) : Math.max(1, Math.floor(R.base.d_mm));
-
-          // Trapezoid override for roof depth
-          if (state.bespoke && state.bespoke.footprint === "trapezoid") {
-            var _ldR = Number(state.bespoke.leftDepth_mm) || roofD;
-            var _rdR = Number(state.bespoke.rightDepth_mm) || roofD;
-            roofD = Math.max(_ldR, _rdR);
-          }
-
-          var roofState = Object.assign({}, state, { w: roofW, d: roofD });
-          // Trapezoid: also override dim.frameD_mm so resolveDims() inside Roof
-          // computes the correct depth for purlins, OSB, covering, etc.
-          if (state.bespoke && state.bespoke.footprint === "trapezoid") {
-            var _maxTrapD = Math.max(
-              Number(state.bespoke.leftDepth_mm) || 0,
-              Number(state.bespoke.rightDepth_mm) || 0
-            );
-            if (_maxTrapD > 0) {
-              roofState = Object.assign({}, roofState, {
-                dim: Object.assign({}, roofState.dim || {}, { frameD_mm: _maxTrapD })
-              });
-            }
+          if (dirty.roof) {
+            if (Roof && typeof Roof.build3D === "function") buildOwned(ctx.scene, "roof", function () { Roof.build3D(roofState, ctx, undefined); });
+            // Gazebo: lift roof an extra 50mm so it sits on top of the ring beam, not submerged in it
+            var roofRise = _isGazebo ? (WALL_RISE_MM + 50) : WALL_RISE_MM;
+            shiftRoofMeshes(ctx.scene, -WALL_OVERHANG_MM, roofRise, -WALL_OVERHANG_MM);
           }
-
-          if (Roof && typeof Roof.build3D === "function") Roof.build3D(roofState, ctx, undefined);
-          // Gazebo: lift roof an extra 50mm so it sits on top of the ring beam, not submerged in it
-          var roofRise = _isGazebo ? (WALL_RISE_MM + 50) : WALL_RISE_MM;
-          shiftRoofMeshes(ctx.scene, -WALL_OVERHANG_MM, roofRise, -WALL_OVERHANG_MM);
           // Build skylights AFTER shift — they parent to roof-root, must not be double-shifted
-          if (Skylights && typeof Skylights.build3D === "function") Skylights.build3D(roofState, ctx, undefined);
+          if (dirty.skylights && Skylights && typeof Skylights.build3D === "function") buildOwned(ctx.scene, "skylights", function () { Skylights.build3D(roofState, ctx, undefined); });
 
           // Build gazebo fascia boards now that roof meshes exist and are positioned
           if (_isGazebo) buildGazeboFascia(ctx.scene);
 
+          // Gutters hang off the eaves fascias, so they go on once the roof is in place
+          if (dirty.gutters && Gutters && typeof Gutters.build3D === "function") buildOwned(ctx.scene, "gutters", function () { Gutters.build3D(roofState, ctx); });
+
           if (Roof && typeof Roof.updateBOM === "function") Roof.updateBOM(roofState);
         } else {
           try {
@@ -2974,7 +3174,9 @@ if (getWallsEnabled(state)) {
         if (Base && typeof Base.updateBOM === "function") Base.updateBOM(baseState);
         updateOpeningsBOM(state);
         updateShelvingBOM(state);
+        updateGuttersBOM(state);
         try { updateAttachmentBOM(state); } catch(ae) { console.warn('[BOM] Attachment BOM error:', ae); }
+        try { updateCuttingPlan(state); } catch(ce) { console.warn('[BOM] Cutting plan error:', ce); }
 
         // Update price estimate
         if (window.__pricingReady && typeof window.__updatePriceCard === "function") {
@@ -3071,14 +3273,6 @@ if (getWallsEnabled(state)) {
     function renderMultiSectionMode(state) {
       console.log("[RENDER_MULTI] Starting multi-section render (v2)...");
 
-      // Dispose all existing meshes first
-      safeDispose();
-
-      // Also dispose any attachment-specific meshes
-      if (Attachments && typeof Attachments.disposeAllAttachments === "function") {
-        Attachments.disposeAllAttachments(ctx.scene);
-      }
-
       // STEP 1: Render the main building using legacy path
       console.log("[RENDER_MULTI] Rendering main building...");
 
@@ -3102,82 +3296,98 @@ if (getWallsEnabled(state)) {
         wallState.d = Math.max(_ldW2, _rdW2);
       }
 
+      var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
+      var roofEnabled = getRoofEnabled(state);
+      var roofW = (R && R.roof && R.roof.w_mm != null) ? Math.max(1, Math.floor(R.roof.w_mm)) : Math.max(1, Math.floor(R.base.w_mm));
+      var roofD = (R && R.roof && R.roof.d_mm != null) ? Math.max(1, Math.floor(R.roof.d_mm)) : Math.max(1, Math.floor(R.base.d_mm));
+
+      // Trapezoid override for roof depth
+      if (state.bespoke && state.bespoke.footprint === "trapezoid") {
+        var _ldR2 = Number(state.bespoke.leftDepth_mm) || roofD;
+        var _rdR2 = Number(state.bespoke.rightDepth_mm) || roofD;
+        roofD = Math.max(_ldR2, _rdR2);
+      }
+
+      var roofState = Object.assign({}, state, { w: roofW, d: roofD });
+      // Trapezoid: also override dim.frameD_mm so resolveDims() inside Roof
+      // computes the correct depth for purlins, OSB, covering, etc.
+      if (state.bespoke && state.bespoke.footprint === "trapezoid") {
+        var _maxTrapD2 = Math.max(
+          Number(state.bespoke.leftDepth_mm) || 0,
+          Number(state.bespoke.rightDepth_mm) || 0
+        );
+        if (_maxTrapD2 > 0) {
+          roofState = Object.assign({}, roofState, {
+            dim: Object.assign({}, roofState.dim || {}, { frameD_mm: _maxTrapD2 })
+          });
+        }
+      }
+
+      // Dirty tracking as in the legacy path; gutters here also cover the attachments' eaves
+      var _isTrapezoid = !!(state.bespoke && state.bespoke.footprint === "trapezoid");
+      var dirty = beginRender({
+        base: baseState, walls: wallState, dividers: wallState, doors: wallState,
+        windows: wallState, shelving: wallState, roof: roofState, skylights: roofState, gutters: state,
+        attachments: state
+      }, _isTrapezoid, true);
+      console.log("[RENDER_MULTI] Rebuilding:", window.__dbg.lastRebuild);
+
       // Build main building base
-      if (getBaseEnabled(state)) {
-        if (Base && typeof Base.build3D === "function") Base.build3D(baseState, ctx, undefined);
+      if (dirty.base && getBaseEnabled(state)) {
+        if (Base && typeof Base.build3D === "function") buildOwned(ctx.scene, "base", function () { Base.build3D(baseState, ctx, undefined); });
       }
 
       // Build main building walls
-      if (getWallsEnabled(state)) {
-        if (Walls && typeof Walls.build3D === "function") Walls.build3D(wallState, ctx, undefined);
+      if (dirty.walls && getWallsEnabled(state)) {
+        if (Walls && typeof Walls.build3D === "function") buildOwned(ctx.scene, "walls", function () { Walls.build3D(wallState, ctx, undefined); });
         shiftWallMeshes(ctx.scene, -WALL_OVERHANG_MM, WALL_RISE_MM, -WALL_OVERHANG_MM);
       }
 
       // Build internal dividers
-      if (Dividers && typeof Dividers.build3D === "function") {
-        Dividers.build3D(wallState, ctx, undefined);
+      if (dirty.dividers && Dividers && typeof Dividers.build3D === "function") {
+        buildOwned(ctx.scene, "dividers", function () { Dividers.build3D(wallState, ctx, undefined); });
         shiftDividerMeshes(ctx.scene, -WALL_OVERHANG_MM, WALL_RISE_MM, -WALL_OVERHANG_MM);
       }
 
       // Build doors/windows/shelving
-      if (Doors && typeof Doors.build3D === "function") Doors.build3D(wallState, ctx, undefined);
-      if (Windows && typeof Windows.build3D === "function") Windows.build3D(wallState, ctx, undefined);
-      if (Shelving && typeof Shelving.build3D === "function") Shelving.build3D(wallState, ctx, undefined);
+      if (dirty.doors && Doors && typeof Doors.build3D === "function") buildOwned(ctx.scene, "doors", function () { Doors.build3D(wallState, ctx, undefined); });
+      if (dirty.windows && Windows && typeof Windows.build3D === "function") buildOwned(ctx.scene, "windows", function () { Windows.build3D(wallState, ctx, undefined); });
+      if (dirty.shelving && Shelving && typeof Shelving.build3D === "function") buildOwned(ctx.scene, "shelving", function () { Shelving.build3D(wallState, ctx, undefined); });
 
       // Build main building roof
-      var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
-      var roofEnabled = getRoofEnabled(state);
-      var roofW = (R && R.roof && R.roof.w_mm != null) ? Math.max(1, Math.floor(R.roof.w_mm)) : Math.max(1, Math.floor(R.base.w_mm));
-      var roofD = (R && R.roof && R.roof.d_mm != null) ? Math.max(1, Math.floor(R.roof.d_mm)) : Math.max(1, Math.floor(R.base.d_mm));
-
-      // Trapezoid override for roof depth
-      if (state.bespoke && state.bespoke.footprint === "trapezoid") {
-        var _ldR2 = Number(state.bespoke.leftDepth_mm) || roofD;
-        var _rdR2 = Number(state.bespoke.rightDepth_mm) || roofD;
-        roofD = Math.max(_ldR2, _rdR2);
-      }
-
-      if (roofEnabled && (roofStyle === "pent" || roofStyle === "apex" || roofStyle === "hipped")) {
-        var roofState = Object.assign({}, state, { w: roofW, d: roofD });
-        // Trapezoid: also override dim.frameD_mm so resolveDims() inside Roof
-        // computes the correct depth for purlins, OSB, covering, etc.
-        if (state.bespoke && state.bespoke.footprint === "trapezoid") {
-          var _maxTrapD2 = Math.max(
-            Number(state.bespoke.leftDepth_mm) || 0,
-            Number(state.bespoke.rightDepth_mm) || 0
-          );
-          if (_maxTrapD2 > 0) {
-            roofState = Object.assign({}, roofState, {
-              dim: Object.assign({}, roofState.dim || {}, { frameD_mm: _maxTrapD2 })
-            });
-          }
+      if (roofEnabled && (roofStyle === "pent" || roofStyle === "apex" || roofStyle === "hipped" || roofStyle === "gambrel")) {
+        if (dirty.roof) {
+          if (Roof && typeof Roof.build3D === "function") buildOwned(ctx.scene, "roof", function () { Roof.build3D(roofState, ctx, undefined); });
+          shiftRoofMeshes(ctx.scene, -WALL_OVERHANG_MM, WALL_RISE_MM, -WALL_OVERHANG_MM);
         }
-
-        if (Roof && typeof Roof.build3D === "function") Roof.build3D(roofState, ctx, undefined);
-        shiftRoofMeshes(ctx.scene, -WALL_OVERHANG_MM, WALL_RISE_MM, -WALL_OVERHANG_MM);
         // Build skylights AFTER shift — they parent to roof-root, must not be double-shifted
-        if (Skylights && typeof Skylights.build3D === "function") Skylights.build3D(roofState, ctx, undefined);
+        if (dirty.skylights && Skylights && typeof Skylights.build3D === "function") buildOwned(ctx.scene, "skylights", function () { Skylights.build3D(roofState, ctx, undefined); });
       }
 
       // STEP 2: Render all attachments using the new Attachments module
       var attachments = state.sections?.attachments || [];
-      console.log("[RENDER_MULTI] Rendering", attachments.length, "attachments...");
+      if (dirty.attachments) {
+        console.log("[RENDER_MULTI] Rendering", attachments.length, "attachments...");
 
-      for (var i = 0; i < attachments.length; i++) {
-        var attachment = attachments[i];
-        if (!attachment || !attachment.enabled) continue;
+        for (var i = 0; i < attachments.length; i++) {
+          var attachment = attachments[i];
+          if (!attachment || !attachment.enabled) continue;
 
-        console.log("[RENDER_MULTI] Building attachment:", attachment.id, "on", attachment.attachTo?.wall);
+          console.log("[RENDER_MULTI] Building attachment:", attachment.id, "on", attachment.attachTo?.wall);
 
-        try {
-          if (Attachments && typeof Attachments.build3D === "function") {
-            Attachments.build3D(state, attachment, ctx);
+          try {
+            if (Attachments && typeof Attachments.build3D === "function") {
+              buildOwned(ctx.scene, "attachments", function () { Attachments.build3D(state, attachment, ctx); });
+            }
+          } catch (attError) {
+            console.error("[RENDER_MULTI] Error building attachment:", attachment.id, attError);
           }
-        } catch (attError) {
-          console.error("[RENDER_MULTI] Error building attachment:", attachment.id, attError);
         }
       }
 
+      // Gutters on the main and attachment eaves fascias
+      if (dirty.gutters && Gutters && typeof Gutters.build3D === "function") buildOwned(ctx.scene, "gutters", function () { Gutters.build3D(state, ctx); });
+
       // Update BOM for main building
       if (Walls && typeof Walls.updateBOM === "function") {
         var wallsBom = Walls.updateBOM(wallState);
@@ -3190,7 +3400,9 @@ if (getWallsEnabled(state)) {
       if (Base && typeof Base.updateBOM === "function") Base.updateBOM(baseState);
       updateOpeningsBOM(state);
       updateShelvingBOM(state);
+      updateGuttersBOM(state);
       try { updateAttachmentBOM(state); } catch(ae) { console.warn('[BOM] Attachment BOM error:', ae); }
+      try { updateCuttingPlan(state); } catch(ce) { console.warn('[BOM] Cutting plan error:', ce); }
 
       // Update price estimate
       if (window.__pricingReady && typeof window.__updatePriceCard === "function") {
@@ -3294,7 +3506,7 @@ if (getWallsEnabled(state)) {
     /**
      * Get wall height for openings validation
      * For pent roofs, use the minimum height (low wall) as the constraint
-     * For apex/hipped, use the eaves height
+     * For apex/hipped/gambrel, use the eaves height
      */
     function getWallHeightForOpenings(state) {
       var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
@@ -3314,6 +3526,8 @@ if (getWallsEnabled(state)) {
           : (state.roof && state.roof.apex && state.roof.apex.heightToEaves_mm)
             ? state.roof.apex.heightToEaves_mm : 1850;
         return Math.max(800, hippedEaves);
+      } else if (roofStyle === "gambrel") {
+        return Math.max(800, resolveGambrelProfile(state).eaves_mm);
       } else {
         // Default fallback
         return 2000;
@@ -3996,7 +4210,8 @@ if (getWallsEnabled(state)) {
       var need = (!sameArr(curDoorsS, nextDoors)) || (!sameArr(curWinsS, nextWins));
       if (need) {
         _invalidSyncGuard = true;
-        store.setState({ walls: { invalidDoorIds: nextDoors, invalidWindowIds: nextWins } });
+        // Bookkeeping only — not a user step, so keep it out of undo history
+        store.setState({ walls: { invalidDoorIds: nextDoors, invalidWindowIds: nextWins } }, { history: false });
         _invalidSyncGuard = false;
       }
 
@@ -4274,7 +4489,7 @@ var styleSel = document.createElement("select");
           row.className = "row3";
 
 var unitMode = getUnitMode(state);
-          var dimUnit = (unitMode === "imperial") ? "(in)" : "(mm)";
+          var dimUnit = (unitMode === "imperial") ? "(ft-in)" : "(mm)";
           var stepVal = (unitMode === "imperial") ? "0.5" : "10";
           var minVal = (unitMode === "imperial") ? "0" : "0";
           var minSizeVal = (unitMode === "imperial") ? "4" : "100";
@@ -4283,7 +4498,7 @@ var unitMode = getUnitMode(state);
             var lab = document.createElement("label");
             lab.textContent = labelTxt;
             var inp = document.createElement("input");
-            inp.type = "number";
+            setLengthInputType(inp, unitMode);
             inp.min = String(minAttr);
             inp.step = String(step);
             inp.value = formatDimension(valueMm, unitMode);
@@ -4344,11 +4559,8 @@ var unitMode = getUnitMode(state);
 function parseOpeningDim(val, defaultMm) {
             var s = store.getState();
             var um = getUnitMode(s);
-            var n = parseFloat(val);
-            if (!isFinite(n) || n < 0) return defaultMm;
-            if (um === "imperial") {
-              return Math.round(n * 25.4);
-            }
+            var n = parseLength(val, um);
+            if (n == null || n < 0) return defaultMm;
             return Math.floor(n);
           }
 
@@ -4520,7 +4732,7 @@ function parseOpeningDim(val, defaultMm) {
           row.className = "row4";
 
 var unitMode = getUnitMode(state);
-          var dimUnit = (unitMode === "imperial") ? "(in)" : "(mm)";
+          var dimUnit = (unitMode === "imperial") ? "(ft-in)" : "(mm)";
           var stepVal = (unitMode === "imperial") ? "0.5" : "10";
           var minVal = (unitMode === "imperial") ? "0" : "0";
           var minSizeVal = (unitMode === "imperial") ? "4" : "100";
@@ -4529,7 +4741,7 @@ var unitMode = getUnitMode(state);
             var lab = document.createElement("label");
             lab.textContent = labelTxt;
             var inp = document.createElement("input");
-            inp.type = "number";
+            setLengthInputType(inp, unitMode);
             inp.min = String(minAttr);
             inp.step = String(step);
             inp.value = formatDimension(valueMm, unitMode);
@@ -4584,11 +4796,8 @@ var unitMode = getUnitMode(state);
 function parseOpeningDim(val, defaultMm) {
             var s = store.getState();
             var um = getUnitMode(s);
-            var n = parseFloat(val);
-            if (!isFinite(n) || n < 0) return defaultMm;
-            if (um === "imperial") {
-              return Math.round(n * 25.4);
-            }
+            var n = parseLength(val, um);
+            if (n == null || n < 0) return defaultMm;
             return Math.floor(n);
           }
 
@@ -4671,6 +4880,24 @@ function syncUiFromState(state, validations) {
         var unitMode = getUnitMode(state);
         if (unitModeMetricEl) unitModeMetricEl.checked = (unitMode === "metric");
         if (unitModeImperialEl) unitModeImperialEl.checked = (unitMode === "imperial");
+        // Imperial lengths are typed as feet-inches text; metric inputs stay numeric
+        [roofMinHeightEl, roofMaxHeightEl, roofApexEavesHeightEl, roofApexCrestHeightEl, roofHippedEavesHeightEl, roofHippedCrestHeightEl,
+          roofGambrelEavesHeightEl, roofGambrelKneeHeightEl, overUniformEl, overFrontEl, overBackEl, overLeftEl, overRightEl].forEach(function (el) {
+          setLengthInputType(el, unitMode);
+        });
+        // Bespoke depths are only written at init, so re-show them in the current unit
+        var bespokeState = state.bespoke || {};
+        [[bespokeLeftDepthEl, bespokeState.leftDepth_mm || 2400], [bespokeRightDepthEl, bespokeState.rightDepth_mm || 3600]].forEach(function (pair) {
+          if (pair[0] && document.activeElement !== pair[0]) {
+            setLengthInputType(pair[0], unitMode);
+            pair[0].value = formatDimension(pair[1], unitMode);
+          }
+        });
+        // Static labels the sections below don't rewrite
+        [roofHippedEavesHeightEl, roofHippedCrestHeightEl, roofGambrelEavesHeightEl, roofGambrelKneeHeightEl, bespokeLeftDepthEl, bespokeRightDepthEl].forEach(function (el) {
+          var text = el && el.parentElement ? el.parentElement.childNodes[0] : null;
+          if (text && text.nodeType === 3) text.textContent = text.textContent.replace(/\((mm|ft-in)\)/, (unitMode === "imperial") ? "(ft-in)" : "(mm)");
+        });
 
 // Update dimension labels and input visibility based on unit mode
         if (unitMode === "imperial") {
@@ -4707,14 +4934,12 @@ function syncUiFromState(state, validations) {
               wMmFt = R0ft.base.w_mm;
               dMmFt = R0ft.base.d_mm;
             }
-            var wTotalIn = Math.round((wMmFt / 25.4) * 10) / 10;
-            var dTotalIn = Math.round((dMmFt / 25.4) * 10) / 10;
             if (wFtInEl) {
-              wFtInEl.textContent = "= " + wTotalIn + '"';
+              wFtInEl.textContent = "= " + mmToInFracStr(wMmFt);
               wFtInEl.style.display = "inline";
             }
             if (dFtInEl) {
-              dFtInEl.textContent = "= " + dTotalIn + '"';
+              dFtInEl.textContent = "= " + mmToInFracStr(dMmFt);
               dFtInEl.style.display = "inline";
             }
           } catch (eFt) {}
@@ -4758,9 +4983,9 @@ if (wInputEl && dInputEl) {
                 var wFI = mmToFeetInches(wMm);
                 var dFI = mmToFeetInches(dMm);
                 if (wFeetEl) wFeetEl.value = String(wFI.feet);
-                if (wInchesEl) wInchesEl.value = String(Math.round(wFI.inches * 2) / 2); // snap to half-inch
+                if (wInchesEl) wInchesEl.value = wFI.inchesText;
                 if (dFeetEl) dFeetEl.value = String(dFI.feet);
-                if (dInchesEl) dInchesEl.value = String(Math.round(dFI.inches * 2) / 2);
+                if (dInchesEl) dInchesEl.value = dFI.inchesText;
               }
             } catch (e0) {
               if (wInputEl && state && state.w != null) wInputEl.value = formatDimension(state.w, "metric");
@@ -4850,7 +5075,7 @@ roofMinHeightEl.step = (unitMode === "imperial") ? "0.5" : "10";
           // Update labels
           var minLabel = roofMinHeightEl.parentElement;
           var maxLabel = roofMaxHeightEl.parentElement;
-          var heightUnit = (unitMode === "imperial") ? "(inches)" : "(mm)";
+          var heightUnit = (unitMode === "imperial") ? "(ft-in)" : "(mm)";
           if (minLabel && minLabel.childNodes[0]) minLabel.childNodes[0].textContent = "Minimum Height " + heightUnit + " ";
           if (maxLabel && maxLabel.childNodes[0]) maxLabel.childNodes[0].textContent = "Maximum Height " + heightUnit + " ";
           
@@ -4891,7 +5116,7 @@ if (roofApexEavesHeightEl) {
             if (isApex && ah.eaves != null) roofApexEavesHeightEl.value = formatDimension(ah.eaves, unitMode);
             
             var eaveLabel = roofApexEavesHeightEl.parentElement;
-            var apexHeightUnit = (unitMode === "imperial") ? "(inches)" : "(mm)";
+            var apexHeightUnit = (unitMode === "imperial") ? "(ft-in)" : "(mm)";
             if (eaveLabel && eaveLabel.childNodes[0]) eaveLabel.childNodes[0].textContent = "Height to Eaves " + apexHeightUnit + " ";
           }
 
@@ -4965,8 +5190,28 @@ if (roofApexEavesHeightEl) {
           }
         } catch (eHippedSync) {}
 
+        // Sync gambrel roof controls from state to UI (values as resolved, so clamps show)
+        try {
+          var isGambrel = (state && state.roof && state.roof.style === "gambrel");
+          if (isGambrel) {
+            var gp = resolveGambrelProfile(state);
+            var gg = (state.roof && state.roof.gambrel) ? state.roof.gambrel : {};
+            [[roofGambrelEavesHeightEl, gp.eaves_mm], [roofGambrelKneeHeightEl, gp.knee_mm]].forEach(function (pair) {
+              if (!pair[0]) return;
+              pair[0].step = (unitMode === "imperial") ? "0.5" : "10";
+              pair[0].min = (unitMode === "imperial") ? "4" : "100";
+              if (document.activeElement !== pair[0]) pair[0].value = formatDimension(pair[1], unitMode);
+            });
+            if (roofGambrelLowerPitchEl && document.activeElement !== roofGambrelLowerPitchEl) roofGambrelLowerPitchEl.value = String(gp.lowerPitch_deg);
+            if (roofGambrelUpperPitchEl && document.activeElement !== roofGambrelUpperPitchEl) roofGambrelUpperPitchEl.value = String(gp.upperPitch_deg);
+            if (roofGambrelTrussCountEl && gg.trussCount != null && document.activeElement !== roofGambrelTrussCountEl) roofGambrelTrussCountEl.value = String(gg.trussCount);
+            var roofGambrelCrestEl = $("roofGambrelCrest");
+            if (roofGambrelCrestEl) roofGambrelCrestEl.value = formatDimension(gp.crest_mm, unitMode) + ((unitMode === "imperial") ? "" : "mm");
+          }
+        } catch (eGambrelSync) {}
+
 if (state && state.overhang) {
-          var ovhUnit = (unitMode === "imperial") ? "(in)" : "(mm)";
+          var ovhUnit = (unitMode === "imperial") ? "(ft-in)" : "(mm)";
           
           // Update labels
           if (overUniformLabelEl) overUniformLabelEl.textContent = "Uniform " + ovhUnit;
@@ -5069,6 +5314,14 @@ if (state && state.overhang) {
         updateInternalLiningVisibility(state?.walls?.variant || "insulated");
         if (internalLiningEl && state && state.walls && state.walls.internalLining) internalLiningEl.value = state.walls.internalLining;
         if (soffitsEnabledEl) soffitsEnabledEl.checked = (state?.roof?.soffits !== false); // default on
+        var gutterCfg = Gutters.getGutterSettings(state);
+        if (guttersEnabledEl) guttersEnabledEl.checked = gutterCfg.enabled;
+        if (guttersOptionsEl) guttersOptionsEl.style.display = gutterCfg.enabled ? "" : "none";
+        if (gutterProfileEl) gutterProfileEl.value = gutterCfg.profile;
+        if (gutterColourEl) gutterColourEl.value = gutterCfg.colour;
+        Object.keys(downpipeEls).forEach(function (corner) {
+          if (downpipeEls[corner]) downpipeEls[corner].checked = !!gutterCfg.downpipes[corner];
+        });
         if (claddingStyleEl && state && state.cladding && state.cladding.style) claddingStyleEl.value = state.cladding.style;
         if (claddingColourEl && state && state.cladding && state.cladding.colour) claddingColourEl.value = state.cladding.colour;
         if (roofCoveringStyleEl && state && state.roof && state.roof.covering) roofCoveringStyleEl.value = state.roof.covering;
@@ -5435,7 +5688,7 @@ if (state && state.overhang) {
           // All other types: reset to default shed preset
           var defaultPreset = findBuiltInPresetById(getDefaultBuiltInPresetId());
           if (defaultPreset && defaultPreset.state) {
-            var ds = defaultPreset.state;
+            var ds = migrateState(defaultPreset.state);
             Object.keys(ds).forEach(function(k) { patch[k] = ds[k]; });
           }
           if (patch.roof) patch.roof.covering = patch.roof.covering || "felt";
@@ -5502,13 +5755,13 @@ if (state && state.overhang) {
      if (roofStyleEl) {
       roofStyleEl.addEventListener("change", function () {
         var v = String(roofStyleEl.value || "apex");
-        if (v !== "apex" && v !== "pent" && v !== "hipped") v = "apex";
+        if (v !== "apex" && v !== "pent" && v !== "hipped" && v !== "gambrel") v = "apex";
         
         // When switching to hipped, auto-initialize hipped heights from UI inputs or defaults
         // This ensures state.roof.hipped exists so walls.js can read eaves height
         if (v === "hipped") {
-          var eavesVal = roofHippedEavesHeightEl ? parseFloat(roofHippedEavesHeightEl.value) : 0;
-          var crestVal = roofHippedCrestHeightEl ? parseFloat(roofHippedCrestHeightEl.value) : 0;
+          var eavesVal = roofHippedEavesHeightEl ? readLengthInput(roofHippedEavesHeightEl) : 0;
+          var crestVal = roofHippedCrestHeightEl ? readLengthInput(roofHippedCrestHeightEl) : 0;
           // Use defaults if inputs are empty or invalid
           if (!eavesVal || eavesVal < 800) eavesVal = 2000;
           if (!crestVal || crestVal < 1000) crestVal = 2400;
@@ -5578,9 +5831,9 @@ if (state && state.overhang) {
                 var hcwFI = mmToFeetInches(curW);
                 var hcdFI = mmToFeetInches(curD);
                 if (wFeetEl) wFeetEl.value = String(hcwFI.feet);
-                if (wInchesEl) wInchesEl.value = String(Math.round(hcwFI.inches * 2) / 2);
+                if (wInchesEl) wInchesEl.value = hcwFI.inchesText;
                 if (dFeetEl) dFeetEl.value = String(hcdFI.feet);
-                if (dInchesEl) dInchesEl.value = String(Math.round(hcdFI.inches * 2) / 2);
+                if (dInchesEl) dInchesEl.value = hcdFI.inchesText;
               }
             }
             if (ovhChanged && overUniformEl) {
@@ -5602,8 +5855,8 @@ if (state && state.overhang) {
 
     /**
      * Restrict roof covering options based on roof style.
-     * Hipped roofs only support Synthetic Slate Tiles.
-     * @param {string} roofStyle - "apex", "pent", or "hipped"
+     * Hipped roofs only support Synthetic Slate Tiles; gambrel roofs are not tiled (felt or EPDM).
+     * @param {string} roofStyle - "apex", "pent", "hipped" or "gambrel"
      */
     function updateRoofCoveringOptions(roofStyle) {
       if (!roofCoveringStyleEl) return;
@@ -5623,6 +5876,16 @@ if (state && state.overhang) {
           roofCoveringStyleEl.value = "slate";
           store.setState({ roof: { covering: "slate" } });
         }
+      } else if (roofStyle === "gambrel") {
+        // Gambrel: no tile layers, so membrane coverings only
+        if (feltOpt) feltOpt.disabled = false;
+        if (epdmOpt) epdmOpt.disabled = false;
+        if (slateOpt) slateOpt.disabled = true;
+
+        if (roofCoveringStyleEl.value === "slate") {
+          roofCoveringStyleEl.value = "felt";
+          store.setState({ roof: { covering: "felt" } });
+        }
       } else {
         // Apex/Pent: all options available
         if (feltOpt) feltOpt.disabled = false;
@@ -5640,13 +5903,8 @@ function commitPentHeightsFromInputs() {
       var PENT_MIN = 1000;
       var PENT_MAX = 2800;
       
-      var minVal = parseFloat(roofMinHeightEl.value) || 0;
-      var maxVal = parseFloat(roofMaxHeightEl.value) || 0;
-      
-      if (unitMode === "imperial") {
-        minVal = Math.round(minVal * 25.4);
-        maxVal = Math.round(maxVal * 25.4);
-      }
+      var minVal = parseLength(roofMinHeightEl.value, unitMode) || 0;
+      var maxVal = parseLength(roofMaxHeightEl.value, unitMode) || 0;
       
       // Clamp to valid range
       var minH = clamp(Math.floor(minVal), PENT_MIN, PENT_MAX);
@@ -5660,8 +5918,8 @@ function commitPentHeightsFromInputs() {
       
       // Update UI to reflect clamped values
       try { 
-        roofMinHeightEl.value = String(minH); 
-        roofMaxHeightEl.value = String(maxH);
+        roofMinHeightEl.value = formatDimension(minH, unitMode); 
+        roofMaxHeightEl.value = formatDimension(maxH, unitMode);
       } catch (e) {}
       
       store.setState({ roof: { pent: { minHeight_mm: minH, maxHeight_mm: maxH } } });
@@ -5681,13 +5939,8 @@ function commitApexHeightsFromInputs() {
       var APEX_CREST_MAX = 4500;
       
       var unitMode = getUnitMode(s);
-      var eavesVal = parseFloat(roofApexEavesHeightEl.value) || 0;
-      var crestVal = parseFloat(roofApexCrestHeightEl.value) || 0;
-      
-      if (unitMode === "imperial") {
-        eavesVal = Math.round(eavesVal * 25.4);
-        crestVal = Math.round(crestVal * 25.4);
-      }
+      var eavesVal = parseLength(roofApexEavesHeightEl.value, unitMode) || 0;
+      var crestVal = parseLength(roofApexCrestHeightEl.value, unitMode) || 0;
 
       // Clamp to valid ranges
       var eaves = clamp(Math.floor(eavesVal), APEX_EAVE_MIN, APEX_EAVE_MAX);
@@ -5704,8 +5957,8 @@ function commitApexHeightsFromInputs() {
 
       // Reflect clamp immediately in UI so the user sees the correction.
       try { 
-        roofApexEavesHeightEl.value = String(eaves);
-        roofApexCrestHeightEl.value = String(crest); 
+        roofApexEavesHeightEl.value = formatDimension(eaves, unitMode);
+        roofApexCrestHeightEl.value = formatDimension(crest, unitMode); 
       } catch (e0) {}
 
       store.setState({ roof: { apex: { heightToEaves_mm: eaves, heightToCrest_mm: crest } } });
@@ -5726,13 +5979,8 @@ function commitApexHeightsFromInputs() {
       var HIPPED_CREST_MAX = 4500;
       
       var unitMode = getUnitMode(s);
-      var eavesVal = parseFloat(roofHippedEavesHeightEl.value) || 0;
-      var crestVal = parseFloat(roofHippedCrestHeightEl.value) || 0;
-      
-      if (unitMode === "imperial") {
-        eavesVal = Math.round(eavesVal * 25.4);
-        crestVal = Math.round(crestVal * 25.4);
-      }
+      var eavesVal = parseLength(roofHippedEavesHeightEl.value, unitMode) || 0;
+      var crestVal = parseLength(roofHippedCrestHeightEl.value, unitMode) || 0;
 
       // Clamp to valid ranges
       var eaves = clamp(Math.floor(eavesVal), HIPPED_EAVE_MIN, HIPPED_EAVE_MAX);
@@ -5749,14 +5997,40 @@ function commitApexHeightsFromInputs() {
 
       // Reflect clamp immediately in UI
       try { 
-        roofHippedEavesHeightEl.value = String(eaves);
-        roofHippedCrestHeightEl.value = String(crest); 
+        roofHippedEavesHeightEl.value = formatDimension(eaves, unitMode);
+        roofHippedCrestHeightEl.value = formatDimension(crest, unitMode); 
       } catch (e0) {}
 
       console.log("[HIPPED_HEIGHTS] Committing eaves=" + eaves + ", crest=" + crest);
       store.setState({ roof: { hipped: { heightToEaves_mm: eaves, heightToCrest_mm: crest } } });
     }
 
+    // Commit gambrel roof controls from UI inputs to state.
+    // Only the input ranges are clamped here; resolveGambrelProfile() keeps the knee below the ridge
+    // and the upper pitch shallower than the lower, and the sync above shows the resolved values.
+    function commitGambrelFromInputs() {
+      if (!roofGambrelEavesHeightEl || !roofGambrelKneeHeightEl) return;
+
+      var s = store.getState();
+      var roofStyle = (s.roof && s.roof.style) ? s.roof.style : "apex";
+      if (roofStyle !== "gambrel") return;
+
+      var unitMode = getUnitMode(s);
+      var eaves = clamp(Math.floor(parseLength(roofGambrelEavesHeightEl.value, unitMode) || 0), 800, 2800);
+      var knee = clamp(Math.floor(parseLength(roofGambrelKneeHeightEl.value, unitMode) || 0), 1000, 4500);
+      if (knee <= eaves) knee = eaves + 100;
+
+      var patch = { heightToEaves_mm: eaves, heightToKnee_mm: knee };
+      var lower = Math.floor(Number(roofGambrelLowerPitchEl ? roofGambrelLowerPitchEl.value : NaN));
+      var upper = Math.floor(Number(roofGambrelUpperPitchEl ? roofGambrelUpperPitchEl.value : NaN));
+      var trusses = Math.floor(Number(roofGambrelTrussCountEl ? roofGambrelTrussCountEl.value : NaN));
+      if (Number.isFinite(lower)) patch.lowerPitch_deg = clamp(lower, 35, 80);
+      if (Number.isFinite(upper)) patch.upperPitch_deg = clamp(upper, 10, 45);
+      if (Number.isFinite(trusses)) patch.trussCount = clamp(trusses, 2, 40);
+
+      store.setState({ roof: { gambrel: patch } });
+    }
+
 if (roofMinHeightEl) wireCommitOnly(roofMinHeightEl, function () {
       if (!isPentRoofStyle(store.getState())) return;
       commitPentHeightsFromInputs();
@@ -5774,6 +6048,11 @@ if (roofMinHeightEl) wireCommitOnly(roofMinHeightEl, function () {
     if (roofHippedEavesHeightEl) wireCommitOnly(roofHippedEavesHeightEl, commitHippedHeightsFromInputs);
     if (roofHippedCrestHeightEl) wireCommitOnly(roofHippedCrestHeightEl, commitHippedHeightsFromInputs);
 
+    // Wire up gambrel inputs
+    [roofGambrelEavesHeightEl, roofGambrelKneeHeightEl, roofGambrelLowerPitchEl, roofGambrelUpperPitchEl, roofGambrelTrussCountEl].forEach(function (el) {
+      if (el) wireCommitOnly(el, commitGambrelFromInputs);
+    });
+
     // Apex trusses (incl. gable ends): user-selected count
     // Apex trusses (incl. gable ends): user-selected count
     if (roofApexTrussCountEl) {
@@ -5786,7 +6065,7 @@ if (roofMinHeightEl) wireCommitOnly(roofMinHeightEl, function () {
         if (!Number.isFinite(n)) n = computeLegacyApexTrussCount(s);
         n = clamp(n, 2, 200);
 
-        store.setState({ roof: { apex: { trussCount: n } } });
+        store.setState({ roof: { apex: { trussCount: n } } }, { merge: "roof.apex.trussCount" });
       });
     }
 
@@ -5865,6 +6144,14 @@ if (vCladdingEl) vCladdingEl.addEventListener("change", function (e) {
       if (unitModeImperialEl.checked) store.setState({ unitMode: "imperial" });
     });
 
+    // Cutting list Units: "in" is imperial mode; mm and mm + in are metric display choices
+    var unitsSelectEl = $("unitsSelect");
+    if (unitsSelectEl) unitsSelectEl.addEventListener("change", function () {
+      var want = unitsSelectEl.value === "in" ? "imperial" : "metric";
+      if (getUnitMode(store.getState()) !== want) store.setState({ unitMode: want });
+      else store.setState({}, { history: false }); // re-render the cutting lists only
+    });
+
     if (vOpeningsEl) vOpeningsEl.addEventListener("change", function (e) {
       var on = !!(e && e.target && e.target.checked);
       console.log("[vis] openings change fired, on=", on);
@@ -6206,13 +6493,13 @@ if (vCladdingEl) vCladdingEl.addEventListener("change", function (e) {
 
         if (wInputEl) {
           // Width can't exceed current depth
-          wInputEl.max = formatDimension(curD, unitMode);
-          wInputEl.title = "Hipped roof: width must be ≤ depth (" + formatDimension(curD, unitMode) + (unitMode === "imperial" ? "\"" : "mm") + ")";
+          wInputEl.max = formatDimension(curD, "metric");
+          wInputEl.title = "Hipped roof: width must be ≤ depth (" + formatDimension(curD, unitMode) + (unitMode === "imperial" ? "" : "mm") + ")";
         }
         if (dInputEl) {
           // Depth can't go below current width
-          dInputEl.min = formatDimension(curW, unitMode);
-          dInputEl.title = "Hipped roof: depth must be ≥ width (" + formatDimension(curW, unitMode) + (unitMode === "imperial" ? "\"" : "mm") + ")";
+          dInputEl.min = formatDimension(curW, "metric");
+          dInputEl.title = "Hipped roof: depth must be ≥ width (" + formatDimension(curW, unitMode) + (unitMode === "imperial" ? "" : "mm") + ")";
         }
       } else {
         // Remove hipped constraints
@@ -6240,10 +6527,11 @@ function writeActiveDims() {
 
 if (unitMode === "imperial") {
         // Input is in feet + inches (two separate fields)
+        // Inches box takes fractions ("10 1/2", "10-1/2") as well as decimals
         var wFt = parseInt(wFeetEl ? wFeetEl.value : 0, 10) || 0;
-        var wIn = parseFloat(wInchesEl ? wInchesEl.value : 0) || 0;
+        var wIn = (parseLength(wInchesEl ? wInchesEl.value : "", "imperial") || 0) / 25.4;
         var dFt = parseInt(dFeetEl ? dFeetEl.value : 0, 10) || 0;
-        var dIn = parseFloat(dInchesEl ? dInchesEl.value : 0) || 0;
+        var dIn = (parseLength(dInchesEl ? dInchesEl.value : "", "imperial") || 0) / 25.4;
         w = feetInchesToMm(wFt, wIn);
         d = feetInchesToMm(dFt, dIn);
         if (w < 1) w = 1000;
@@ -6266,9 +6554,9 @@ if (unitMode === "imperial") {
           var cwFI = mmToFeetInches(w);
           var cdFI = mmToFeetInches(d);
           if (wFeetEl) wFeetEl.value = String(cwFI.feet);
-          if (wInchesEl) wInchesEl.value = String(Math.round(cwFI.inches * 2) / 2);
+          if (wInchesEl) wInchesEl.value = cwFI.inchesText;
           if (dFeetEl) dFeetEl.value = String(cdFI.feet);
-          if (dInchesEl) dInchesEl.value = String(Math.round(cdFI.inches * 2) / 2);
+          if (dInchesEl) dInchesEl.value = cdFI.inchesText;
         }
         console.log("[writeActiveDims] Dimensions clamped to:", w, "x", d, "mm");
       }
@@ -6344,11 +6632,8 @@ function parseOverhangInput(val) {
       var s = store.getState();
       var unitMode = getUnitMode(s);
       if (val == null || val === "") return null;
-      var n = parseFloat(val);
-      if (!isFinite(n) || n < 0) return null;
-      if (unitMode === "imperial") {
-        return Math.round(n * 25.4);
-      }
+      var n = parseLength(val, unitMode);
+      if (n == null || n < 0) return null;
       return Math.floor(n);
     }
     
@@ -6389,6 +6674,18 @@ function parseOverhangInput(val) {
     });
     if (internalLiningEl) internalLiningEl.addEventListener("change", function () { store.setState({ walls: { internalLining: internalLiningEl.value } }); });
     if (soffitsEnabledEl) soffitsEnabledEl.addEventListener("change", function () { store.setState({ roof: { soffits: soffitsEnabledEl.checked } }); });
+    if (guttersEnabledEl) guttersEnabledEl.addEventListener("change", function () { store.setState({ gutters: { enabled: guttersEnabledEl.checked } }); });
+    if (gutterProfileEl) gutterProfileEl.addEventListener("change", function () { store.setState({ gutters: { profile: gutterProfileEl.value } }); });
+    if (gutterColourEl) gutterColourEl.addEventListener("change", function () { store.setState({ gutters: { colour: gutterColourEl.value } }); });
+    Object.keys(downpipeEls).forEach(function (corner) {
+      var el = downpipeEls[corner];
+      if (!el) return;
+      el.addEventListener("change", function () {
+        var patch = {};
+        patch[corner] = el.checked;
+        store.setState({ gutters: { downpipes: patch } });
+      });
+    });
     if (claddingStyleEl) claddingStyleEl.addEventListener("change", function () { store.setState({ cladding: { style: claddingStyleEl.value, colour: (claddingColourEl ? claddingColourEl.value : "natural-wood") } }); });
     if (claddingColourEl) claddingColourEl.addEventListener("change", function () { store.setState({ cladding: { style: (claddingStyleEl ? claddingStyleEl.value : "shiplap"), colour: claddingColourEl.value } }); });
     if (roofCoveringStyleEl) roofCoveringStyleEl.addEventListener("change", function () { 
@@ -6434,7 +6731,7 @@ function parseOverhangInput(val) {
     }
     if (wallHeightEl) wallHeightEl.addEventListener("input", function () {
       if (wallHeightEl && wallHeightEl.disabled === true) return;
-      store.setState({ walls: { height_mm: asPosInt(wallHeightEl.value, 2400) } });
+      store.setState({ walls: { height_mm: asPosInt(wallHeightEl.value, 2400) } }, { merge: "walls.height_mm" });
     });
 
     /**
@@ -6748,6 +7045,11 @@ function parseOverhangInput(val) {
         var pent = mainState.roof && mainState.roof.pent;
         var minHeight = Number((pent && pent.minHeight_mm) || 2100);
         fasciaBottom = minHeight - FASCIA_DEPTH_MM;
+      } else if (roofStyle === "hipped") {
+        var hipped = mainState.roof && mainState.roof.hipped;
+        fasciaBottom = Number((hipped && hipped.heightToEaves_mm) || 2500) - FASCIA_DEPTH_MM;
+      } else if (roofStyle === "gambrel") {
+        fasciaBottom = resolveGambrelProfile(mainState).eaves_mm - FASCIA_DEPTH_MM;
       } else {
         fasciaBottom = 1850 - FASCIA_DEPTH_MM; // Default fallback
       }
@@ -7064,15 +7366,14 @@ function parseOverhangInput(val) {
 
                 var xLabel = document.createElement("label");
                 xLabel.className = "att-opening-field";
-                xLabel.innerHTML = "<span>X pos (mm)</span>";
+                xLabel.innerHTML = "<span>X pos " + lengthUnitLabel() + "</span>";
                 var xInput = document.createElement("input");
-                xInput.type = "number";
-                xInput.value = String(opening.x_mm || 0);
+                setLengthInput(xInput, opening.x_mm || 0);
                 xInput.min = "0";
                 xInput.step = "50";
                 xInput.addEventListener("change", (function(oId, aId) {
                   return function() {
-                    patchAttachmentOpening(aId, oId, { x_mm: parseInt(this.value, 10) || 0 });
+                    patchAttachmentOpening(aId, oId, { x_mm: readLengthInput(this) || 0 });
                   };
                 })(openingId, thisAttId));
                 xLabel.appendChild(xInput);
@@ -7080,15 +7381,14 @@ function parseOverhangInput(val) {
 
                 var wLabel = document.createElement("label");
                 wLabel.className = "att-opening-field";
-                wLabel.innerHTML = "<span>Width (mm)</span>";
+                wLabel.innerHTML = "<span>Width " + lengthUnitLabel() + "</span>";
                 var wInput = document.createElement("input");
-                wInput.type = "number";
-                wInput.value = String(opening.width_mm || (isDoor ? 800 : 600));
+                setLengthInput(wInput, opening.width_mm || (isDoor ? 800 : 600));
                 wInput.min = "200";
                 wInput.step = "50";
                 wInput.addEventListener("change", (function(oId, aId) {
                   return function() {
-                    patchAttachmentOpening(aId, oId, { width_mm: parseInt(this.value, 10) || 600 });
+                    patchAttachmentOpening(aId, oId, { width_mm: readLengthInput(this) || 600 });
                   };
                 })(openingId, thisAttId));
                 wLabel.appendChild(wInput);
@@ -7096,15 +7396,14 @@ function parseOverhangInput(val) {
 
                 var hLabel = document.createElement("label");
                 hLabel.className = "att-opening-field";
-                hLabel.innerHTML = "<span>Height (mm)</span>";
+                hLabel.innerHTML = "<span>Height " + lengthUnitLabel() + "</span>";
                 var hInput = document.createElement("input");
-                hInput.type = "number";
-                hInput.value = String(opening.height_mm || (isDoor ? 1900 : 400));
+                setLengthInput(hInput, opening.height_mm || (isDoor ? 1900 : 400));
                 hInput.min = "200";
                 hInput.step = "50";
                 hInput.addEventListener("change", (function(oId, aId) {
                   return function() {
-                    patchAttachmentOpening(aId, oId, { height_mm: parseInt(this.value, 10) || 400 });
+                    patchAttachmentOpening(aId, oId, { height_mm: readLengthInput(this) || 400 });
                   };
                 })(openingId, thisAttId));
                 hLabel.appendChild(hInput);
@@ -7183,15 +7482,14 @@ function parseOverhangInput(val) {
 
                   var yLabel = document.createElement("label");
                   yLabel.className = "att-opening-field";
-                  yLabel.innerHTML = "<span>Y pos (mm)</span>";
+                  yLabel.innerHTML = "<span>Y pos " + lengthUnitLabel() + "</span>";
                   var yInput = document.createElement("input");
-                  yInput.type = "number";
-                  yInput.value = String(opening.y_mm || 1050);
+                  setLengthInput(yInput, opening.y_mm || 1050);
                   yInput.min = "200";
                   yInput.step = "50";
                   yInput.addEventListener("change", (function(oId, aId) {
                     return function() {
-                      patchAttachmentOpening(aId, oId, { y_mm: parseInt(this.value, 10) || 1050 });
+                      patchAttachmentOpening(aId, oId, { y_mm: readLengthInput(this) || 1050 });
                     };
                   })(openingId, thisAttId));
                   yLabel.appendChild(yInput);
@@ -7222,6 +7520,7 @@ function parseOverhangInput(val) {
             '<select class="att-roof-type">' +
             '<option value="pent"' + (roofType === "pent" ? " selected" : "") + '>Pent (single slope outward)</option>' +
             '<option value="apex"' + (roofType === "apex" ? " selected" : "") + '>Apex (gabled)</option>' +
+            '<option value="hipped"' + (roofType === "hipped" ? " selected" : "") + '>Hipped (lean-to, hips to main wall)</option>' +
             '<option value="overhang"' + (roofType === "overhang" ? " selected" : "") + '>Extended Overhang (no separate roof)</option>' +
             '</select></label>';
           roofSection.appendChild(roofRow1);
@@ -7289,6 +7588,26 @@ function parseOverhangInput(val) {
           apexOptions.appendChild(apexRow);
           roofSection.appendChild(apexOptions);
 
+          // Hipped roof options: top at the main wall (like the pent high edge) and eaves all round
+          var hippedCrestVal = Math.min(att.roof?.hipped?.crestHeight_mm || maxAttHeight, maxAttHeight);
+          var hippedEaveVal = Math.min(att.roof?.hipped?.eaveHeight_mm || Math.max(500, hippedCrestVal - 400), hippedCrestVal);
+          var hippedOvhVal = att.roof?.hipped?.overhang_mm != null ? att.roof.hipped.overhang_mm : 75;
+
+          var hippedOptions = document.createElement("div");
+          hippedOptions.className = "att-hipped-options";
+          hippedOptions.style.display = roofType === "hipped" ? "block" : "none";
+          var hippedRow = document.createElement("div");
+          hippedRow.className = "att-row three-col";
+          hippedRow.innerHTML =
+            '<label><span>Eave (mm)</span>' +
+            '<input type="number" class="att-hipped-eave" value="' + hippedEaveVal + '" min="500" step="50" max="' + hippedCrestVal + '" /></label>' +
+            '<label><span>Top at Wall (mm)</span>' +
+            '<input type="number" class="att-hipped-crest" value="' + hippedCrestVal + '" min="600" step="50" max="' + maxAttHeight + '" placeholder="Max: ' + maxAttHeight + 'mm" /></label>' +
+            '<label><span>Eaves Overhang</span>' +
+            '<input type="number" class="att-hipped-ovh" value="' + hippedOvhVal + '" min="0" step="25" /></label>';
+          hippedOptions.appendChild(hippedRow);
+          roofSection.appendChild(hippedOptions);
+
           body.appendChild(roofSection);
 
           // === L-Shaped Building Section ===
@@ -7375,6 +7694,10 @@ function parseOverhangInput(val) {
 
     /** Wire up input change handlers for an attachment editor */
     function wireAttachmentInputs(editor, attId) {
+      localiseLengthInputs(editor, ".att-offset-input, .att-width-input, .att-depth-input, .att-level-input, " +
+        ".att-pent-high, .att-pent-low, .att-pent-ovh-eaves, .att-pent-ovh-verge-l, .att-pent-ovh-verge-r, .att-apex-eave, .att-apex-crest, " +
+        ".att-hipped-eave, .att-hipped-crest, .att-hipped-ovh");
+
       // Position inputs
       var wallSelect = editor.querySelector(".att-wall-select");
       var offsetInput = editor.querySelector(".att-offset-input");
@@ -7386,7 +7709,7 @@ function parseOverhangInput(val) {
       }
       if (offsetInput) {
         offsetInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { attachTo: { offsetFromCenter_mm: parseInt(this.value, 10) || 0 } });
+          patchAttachmentById(attId, { attachTo: { offsetFromCenter_mm: readLengthInput(this) || 0 } });
         });
       }
 
@@ -7396,12 +7719,12 @@ function parseOverhangInput(val) {
 
       if (widthInput) {
         widthInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { dimensions: { width_mm: parseInt(this.value, 10) || 1800 } });
+          patchAttachmentById(attId, { dimensions: { width_mm: readLengthInput(this) || 1800 } });
         });
       }
       if (depthInput) {
         depthInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { dimensions: { depth_mm: parseInt(this.value, 10) || 1200 } });
+          patchAttachmentById(attId, { dimensions: { depth_mm: readLengthInput(this) || 1200 } });
         });
       }
 
@@ -7411,7 +7734,7 @@ function parseOverhangInput(val) {
 
       if (levelInput) {
         levelInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { base: { levelOffset_mm: parseInt(this.value, 10) || 0 } });
+          patchAttachmentById(attId, { base: { levelOffset_mm: readLengthInput(this) || 0 } });
         });
       }
       if (baseEnabledCheck) {
@@ -7433,6 +7756,7 @@ function parseOverhangInput(val) {
       var roofTypeSelect = editor.querySelector(".att-roof-type");
       var pentOptions = editor.querySelector(".att-pent-options");
       var apexOptions = editor.querySelector(".att-apex-options");
+      var hippedOptions = editor.querySelector(".att-hipped-options");
 
       if (roofTypeSelect) {
         roofTypeSelect.addEventListener("change", function() {
@@ -7442,6 +7766,7 @@ function parseOverhangInput(val) {
           // Show/hide appropriate options
           if (pentOptions) pentOptions.style.display = type === "pent" ? "block" : "none";
           if (apexOptions) apexOptions.style.display = type === "apex" ? "block" : "none";
+          if (hippedOptions) hippedOptions.style.display = type === "hipped" ? "block" : "none";
 
           // When switching to apex, set correct default values
           if (type === "apex") {
@@ -7483,12 +7808,12 @@ function parseOverhangInput(val) {
 
       if (pentHighInput) {
         pentHighInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { roof: { pent: { highHeight_mm: parseInt(this.value, 10) || 300 } } });
+          patchAttachmentById(attId, { roof: { pent: { highHeight_mm: readLengthInput(this) || 300 } } });
         });
       }
       if (pentLowInput) {
         pentLowInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { roof: { pent: { lowHeight_mm: parseInt(this.value, 10) || 100 } } });
+          patchAttachmentById(attId, { roof: { pent: { lowHeight_mm: readLengthInput(this) || 100 } } });
         });
       }
 
@@ -7499,17 +7824,17 @@ function parseOverhangInput(val) {
 
       if (pentOvhEavesInput) {
         pentOvhEavesInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { roof: { pent: { overhang: { eaves_mm: parseInt(this.value, 10) || 0 } } } });
+          patchAttachmentById(attId, { roof: { pent: { overhang: { eaves_mm: readLengthInput(this) || 0 } } } });
         });
       }
       if (pentOvhVergeLInput) {
         pentOvhVergeLInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { roof: { pent: { overhang: { vergeLeft_mm: parseInt(this.value, 10) || 0 } } } });
+          patchAttachmentById(attId, { roof: { pent: { overhang: { vergeLeft_mm: readLengthInput(this) || 0 } } } });
         });
       }
       if (pentOvhVergeRInput) {
         pentOvhVergeRInput.addEventListener("change", function() {
-          patchAttachmentById(attId, { roof: { pent: { overhang: { vergeRight_mm: parseInt(this.value, 10) || 0 } } } });
+          patchAttachmentById(attId, { roof: { pent: { overhang: { vergeRight_mm: readLengthInput(this) || 0 } } } });
         });
       }
 
@@ -7520,12 +7845,12 @@ function parseOverhangInput(val) {
 
       if (apexEaveInput) {
         apexEaveInput.addEventListener("change", function() {
-          var eaveVal = parseInt(this.value, 10) || 100;
+          var eaveVal = readLengthInput(this) || 100;
           // Eaves cannot exceed crest
-          var crestVal = apexCrestInput ? parseInt(apexCrestInput.value, 10) : 9999;
+          var crestVal = apexCrestInput ? readLengthInput(apexCrestInput) : 9999;
           if (eaveVal > crestVal) {
             eaveVal = crestVal;
-            this.value = eaveVal;
+            setLengthInput(this, eaveVal);
           }
           patchAttachmentById(attId, { roof: { apex: { eaveHeight_mm: eaveVal } } });
         });
@@ -7537,18 +7862,18 @@ function parseOverhangInput(val) {
           var thisAtt = currentAttachments.find(function(a) { return a.id === attId; });
           var thisAttachWall = thisAtt?.attachTo?.wall || "left";
           var maxCrest = getMaxApexCrestHeight(currentState, thisAttachWall);
-          var crestVal = parseInt(this.value, 10) || 400;
+          var crestVal = readLengthInput(this) || 400;
           // Cap crest at max allowed
           if (crestVal > maxCrest) {
             crestVal = maxCrest;
-            this.value = crestVal;
+            setLengthInput(this, crestVal);
           }
           // Update eaves max attribute and clamp if needed
           if (apexEaveInput) {
             apexEaveInput.max = crestVal;
-            var currentEave = parseInt(apexEaveInput.value, 10) || 0;
+            var currentEave = readLengthInput(apexEaveInput) || 0;
             if (currentEave > crestVal) {
-              apexEaveInput.value = crestVal;
+              setLengthInput(apexEaveInput, crestVal);
               patchAttachmentById(attId, { roof: { apex: { eaveHeight_mm: crestVal } } });
             }
           }
@@ -7561,6 +7886,48 @@ function parseOverhangInput(val) {
         });
       }
 
+      // Hipped roof inputs
+      var hippedEaveInput = editor.querySelector(".att-hipped-eave");
+      var hippedCrestInput = editor.querySelector(".att-hipped-crest");
+      var hippedOvhInput = editor.querySelector(".att-hipped-ovh");
+
+      if (hippedEaveInput) {
+        hippedEaveInput.addEventListener("change", function() {
+          var eaveVal = readLengthInput(this) || 500;
+          // Eaves must stay below the top at the main wall
+          var crestVal = hippedCrestInput ? readLengthInput(hippedCrestInput) : 9999;
+          if (eaveVal > crestVal - 100) {
+            eaveVal = crestVal - 100;
+            setLengthInput(this, eaveVal);
+          }
+          patchAttachmentById(attId, { roof: { hipped: { eaveHeight_mm: eaveVal } } });
+        });
+      }
+      if (hippedCrestInput) {
+        hippedCrestInput.addEventListener("change", function() {
+          var maxCrest = getMaxAttachmentHeight(store.getState());
+          var crestVal = readLengthInput(this) || maxCrest;
+          if (crestVal > maxCrest) {
+            crestVal = maxCrest;
+            setLengthInput(this, crestVal);
+          }
+          if (hippedEaveInput) {
+            hippedEaveInput.max = crestVal;
+            var currentEave = readLengthInput(hippedEaveInput) || 0;
+            if (currentEave > crestVal - 100) {
+              setLengthInput(hippedEaveInput, crestVal - 100);
+              patchAttachmentById(attId, { roof: { hipped: { eaveHeight_mm: crestVal - 100 } } });
+            }
+          }
+          patchAttachmentById(attId, { roof: { hipped: { crestHeight_mm: crestVal } } });
+        });
+      }
+      if (hippedOvhInput) {
+        hippedOvhInput.addEventListener("change", function() {
+          patchAttachmentById(attId, { roof: { hipped: { overhang_mm: readLengthInput(this) || 0 } } });
+        });
+      }
+
       // L-Shaped inputs
       var lShapedEnableCheck = editor.querySelector(".att-lshaped-enable");
       var lShapedOptions = editor.querySelector(".att-lshaped-options");
@@ -7849,16 +8216,15 @@ function parseOverhangInput(val) {
           posRow.style.cssText = "margin-bottom:6px;";
           var posLabel = document.createElement("label");
           var maxPos = div.axis === "x" ? internal.internalW : internal.internalD;
-          posLabel.innerHTML = "Position (mm) <span style='color:#666;font-size:10px;'>(max: " + maxPos + ")</span> ";
+          posLabel.innerHTML = "Position " + lengthUnitLabel() + " <span style='color:#666;font-size:10px;'>(max: " + maxPos + ")</span> ";
           var posInput = document.createElement("input");
-          posInput.type = "number";
           posInput.min = "50";
           posInput.max = String(maxPos - 50);
           posInput.step = "10";
-          posInput.value = String(div.position_mm || 500);
+          setLengthInput(posInput, div.position_mm || 500);
           posInput.style.width = "100px";
           posInput.addEventListener("change", function() {
-            patchDividerById(divId, { position_mm: parseInt(this.value, 10) || 500 });
+            patchDividerById(divId, { position_mm: readLengthInput(this) || 500 });
           });
           posLabel.appendChild(posInput);
           posRow.appendChild(posLabel);
@@ -7955,13 +8321,12 @@ function parseOverhangInput(val) {
                 var posLab = document.createElement("label");
                 posLab.textContent = "Pos ";
                 var posInp = document.createElement("input");
-                posInp.type = "number";
                 posInp.min = "50";
                 posInp.step = "10";
-                posInp.value = String(opening.position_mm || 0);
+                setLengthInput(posInp, opening.position_mm || 0);
                 posInp.style.width = "60px";
                 posInp.addEventListener("change", function() {
-                  patchDividerOpening(divId, openingId, { position_mm: parseInt(this.value, 10) || 0 });
+                  patchDividerOpening(divId, openingId, { position_mm: readLengthInput(this) || 0 });
                 });
                 posLab.appendChild(posInp);
                 openingRow.appendChild(posLab);
@@ -7970,13 +8335,12 @@ function parseOverhangInput(val) {
                 var widLab = document.createElement("label");
                 widLab.textContent = "W ";
                 var widInp = document.createElement("input");
-                widInp.type = "number";
                 widInp.min = "400";
                 widInp.step = "10";
-                widInp.value = String(opening.width_mm || 800);
+                setLengthInput(widInp, opening.width_mm || 800);
                 widInp.style.width = "60px";
                 widInp.addEventListener("change", function() {
-                  patchDividerOpening(divId, openingId, { width_mm: parseInt(this.value, 10) || 800 });
+                  patchDividerOpening(divId, openingId, { width_mm: readLengthInput(this) || 800 });
                 });
                 widLab.appendChild(widInp);
                 openingRow.appendChild(widLab);
@@ -7985,13 +8349,12 @@ function parseOverhangInput(val) {
                 var hgtLab = document.createElement("label");
                 hgtLab.textContent = "H ";
                 var hgtInp = document.createElement("input");
-                hgtInp.type = "number";
                 hgtInp.min = "400";
                 hgtInp.step = "10";
-                hgtInp.value = String(opening.height_mm || 1900);
+                setLengthInput(hgtInp, opening.height_mm || 1900);
                 hgtInp.style.width = "60px";
                 hgtInp.addEventListener("change", function() {
-                  patchDividerOpening(divId, openingId, { height_mm: parseInt(this.value, 10) || 1900 });
+                  patchDividerOpening(divId, openingId, { height_mm: readLengthInput(this) || 1900 });
                 });
                 hgtLab.appendChild(hgtInp);
                 openingRow.appendChild(hgtLab);
@@ -8041,10 +8404,10 @@ function parseOverhangInput(val) {
         bespokeTrapezoidOptionsEl.style.display = "";
       }
       if (initBespoke.leftDepth_mm && bespokeLeftDepthEl) {
-        bespokeLeftDepthEl.value = initBespoke.leftDepth_mm;
+        setLengthInput(bespokeLeftDepthEl, initBespoke.leftDepth_mm);
       }
       if (initBespoke.rightDepth_mm && bespokeRightDepthEl) {
-        bespokeRightDepthEl.value = initBespoke.rightDepth_mm;
+        setLengthInput(bespokeRightDepthEl, initBespoke.rightDepth_mm);
       }
 
       bespokeFootprintEl.addEventListener("change", function() {
@@ -8054,8 +8417,8 @@ function parseOverhangInput(val) {
         }
         if (shape === "trapezoid") {
           // Set default depths from the input fields (or sensible defaults)
-          var ld = parseInt((bespokeLeftDepthEl || {}).value, 10) || 2400;
-          var rd = parseInt((bespokeRightDepthEl || {}).value, 10) || 3600;
+          var ld = readLengthInput(bespokeLeftDepthEl) || 2400;
+          var rd = readLengthInput(bespokeRightDepthEl) || 3600;
           store.setState({ bespoke: { footprint: shape, leftDepth_mm: ld, rightDepth_mm: rd } });
         } else {
           store.setState({ bespoke: { footprint: shape } });
@@ -8065,7 +8428,7 @@ function parseOverhangInput(val) {
 
     if (bespokeLeftDepthEl) {
       wireCommitOnly(bespokeLeftDepthEl, function() {
-        var val = parseInt(bespokeLeftDepthEl.value, 10);
+        var val = readLengthInput(bespokeLeftDepthEl);
         if (isFinite(val) && val >= 600) {
           store.setState({ bespoke: { leftDepth_mm: val } });
         }
@@ -8074,7 +8437,7 @@ function parseOverhangInput(val) {
 
     if (bespokeRightDepthEl) {
       wireCommitOnly(bespokeRightDepthEl, function() {
-        var val = parseInt(bespokeRightDepthEl.value, 10);
+        var val = readLengthInput(bespokeRightDepthEl);
         if (isFinite(val) && val >= 600) {
           store.setState({ bespoke: { rightDepth_mm: val } });
         }
@@ -8089,8 +8452,8 @@ function parseOverhangInput(val) {
       var rightLabel = document.getElementById("bespokePlanRightLabel");
       if (!shape) return;
 
-      var leftD = parseInt((bespokeLeftDepthEl || {}).value, 10) || 2400;
-      var rightD = parseInt((bespokeRightDepthEl || {}).value, 10) || 3600;
+      var leftD = readLengthInput(bespokeLeftDepthEl) || 2400;
+      var rightD = readLengthInput(bespokeRightDepthEl) || 3600;
       var maxD = Math.max(leftD, rightD, 1);
 
       // Drawing area: x 30..230 (width=200), y 30..175 (max depth=145)
@@ -8261,10 +8624,10 @@ function parseOverhangInput(val) {
 
         // Numeric inputs: position along wall, height, length, depth
         var fields = [
-          { key: "x_mm", label: "Position along wall (mm)", min: 0, max: 8000, step: 50, val: shelf.x_mm || 0 },
-          { key: "y_mm", label: "Height from floor (mm)", min: 200, max: 2500, step: 50, val: shelf.y_mm || 1200 },
-          { key: "length_mm", label: "Length (mm)", min: 200, max: 4000, step: 50, val: shelf.length_mm || 800 },
-          { key: "depth_mm", label: "Depth (mm)", min: 100, max: 600, step: 25, val: shelf.depth_mm || 300 }
+          { key: "x_mm", label: "Position along wall", min: 0, max: 8000, step: 50, val: shelf.x_mm || 0 },
+          { key: "y_mm", label: "Height from floor", min: 200, max: 2500, step: 50, val: shelf.y_mm || 1200 },
+          { key: "length_mm", label: "Length", min: 200, max: 4000, step: 50, val: shelf.length_mm || 800 },
+          { key: "depth_mm", label: "Depth", min: 100, max: 600, step: 25, val: shelf.depth_mm || 300 }
         ];
 
         fields.forEach(function(f) {
@@ -8273,17 +8636,16 @@ function parseOverhangInput(val) {
           row.style.cssText = "margin-bottom:2px;";
           var lbl = document.createElement("label");
           lbl.style.fontSize = "10px";
-          lbl.textContent = f.label + " ";
+          lbl.textContent = f.label + " " + lengthUnitLabel() + " ";
           var inp = document.createElement("input");
-          inp.type = "number";
           inp.min = f.min;
           inp.max = f.max;
           inp.step = f.step;
-          inp.value = f.val;
+          setLengthInput(inp, f.val);
           inp.style.cssText = "width:70px;font-size:10px;padding:1px 3px;";
           inp.addEventListener("change", (function(i, key) {
             return function(e) {
-              var v = Math.max(0, Math.floor(Number(e.target.value) || 0));
+              var v = Math.max(0, readLengthInput(e.target) || 0);
               var arr = getShelvingFromState(store.getState());
               var patch = {};
               patch[key] = v;
@@ -8362,6 +8724,13 @@ function parseOverhangInput(val) {
         { value: "left", label: "Left" },
         { value: "right", label: "Right" }
       ];
+      // gambrel: a lower and an upper plane on each side
+      if (style === "gambrel") return [
+        { value: "front", label: "Left lower" },
+        { value: "front-upper", label: "Left upper" },
+        { value: "back", label: "Right lower" },
+        { value: "back-upper", label: "Right upper" }
+      ];
       // apex: slopes face left and right (ridge runs front-to-back)
       return [
         { value: "front", label: "Left" },
@@ -8372,9 +8741,14 @@ function parseOverhangInput(val) {
     /**
      * Compute the slope length for the current roof — used to set max constraints
      * on skylight Y position and height so they can't extend past the ridge.
+     * Gambrel planes differ, so pass the skylight face to get the right one.
      */
-    function getSlopeLength(state) {
+    function getSlopeLength(state, face) {
       var roofStyle = (state && state.roof && state.roof.style) ? state.roof.style : "apex";
+      if (roofStyle === "gambrel") {
+        var gp = resolveGambrelProfile(state);
+        return (face === "front-upper" || face === "back-upper") ? gp.upperLen_mm : gp.lowerLen_mm;
+      }
       var dims = typeof resolveDims === "function" ? resolveDims(state) : null;
       var roofW = dims ? (dims.roof ? dims.roof.w_mm : (dims.frame ? dims.frame.w_mm : 1800)) : 1800;
       if (roofStyle === "apex") {
@@ -8408,10 +8782,10 @@ function parseOverhangInput(val) {
       input.addEventListener("blur", function() {
         var mn = Number(this.min) || 0;
         var mx = Number(this.max) || Infinity;
-        var raw = parseInt(this.value) || 0;
+        var raw = readLengthInput(this) || 0;
         var val = Math.max(mn, Math.min(mx, raw));
         if (val !== raw) {
-          this.value = val;
+          setLengthInput(this, val);
           var arr = getSkylightsFromState(store.getState());
           if (arr[idx]) { arr[idx][field] = val; setSkylights(arr); }
         }
@@ -8422,7 +8796,6 @@ function parseOverhangInput(val) {
       var skylights = getSkylightsFromState(state);
       var faces = getFacesForRoofStyle(state);
       var roofStyle = (state && state.roof && state.roof.style) ? state.roof.style : "apex";
-      var slopeLen = getSlopeLength(state);
       var frameDepth = getFrameDepth(state);
       var MIN_EDGE_GAP = 30;
 
@@ -8442,6 +8815,7 @@ function parseOverhangInput(val) {
         }
 
         skylights.forEach(function(sky, idx) {
+          var slopeLen = getSlopeLength(state, sky.face);
           var card = document.createElement("div");
           card.className = "openingCard";
           card.style.cssText = "border:1px solid #ccc;border-radius:4px;padding:6px 8px;margin:0 0 6px 0;background:#fafafa;";
@@ -8500,21 +8874,20 @@ function parseOverhangInput(val) {
 
           var xLabel = document.createElement("label");
           xLabel.style.cssText = "font-size:10px;flex:1;";
-          xLabel.textContent = "X from left wall (mm) ";
+          xLabel.textContent = "X from left wall " + lengthUnitLabel() + " ";
           var xInput = document.createElement("input");
-          xInput.type = "number";
           var maxX = Math.max(0, frameDepth - (sky.width_mm || 600));
           xInput.min = "0";
           xInput.max = String(maxX);
           xInput.step = "10";
-          xInput.value = Math.min(sky.x_mm || 500, maxX);
+          setLengthInput(xInput, Math.min(sky.x_mm || 500, maxX));
           xInput.style.cssText = "width:100%;font-size:10px;padding:2px;";
           xInput.addEventListener("change", (function(i, mX) {
             return function() {
               var arr = getSkylightsFromState(store.getState());
-              var val = Math.max(0, Math.min(mX, parseInt(this.value) || 0));
+              var val = Math.max(0, Math.min(mX, readLengthInput(this) || 0));
               if (arr[i]) { arr[i].x_mm = val; setSkylights(arr); }
-              this.value = val;
+              setLengthInput(this, val);
             };
           })(idx, maxX));
           clampOnBlur(xInput, idx, "x_mm");
@@ -8523,21 +8896,20 @@ function parseOverhangInput(val) {
 
           var yLabel = document.createElement("label");
           yLabel.style.cssText = "font-size:10px;flex:1;";
-          yLabel.textContent = "Y up from plate (mm) ";
+          yLabel.textContent = "Y up from plate " + lengthUnitLabel() + " ";
           var yInput = document.createElement("input");
-          yInput.type = "number";
           var maxY = Math.max(0, slopeLen - MIN_EDGE_GAP - 100);
           yInput.min = "0";
           yInput.max = String(maxY);
           yInput.step = "10";
-          yInput.value = Math.min(sky.y_mm || 300, maxY);
+          setLengthInput(yInput, Math.min(sky.y_mm || 300, maxY));
           yInput.style.cssText = "width:100%;font-size:10px;padding:2px;";
           yInput.addEventListener("change", (function(i, mY) {
             return function() {
               var arr = getSkylightsFromState(store.getState());
-              var val = Math.max(0, Math.min(mY, parseInt(this.value) || 0));
+              var val = Math.max(0, Math.min(mY, readLengthInput(this) || 0));
               if (arr[i]) { arr[i].y_mm = val; setSkylights(arr); }
-              this.value = val;
+              setLengthInput(this, val);
             };
           })(idx, maxY));
           clampOnBlur(yInput, idx, "y_mm");
@@ -8551,14 +8923,13 @@ function parseOverhangInput(val) {
 
           var wLabel = document.createElement("label");
           wLabel.style.cssText = "font-size:10px;flex:1;";
-          wLabel.textContent = "Width (mm) ";
+          wLabel.textContent = "Width " + lengthUnitLabel() + " ";
           var wInput = document.createElement("input");
-          wInput.type = "number";
           wInput.min = "100";
           var maxW = Math.max(100, frameDepth - (sky.x_mm || 500));
           wInput.max = String(maxW);
           wInput.step = "10";
-          wInput.value = Math.min(sky.width_mm || 600, maxW);
+          setLengthInput(wInput, Math.min(sky.width_mm || 600, maxW));
           wInput.style.cssText = "width:100%;font-size:10px;padding:2px;";
           wInput.addEventListener("change", (function(i, fd) {
             return function() {
@@ -8566,10 +8937,10 @@ function parseOverhangInput(val) {
               if (arr[i]) {
                 var curX = arr[i].x_mm || 500;
                 var mW = Math.max(100, fd - curX);
-                var val = Math.max(100, Math.min(mW, parseInt(this.value) || 600));
+                var val = Math.max(100, Math.min(mW, readLengthInput(this) || 600));
                 arr[i].width_mm = val;
                 setSkylights(arr);
-                this.value = val;
+                setLengthInput(this, val);
               }
             };
           })(idx, frameDepth));
@@ -8579,14 +8950,13 @@ function parseOverhangInput(val) {
 
           var hLabel = document.createElement("label");
           hLabel.style.cssText = "font-size:10px;flex:1;";
-          hLabel.textContent = "Height (mm) ";
+          hLabel.textContent = "Height " + lengthUnitLabel() + " ";
           var hInput = document.createElement("input");
-          hInput.type = "number";
           hInput.min = "100";
           var maxH = Math.max(100, slopeLen - (sky.y_mm || 300) - MIN_EDGE_GAP);
           hInput.max = String(maxH);
           hInput.step = "10";
-          hInput.value = Math.min(sky.height_mm || 800, maxH);
+          setLengthInput(hInput, Math.min(sky.height_mm || 800, maxH));
           hInput.style.cssText = "width:100%;font-size:10px;padding:2px;";
           hInput.addEventListener("change", (function(i, sl, eg) {
             return function() {
@@ -8594,10 +8964,10 @@ function parseOverhangInput(val) {
               if (arr[i]) {
                 var curY = arr[i].y_mm || 300;
                 var mH = Math.max(100, sl - curY - eg);
-                var val = Math.max(100, Math.min(mH, parseInt(this.value) || 800));
+                var val = Math.max(100, Math.min(mH, readLengthInput(this) || 800));
                 arr[i].height_mm = val;
                 setSkylights(arr);
-                this.value = val;
+                setLengthInput(this, val);
               }
             };
           })(idx, slopeLen, MIN_EDGE_GAP));
@@ -8616,7 +8986,7 @@ function parseOverhangInput(val) {
       var arr = getSkylightsFromState(s).slice();
       var style = (s && s.roof && s.roof.style) ? s.roof.style : "apex";
       var defaultFace = (style === "pent") ? "pent" : "front";
-      var sl = getSlopeLength(s);
+      var sl = getSlopeLength(s, defaultFace);
       var defaultY = 300;
       var defaultH = Math.min(800, Math.max(100, sl - defaultY - 30));
       // Default X position varies by roof style:
@@ -8810,6 +9180,7 @@ function parseOverhangInput(val) {
         console.log("[INIT] Before initProfileEditor (inside profile promise)");
         initProfileEditor({ store: store, skipLoadProfiles: true });
         console.log("[INIT] After initProfileEditor");
+        initPriceEditor({ store: store });
       });
     } else {
       // Viewer mode - no profile editor needed, but initialize if needed
@@ -8821,6 +9192,9 @@ function parseOverhangInput(val) {
     initPanelResize();
     console.log("[INIT] After initPanelResize");
 
+    // Undo/redo buttons + Ctrl+Z / Ctrl+Shift+Z
+    initUndoRedo(store, { undoBtn: "undoBtn", redoBtn: "redoBtn" });
+
     // Helper function to complete initialization after profile is applied
     function completeInit() {
       // Commit HTML default apex heights to state on init (ensures cladding trim works on first load)
@@ -8930,6 +9304,9 @@ function parseOverhangInput(val) {
         window.__dbg.refreshDynamicControls();
       }
 
+      // Start undo history from the fully initialised design (init writes are not user steps)
+      store.clearHistory();
+
       window.__dbg.initFinished = true;
 
       // Center camera on model after first render (especially important on mobile)
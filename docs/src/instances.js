@@ -8,6 +8,8 @@
 //
 
 import { DEFAULTS } from "./params.js";
+import { migrateState } from "./migrations.js";
+import { reviewStateProblems } from "./ui/state-problems.js";
 import { getBuiltInPresets, getDefaultBuiltInPresetId, findBuiltInPresetById } from "../instances.js?_v=9";
 import { copyViewerUrlToClipboard, isViewerMode, getProfileFromUrl } from "./profiles.js";
 import { createShareLink } from "./share-link.js";
@@ -112,51 +114,31 @@ export function initInstancesUI({ store, ids, dbg }) {
     }
   }
 
-function applyState(stateObj) {
-    // Deep merge onto DEFAULTS to ensure all required fields exist
+  /**
+   * Load a design into the store.
+   * @param {Object} stateObj - Stored state (any schema version)
+   * @param {string} source - Shown in the problems dialog if validation fails
+   * @returns {boolean} false when the user cancelled because of schema problems
+   */
+  function applyState(stateObj, source) {
+    // Bring older saved shapes up to the current schema, validate, then deep
+    // merge onto DEFAULTS to ensure all required fields exist
+    var migrated = reviewStateProblems(migrateState(stateObj || {}), source || "Design");
+    if (!migrated) return false;
     var baseline = cloneJson(DEFAULTS);
-    var merged = deepMerge(baseline, cloneJson(stateObj || {}));
-    
-    // If preset provides legacy w/d fields, ensure dim + dimInputs are set correctly
-    // (resolveDims uses dim as canonical source, dimInputs as fallback)
-    if (stateObj && stateObj.w != null && stateObj.d != null) {
-      var mode = stateObj.dimMode || merged.dimMode || "frame";
-      var pw = Number(stateObj.w);
-      var pd = Number(stateObj.d);
-      if (pw > 0 && pd > 0) {
-        // Ensure dim is set from w/d (canonical)
-        if (!stateObj.dim) {
-          merged.dim = { frameW_mm: pw, frameD_mm: pd };
-        }
-        // Also update dimInputs for the current mode
-        if (!stateObj.dimInputs) {
-          var ov = merged.overhang || {};
-          var uniformOv = Number(ov.uniform_mm) || 0;
-          var lOv = Number(ov.left_mm) || uniformOv;
-          var rOv = Number(ov.right_mm) || uniformOv;
-          var fOv = Number(ov.front_mm) || uniformOv;
-          var bOv = Number(ov.back_mm) || uniformOv;
-          var gap = Number(merged.dimGap_mm) || 50;
-          if (mode === "frame") {
-            merged.dimInputs = deepMerge(merged.dimInputs, {
-              frameW_mm: pw, frameD_mm: pd,
-              baseW_mm: Math.max(1, pw - gap), baseD_mm: Math.max(1, pd - gap),
-              roofW_mm: pw + lOv + rOv, roofD_mm: pd + fOv + bOv
-            });
-          }
-        }
-      }
-    }
+    var merged = deepMerge(baseline, cloneJson(migrated));
     
     // Replace entire state (not shallow merge)
-    // We need to set each top-level key
+    // We need to set each top-level key — batched so loading a design is a single undo step
     var keys = Object.keys(merged);
-    for (var i = 0; i < keys.length; i++) {
-      var k = keys[i];
-      var patch = {};
-      patch[k] = merged[k];
-      store.setState(patch);
-    }
+    store.batch(function () {
+      for (var i = 0; i < keys.length; i++) {
+        var k = keys[i];
+        var patch = {};
+        patch[k] = merged[k];
+        store.setState(patch);
+      }
+    });
 
     // Update sequence counters to avoid duplicate IDs
     // Scan existing openings and set counters above any existing IDs
@@ -186,6 +168,7 @@ function applyState(stateObj) {
     } catch (e) {
       // Ignore errors in sequence update
     }
+    return true;
   }
 
   function loadPreset(presetId) {
@@ -196,7 +179,10 @@ function applyState(stateObj) {
     }
 
     if (preset.state) {
-      applyState(preset.state);
+      if (!applyState(preset.state, "Preset \"" + preset.name + "\"")) {
+        setHint("Preset not loaded");
+        return false;
+      }
       setHint("Loaded: " + preset.name);
       return true;
     } else {
@@ -262,7 +248,7 @@ function applyState(stateObj) {
         var state = null;
         if (data._format === "shed-designer-v1" && data.state) {
           state = data.state;
-        } else if (data.dim || data.walls || data.roof) {
+        } else if (data.dim || data.walls || data.roof || data.schemaVersion != null || (data.w != null && data.d != null)) {
           // Looks like raw state
           state = data;
         } else {
@@ -270,7 +256,10 @@ function applyState(stateObj) {
           return;
         }
 
-        applyState(state);
+        if (!applyState(state, file.name)) {
+          setHint("Import cancelled");
+          return;
+        }
         setHint("Design imported from " + file.name);
       } catch (err) {
         setHint("Import failed: " + (err.message || err));
@@ -489,7 +478,8 @@ function applyState(stateObj) {
     var roofStyle = state.roof && state.roof.style ? state.roof.style : "apex";
     var roofStyleLabel = roofStyle === "apex" ? "Apex (gabled)" :
                          roofStyle === "pent" ? "Pent (single pitch)" :
-                         roofStyle === "hipped" ? "Hipped" : roofStyle;
+                         roofStyle === "hipped" ? "Hipped" :
+                         roofStyle === "gambrel" ? "Gambrel (barn)" : roofStyle;
     lines.push("  Roof Type: " + roofStyleLabel);
 
     var wallVariant = state.walls && state.walls.variant ? state.walls.variant : "basic";
@@ -522,6 +512,13 @@ function applyState(stateObj) {
       var hipped = state.roof.hipped;
       if (hipped.heightToEaves_mm != null) lines.push("  Eave Height: " + hipped.heightToEaves_mm + "mm");
       if (hipped.heightToCrest_mm != null) lines.push("  Crest Height: " + hipped.heightToCrest_mm + "mm");
+    } else if (roofStyle === "gambrel" && state.roof && state.roof.gambrel) {
+      var gambrel = state.roof.gambrel;
+      if (gambrel.heightToEaves_mm != null) lines.push("  Eave Height: " + gambrel.heightToEaves_mm + "mm");
+      if (gambrel.heightToKnee_mm != null) lines.push("  Knee Height: " + gambrel.heightToKnee_mm + "mm");
+      if (gambrel.lowerPitch_deg != null) lines.push("  Lower Pitch: " + gambrel.lowerPitch_deg + "°");
+      if (gambrel.upperPitch_deg != null) lines.push("  Upper Pitch: " + gambrel.upperPitch_deg + "°");
+      if (gambrel.trussCount != null) lines.push("  Truss Count: " + gambrel.trussCount);
     }
 
     // Overhangs
@@ -596,16 +593,18 @@ function applyState(stateObj) {
     }
 
     // --- ATTACHMENTS ---
-    var attachments = state.attachments && state.attachments.items ? state.attachments.items : [];
-    var enabledAttachments = attachments.filter(function(a) { return a.enabled !== false; });
+    var attachments = state.sections && Array.isArray(state.sections.attachments) ? state.sections.attachments : [];
+    var enabledAttachments = attachments.filter(function(a) { return a && a.enabled !== false; });
     if (enabledAttachments.length > 0) {
       lines.push("BUILDING ATTACHMENTS (" + enabledAttachments.length + ")");
       for (var m = 0; m < enabledAttachments.length; m++) {
         var att = enabledAttachments[m];
-        var attType = att.type || "lean-to";
-        var attWall = (att.wall || "left").charAt(0).toUpperCase() + (att.wall || "left").slice(1);
+        var attType = (att.roof && att.roof.type) || "pent";
+        var attWallId = (att.attachTo && att.attachTo.wall) || "left";
+        var attWall = attWallId.charAt(0).toUpperCase() + attWallId.slice(1);
+        var attDims = att.dimensions || {};
         lines.push("  " + (m+1) + ". " + attType + " on " + attWall + " wall, " +
-                   (att.width_mm || 1000) + "x" + (att.depth_mm || 1000) + "mm");
+                   (attDims.width_mm || 1800) + "x" + (attDims.depth_mm || 1200) + "mm");
       }
       lines.push("");
     }
@@ -644,8 +643,7 @@ function applyState(stateObj) {
     if (defaultId) {
       var preset = findBuiltInPresetById(defaultId);
       if (preset && preset.state) {
-        applyState(preset.state);
-        setHint("Loaded: " + preset.name);
+        if (applyState(preset.state, "Preset \"" + preset.name + "\"")) setHint("Loaded: " + preset.name);
       }
     }
   }
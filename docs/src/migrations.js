@@ -0,0 +1,182 @@
+// FILE: docs/src/migrations.js
+//
+// Design-state schema migrations.
+// Every load path (URL/share links, presets, imports, leads) runs state through
+// migrateState() before it is merged onto DEFAULTS, so an old design opens the
+// same way wherever it came from.
+//
+// States may be partial (URL params, compact viewer links), so each migration
+// only rewrites fields that are present and never fills in defaults.
+//
+// To change the state shape: bump SCHEMA_VERSION in params.js and append a
+// migration whose `to` equals the new version.
+
+import { DEFAULTS, SCHEMA_VERSION } from "./params.js";
+
+/**
+ * Ordered migrations. Each takes a state at version `to - 1` (mutable copy)
+ * and returns it at version `to`.
+ */
+const MIGRATIONS = [
+  {
+    to: 1,
+    name: "root w/d -> dim + dimInputs",
+    migrate: migrateRootDims
+  },
+  {
+    to: 2,
+    name: "collection shapes (dividers, attachments, openings)",
+    migrate: migrateCollections
+  }
+];
+
+/**
+ * Read the schema version of a stored state (0 when unversioned).
+ * @param {object} state
+ * @returns {number}
+ */
+export function getStateVersion(state) {
+  var v = state && Number(state.schemaVersion);
+  return Number.isFinite(v) && v > 0 ? Math.floor(v) : 0;
+}
+
+/**
+ * Bring a stored (possibly partial) design state up to SCHEMA_VERSION.
+ * The input is not modified.
+ * @param {object} input - Raw state from a URL, preset, import file or lead
+ * @returns {object} Migrated copy stamped with schemaVersion
+ */
+export function migrateState(input) {
+  if (!input || typeof input !== "object") return input;
+
+  var state = cloneJson(input);
+  var from = getStateVersion(state);
+
+  if (from > SCHEMA_VERSION) {
+    console.warn("[migrations] State schemaVersion " + from + " is newer than supported " + SCHEMA_VERSION + " - loading as-is");
+    return state;
+  }
+
+  for (var i = 0; i < MIGRATIONS.length; i++) {
+    var m = MIGRATIONS[i];
+    if (m.to <= from) continue;
+    state = m.migrate(state) || state;
+    console.log("[migrations] Applied v" + m.to + ": " + m.name);
+  }
+
+  state.schemaVersion = SCHEMA_VERSION;
+  return state;
+}
+
+// ---- v1: dimensions ----
+// Early designs only stored root w/d. resolveDims() reads dim as canonical and
+// dimInputs as the per-mode fallback, so derive both when they are missing.
+function migrateRootDims(state) {
+  if (state.w == null || state.d == null) return state;
+
+  var pw = Number(state.w);
+  var pd = Number(state.d);
+  if (!(pw > 0 && pd > 0)) return state;
+
+  if (!state.dim) {
+    state.dim = { frameW_mm: pw, frameD_mm: pd };
+  } else {
+    if (state.dim.frameW_mm == null) state.dim.frameW_mm = pw;
+    if (state.dim.frameD_mm == null) state.dim.frameD_mm = pd;
+  }
+
+  var mode = state.dimMode || DEFAULTS.dimMode || "frame";
+  if (!state.dimInputs && mode === "frame") {
+    var ov = Object.assign({}, DEFAULTS.overhang, state.overhang || {});
+    var uniformOv = Number(ov.uniform_mm) || 0;
+    var lOv = Number(ov.left_mm) || uniformOv;
+    var rOv = Number(ov.right_mm) || uniformOv;
+    var fOv = Number(ov.front_mm) || uniformOv;
+    var bOv = Number(ov.back_mm) || uniformOv;
+    var gap = Number(state.dimGap_mm != null ? state.dimGap_mm : DEFAULTS.dimGap_mm) || 50;
+    state.dimInputs = {
+      frameW_mm: pw, frameD_mm: pd,
+      baseW_mm: Math.max(1, pw - gap), baseD_mm: Math.max(1, pd - gap),
+      roofW_mm: pw + lOv + rOv, roofD_mm: pd + fOv + bOv
+    };
+  }
+
+  return state;
+}
+
+// ---- v2: collection shapes ----
+// - dividers stored as a bare array -> { items: [...] }
+// - attachments stored at root ({ items: [{ wall, width_mm, depth_mm }] }) -> sections.attachments
+// - openings with un-suffixed fields (x, y, w/width, h/height) -> x_mm, y_mm, width_mm, height_mm
+function migrateCollections(state) {
+  if (Array.isArray(state.dividers)) {
+    state.dividers = { items: state.dividers };
+  }
+
+  if (state.attachments && Array.isArray(state.attachments.items)) {
+    var legacyAtts = state.attachments.items.map(migrateLegacyAttachment);
+    state.sections = state.sections || {};
+    var existing = Array.isArray(state.sections.attachments) ? state.sections.attachments : [];
+    state.sections.attachments = existing.concat(legacyAtts);
+    if (legacyAtts.length && state.sections.enabled == null) state.sections.enabled = true;
+    delete state.attachments;
+  }
+
+  if (state.sections && state.sections.attachments != null && !Array.isArray(state.sections.attachments)) {
+    state.sections.attachments = [];
+  }
+
+  if (state.walls && Array.isArray(state.walls.openings)) {
+    state.walls.openings = state.walls.openings.map(migrateOpening);
+  }
+  if (state.sections && Array.isArray(state.sections.attachments)) {
+    state.sections.attachments.forEach(function (att) {
+      if (att && att.walls && Array.isArray(att.walls.openings)) {
+        att.walls.openings = att.walls.openings.map(migrateOpening);
+      }
+    });
+  }
+
+  return state;
+}
+
+function migrateLegacyAttachment(att, i) {
+  if (!att || typeof att !== "object") return att;
+  if (att.attachTo && att.dimensions) return att;
+
+  var out = Object.assign({}, att);
+  out.id = att.id || ("att-legacy-" + (i + 1));
+  out.attachTo = att.attachTo || { wall: att.wall || "left", offsetFromCenter_mm: 0 };
+  out.dimensions = att.dimensions || {
+    width_mm: Number(att.width_mm) || 1800,
+    depth_mm: Number(att.depth_mm) || 1200
+  };
+  if (!out.roof && (att.type === "apex" || att.type === "pent")) out.roof = { type: att.type };
+  delete out.wall;
+  delete out.width_mm;
+  delete out.depth_mm;
+  return out;
+}
+
+function migrateOpening(o) {
+  if (!o || typeof o !== "object") return o;
+  var out = Object.assign({}, o);
+
+  function rename(from, to) {
+    if (out[to] == null && out[from] != null) out[to] = Number(out[from]);
+    delete out[from];
+  }
+  rename("x", "x_mm");
+  rename("y", "y_mm");
+  rename("width", "width_mm");
+  rename("w", "width_mm");
+  rename("height", "height_mm");
+  rename("h", "height_mm");
+
+  if (out.id != null && typeof out.id !== "string") out.id = String(out.id);
+  return out;
+}
+
+function cloneJson(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
@@ -9,8 +9,12 @@ export const CONFIG = {
   spacing: 400
 };
 
+/** Current design-state schema version (see migrations.js) */
+export const SCHEMA_VERSION = 2;
+
 /** Walls + Dimension Mode defaults + Base visibility */
 export const DEFAULTS = {
+  schemaVersion: SCHEMA_VERSION,
   buildingType: "shed",
   w: 1800,
   d: 2400,
@@ -28,6 +32,8 @@ export const DEFAULTS = {
   },
   dimMode: "frame",
   dimGap_mm: 50,
+  // Display / input units only; every length in state stays in mm (see units.js)
+  unitMode: "metric",
   dim: {
     frameW_mm: 1800,
     frameD_mm: 2400
@@ -60,6 +66,13 @@ export const DEFAULTS = {
       minHeight_mm: 2300,
       maxHeight_mm: 2500
     },
+    gambrel: {
+      trussCount: 3,
+      heightToEaves_mm: 1900,
+      heightToKnee_mm: 2500,  // Where the steep lower slope meets the shallow upper slope
+      lowerPitch_deg: 60,
+      upperPitch_deg: 25
+    },
     skylights: []  // Array of skylight objects: { id, enabled, face, x_mm, y_mm, width_mm, height_mm }
   },
   walls: {
@@ -121,6 +134,13 @@ export const DEFAULTS = {
   },
   // Shelving (array of shelf objects, see elements/shelving.js for schema)
   shelving: [],
+  // Gutters and downpipes along the eaves (see elements/gutters.js)
+  gutters: {
+    enabled: true,
+    profile: "half-round",  // "half-round" | "square"
+    colour: "black",        // "black" | "brown" | "grey" | "white"
+    downpipes: { frontLeft: true, frontRight: false, backLeft: false, backRight: true }
+  },
   // Internal divider panels
   dividers: {
     items: []  // Array of divider objects
@@ -208,6 +228,59 @@ export function resolveDims(state) {
   return { base, frame, roof, overhang: ovh };
 }
 
+/** Minimum horizontal run kept for each upper gambrel slope (mm). */
+const GAMBREL_MIN_UPPER_RUN_MM = 300;
+
+/**
+ * Gambrel (barn) roof profile across the span, shared by the roof, walls, skylights and gutters.
+ * Heights are ground-referenced like apex: eaves = underside of the truss tie, knee = where the
+ * lower slope meets the upper slope, crest = top of the OSB at the ridge.
+ * Runs/rises are measured on the rafter line from the outer roof edge (overhangs included).
+ * If the knee is too high for the pitch, the lower slope is shortened so each upper slope keeps
+ * at least GAMBREL_MIN_UPPER_RUN_MM of run; the upper pitch is kept at least 5° shallower.
+ */
+export function resolveGambrelProfile(state) {
+  const d = DEFAULTS.roof.gambrel;
+  const g = state?.roof?.gambrel || {};
+  const span_mm = resolveDims(state).roof.w_mm;
+  const halfSpan_mm = span_mm / 2;
+
+  const eaves_mm = clampNonNeg(num(g.heightToEaves_mm, d.heightToEaves_mm));
+  const lowerPitch_deg = Math.min(80, Math.max(35, num(g.lowerPitch_deg, d.lowerPitch_deg)));
+  const upperPitch_deg = Math.min(lowerPitch_deg - 5, 45, Math.max(10, num(g.upperPitch_deg, d.upperPitch_deg)));
+  const tanLower = Math.tan(lowerPitch_deg * Math.PI / 180);
+  const tanUpper = Math.tan(upperPitch_deg * Math.PI / 180);
+
+  let lowerRise_mm = Math.max(100, num(g.heightToKnee_mm, d.heightToKnee_mm) - eaves_mm);
+  let lowerRun_mm = lowerRise_mm / tanLower;
+  const maxLowerRun_mm = Math.max(0, halfSpan_mm - GAMBREL_MIN_UPPER_RUN_MM);
+  if (lowerRun_mm > maxLowerRun_mm) {
+    lowerRun_mm = maxLowerRun_mm;
+    lowerRise_mm = lowerRun_mm * tanLower;
+  }
+  const upperRun_mm = halfSpan_mm - lowerRun_mm;
+  const upperRise_mm = upperRun_mm * tanUpper;
+
+  const OSB_THK_MM = 18;
+  const upperAng = Math.atan(tanUpper);
+
+  return {
+    span_mm,
+    halfSpan_mm,
+    eaves_mm,
+    knee_mm: Math.round(eaves_mm + lowerRise_mm),
+    crest_mm: Math.round(eaves_mm + lowerRise_mm + upperRise_mm + Math.cos(upperAng) * OSB_THK_MM),
+    lowerPitch_deg,
+    upperPitch_deg,
+    lowerRun_mm,
+    lowerRise_mm,
+    upperRun_mm,
+    upperRise_mm,
+    lowerLen_mm: Math.round(Math.hypot(lowerRun_mm, lowerRise_mm)),
+    upperLen_mm: Math.round(Math.hypot(upperRun_mm, upperRise_mm))
+  };
+}
+
 /**
  * Default structure for a building attachment (sub-building)
  * Each attachment is a complete building with its own base, walls, openings, and roof
@@ -247,10 +320,11 @@ export const ATTACHMENT_DEFAULTS = {
 
   // Roof
   roof: {
-    type: "pent",         // "pent" | "apex" | "overhang"
+    type: "pent",         // "pent" | "apex" | "hipped" | "overhang"
     // If "overhang": roof is covered by extended overhang from main building (no separate roof)
     // If "pent": single slope roof going outward (high at main building, low at outer edge)
     // If "apex": gabled roof with ridge parallel to attached wall
+    // If "hipped": hipped lean-to - slopes down to all three outer walls, hips ending against the main wall
     pent: {
       highHeight_mm: null,   // Total height from ground at main building (null = use max based on main fascia)
       lowHeight_mm: null,    // Total height from ground at outer edge (null = highHeight - 300)
@@ -267,6 +341,11 @@ export const ATTACHMENT_DEFAULTS = {
       crestHeight_mm: 2200,
       trussCount: 2
     },
+    hipped: {
+      eaveHeight_mm: null,   // Total height from ground at the outer walls (null = crest - 400)
+      crestHeight_mm: null,  // Total height from ground where the roof meets the main wall (null = max based on main fascia)
+      overhang_mm: 75        // Eaves overhang on all three outer sides
+    },
     overhang: {
       extension_mm: 0     // How far to extend main building's overhang (only if type="overhang")
     }
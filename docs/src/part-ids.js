@@ -0,0 +1,439 @@
+// FILE: docs/src/part-ids.js
+//
+// Stable part IDs for framing members, linking the 3D model and the cutting lists.
+// An ID is <group>-<NN>: W-F-07 is the seventh member counting along the front
+// wall. Groups are W-F / W-B / W-L / W-R (wall framing), B-J (floor frame),
+// R-R (rafters), R-T (truss members), R-J (roof rim joists), R-G (ridge) and
+// R-P (purlins). Attachment members take the same groups (plus W-O, the outer
+// wall) behind the attachment's number: A1-W-L-03 is the third member along the
+// left wall of attachment 1. Numbers come from member positions after each
+// render, never from build order, so the same design always numbers the same way.
+//
+// BOM renderers tag member rows with tagPartRow() / partRowAttrs(); linkParts()
+// then numbers the meshes, hands each tagged row the meshes it describes and
+// writes their IDs into the row. initPartLinks() adds the hover tooltip and the
+// click links between rows and meshes.
+
+import { fmtBomSize } from './units.js';
+
+const WALL_CODES = { front: "F", back: "B", left: "L", right: "R", outer: "O" };
+
+// BOM item -> member kinds. Assembly rows list members other rows also count.
+const ITEM_KINDS = {
+  "Bottom Plate": { kinds: ["bottom-plate"] },
+  "Top Plate": { kinds: ["top-plate"] },
+  "Top Plate (Sloped)": { kinds: ["top-plate"] },
+  "Studs": { kinds: ["stud"] },
+  "Door Uprights": { kinds: ["door-upright"] },
+  "Door Header": { kinds: ["door-header"] },
+  "Window Uprights": { kinds: ["window-upright"] },
+  "Window Header": { kinds: ["window-header"] },
+  "Window Sill": { kinds: ["window-sill"] },
+  "Door Cripple Studs": { kinds: ["door-cripple"] },
+  "Window Cripple Studs": { kinds: ["window-cripple"] },
+  "Rim Joists": { kinds: ["rim-joist"] },
+  "Inner Joists": { kinds: ["joist"] },
+  "Floor Rim Joist": { kinds: ["rim-joist"] },
+  "Floor Joist": { kinds: ["joist"] },
+  "Roof Rim Joist": { kinds: ["roof-rim"] },
+  "Ledger Board": { kinds: ["ledger"] },
+  "Roof Rafter": { kinds: ["rafter"] },
+  "Roof Truss (assembly)": { kinds: ["truss-tie", "truss-rafter", "truss-post", "collar", "gusset"], assembly: true },
+  "Truss Tie (bottom chord)": { kinds: ["truss-tie"] },
+  "King Post": { kinds: ["truss-post"] },
+  "Truss Rafter": { kinds: ["truss-rafter"] },
+  "Truss Rafter (lower)": { kinds: ["truss-rafter"] },
+  "Truss Rafter (upper)": { kinds: ["truss-rafter"] },
+  "Collar Tie": { kinds: ["collar"] },
+  "Truss Gusset": { kinds: ["gusset"] },
+  "Ridge Beam": { kinds: ["ridge"] },
+  "Purlin": { kinds: ["purlin"] },
+  "Hip Rafter": { kinds: ["hip-rafter"] },
+  "Common Rafter": { kinds: ["common-rafter"] },
+  "Jack Rafter (avg)": { kinds: ["jack-rafter"] },
+  "Jack Rafter": { kinds: ["jack-rafter"] }
+};
+
+const KIND_LABELS = {
+  "bottom-plate": "Bottom plate",
+  "top-plate": "Top plate",
+  "stud": "Stud",
+  "door-upright": "Door upright",
+  "door-header": "Door header",
+  "door-cripple": "Door cripple stud",
+  "window-upright": "Window upright",
+  "window-header": "Window header",
+  "window-sill": "Window sill",
+  "window-cripple": "Window cripple stud",
+  "rim-joist": "Rim joist",
+  "joist": "Floor joist",
+  "roof-rim": "Roof rim joist",
+  "ledger": "Ledger board",
+  "rafter": "Rafter",
+  "truss-tie": "Truss tie",
+  "truss-rafter": "Truss rafter",
+  "truss-post": "Truss king post",
+  "collar": "Collar tie",
+  "gusset": "Truss gusset",
+  "ridge": "Ridge beam",
+  "purlin": "Purlin",
+  "hip-rafter": "Hip rafter",
+  "common-rafter": "Common rafter",
+  "jack-rafter": "Jack rafter"
+};
+
+const ROOF_GROUPS = {
+  "rafter": "R-R", "common-rafter": "R-R", "hip-rafter": "R-R", "jack-rafter": "R-R",
+  "truss-tie": "R-T", "truss-rafter": "R-T", "truss-post": "R-T", "collar": "R-T", "gusset": "R-T",
+  "roof-rim": "R-J", "ledger": "R-J", "ridge": "R-G", "purlin": "R-P"
+};
+
+const WALL_MEMBER = /^wall-(front|back|left|right|outer)-(?:panel-\d+-)?(plate-bottom|plate-top|stud-|door-(.+)-(upright|header|cripple)|win-(.+)-(upright|header|sill|cripple))/;
+
+// Pieces whose length is within this of a row's length belong to that row first
+const LENGTH_TOLERANCE_MM = 3;
+
+const HIGHLIGHT = { r: 1, g: 0.55, b: 0 };
+
+let parts = [];
+let byId = new Map();
+let selectedIds = [];
+
+/**
+ * Tag a BOM table row that lists framing members so linkParts() can find them.
+ * Rows whose item isn't a framing member are left alone.
+ * @param {HTMLTableRowElement} tr
+ * @param {Object} row - { item, qty, length_mm, notes, wall, attachment }
+ */
+export function tagPartRow(tr, row) {
+  const attrs = partRowData(row);
+  if (attrs) Object.assign(tr.dataset, attrs);
+}
+
+/**
+ * tagPartRow() for renderers that build rows as HTML strings.
+ * @param {Object} row - { item, qty, length_mm, notes, wall, attachment }
+ * @returns {string} Attribute text (leading space) or ""
+ */
+export function partRowAttrs(row) {
+  const attrs = partRowData(row);
+  if (!attrs) return "";
+  return Object.keys(attrs)
+    .map(k => ` data-${k.replace(/[A-Z]/g, c => "-" + c.toLowerCase())}="${String(attrs[k]).replace(/"/g, "&quot;")}"`)
+    .join("");
+}
+
+/**
+ * Number the framing meshes in the scene and link them to the tagged BOM rows.
+ * Safe to call after every render; the IDs shown in rows are rewritten each time.
+ * @param {BABYLON.Scene} scene
+ * @param {ParentNode} [root=document]
+ * @param {Array<string>} [attachmentIds] - Enabled attachment ids in cutting-list order (A1, A2, …)
+ * @returns {Array<Object>} Parts: { id, group, kind, ref, wall, attachment, length_mm, meshes, row }
+ */
+export function linkParts(scene, root, attachmentIds) {
+  parts = numberParts(scene, attachmentIds || []);
+  byId = new Map(parts.map(p => [p.id, p]));
+
+  const doc = root || document;
+  for (const tr of doc.querySelectorAll("tr[data-part-kinds]")) {
+    const spec = tr.dataset;
+    const kinds = spec.partKinds.split(" ");
+    const assembly = spec.partAssembly === "1";
+    const length = Number(spec.partLength) || 0;
+    const qty = Number(spec.partQty) || 0;
+
+    let cands = parts.filter(p =>
+      kinds.includes(p.kind) &&
+      (!spec.partWall || p.wall === spec.partWall) &&
+      (!spec.partRef || p.ref === spec.partRef) &&
+      (spec.partAttachment || null) === p.attachment &&
+      (assembly || !p.row));
+    if (length) {
+      const near = cands.filter(p => Math.abs(p.length_mm - length) <= LENGTH_TOLERANCE_MM);
+      cands = near.concat(cands.filter(p => !near.includes(p)));
+    }
+    const linked = assembly || !qty ? cands : cands.slice(0, qty);
+    linked.sort((a, b) => a.order - b.order);
+    if (!assembly) linked.forEach(p => { p.row = tr; });
+    showRowIds(tr, linked.map(p => p.id));
+  }
+
+  // Members a row didn't claim (e.g. suppressed studs) fall back to a row of their kind
+  for (const p of parts) {
+    if (p.row) continue;
+    const wall = p.wall ? `[data-part-wall="${p.wall}"]` : "";
+    const att = p.attachment ? `[data-part-attachment="${p.attachment}"]` : ":not([data-part-attachment])";
+    p.row = doc.querySelector(`tr[data-part-ids][data-part-kinds~="${p.kind}"]${wall}${att}`);
+  }
+
+  applyHighlight();
+  return parts;
+}
+
+/**
+ * Compress a list of IDs for display: W-F-01, W-F-02, W-F-03, W-F-05 -> "W-F-01–03, W-F-05".
+ * @param {Array<string>} ids - In part order
+ * @returns {string}
+ */
+export function formatPartIds(ids) {
+  const out = [];
+  let run = null;
+  const flush = () => {
+    if (!run) return;
+    out.push(run.first === run.last ? run.first : `${run.first}–${run.last.slice(run.group.length + 1)}`);
+  };
+  for (const id of ids) {
+    const cut = id.lastIndexOf("-");
+    const group = id.slice(0, cut);
+    const n = Number(id.slice(cut + 1));
+    if (run && run.group === group && n === run.n + 1) {
+      run.last = id;
+      run.n = n;
+    } else {
+      flush();
+      run = { group, first: id, last: id, n };
+    }
+  }
+  flush();
+  return out.join(", ");
+}
+
+/**
+ * Wire the hover tooltip and click links. Call once after the scene is created.
+ * Clicking a member jumps to its cutting-list row; clicking a row shows its
+ * members highlighted in the 3D view.
+ * @param {BABYLON.Scene} scene
+ * @param {Object} [opts]
+ * @param {HTMLElement} [opts.tooltip] - Defaults to #partTooltip
+ * @param {HTMLSelectElement} [opts.viewSelect] - Defaults to #viewSelect
+ */
+export function initPartLinks(scene, opts) {
+  const o = opts || {};
+  const tooltip = o.tooltip || document.getElementById("partTooltip");
+  const viewSelect = o.viewSelect || document.getElementById("viewSelect");
+  if (!scene || typeof BABYLON === "undefined") return;
+
+  let lastPick = 0;
+  scene.onPointerObservable.add((info) => {
+    const ev = info.event;
+    if (info.type === BABYLON.PointerEventTypes.POINTERMOVE) {
+      if (!tooltip) return;
+      const now = Date.now();
+      if (now - lastPick < 40) return;
+      lastPick = now;
+      const part = pickPart(scene);
+      if (!part) {
+        tooltip.hidden = true;
+        return;
+      }
+      tooltip.textContent = `${part.id} · ${KIND_LABELS[part.kind] || part.kind} · ${fmtBomSize(part.length_mm)}`;
+      tooltip.style.left = `${ev.clientX + 14}px`;
+      tooltip.style.top = `${ev.clientY + 14}px`;
+      tooltip.hidden = false;
+    } else if (info.type === BABYLON.PointerEventTypes.POINTERTAP) {
+      const part = pickPart(scene);
+      if (tooltip) tooltip.hidden = true;
+      if (!part) {
+        selectParts([]);
+        return;
+      }
+      selectParts([part.id]);
+      if (part.row) showRow(part.row, viewSelect);
+    }
+  });
+
+  const canvas = scene.getEngine().getRenderingCanvas();
+  if (canvas && tooltip) canvas.addEventListener("pointerleave", () => { tooltip.hidden = true; });
+
+  document.addEventListener("click", (e) => {
+    const tr = e.target && e.target.closest ? e.target.closest("tr[data-part-ids]") : null;
+    if (!tr || !tr.dataset.partIds) return;
+    selectParts(tr.dataset.partIds.split(" "));
+    markRow(tr);
+    switchView(viewSelect, "3d");
+  });
+}
+
+/**
+ * Highlight parts in the 3D view (replaces the current selection).
+ * @param {Array<string>} ids
+ */
+export function selectParts(ids) {
+  selectedIds = ids.filter(id => byId.has(id));
+  applyHighlight();
+}
+
+/** @returns {Object|undefined} The part with this ID from the last linkParts() */
+export function getPart(id) {
+  return byId.get(id);
+}
+
+// ---------------------------------------------------------------------------
+
+function partRowData(row) {
+  const item = String(row && row.item != null ? row.item : "").trim();
+  const entry = ITEM_KINDS[item];
+  if (!entry) return null;
+  const data = { partKinds: entry.kinds.join(" ") };
+  if (entry.assembly) data.partAssembly = "1";
+  if (row.wall) data.partWall = row.wall;
+  if (row.attachment) data.partAttachment = row.attachment;
+  const length = Number(row.length_mm);
+  if (length > 0) data.partLength = String(Math.round(length));
+  const qty = Number(row.qty);
+  if (qty > 0) data.partQty = String(qty);
+  // Openings by id; gussets by joint ("12mm ply; knee; both faces")
+  const ref = String(row.notes || "").match(/^(?:door|window) ([^;\s]+)|^12mm ply; (\w+);/);
+  if (ref) data.partRef = ref[1] || ref[2];
+  return data;
+}
+
+function classifyMesh(mesh, attachmentIds) {
+  const meta = mesh.metadata;
+  if (!meta || meta.dynamic !== true) return null;
+  if (!meta.attachmentId) return classifyMember(meta, mesh.name);
+
+  // Attachment meshes are named att-<id>-<member>; walls follow the main wall names
+  const n = attachmentIds.indexOf(meta.attachmentId);
+  const own = `att-${meta.attachmentId}-`;
+  if (n < 0 || !mesh.name.startsWith(own)) return null;
+  const name = mesh.name.slice(own.length);
+  const c = meta.type === "wall-frame" ? classifyMember({}, "wall-" + name)
+    : meta.type === "frame" ? classifyMember({ part: name.split("-")[0] }, "")
+    : meta.type === "roof" ? classifyMember(Object.assign({}, meta, { roof: true }), "")
+    : null;
+  if (!c) return null;
+  return Object.assign(c, { group: `A${n + 1}-${c.group}`, attachment: meta.attachmentId });
+}
+
+function classifyMember(meta, name) {
+  const w = WALL_MEMBER.exec(name);
+  if (w) {
+    const [, wall, what, doorId, doorPart, winId, winPart] = w;
+    const group = "W-" + WALL_CODES[wall];
+    if (what === "plate-bottom") return { group, wall, kind: "bottom-plate" };
+    if (what === "plate-top") return { group, wall, kind: "top-plate" };
+    if (what === "stud-") return { group, wall, kind: "stud" };
+    if (doorId) return { group, wall, kind: "door-" + doorPart, ref: doorId };
+    return { group, wall, kind: "window-" + winPart, ref: winId };
+  }
+
+  if (!meta.roof && meta.part === "rim") return { group: "B-J", kind: "rim-joist" };
+  if (!meta.roof && meta.part === "joist") return { group: "B-J", kind: "joist" };
+
+  if (meta.roof) {
+    let kind = meta.part;
+    if (kind === "rim") kind = "roof-rim";
+    if (kind === "truss") {
+      const m = String(meta.member || "");
+      if (m === "kingpost-cap") return null;
+      kind = m.indexOf("tie") === 0 ? "truss-tie" : m === "kingpost" ? "truss-post" : m === "collar" || m === "gusset" ? m : "truss-rafter";
+    }
+    // Gussets pair with their row by joint, the same on both sides of the truss
+    if (kind === "gusset") return { group: ROOF_GROUPS[kind], kind, ref: String(meta.joint || "").replace(/-[LR]$/, "") };
+    if (ROOF_GROUPS[kind]) return { group: ROOF_GROUPS[kind], kind };
+  }
+  return null;
+}
+
+function numberParts(scene, attachmentIds) {
+  const found = [];
+  for (const mesh of (scene && scene.meshes) || []) {
+    const c = classifyMesh(mesh, attachmentIds);
+    if (!c) continue;
+    mesh.computeWorldMatrix(true);
+    const box = mesh.getBoundingInfo().boundingBox;
+    const wm = mesh.getWorldMatrix();
+    const e = box.extendSize;
+    // Physical length: longest local axis through the world matrix (roof roots scale and rotate)
+    const length_mm = Math.round(2000 * Math.max(
+      BABYLON.Vector3.TransformNormal(new BABYLON.Vector3(e.x, 0, 0), wm).length(),
+      BABYLON.Vector3.TransformNormal(new BABYLON.Vector3(0, e.y, 0), wm).length(),
+      BABYLON.Vector3.TransformNormal(new BABYLON.Vector3(0, 0, e.z), wm).length()));
+    const cw = box.centerWorld;
+    found.push(Object.assign(c, { mesh, length_mm, x: Math.round(cw.x * 1000), y: Math.round(cw.y * 1000), z: Math.round(cw.z * 1000) }));
+  }
+
+  // Walls count along their length; everything else left to right, front to back.
+  // An attachment's outer wall runs along whichever axis its members spread over.
+  const zWalls = new Set();
+  for (const g of new Set(found.filter(p => p.wall === "outer").map(p => p.group))) {
+    const ps = found.filter(p => p.group === g);
+    const span = (k) => Math.max(...ps.map(p => p[k])) - Math.min(...ps.map(p => p[k]));
+    if (span("z") > span("x")) zWalls.add(g);
+  }
+  const along = (p) => (p.wall === "left" || p.wall === "right" || zWalls.has(p.group)) ? [p.z, p.x] : [p.x, p.z];
+  found.sort((a, b) => {
+    if (a.group !== b.group) return a.group < b.group ? -1 : 1;
+    const ka = along(a).concat(a.y), kb = along(b).concat(b.y);
+    for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return ka[i] - kb[i];
+    return a.mesh.name < b.mesh.name ? -1 : a.mesh.name > b.mesh.name ? 1 : 0;
+  });
+
+  const counts = {};
+  return found.map((p, order) => {
+    counts[p.group] = (counts[p.group] || 0) + 1;
+    const id = `${p.group}-${String(counts[p.group]).padStart(2, "0")}`;
+    p.mesh.metadata.partId = id;
+    return { id, group: p.group, kind: p.kind, ref: p.ref || null, wall: p.wall || null, attachment: p.attachment || null, length_mm: p.length_mm, meshes: [p.mesh], row: null, order };
+  });
+}
+
+function showRowIds(tr, ids) {
+  const cell = tr.cells[0];
+  if (!cell) return;
+  const old = cell.querySelector(".part-ids");
+  if (old) old.remove();
+  if (!ids.length) {
+    delete tr.dataset.partIds;
+    return;
+  }
+  tr.dataset.partIds = ids.join(" ");
+  const div = document.createElement("div");
+  div.className = "part-ids";
+  div.textContent = formatPartIds(ids);
+  cell.appendChild(div);
+}
+
+function pickPart(scene) {
+  const hit = scene.pick(scene.pointerX, scene.pointerY, (m) => m.isPickable && m.isEnabled() && m.isVisible);
+  const id = hit && hit.hit && hit.pickedMesh && hit.pickedMesh.metadata ? hit.pickedMesh.metadata.partId : null;
+  return id ? byId.get(id) : null;
+}
+
+function applyHighlight() {
+  const on = new Set(selectedIds);
+  const color = new BABYLON.Color3(HIGHLIGHT.r, HIGHLIGHT.g, HIGHLIGHT.b);
+  for (const p of parts) {
+    for (const mesh of p.meshes) {
+      mesh.renderOutline = on.has(p.id);
+      if (mesh.renderOutline) {
+        mesh.outlineColor = color;
+        mesh.outlineWidth = 0.012;
+      }
+    }
+  }
+}
+
+function markRow(tr) {
+  for (const el of document.querySelectorAll("tr.part-row-active")) el.classList.remove("part-row-active");
+  tr.classList.add("part-row-active");
+}
+
+// Cutting-list page -> view name used by views.js
+const PAGE_VIEWS = { bomPage: "base", wallsBomPage: "walls", roofBomPage: "roof" };
+
+function showRow(tr, viewSelect) {
+  const page = tr.closest(".page");
+  const view = page ? PAGE_VIEWS[page.id] : null;
+  if (view) switchView(viewSelect, view);
+  markRow(tr);
+  requestAnimationFrame(() => tr.scrollIntoView({ block: "center" }));
+}
+
+function switchView(viewSelect, view) {
+  if (!viewSelect || viewSelect.value === view) return;
+  viewSelect.value = view;
+  viewSelect.dispatchEvent(new Event("change"));
+}
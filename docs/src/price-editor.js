@@ -0,0 +1,453 @@
+// FILE: docs/src/price-editor.js
+//
+// Developer Dashboard: Price Table Editor
+//
+// Every entry of the price table (rates, pack prices, supply maps, price lists)
+// with its notes, edited as a draft. Saving the draft stores a new dated version
+// in localStorage (pricing.js) and starts pricing with it in this browser; export
+// a version as JSON and commit it as docs/data/price-table.json to publish it.
+// Before saving, Preview prices a built-in preset (or the current design) on the
+// draft next to the table in use.
+//
+
+import {
+  getPriceTable,
+  getPriceTableVersions,
+  getPriceTableVersion,
+  savePriceTableVersion,
+  usePriceTableVersion,
+  estimatePrice,
+  estimatePriceWith
+} from "./pricing.js?_v=14";
+import { DEFAULTS } from "./params.js";
+import { deepMerge } from "./state.js";
+import { migrateState } from "./migrations.js";
+import { getBuiltInPresets } from "../instances.js?_v=9";
+
+// Store reference for previewing the current design
+var _store = null;
+
+// Table being edited and the version it started from (null = price-table.json)
+var draft = null;
+var draftSource = null;
+
+// Validation errors by entry path
+var errors = {};
+
+var CURRENT_DESIGN = "__current";
+
+/**
+ * Initialize the Price Table Editor. The entries are rendered the first time
+ * the panel is opened, by which time the price table has loaded.
+ * @param {object} options - { store }
+ */
+export function initPriceEditor(options) {
+  _store = options && options.store;
+
+  var section = document.getElementById("priceEditorSection");
+  if (!section) return;
+
+  section.addEventListener("toggle", function() {
+    if (section.open && !draft) refreshPriceEditor();
+  });
+  wireEditorEvents();
+}
+
+/**
+ * Rebuild the version list and reload the draft from the version in use
+ */
+function refreshPriceEditor() {
+  if (!getPriceTable()) {
+    setHint("priceVersionHint", "Price table not loaded.");
+    return;
+  }
+  var versions = getPriceTableVersions();
+  populateVersionSelect(versions);
+  populatePresetSelect();
+  loadDraft(versions.active);
+}
+
+function populateVersionSelect(versions) {
+  var select = document.getElementById("priceVersionSelect");
+  if (!select) return;
+
+  select.innerHTML = "";
+  for (var i = 0; i < versions.versions.length; i++) {
+    var v = versions.versions[i];
+    var opt = document.createElement("option");
+    opt.value = v.id;
+    opt.textContent = v.id + (v.id === versions.active ? " (in use)" : "");
+    if (v.note) opt.title = v.note;
+    select.appendChild(opt);
+  }
+  var fileOpt = document.createElement("option");
+  fileOpt.value = "";
+  fileOpt.textContent = "price-table.json " + versions.file + (versions.active ? "" : " (in use)");
+  select.appendChild(fileOpt);
+
+  select.value = versions.active || "";
+}
+
+function populatePresetSelect() {
+  var select = document.getElementById("pricePreviewPreset");
+  if (!select || select.options.length) return;
+
+  var current = document.createElement("option");
+  current.value = CURRENT_DESIGN;
+  current.textContent = "Current design";
+  select.appendChild(current);
+
+  var presets = getBuiltInPresets() || [];
+  for (var i = 0; i < presets.length; i++) {
+    var opt = document.createElement("option");
+    opt.value = presets[i].id;
+    opt.textContent = presets[i].name;
+    select.appendChild(opt);
+  }
+}
+
+/**
+ * Start a fresh draft from a version
+ * @param {string|null} id - Saved version id, or null for price-table.json
+ */
+function loadDraft(id) {
+  draft = getPriceTableVersion(id);
+  draftSource = id || null;
+  errors = {};
+
+  var versions = getPriceTableVersions();
+  var entry = null;
+  for (var i = 0; i < versions.versions.length; i++) {
+    if (versions.versions[i].id === id) entry = versions.versions[i];
+  }
+  var using = (id || null) === versions.active ? "In use." : "Not in use — Use switches pricing to this version.";
+  setHint("priceVersionHint", entry
+    ? "Saved " + new Date(entry.saved_at).toLocaleString("en-GB") + (entry.note ? ": " + entry.note : "") + ". " + using
+    : "Shipped docs/data/price-table.json. " + using);
+
+  renderEntries();
+  renderErrors();
+  setHint("pricePreviewResult", "");
+}
+
+// ---- Entries ----
+
+function renderEntries() {
+  var container = document.getElementById("priceEntriesContainer");
+  if (!container) return;
+
+  container.innerHTML = "";
+  if (!draft) return;
+
+  if (draft.notes) container.appendChild(notesField(["notes"], draft.notes));
+
+  var keys = Object.keys(draft);
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+    var value = draft[key];
+    if (key === "version" || key === "notes") continue;
+
+    if (!isPlainObject(value)) {
+      container.appendChild(entryRow([key], key, value));
+      continue;
+    }
+
+    var details = document.createElement("details");
+    details.className = "price-entry-section";
+    var summary = document.createElement("summary");
+    summary.textContent = key;
+    details.appendChild(summary);
+
+    var content = document.createElement("div");
+    appendEntries(content, [key], value);
+    details.appendChild(content);
+    container.appendChild(details);
+  }
+}
+
+/** Rows for every leaf under an object; nested objects get an indented group */
+function appendEntries(parent, path, obj) {
+  if (obj.notes != null) parent.appendChild(notesField(path.concat("notes"), obj.notes));
+
+  var keys = Object.keys(obj);
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+    if (key === "notes") continue;
+    var value = obj[key];
+
+    if (isPlainObject(value)) {
+      var group = document.createElement("div");
+      group.className = "price-entry-group";
+      var title = document.createElement("div");
+      title.className = "price-entry-group-title";
+      title.textContent = key;
+      group.appendChild(title);
+      appendEntries(group, path.concat(key), value);
+      parent.appendChild(group);
+    } else {
+      parent.appendChild(entryRow(path.concat(key), key, value));
+    }
+  }
+}
+
+function entryRow(path, label, value) {
+  var row = document.createElement("label");
+  row.className = "price-entry";
+
+  var name = document.createElement("span");
+  name.textContent = label;
+  row.appendChild(name);
+
+  // Lists of text (terms, excluded lines) are edited one per line
+  if (Array.isArray(value) && !(value.length && value.every(function(v) { return typeof v === "number"; }))) {
+    row.classList.add("price-entry-lines");
+    var lines = document.createElement("textarea");
+    lines.rows = Math.max(2, value.length);
+    lines.value = value.join("\n");
+    lines.dataset.path = path.join(".");
+    lines.dataset.kind = "lines";
+    lines.addEventListener("input", handleEntryChange);
+    row.appendChild(lines);
+    return row;
+  }
+
+  var input = document.createElement("input");
+  input.dataset.path = path.join(".");
+  if (typeof value === "boolean") {
+    input.type = "checkbox";
+    input.checked = value;
+    input.dataset.kind = "boolean";
+  } else {
+    input.type = "text";
+    if (typeof value === "number") {
+      input.dataset.kind = "number";
+      input.inputMode = "decimal";
+    } else if (Array.isArray(value)) {
+      input.dataset.kind = "numbers";
+      value = value.join(", ");
+    } else {
+      input.dataset.kind = "string";
+    }
+    input.value = value == null ? "" : String(value);
+  }
+  input.addEventListener(input.type === "checkbox" ? "change" : "input", handleEntryChange);
+  row.appendChild(input);
+  return row;
+}
+
+function notesField(path, text) {
+  var notes = document.createElement("textarea");
+  notes.className = "price-entry-notes";
+  notes.rows = 2;
+  notes.value = text;
+  notes.dataset.path = path.join(".");
+  notes.dataset.kind = "string";
+  notes.addEventListener("input", handleEntryChange);
+  return notes;
+}
+
+function handleEntryChange(e) {
+  var input = e.target;
+  var path = input.dataset.path;
+  var parsed = parseEntry(input.dataset.kind, input.type === "checkbox" ? input.checked : input.value, path);
+
+  if (parsed.error) {
+    errors[path] = parsed.error;
+    input.classList.add("price-entry-invalid");
+  } else {
+    delete errors[path];
+    input.classList.remove("price-entry-invalid");
+    setPath(draft, path.split("."), parsed.value);
+  }
+  renderErrors();
+}
+
+/**
+ * Parse and check one entry.
+ * Numbers must be zero or more; *_pct entries are fractions below 1 (0.25 = 25%).
+ * @returns {{ value?: any, error?: string }}
+ */
+function parseEntry(kind, raw, path) {
+  if (kind === "boolean") return { value: !!raw };
+  if (kind === "string") return { value: raw };
+  if (kind === "lines") {
+    return { value: String(raw).split("\n").map(function(s) { return s.trim(); }).filter(Boolean) };
+  }
+  if (kind === "numbers") {
+    var parts = String(raw).split(",").map(function(s) { return s.trim(); }).filter(Boolean);
+    var nums = parts.map(Number);
+    if (!parts.length || nums.some(function(n) { return !(n > 0); })) return { error: path + ": expected positive numbers separated by commas" };
+    return { value: nums };
+  }
+  var text = String(raw).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) return { error: path + ": \"" + text + "\" is not a number" };
+  var n = Number(text);
+  if (/_pct$/.test(path) && n >= 1) return { error: path + ": percentages are fractions (0.25 = 25%)" };
+  return { value: n };
+}
+
+function renderErrors() {
+  var list = Object.keys(errors).map(function(k) { return errors[k]; });
+  setHint("priceEditorErrors", list.join(" · "));
+  var saveBtn = document.getElementById("priceSaveVersionBtn");
+  var previewBtn = document.getElementById("pricePreviewBtn");
+  if (saveBtn) saveBtn.disabled = list.length > 0;
+  if (previewBtn) previewBtn.disabled = list.length > 0;
+}
+
+// ---- Preview ----
+
+/** State for the chosen preset, prepared the way loading it in the app would */
+function previewState() {
+  var select = document.getElementById("pricePreviewPreset");
+  var id = select ? select.value : CURRENT_DESIGN;
+  if (id === CURRENT_DESIGN) return _store ? _store.getState() : null;
+
+  var presets = getBuiltInPresets() || [];
+  for (var i = 0; i < presets.length; i++) {
+    if (presets[i].id === id) {
+      return deepMerge(JSON.parse(JSON.stringify(DEFAULTS)), migrateState(JSON.parse(JSON.stringify(presets[i].state || {}))));
+    }
+  }
+  return null;
+}
+
+function renderPreview() {
+  var result = document.getElementById("pricePreviewResult");
+  if (!result || !draft) return;
+
+  var state = previewState();
+  var before = state && estimatePrice(state);
+  var after = state && estimatePriceWith(state, draft);
+  if (!before || !after) {
+    result.textContent = "Nothing to preview.";
+    return;
+  }
+
+  var html = '<table class="price-preview-table"><tr><th></th><th>In use</th><th>Draft</th><th>Change</th></tr>';
+  html += previewRow("Target price", before.target, after.target);
+  html += previewRow("Low", before.low, after.low);
+  html += previewRow("High", before.high, after.high);
+  html += previewRow("Materials", before.totalMaterials, after.totalMaterials);
+  html += previewRow("Labour", before.labourCost, after.labourCost);
+
+  var keys = Object.keys(after.breakdown);
+  for (var i = 0; i < keys.length; i++) {
+    var k = keys[i];
+    if (!isFinite(after.breakdown[k]) || after.breakdown[k] === before.breakdown[k]) continue;
+    html += previewRow("· " + k, before.breakdown[k] || 0, after.breakdown[k]);
+  }
+  html += "</table>";
+  if (after.priceList.id) html += '<p class="hint">' + after.priceList.label + " price list.</p>";
+  result.innerHTML = html;
+}
+
+function previewRow(label, before, after) {
+  var diff = after - before;
+  var pct = before ? " (" + (diff >= 0 ? "+" : "") + Math.round(diff / before * 1000) / 10 + "%)" : "";
+  return "<tr><td>" + label + "</td><td>" + fmtGbp(before) + "</td><td>" + fmtGbp(after) + "</td><td>" +
+    (diff ? (diff > 0 ? "+" : "−") + fmtGbp(Math.abs(diff)) + pct : "—") + "</td></tr>";
+}
+
+// ---- Events ----
+
+function wireEditorEvents() {
+  var versionSelect = document.getElementById("priceVersionSelect");
+  if (versionSelect) {
+    versionSelect.addEventListener("change", function() {
+      loadDraft(versionSelect.value || null);
+    });
+  }
+
+  // Use the selected version as it was saved
+  var useBtn = document.getElementById("priceVersionUseBtn");
+  if (useBtn) {
+    useBtn.addEventListener("click", function() {
+      var id = versionSelect ? versionSelect.value || null : null;
+      try {
+        usePriceTableVersion(id);
+      } catch (err) {
+        alert("Could not switch price table: " + err.message);
+        return;
+      }
+      afterTableChange();
+    });
+  }
+
+  var exportBtn = document.getElementById("priceVersionExportBtn");
+  if (exportBtn) {
+    exportBtn.addEventListener("click", function() {
+      var id = versionSelect ? versionSelect.value || null : null;
+      var table = getPriceTableVersion(id);
+      if (table) downloadJson(table, "price-table-" + (table.version || "file") + ".json");
+    });
+  }
+
+  var previewBtn = document.getElementById("pricePreviewBtn");
+  if (previewBtn) previewBtn.addEventListener("click", renderPreview);
+
+  var saveBtn = document.getElementById("priceSaveVersionBtn");
+  if (saveBtn) {
+    saveBtn.addEventListener("click", function() {
+      if (!draft || Object.keys(errors).length) return;
+      var noteEl = document.getElementById("priceVersionNote");
+      var id;
+      try {
+        id = savePriceTableVersion(draft, noteEl ? noteEl.value.trim() : "");
+      } catch (err) {
+        alert("Could not save the price table: " + err.message);
+        return;
+      }
+      if (noteEl) noteEl.value = "";
+      afterTableChange();
+      setHint("priceVersionHint", "Saved version " + id + " and switched pricing to it.");
+    });
+  }
+
+  var resetBtn = document.getElementById("priceResetDraftBtn");
+  if (resetBtn) {
+    resetBtn.addEventListener("click", function() {
+      loadDraft(draftSource);
+    });
+  }
+}
+
+/** Re-render the version list and every price shown on the page */
+function afterTableChange() {
+  refreshPriceEditor();
+  var state = window.__lastState || (_store && _store.getState());
+  if (state && typeof window.__updatePriceCard === "function") window.__updatePriceCard(state);
+}
+
+// ---- Helpers ----
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function setPath(obj, keys, value) {
+  var target = obj;
+  for (var i = 0; i < keys.length - 1; i++) target = target[keys[i]];
+  target[keys[keys.length - 1]] = value;
+}
+
+function setHint(id, text) {
+  var el = document.getElementById(id);
+  if (el) el.textContent = text;
+}
+
+function fmtGbp(v) {
+  return "£" + Math.round(v).toLocaleString("en-GB");
+}
+
+function downloadJson(data, filename) {
+  var blob = new Blob([JSON.stringify(data, null, 2) + "\n"], { type: "application/json" });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
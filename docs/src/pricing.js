@@ -3,16 +3,32 @@
 // Shows "likely total range" to help customers understand ballpark cost
 
 import { CONFIG } from './params.js';
+import { computeDesignBOM, scopeBOMToBuild } from './bom/compute.js';
+import { collectPurchaseLines } from './bom/purchase-orders.js';
+import { computeLabourSchedule } from './bom/labour.js';
+import { deepMerge } from './state.js';
 
 let priceTable = null;
+let fileTable = null;     // price-table.json as shipped
+let priceListId = null;   // null = the table's price_lists.default
+let sitePostcode = '';    // customer's postcode for delivery zones ('' = not entered)
 
-/** Load the price table JSON (called once at startup) */
+// Dated versions saved by the price table editor: { active: id|null, versions: [{ id, saved_at, note, table }] }
+const VERSIONS_KEY = 'shedPriceTableVersions';
+
+/**
+ * Load the price table JSON (called once at startup).
+ * A version saved in the price table editor and marked active replaces the file's table.
+ */
 export async function loadPriceTable() {
   try {
-    const resp = await fetch('./data/price-table.json?_v=2');
+    const resp = await fetch('./data/price-table.json?_v=5');
     if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-    priceTable = await resp.json();
-    console.log('[PRICING] Price table loaded:', priceTable.version);
+    fileTable = await resp.json();
+    const store = readVersions();
+    const saved = store.active && store.versions.find(v => v.id === store.active);
+    priceTable = saved ? saved.table : fileTable;
+    console.log('[PRICING] Price table loaded:', priceTable.version, saved ? '(saved version)' : '');
     return true;
   } catch (err) {
     console.warn('[PRICING] Could not load price table:', err.message);
@@ -23,346 +39,351 @@ export async function loadPriceTable() {
 /** Get the loaded price table (or null) */
 export function getPriceTable() { return priceTable; }
 
+/** Use an already-parsed price table (headless tools that read the JSON from disk) */
+export function setPriceTable(table) { priceTable = table || null; }
+
+/**
+ * Saved price table versions, newest first.
+ * @returns {{ active: string|null, file: string, versions: Array<{ id: string, saved_at: string, note: string }> }}
+ *   active is null while the shipped price-table.json is in use; file is its version.
+ */
+export function getPriceTableVersions() {
+  const store = readVersions();
+  return {
+    active: store.active && store.versions.some(v => v.id === store.active) ? store.active : null,
+    file: fileTable?.version || '',
+    versions: store.versions.map(({ id, saved_at, note }) => ({ id, saved_at, note })).reverse()
+  };
+}
+
+/**
+ * A copy of one price table version.
+ * @param {string|null} id - Saved version id, or null for the shipped price-table.json
+ * @returns {object|null}
+ */
+export function getPriceTableVersion(id) {
+  const table = id ? readVersions().versions.find(v => v.id === id)?.table : fileTable;
+  return table ? structuredClone(table) : null;
+}
+
+/**
+ * Save an edited table as a new dated version and start using it.
+ * The id (and the table's version field) is today's date, with .2, .3… for more saves that day.
+ * @param {object} table - Complete price table
+ * @param {string} [note] - What changed
+ * @returns {string} The new version id
+ */
+export function savePriceTableVersion(table, note) {
+  const store = readVersions();
+  const today = new Date().toISOString().slice(0, 10);
+  let id = today;
+  for (let n = 2; store.versions.some(v => v.id === id); n++) id = `${today}.${n}`;
+  const saved = structuredClone(table);
+  saved.version = id;
+  store.versions.push({ id, saved_at: new Date().toISOString(), note: note || '', table: saved });
+  store.active = id;
+  writeVersions(store);
+  priceTable = saved;
+  return id;
+}
+
+/**
+ * Switch to a saved version, or back to the shipped price-table.json.
+ * @param {string|null} id
+ * @returns {boolean} false if the version does not exist
+ */
+export function usePriceTableVersion(id) {
+  const store = readVersions();
+  const saved = id ? store.versions.find(v => v.id === id) : null;
+  if (id && !saved) return false;
+  store.active = saved ? id : null;
+  writeVersions(store);
+  priceTable = saved ? saved.table : fileTable;
+  return true;
+}
+
+/**
+ * Estimate with a different price table (e.g. an unsaved draft) without switching to it.
+ * @param {object} state - Full application state
+ * @param {object} table - Price table to price with
+ * @returns {object|null} See estimatePrice()
+ */
+export function estimatePriceWith(state, table) {
+  const current = priceTable;
+  priceTable = table;
+  try {
+    return estimatePrice(state);
+  } finally {
+    priceTable = current;
+  }
+}
+
+function readVersions() {
+  try {
+    const data = typeof localStorage !== 'undefined' && JSON.parse(localStorage.getItem(VERSIONS_KEY));
+    if (data && Array.isArray(data.versions)) return { active: data.active || null, versions: data.versions };
+  } catch (e) {
+    console.warn('[PRICING] Could not read saved price tables:', e.message);
+  }
+  return { active: null, versions: [] };
+}
+
+// Throws when storage is full or unavailable, so callers can say the save failed
+function writeVersions(store) {
+  localStorage.setItem(VERSIONS_KEY, JSON.stringify(store));
+}
+
+/**
+ * Choose the named price list (price_lists.lists in the price table) used by estimatePrice().
+ * Unknown or empty ids fall back to the table's default list.
+ * @param {string|null} id - e.g. 'retail', 'trade'
+ */
+export function setPriceList(id) { priceListId = id || null; }
+
+/**
+ * The price list in use.
+ * @returns {{ id: string, label: string, exclude: string[] }} id '' when the table defines no lists
+ */
+export function getPriceList() {
+  const cfg = priceTable?.price_lists;
+  const lists = cfg?.lists || {};
+  const id = (priceListId && lists[priceListId]) ? priceListId : (cfg?.default && lists[cfg.default] ? cfg.default : '');
+  const list = lists[id] || {};
+  return { id, label: list.label || id, exclude: Array.isArray(list.exclude) ? list.exclude : [] };
+}
+
+/** Names of the price lists in the loaded table, as [{ id, label }] */
+export function getPriceLists() {
+  const lists = priceTable?.price_lists?.lists || {};
+  return Object.keys(lists).map(id => ({ id, label: lists[id].label || id }));
+}
+
+/**
+ * Set the customer's postcode so estimatePrice() charges delivery and travel for its zone
+ * (delivery.zones in the price table). Anything that isn't a full UK postcode clears it.
+ * @param {string|null} postcode - e.g. 'SP1 1AA'
+ */
+export function setSitePostcode(postcode) {
+  const pc = String(postcode || '').toUpperCase().replace(/\s+/g, '');
+  sitePostcode = /^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/.test(pc) ? pc : '';
+}
+
+/** The postcode set with setSitePostcode(), without spaces ('' when none) */
+export function getSitePostcode() { return sitePostcode; }
+
 /**
- * Calculate price estimate from current state.
- * Returns { low, high, breakdown } or null if price table not loaded.
+ * Look a postcode up in the price table's delivery districts (no online lookup): its
+ * district (SP1) is tried first, then its area (SP).
+ * @param {string} postcode - Full postcode or outward code
+ * @param {object} [table] - Price table (the loaded one by default)
+ * @returns {{ district: string, zoneId: string|null, label: string, outside: boolean }|null}
+ *   null without a postcode or a zone table; outside is true for districts we don't cover
+ */
+export function lookupDeliveryZone(postcode, table = priceTable) {
+  const cfg = table?.delivery;
+  const pc = String(postcode || '').toUpperCase().replace(/\s+/g, '');
+  if (!cfg?.zones || !cfg.districts || !pc) return null;
+  const district = pc.length > 4 && /\d[A-Z]{2}$/.test(pc) ? pc.slice(0, -3) : pc;
+  const area = district.match(/^[A-Z]+/)?.[0] || '';
+  const zoneId = cfg.districts[district] || cfg.districts[area] || null;
+  const zone = zoneId && cfg.zones[zoneId];
+  if (!zone) return { district, zoneId: null, label: 'Outside service area', outside: true };
+  return { district, zoneId, label: zone.label || zoneId, outside: false };
+}
+
+/** The base price table with the active list's overrides layered on top */
+function activePriceTable() {
+  const { id } = getPriceList();
+  const overrides = id && priceTable.price_lists.lists[id].overrides;
+  return overrides ? deepMerge(priceTable, overrides) : priceTable;
+}
+
+/**
+ * Calculate price estimate from current state, using the active price list.
+ * Materials are costed from the design's BOM: the same lines the purchase orders buy
+ * (collectPurchaseLines), each split back onto the breakdown lines of the BOM rows it
+ * supplies. Only what the BOM does not list (base upgrades, DPC, skylight kerbs, hipped
+ * roof cuts, delivery, and hardware/fixings when not priced from the schedule) is an
+ * allowance. est.trace holds, per breakdown key, the lines behind its total.
+ * Returns { low, high, breakdown, trace, priceList, ... } or null if price table not loaded.
  */
 export function estimatePrice(state) {
   if (!priceTable) return null;
 
-  const pt = priceTable;
+  const pt = activePriceTable();
+  const priceList = getPriceList();
+  const excludeDelivery = priceList.exclude.includes('delivery');
+  const excludeLabour = priceList.exclude.includes('labour');
   const w_mm = (state.dim && state.dim.frameW_mm) || state.w || 1800;
   const d_mm = (state.dim && state.dim.frameD_mm) || state.d || 2400;
   const footprint_m2 = (w_mm * d_mm) / 1_000_000;
   const isInsulated = state.walls?.variant === 'insulated';
   const roofStyle = state.roof?.style || 'apex';
-  const roofCovering = state.roof?.covering || 'felt';
 
   // ─── BUILD CONFIGURATION ───
   // What the customer wants included in their build (affects pricing).
   // Separate from visibility toggles which are view-only (hide roof to peek inside etc.)
-  // Everything defaults to true (included) unless explicitly excluded via state.build.
+  // Everything defaults to true (included) unless explicitly excluded via state.build;
+  // scopeBOMToBuild() drops the excluded parts from the BOM.
   const build = state.build || {};
   const visBase = build.base !== false;
-  const visWalls = build.walls !== false;
   const visRoof = build.roof !== false;
-  const visCladding = build.cladding !== false;
   const visOpenings = build.openings !== false;
-  // Per-wall cladding configuration
-  const buildCladParts = build.cladParts || {};
-  const visCladFront = visCladding && (buildCladParts.front !== false);
-  const visCladBack = visCladding && (buildCladParts.back !== false);
-  const visCladLeft = visCladding && (buildCladParts.left !== false);
-  const visCladRight = visCladding && (buildCladParts.right !== false);
-  // Roof sub-components — always included (structural, not optional)
-  const visRoofOsb = visRoof;
-  const visRoofCovering = visRoof;
-  const visRoofInsulation = visRoof;
-  const visRoofPly = visRoof;
-  // Insulation & lining — read from build config (customer choices)
-  const visWallIns = visWalls && (build.wallInsulation !== false);
-  const visWallPly = visWalls && (build.interiorLining !== false);
-  // Base sub-components — always included when base is included (structural)
-  const visBaseGrid = visBase;
-  const visBaseFrame = visBase;
-  const visBaseDeck = visBase;
-  const visBaseIns = visBase && (build.floorInsulation !== false);
+  const attVisBase = (build.attachments || {}).base !== false;
 
   // Count openings from state
   const doors = visOpenings ? countOpenings(state, 'door') : 0;
   const windows = visOpenings ? countOpenings(state, 'window') : 0;
   const skylights = visRoof ? countSkylights(state) : 0;
 
-  const breakdown = {};
-  
   // Base type needs to be available for multiple calculations
   const baseType = state.base?.type || 'ecodeck';
+  const attachments = (state.sections?.attachments || []).filter(a => a && a.enabled !== false);
 
-  // ─── 1. TIMBER (structural framing) ───
-  const timberPerLm = pt.timber.structural_50x100_per_lm;
-  // Frame gauge: 100×50 costs ~1/3 more than 75×50
-  const section = (isInsulated ? state.walls?.insulated?.section : state.walls?.basic?.section) || {};
-  const gaugeMultiplier = (section.h >= 100) ? 1.33 : 1.0;
-  // Split timber into base frame vs walls+roof so each respects its visibility toggle
-  const timberParts = estimateTimberLinearMetresSplit(state, w_mm, d_mm);
-  // Check baseType to exclude base timber when customer supplies their own floor
-  const includeBaseTimber = visBaseFrame && (baseType !== 'none' && baseType !== 'concrete-only');
-  const timberLm = (includeBaseTimber ? timberParts.base : 0)
-                 + (visWalls ? timberParts.walls : 0)
-                 + (visRoof ? timberParts.roof : 0);
-  breakdown.timber = timberLm * timberPerLm * gaugeMultiplier;
-
-  // ─── 1b. BASE GRIDS (plastic ground grids) ───
-  // Only priced when Grid is visible in base visibility
-  const gridCostPerM2 = pt.base_grids?.cost_per_m2 || 0;
-  breakdown.baseGrids = visBaseGrid ? footprint_m2 * gridCostPerM2 : 0;
-
-  // ─── 1c. BASE UPGRADE (concrete / skids / floor-only / none) ───
-  breakdown.baseUpgrade = 0;
-  if (baseType === 'concrete-timber' || baseType === 'concrete-only') {
-    // Concrete slab: ~£75/m² (supply + lay + labour)
-    breakdown.baseUpgrade = footprint_m2 * (pt.base_upgrades?.concrete_per_m2 || 75);
-    if (baseType === 'concrete-only') {
-      // No timber floor needed — remove base grids and reduce timber
-      breakdown.baseGrids = 0;
-    }
-  } else if (baseType === 'skids') {
-    // Steel galvanised skids: ~£86/m² (scaled from £1500 for 17.5m² garage)
-    breakdown.baseUpgrade = footprint_m2 * (pt.base_upgrades?.skids_per_m2 || 86);
-  } else if (baseType === 'floor-only') {
-    // Customer has existing base (slab/paving), just supply timber floor frame + OSB
-    breakdown.baseGrids = 0;
-    breakdown.baseUpgrade = 0;
-  } else if (baseType === 'none') {
-    // Customer has existing base and floor, walls go straight onto it
-    breakdown.baseGrids = 0;
-    breakdown.baseUpgrade = 0;
-    // Exclude base timber from material cost (handled in timber calculation above)
-  }
+  const breakdown = {
+    timber: 0, baseGrids: 0, baseUpgrade: 0, cladding: 0, osb: 0, insulation: 0, plyLining: 0,
+    roofOsb: 0, roofInsulation: 0, roofPly: 0, roofCovering: 0, soffits: 0, roofComplexity: 0, rainwater: 0,
+    doors: 0, windows: 0, skylights: 0, shelving: 0, dividers: 0, dpc: 0, attachments: 0, fixings: 0, delivery: 0
+  };
+  const trace = {};
+  const addLine = (key, line) => {
+    breakdown[key] = (breakdown[key] || 0) + line.amount;
+    (trace[key] = trace[key] || []).push(line);
+  };
+  const allowance = (key, description, qty, unit, unitPrice, from) => {
+    if (!(qty > 0) || !(unitPrice > 0)) return;
+    addLine(key, { description, qty: round2(qty), unit, unit_price: unitPrice, line_total: round2(qty * unitPrice), amount: qty * unitPrice, from: [from], allowance: true });
+  };
 
-  // ─── 2. CLADDING ───
-  // Per-wall cladding: only price walls that are visible
-  const claddingProfile = state.cladding?.style || state.cladding?.profile || 'shiplap';
-  const wallArea_m2 = estimateWallArea(state, w_mm, d_mm, roofStyle);
-  const claddedWallArea_m2 = estimateCladdedWallArea(state, w_mm, d_mm, roofStyle,
-    { front: visCladFront, back: visCladBack, left: visCladLeft, right: visCladRight });
-  let claddingCostPerM2;
-  if (claddingProfile === 'featherEdge' || claddingProfile === 'feather_edge' || claddingProfile === 'overlap') {
-    claddingCostPerM2 = pt.cladding.feather_edge_175x38_per_lm * (1000 / pt.cladding.feather_edge_cover_mm);
-  } else if (claddingProfile === 'composite-panel') {
-    claddingCostPerM2 = pt.cladding.composite_panel_per_m2;
-  } else {
-    // Default to shiplap
-    claddingCostPerM2 = pt.cladding.shiplap_150x25_per_lm * (1000 / pt.cladding.shiplap_cover_mm);
-  }
-  breakdown.cladding = claddedWallArea_m2 * claddingCostPerM2;
-
-  // ─── 3. OSB DECKING ───
-  const sheetArea = (pt.sheets.sheet_w_mm * pt.sheets.sheet_l_mm) / 1_000_000; // ~2.977 m²
-  // Exclude OSB floor deck when customer supplies their own floor (baseType === 'none')
-  const includeFloorOsb = visBaseDeck && (baseType !== 'none' && baseType !== 'concrete-only');
-  const osbSheets = includeFloorOsb ? Math.ceil(footprint_m2 / sheetArea) : 0;
-  breakdown.osb = osbSheets * pt.sheets.osb_18mm_per_sheet;
-
-  // ─── 4. INSULATION (floor + walls, if insulated) ───
-  breakdown.insulation = 0;
-  breakdown.plyLining = 0;
-  if (isInsulated) {
-    // Floor PIR (only if base insulation visible)
-    const pirFloorSheets = visBaseIns ? Math.ceil(footprint_m2 / sheetArea) : 0;
-    // Wall PIR (only if wall insulation visible)
-    const pirWallSheets = visWallIns ? Math.ceil(wallArea_m2 / sheetArea) : 0;
-    breakdown.insulation = (pirFloorSheets + pirWallSheets) * pt.sheets.pir_50mm_per_sheet;
-
-    // Internal wall lining only (no floor ply — floor is OSB decking only)
-    const liningType = state?.walls?.internalLining || "plywood";
-    
-    let wallLiningCost = 0;
-    if (visWallPly && liningType !== "none") {
-      if (liningType === "pine-tg" && pt.internal_lining) {
-        wallLiningCost = wallArea_m2 * pt.internal_lining.pine_tg_per_m2;
-      } else {
-        const plyWallSheets = Math.ceil(wallArea_m2 / sheetArea);
-        wallLiningCost = plyWallSheets * pt.sheets.ply_12mm_per_sheet;
-      }
+  // ─── 1. MATERIALS FROM THE BOM ───
+  // Lines shared by several parts (stock lengths cut into studs and rafters, a sheet
+  // holding floor and roof rips) are split pro rata over the BOM rows they supply.
+  const bom = scopeBOMToBuild(computeDesignBOM(state), state);
+  const attLabels = new Set((bom.attachments || []).map(a => a.label));
+  const purchases = collectPurchaseLines(bom, state, pt);
+  // Fixings come from the schedule when the price table turns it on and prices every pack
+  const scheduledFixings = !!pt.fixings?.price_from_schedule &&
+    purchases.every(l => l.kind !== 'fixings' || l.unit_price !== null);
+  let unpriced = 0;
+  for (const line of purchases) {
+    if (line.kind === 'fixings' && !scheduledFixings) continue;
+    if (line.unit_price === null) { unpriced++; continue; }
+    const total = line.qty * line.unit_price;
+    const uses = line.uses.length ? line.uses : [{ source: '', item: line.description, qty: line.qty, size: '', amount: 1 }];
+    const weight = uses.reduce((s, u) => s + u.amount, 0);
+    const byKey = {};
+    for (const u of uses) {
+      const key = breakdownKey(line.kind, u, attLabels);
+      if (!byKey[key]) byKey[key] = { amount: 0, rows: new Map() };
+      byKey[key].amount += weight > 0 ? total * u.amount / weight : total / uses.length;
+      // The same row on several walls (plates, studs) is listed once
+      const id = `${u.source}|${u.item}|${u.size}`;
+      const row = byKey[key].rows.get(id);
+      if (row) row.qty += u.qty;
+      else byKey[key].rows.set(id, Object.assign({}, u));
+    }
+    for (const key of Object.keys(byKey)) {
+      addLine(key, {
+        description: line.description, qty: line.qty, unit: line.unit, unit_price: line.unit_price,
+        line_total: round2(total), amount: byKey[key].amount, from: [...byKey[key].rows.values()].map(describeUse)
+      });
     }
-    breakdown.plyLining = wallLiningCost;
-    breakdown.liningLabel = liningType === "none" ? "" : (liningType === "pine-tg" ? "Internal lining (Pine T&G)" : "Internal lining (Ply)");
-  }
-
-  // ─── 4b. ROOF OSB / SHEATHING ───
-  // Same 18mm OSB sheets as floor, calculated from roof area + 1 extra for waste/damage
-  const roofArea_m2 = estimateRoofArea(w_mm, d_mm, roofStyle, state);
-  const roofOsbSheets = visRoofOsb ? Math.ceil(roofArea_m2 / sheetArea) + 1 : 0;  // +1 waste board
-  breakdown.roofOsb = roofOsbSheets * pt.sheets.osb_18mm_per_sheet;
-
-  // ─── 4c. ROOF INSULATION (PIR, insulated variant only) ───
-  breakdown.roofInsulation = 0;
-  breakdown.roofPly = 0;
-  if (isInsulated) {
-    const roofPirSheets = visRoofInsulation ? Math.ceil(roofArea_m2 / sheetArea) : 0;
-    breakdown.roofInsulation = roofPirSheets * pt.sheets.pir_50mm_per_sheet;
-
-    // ─── 4d. ROOF INTERIOR PLYWOOD (12mm lining) ───
-    const roofPlySheets = visRoofPly ? Math.ceil(roofArea_m2 / sheetArea) : 0;
-    breakdown.roofPly = roofPlySheets * pt.sheets.ply_12mm_per_sheet;
   }
 
-  // ─── 5. ROOF COVERING ───
-  if (!visRoofCovering) {
-    breakdown.roofCovering = 0;
-  } else if (roofCovering === 'epdm') {
-    breakdown.roofCovering = roofArea_m2 * pt.roofing.epdm_per_m2;
-  } else if (roofCovering === 'slate') {
-    breakdown.roofCovering = roofArea_m2 * (pt.roofing.slate_per_m2 || 35);
-  } else {
-    breakdown.roofCovering = roofArea_m2 * pt.roofing.felt_per_m2;
+  // ─── 2. ALLOWANCES (not in the BOM) ───
+  // Base upgrade: concrete slab / steel skids per m² of footprint
+  if (visBase && (baseType === 'concrete-timber' || baseType === 'concrete-only')) {
+    allowance('baseUpgrade', 'Concrete slab (supply, lay and labour)', footprint_m2, 'm²', pt.base_upgrades?.concrete_per_m2 || 75, `Base footprint ${round2(footprint_m2)}m²`);
+  } else if (visBase && baseType === 'skids') {
+    allowance('baseUpgrade', 'Steel galvanised skids', footprint_m2, 'm²', pt.base_upgrades?.skids_per_m2 || 86, `Base footprint ${round2(footprint_m2)}m²`);
   }
 
-  // ─── 5a. SOFFITS (12mm cladding board under overhang) ───
-  breakdown.soffits = 0;
-  const showSoffits = visRoof && (state?.roof?.soffits !== false);
-  if (showSoffits) {
-    const ovh = state?.overhang || {};
-    const uni = ovh.uniform_mm ?? 75;
-    const isUnsetV = (v) => v == null || v === '';
-    const ol = isUnsetV(ovh.left_mm)  ? uni : Number(ovh.left_mm)  || 0;
-    const or2 = isUnsetV(ovh.right_mm) ? uni : Number(ovh.right_mm) || 0;
-    const of2 = isUnsetV(ovh.front_mm) ? uni : Number(ovh.front_mm) || 0;
-    const ob = isUnsetV(ovh.back_mm)  ? uni : Number(ovh.back_mm)  || 0;
-    const roofW_s = w_mm + ol + or2;
-    const roofD_s = d_mm + of2 + ob;
-    // Eaves soffits (left + right): depth of roof × overhang width
-    const eavesArea_m2 = ((ol * roofD_s) + (or2 * roofD_s)) / 1_000_000;
-    // Verge/gable soffits (front + back): frame width × overhang depth
-    const vergeArea_m2 = ((of2 * w_mm) + (ob * w_mm)) / 1_000_000;
-    const soffitArea_m2 = eavesArea_m2 + vergeArea_m2;
-    // Price as cladding board (same material)
-    breakdown.soffits = soffitArea_m2 * claddingCostPerM2;
+  // DPC membrane under the base and each attachment's base
+  const dpcRate = pt.sundries.dpc_membrane_per_m2;
+  if (visBase) allowance('dpc', 'DPC membrane', footprint_m2, 'm²', dpcRate, `Base footprint ${round2(footprint_m2)}m²`);
+  if (attVisBase) {
+    attachments.forEach((att, i) => {
+      const m2 = ((att.dimensions?.width_mm || 1800) * (att.dimensions?.depth_mm || 1200)) / 1_000_000;
+      allowance('attachments', 'DPC membrane', m2, 'm²', dpcRate, `${bom.attachments[i]?.label || 'Attachment'} footprint ${round2(m2)}m²`);
+    });
   }
 
-  // ─── 5b. ROOF COMPLEXITY PREMIUM ───
-  // Pent = baseline (simple rafters). Apex adds trusses. Hipped adds hip rafters + complex cuts.
-  breakdown.roofComplexity = 0;
-  const span_m = Math.min(w_mm, d_mm) / 1000;
-  const length_m = Math.max(w_mm, d_mm) / 1000;
+  // Apex and hipped roofs: truss fabrication (birdsmouths, plumb cuts, ridge joints)
   if (visRoof && (roofStyle === 'apex' || roofStyle === 'hipped')) {
-    // Apex: £15 per truss-metre (truss width × number of trusses)
-    const trussSpacing_m = 0.6; // 600mm centres
-    const trussCount = Math.ceil(length_m / trussSpacing_m) + 1;
-    const trussWidth_m = span_m;
-    breakdown.roofComplexity = trussCount * trussWidth_m * 15;
+    const span_m = Math.min(w_mm, d_mm) / 1000;
+    const length_m = Math.max(w_mm, d_mm) / 1000;
+    const trussCount = Math.ceil(length_m / 0.6) + 1;
+    allowance('roofComplexity', 'Truss fabrication', trussCount * span_m, 'truss-m', 15, `${trussCount} trusses × ${round2(span_m)}m span`);
   }
-  if (roofStyle === 'hipped') {
-    // Hipped: additional £30 per m² of footprint on top of apex premium
-    breakdown.roofComplexity += footprint_m2 * 30;
-  }
-
-  // ─── 6. OPENINGS ───
-  const doorCost = (pt.openings.dgu_per_unit + pt.openings.door_hardware + pt.openings.door_timber_allowance);
-  const windowCost = (pt.openings.dgu_per_unit + pt.openings.window_hardware + pt.openings.window_timber_allowance);
-  const skylightCost = windowCost + (pt.openings.skylight_premium || 70);
-  breakdown.doors = doors * doorCost;
-  breakdown.windows = windows * windowCost;
-  breakdown.skylights = skylights * skylightCost;
 
-  // ─── 6b. SHELVING ───
-  const shelvingArea_m2 = calcShelvingArea(state);
-  const shelvingCostPerM2 = pt.shelving?.cost_per_m2 || 25;
-  breakdown.shelving = shelvingArea_m2 * shelvingCostPerM2;
-
-  // ─── 6c. INTERNAL DIVIDERS ───
-  breakdown.dividers = calcDividerCost(state, pt, w_mm, d_mm);
-
-  // ─── 7. DPC / MEMBRANE ───
-  breakdown.dpc = visBase ? footprint_m2 * pt.sundries.dpc_membrane_per_m2 : 0;
-
-  // ─── 7b. ATTACHMENTS ───
-  // Each attachment is priced as a mini-building: timber, cladding (3 walls), roof OSB, covering, grids, openings
-  breakdown.attachments = 0;
-  const attachments = state.sections?.attachments || [];
-  const attBuild = (build.attachments) || {};  // { base: bool, walls: bool, roof: bool, cladding: bool }
-  const attVisBase = attBuild.base !== false;
-  const attVisWalls = attBuild.walls !== false;
-  const attVisRoof = attBuild.roof !== false;
-  const attVisCladding = attBuild.cladding !== false;
-
-  for (const att of attachments) {
-    if (!att || att.enabled === false) continue;
-
-    const attW_mm = att.dimensions?.width_mm || 1800;
-    const attD_mm = att.dimensions?.depth_mm || 1200;
-    const attFootprint_m2 = (attW_mm * attD_mm) / 1_000_000;
-    const attWallHeight_m = (att.walls?.height_mm || state.walls?.height_mm || 2200) / 1000;
-    const attW_m = attW_mm / 1000;
-    const attD_m = attD_mm / 1000;
-
-    // Attachment has 3 walls (shared wall with main building has no cladding/framing)
-    // 1 wall = width (outer), 2 walls = depth (sides)
-    const attWallArea_m2 = (attW_m * attWallHeight_m + 2 * attD_m * attWallHeight_m) * 0.85;
-
-    // Timber framing (structural) — simplified linear metre estimate for 3 walls + base + roof
-    if (attVisWalls) {
-      const attPerimeter3 = attW_m + 2 * attD_m;  // 3 walls only
-      const attPlates_lm = attPerimeter3 * 2;  // top + bottom plates
-      const attStudCount = Math.ceil(attPerimeter3 / 0.4);
-      const attStuds_lm = attStudCount * attWallHeight_m;
-      // Base joists
-      const attBaseJoists = Math.ceil(attW_m / 0.4) + 2;
-      const attBase_lm = attBaseJoists * attD_m + 2 * attW_m;
-      // Roof rafters
-      const attRafterCount = Math.ceil(attW_m / 0.6) + 1;
-      const attRafter_lm = attRafterCount * attD_m * 1.05;
-      const attTimber_lm = attPlates_lm + attStuds_lm + attBase_lm + attRafter_lm;
-      breakdown.attachments += attTimber_lm * timberPerLm * gaugeMultiplier;
-    }
-
-    // Cladding (3 walls only, not the shared wall)
-    if (attVisCladding) {
-      breakdown.attachments += attWallArea_m2 * claddingCostPerM2;
-    }
-
-    // Base: OSB deck + grids + DPC
-    if (attVisBase) {
-      const attOsbSheets = Math.ceil(attFootprint_m2 / sheetArea);
-      breakdown.attachments += attOsbSheets * pt.sheets.osb_18mm_per_sheet;
-      breakdown.attachments += attFootprint_m2 * gridCostPerM2;
-      breakdown.attachments += attFootprint_m2 * pt.sundries.dpc_membrane_per_m2;
-    }
+  // Hipped roof: hip and jack rafter cuts on top of the rafters' timber
+  if (visRoof && roofStyle === 'hipped') {
+    allowance('roofComplexity', 'Hipped roof cutting', footprint_m2, 'm²', 30, `Footprint ${round2(footprint_m2)}m²`);
+  }
 
-    // Roof: OSB + covering
-    if (attVisRoof) {
-      const attRoofArea_m2 = attFootprint_m2 * 1.1;  // rough slope factor
-      const attRoofOsbSheets = Math.ceil(attRoofArea_m2 / sheetArea) + 1;  // +1 waste
-      breakdown.attachments += attRoofOsbSheets * pt.sheets.osb_18mm_per_sheet;
-      if (roofCovering === 'epdm') {
-        breakdown.attachments += attRoofArea_m2 * pt.roofing.epdm_per_m2;
-      } else if (roofCovering === 'slate') {
-        breakdown.attachments += attRoofArea_m2 * (pt.roofing.slate_per_m2 || 35);
-      } else {
-        breakdown.attachments += attRoofArea_m2 * pt.roofing.felt_per_m2;
+  // Skylight kerb and flashing (frame and glass are BOM rows)
+  allowance('skylights', 'Skylight kerb and flashing', skylights, 'units', pt.openings.skylight_premium || 70, `${skylights} skylight${skylights !== 1 ? 's' : ''}`);
+
+  // Door and window ironmongery is on the fixings schedule; without it, allow per opening
+  if (!scheduledFixings) {
+    allowance('doors', 'Door hardware', doors, 'doors', pt.openings.door_hardware, `${doors} door${doors !== 1 ? 's' : ''}`);
+    allowance('windows', 'Window hardware', windows, 'windows', pt.openings.window_hardware, `${windows} window${windows !== 1 ? 's' : ''}`);
+    for (const att of attachments) {
+      for (const op of att.walls?.openings || []) {
+        if (!op || op.enabled === false) continue;
+        if (op.type === 'door') allowance('attachments', 'Door hardware', 1, 'doors', pt.openings.door_hardware, 'Attachment door');
+        else if (op.type === 'window') allowance('attachments', 'Window hardware', 1, 'windows', pt.openings.window_hardware, 'Attachment window');
       }
     }
-
-    // Openings on attachment
-    const attOpenings = att.walls?.openings || [];
-    for (const op of attOpenings) {
-      if (!op || op.enabled === false) continue;
-      if (op.type === 'door') breakdown.attachments += doorCost;
-      else if (op.type === 'window') breakdown.attachments += windowCost;
-    }
   }
 
-  // ─── 8. MATERIALS SUBTOTAL ───
-  const materialsSubtotal = Object.values(breakdown).reduce((s, v) => s + (typeof v === 'number' ? v : 0), 0);
+  // ─── 3. MATERIALS SUBTOTAL ───
+  const materialsSubtotal = Object.values(breakdown).reduce((s, v) => s + v, 0);
 
-  // ─── 9. FIXINGS (% of materials) ───
-  breakdown.fixings = materialsSubtotal * pt.sundries.fixings_pct;
+  // ─── 4. FIXINGS ───
+  // Scheduled fixings were costed with the BOM lines above; otherwise a % of materials
+  const fixingsSource = scheduledFixings ? 'schedule' : 'allowance';
+  if (!scheduledFixings) {
+    allowance('fixings', 'Fixings allowance', 1, 'allowance', materialsSubtotal * pt.sundries.fixings_pct,
+      `${Math.round(pt.sundries.fixings_pct * 100)}% of £${Math.round(materialsSubtotal).toLocaleString()} materials`);
+  }
 
-  // ─── 10. DELIVERY ───
-  breakdown.delivery = pt.sundries.delivery_per_order * pt.sundries.delivery_orders_estimate;
+  // ─── 5. DELIVERY ───
+  // Not charged on lists that exclude it (trade collects). With a postcode, the zone's rate
+  // per order; districts we don't cover are left out and flagged outside the service area.
+  const deliveryZone = lookupDeliveryZone(sitePostcode, pt);
+  const zone = deliveryZone && !deliveryZone.outside ? pt.delivery.zones[deliveryZone.zoneId] : null;
+  if (!excludeDelivery && !deliveryZone?.outside) {
+    const orders = pt.sundries.delivery_orders_estimate;
+    allowance('delivery', 'Delivery', orders, 'orders', zone?.delivery_per_order ?? pt.sundries.delivery_per_order,
+      `${orders} deliveries${zone ? ` to ${deliveryZone.district} (${deliveryZone.label})` : ''}`);
+  }
 
   // ─── TOTAL MATERIALS ───
-  const totalMaterials = Object.values(breakdown).reduce((s, v) => s + (typeof v === 'number' ? v : 0), 0);
+  const totalMaterials = Object.values(breakdown).reduce((s, v) => s + v, 0);
 
   // ─── LABOUR ───
-  // Base + rate formula: fixed overhead (mobilisation/setup) + per-m² scaling
-  // Calibrated 19 Feb 2026: 4m²=4d, 9m²=5d, 24m²=8d (basic, from Andrew)
-  // Include attachment footprint in total area for labour calculation
+  // Person-days by task from the BOM quantities (bom/labour.js, rates in labour.tasks),
+  // scheduled by crew and dependencies for the job plan
+  const labourSchedule = computeLabourSchedule(bom, state, pt);
+  const labourDays = Math.max(pt.labour.min_days, Math.round(labourSchedule.personDays));
+  // Attachment footprint is reported alongside the main footprint
   let totalFootprint_m2 = footprint_m2;
   for (const att of attachments) {
-    if (!att || att.enabled === false) continue;
     totalFootprint_m2 += ((att.dimensions?.width_mm || 0) * (att.dimensions?.depth_mm || 0)) / 1_000_000;
   }
-  const baseDays = isInsulated ? pt.labour.base_days_insulated : pt.labour.base_days_basic;
-  const ratePerM2 = isInsulated ? pt.labour.rate_per_m2_insulated : pt.labour.rate_per_m2_basic;
-  let labourDays = Math.max(pt.labour.min_days, Math.round(baseDays + totalFootprint_m2 * ratePerM2));
-  // Slate roofing takes ~5x longer than felt — add extra days based on roof area
-  if (roofCovering === 'slate' && visRoof) {
-    const slatExtraDays = Math.ceil(roofArea_m2 * (pt.labour.slate_extra_days_per_m2 || 0.15));
-    labourDays += slatExtraDays;
-  }
-  const labourCost = labourDays * pt.labour.day_rate;
+
+  // Zone uplifts: travel for each day on site, accommodation for each night away
+  const daysOnSite = Math.ceil(labourSchedule.elapsedDays);
+  const labourUplift = {
+    travel: round2(daysOnSite * (zone?.travel_per_day || 0)),
+    accommodation: round2(Math.max(0, daysOnSite - 1) * (zone?.accommodation_per_night || 0)),
+    days: daysOnSite,
+    nights: Math.max(0, daysOnSite - 1)
+  };
+
+  // Lists that exclude labour (trade installers build it themselves) still report the days
+  const labourCost = excludeLabour ? 0 : labourDays * pt.labour.day_rate + labourUplift.travel + labourUplift.accommodation;
 
   // ─── TOTAL COST ───
   const totalCost = totalMaterials + labourCost;
@@ -375,6 +396,10 @@ export function estimatePrice(state) {
   const sellLow = totalCost / (1 - (marginPct - bufferPct));   // Lower margin = lower price
   const sellHigh = totalCost / (1 - (marginPct + bufferPct));  // Higher margin = higher price
 
+  const section = (isInsulated ? state.walls?.insulated?.section : state.walls?.basic?.section) || {};
+  const liningType = state.walls?.internalLining || 'plywood';
+  const shelvingArea_m2 = calcShelvingArea(state);
+
   return {
     low: Math.round(sellLow / 50) * 50,        // Round to nearest £50
     high: Math.round(sellHigh / 50) * 50,
@@ -383,15 +408,27 @@ export function estimatePrice(state) {
     totalMaterials: Math.round(totalMaterials),
     labourCost: Math.round(labourCost),
     labourDays,
+    labourSchedule,
+    labourUplift,
+    deliveryZone,
+    fixingsSource,
+    unpriced,
+    priceList: { id: priceList.id, label: priceList.label },
+    excludes: { delivery: excludeDelivery, labour: excludeLabour },
+    margin: { target_pct: marginPct, low_pct: marginPct - bufferPct, high_pct: marginPct + bufferPct },
+    fixingsPct: pt.sundries.fixings_pct,
+    dayRate: pt.labour.day_rate,
+    minDays: pt.labour.min_days,
     footprint_m2: Math.round(footprint_m2 * 100) / 100,
     isInsulated,
     roofStyle,
     gaugeLabel: (section.h >= 100) ? '100×50' : '75×50',
+    liningLabel: !isInsulated || liningType === 'none' ? '' : (liningType === 'pine-tg' ? 'Internal lining (Pine T&G)' : 'Internal lining (Ply)'),
     doors,
     windows,
     skylights,
     shelvingArea_m2: Math.round(shelvingArea_m2 * 100) / 100,
-    attachmentCount: attachments.filter(a => a && a.enabled !== false).length,
+    attachmentCount: attachments.length,
     totalFootprint_m2: Math.round(totalFootprint_m2 * 100) / 100,
     dividerCount: (state.dividers?.items || []).filter(d => d && d.enabled !== false).length,
     baseTypeLabel: baseType === 'concrete-timber' ? 'Concrete + Timber Floor' :
@@ -401,10 +438,48 @@ export function estimatePrice(state) {
                    baseType === 'none' ? 'No Base or Floor' : '',
     breakdown: Object.fromEntries(
       Object.entries(breakdown).map(([k, v]) => [k, Math.round(v)])
+    ),
+    trace: Object.fromEntries(
+      Object.entries(trace).map(([k, lines]) => [k, lines.map(l => Object.assign({}, l, { amount: round2(l.amount) }))])
     )
   };
 }
 
+// ─── Helper: breakdown key for one BOM row a purchase line supplies ───
+function breakdownKey(kind, use, attLabels) {
+  if (kind === 'rainwater') return 'rainwater';
+  if (attLabels.has(use.source)) return 'attachments';
+  if (kind === 'fixings') return 'fixings';
+  switch (use.source) {
+    case 'Doors': return 'doors';
+    case 'Windows': return 'windows';
+    case 'Skylights': return 'skylights';
+    case 'Shelving': return 'shelving';
+    case 'Dividers': return 'dividers';
+  }
+  const roof = use.source === 'Roof';
+  switch (kind) {
+    case 'timber':
+      if (roof && /Soffit/i.test(use.item)) return 'soffits';
+      return use.item === 'Corner boards' ? 'cladding' : 'timber';
+    case 'osb18': return roof ? 'roofOsb' : 'osb';
+    case 'pir50': return roof ? 'roofInsulation' : 'insulation';
+    case 'ply12':
+    case 'lining': return roof ? 'roofPly' : 'plyLining';
+    case 'roofing': return 'roofCovering';
+    case 'grids': return 'baseGrids';
+    default: return kind;
+  }
+}
+
+// ─── Helper: one BOM row as shown in the breakdown, e.g. "Walls: Studs — 24 × 1750mm" ───
+function describeUse(u) {
+  const qty = u.size ? (u.qty > 1 ? `${u.qty} × ${u.size}` : u.size) : (u.qty !== 1 ? String(u.qty) : '');
+  return `${u.source ? u.source + ': ' : ''}${u.item}${qty ? ' — ' + qty : ''}`;
+}
+
+function round2(v) { return Math.round(v * 100) / 100; }
+
 // ─── Helper: count openings (doors/windows only — skylights counted separately) ───
 function countOpenings(state, type) {
   let count = 0;
@@ -418,8 +493,6 @@ function countOpenings(state, type) {
       return false;
     }).length;
   }
-  // Minimum: 1 door if none found
-  if (type === 'door' && count === 0) count = 1;
   return count;
 }
 
@@ -444,168 +517,6 @@ function calcShelvingArea(state) {
   return area;
 }
 
-// ─── Helper: calculate divider cost from timber + coverings ───
-function calcDividerCost(state, pt, buildingW_mm, buildingD_mm) {
-  const items = state.dividers?.items;
-  if (!Array.isArray(items)) return 0;
-
-  const wallHeight_mm = state.walls?.height_mm || 2200;
-  let totalCost = 0;
-
-  for (const div of items) {
-    if (!div || div.enabled === false) continue;
-
-    // Divider length depends on axis
-    const axis = div.axis || 'x';
-    const divLength_mm = axis === 'x' ? buildingD_mm : buildingW_mm;
-    const divHeight_mm = wallHeight_mm;
-    const divArea_m2 = (divLength_mm * divHeight_mm) / 1_000_000;
-
-    // Timber framing: sole plate + top plate + studs at 600mm centres
-    const timberPerLm = pt.timber.structural_50x100_per_lm;
-    const plates_lm = (divLength_mm * 2) / 1000; // sole + top plate
-    const studCount = Math.ceil(divLength_mm / 600) + 1;
-    const studs_lm = studCount * (divHeight_mm / 1000);
-    const timberCost = (plates_lm + studs_lm) * timberPerLm;
-
-    // Coverings (each side can be none/osb/cladding)
-    const sheetArea_m2 = (pt.sheets.sheet_w_mm * pt.sheets.sheet_l_mm) / 1_000_000;
-    let coveringCost = 0;
-
-    for (const side of ['coveringLeft', 'coveringRight']) {
-      const cover = div[side] || 'none';
-      if (cover === 'osb') {
-        const sheets = Math.ceil(divArea_m2 / sheetArea_m2);
-        coveringCost += sheets * pt.sheets.osb_18mm_per_sheet;
-      } else if (cover === 'cladding' || cover === 'clad') {
-        // Use whichever cladding profile the building uses
-        const claddingProfile = state.cladding?.style || state.cladding?.profile || 'shiplap';
-        let costPerM2;
-        if (claddingProfile === 'featherEdge' || claddingProfile === 'feather_edge' || claddingProfile === 'overlap') {
-          costPerM2 = pt.cladding.feather_edge_175x38_per_lm * (1000 / pt.cladding.feather_edge_cover_mm);
-        } else if (claddingProfile === 'composite-panel') {
-          costPerM2 = pt.cladding.composite_panel_per_m2;
-        } else {
-          costPerM2 = pt.cladding.shiplap_150x25_per_lm * (1000 / pt.cladding.shiplap_cover_mm);
-        }
-        coveringCost += divArea_m2 * costPerM2;
-      }
-    }
-
-    totalCost += timberCost + coveringCost;
-  }
-
-  return totalCost;
-}
-
-// ─── Helper: estimate structural timber linear metres (split by component) ───
-function estimateTimberLinearMetresSplit(state, w_mm, d_mm) {
-  const perimeter_m = 2 * (w_mm + d_mm) / 1000;
-
-  // Base: 2 rim joists + inner joists at 400mm spacing
-  const rimJoists_lm = 2 * Math.max(w_mm, d_mm) / 1000;
-  const innerJoistCount = Math.floor(Math.max(w_mm, d_mm) / 400);
-  const innerJoists_lm = innerJoistCount * Math.min(w_mm, d_mm) / 1000;
-  const baseLm = rimJoists_lm + innerJoists_lm;
-
-  // Walls: sole plates + top plates (perimeter × 2) + studs (~every 600mm × wall height)
-  const wallHeight_m = (state.walls?.height_mm || 2200) / 1000;
-  const plates_lm = perimeter_m * 2; // sole + top plate
-  const studCount = Math.ceil(perimeter_m / 0.6);
-  const studs_lm = studCount * wallHeight_m;
-  const wallsLm = plates_lm + studs_lm;
-
-  // Roof: rafters (simplified — pair every 600mm along ridge)
-  const ridgeLen_m = Math.max(w_mm, d_mm) / 1000;
-  const rafterPairs = Math.ceil(ridgeLen_m / 0.6);
-  const rafterLen_m = (Math.min(w_mm, d_mm) / 2000) * 1.1; // half span + slope factor
-  const rafters_lm = rafterPairs * 2 * rafterLen_m;
-  const ridge_lm = ridgeLen_m;
-  const roofLm = rafters_lm + ridge_lm;
-
-  return { base: baseLm, walls: wallsLm, roof: roofLm };
-}
-
-// Legacy wrapper for backward compatibility
-function estimateTimberLinearMetres(state, w_mm, d_mm) {
-  const parts = estimateTimberLinearMetresSplit(state, w_mm, d_mm);
-  return parts.base + parts.walls + parts.roof;
-}
-
-// ─── Helper: estimate wall area (minus ~15% for openings) ───
-function estimateWallArea(state, w_mm, d_mm, roofStyle) {
-  const wallHeight_m = (state.walls?.height_mm || 2200) / 1000;
-  const perimeter_m = 2 * (w_mm + d_mm) / 1000;
-  let area = perimeter_m * wallHeight_m;
-
-  // Add gable triangles for apex/hipped
-  if (roofStyle === 'apex' || roofStyle === 'hipped') {
-    const gableWidth_m = Math.min(w_mm, d_mm) / 1000;
-    const ridgeHeight_m = 0.4; // rough estimate
-    area += gableWidth_m * ridgeHeight_m; // 2 triangles ≈ 1 rectangle
-  }
-
-  // Subtract ~15% for openings
-  area *= 0.85;
-  return area;
-}
-
-// ─── Helper: estimate cladded wall area (respects per-wall visibility) ───
-function estimateCladdedWallArea(state, w_mm, d_mm, roofStyle, wallVis) {
-  const wallHeight_m = (state.walls?.height_mm || 2200) / 1000;
-  const w_m = w_mm / 1000;
-  const d_m = d_mm / 1000;
-
-  // Calculate area per wall pair (front/back are width, left/right are depth)
-  let area = 0;
-  if (wallVis.front) area += w_m * wallHeight_m;
-  if (wallVis.back) area += w_m * wallHeight_m;
-  if (wallVis.left) area += d_m * wallHeight_m;
-  if (wallVis.right) area += d_m * wallHeight_m;
-
-  // Add gable triangles for apex/hipped (front + back gables)
-  if (roofStyle === 'apex' || roofStyle === 'hipped') {
-    const gableWidth_m = Math.min(w_m, d_m);
-    const ridgeHeight_m = 0.4;
-    // Gable triangle area split between the two gable walls (front + back for typical apex)
-    if (wallVis.front) area += (gableWidth_m * ridgeHeight_m) / 2;
-    if (wallVis.back) area += (gableWidth_m * ridgeHeight_m) / 2;
-  }
-
-  // Subtract ~15% for openings (proportional)
-  area *= 0.85;
-  return area;
-}
-
-// ─── Helper: estimate roof area (uses actual overhang values from state) ───
-function estimateRoofArea(w_mm, d_mm, roofStyle, state) {
-  const span_m = Math.min(w_mm, d_mm) / 1000;
-  const length_m = Math.max(w_mm, d_mm) / 1000;
-
-  // Read actual overhangs from state (fall back to uniform, then 75mm default)
-  const ovh = state?.overhang || {};
-  const uni = ovh.uniform_mm ?? 75;
-  const isUnset = (v) => v == null || v === '';
-  const l_mm = isUnset(ovh.left_mm)  ? uni : Number(ovh.left_mm)  || 0;
-  const r_mm = isUnset(ovh.right_mm) ? uni : Number(ovh.right_mm) || 0;
-  const f_mm = isUnset(ovh.front_mm) ? uni : Number(ovh.front_mm) || 0;
-  const b_mm = isUnset(ovh.back_mm)  ? uni : Number(ovh.back_mm)  || 0;
-
-  // Total overhang added to each dimension
-  const ovhSpan_m = (l_mm + r_mm) / 1000;   // added to the span (width)
-  const ovhLen_m  = (f_mm + b_mm) / 1000;    // added to the length (depth)
-
-  if (roofStyle === 'pent') {
-    // Single slope — slope runs across the span
-    const slopeLen = (span_m + ovhSpan_m) * 1.05; // pitch factor
-    return slopeLen * (length_m + ovhLen_m);
-  }
-  // Apex / hipped — two slopes
-  const halfSpan = (span_m + ovhSpan_m) / 2;
-  const slopeLen = halfSpan * 1.12; // pitch factor
-  return 2 * slopeLen * (length_m + ovhLen_m);
-}
-
 // ─── UI: render price estimate card ───
 export function renderPriceCard(state, containerId) {
   const container = document.getElementById(containerId);
@@ -633,6 +544,7 @@ export function renderPriceCard(state, containerId) {
       <div class="price-card-header">
         <span class="price-card-icon">💰</span>
         <span class="price-card-title">Estimated Cost Range</span>
+        ${est.priceList.id ? `<span class="price-card-list">${est.priceList.label} price list</span>` : ''}
       </div>
       <div class="price-card-range">
         <span class="price-low">£${est.low.toLocaleString()}</span>
@@ -649,14 +561,18 @@ export function renderPriceCard(state, containerId) {
           <span>Materials</span><span>£${est.totalMaterials.toLocaleString()}</span>
         </div>
         <div class="price-detail-row">
-          <span>Labour (${est.labourDays} days)</span><span>£${est.labourCost.toLocaleString()}</span>
+          ${est.excludes.labour
+            ? '<span>Labour</span><span>Not included</span>'
+            : `<span>Labour (${est.labourDays} person-days)</span><span>£${est.labourCost.toLocaleString()}</span>`}
         </div>
         <div class="price-detail-row price-total-row">
           <span>Cost</span><span>£${est.totalCost.toLocaleString()}</span>
         </div>
       </div>
       <div class="price-card-note">
-        Final price depends on site access, ground preparation, and fit-out level.
+        ${est.deliveryZone ? (est.deliveryZone.outside
+          ? `${est.deliveryZone.district} is outside our service area: delivery quoted separately. `
+          : `Delivered to ${est.deliveryZone.district} (${est.deliveryZone.label}). `) : ''}Final price depends on site access, ground preparation, and fit-out level.
       </div>
       <button class="price-cta-btn" onclick="window.open('https://bespokeshedcompany.co.uk/#contact','_blank')">
         Get a Fixed Quote →
@@ -723,8 +639,10 @@ export function renderPriceBadge(state) {
   
   badge.style.pointerEvents = 'auto';
   badge.style.cursor = 'pointer';
+  // Name the list when it isn't the table's default (e.g. trade prices on the builder profile)
+  const listNote = est.priceList.id && est.priceList.id !== priceTable.price_lists?.default ? ` · ${est.priceList.label}` : '';
   badge.innerHTML = `
-    <div style="font-size:11px;text-transform:uppercase;letter-spacing:0.5px;color:#888;margin-bottom:2px;">${label}</div>
+    <div style="font-size:11px;text-transform:uppercase;letter-spacing:0.5px;color:#888;margin-bottom:2px;">${label}${listNote}</div>
     <div style="font-size:18px;font-weight:700;color:#4a3728;">${valueHtml}</div>
     <div id="priceBadgeCTA" style="margin-top:6px;padding:6px 0 0;border-top:1px solid rgba(0,0,0,0.08);text-align:center;font-size:13px;font-weight:600;color:#4a7c3f;cursor:pointer;">💬 Get a Quote</div>
   `;
@@ -783,37 +701,59 @@ export function renderPricingBreakdown(state, containerId) {
 
   const b = est.breakdown;
   const vatNote = priceTable?.vatMode === 'ex' ? 'All prices ex-VAT' : '';
-  const marginPct = Math.round((1 - est.totalCost / est.target) * 100);
+  const pct = v => Math.round(v * 100);
+  // Travel and accommodation for the postcode's zone, charged with labour
+  const uplift = est.excludes.labour ? { travel: 0, accommodation: 0 } : est.labourUplift;
+  // A materials line; opening it lists the order lines behind it and the BOM rows each covers
+  const traceItem = l => `<li>${escHtml(l.description)}: ${l.qty} ${escHtml(l.unit)} × £${l.unit_price.toFixed(2)}` +
+    (l.amount !== l.line_total ? ` <span class="pb-share">(£${l.amount.toFixed(2)} of £${l.line_total.toFixed(2)})</span>` : '') +
+    (l.allowance ? ' <span class="pb-share">allowance</span>' : '') +
+    `<ul>${l.from.map(f => `<li>${escHtml(f)}</li>`).join('')}</ul></li>`;
+  const row = (key, label, value) => {
+    const lines = est.trace[key];
+    const cell = lines && lines.length
+      ? `<details class="pb-trace"><summary>${label}</summary><ul>${lines.map(traceItem).join('')}</ul></details>`
+      : label;
+    return `<tr><td>${cell}</td><td class="pb-val">£${value.toLocaleString()}</td></tr>`;
+  };
 
   container.innerHTML = `
     <div class="pricing-breakdown">
       <div class="pb-header">
         <h3 style="margin:0 0 4px;color:#4a3728;">💰 Full Pricing Breakdown</h3>
+        ${est.priceList.id ? `<p style="margin:0 0 2px;color:#6b4c2a;font-size:0.85em;font-weight:600;">${est.priceList.label} price list</p>` : ''}
         <p style="margin:0;color:#888;font-size:0.85em;">${est.footprint_m2}m² footprint · ${est.isInsulated ? 'Insulated' : 'Basic'} · ${est.doors} door${est.doors !== 1 ? 's' : ''} · ${est.windows} window${est.windows !== 1 ? 's' : ''}${est.skylights ? ` · ${est.skylights} skylight${est.skylights !== 1 ? 's' : ''}` : ''}</p>
       </div>
 
       <div class="pb-section">
         <h4 style="margin:12px 0 8px;color:#6b4c2a;font-size:0.9em;text-transform:uppercase;letter-spacing:0.5px;">📦 Materials</h4>
+        <p style="margin:0 0 6px;color:#888;font-size:0.8em;">Costed from the cutting lists: open a line to see what is ordered and which rows it covers.${est.unpriced ? ` <span style="color:#b54708;">${est.unpriced} order line${est.unpriced !== 1 ? 's have' : ' has'} no price in the price table.</span>` : ''}</p>
         <table class="pb-table">
-          <tr><td>Structural timber${est.gaugeLabel ? ` (${est.gaugeLabel})` : ''}</td><td class="pb-val">£${b.timber.toLocaleString()}</td></tr>
-          <tr><td>Cladding</td><td class="pb-val">£${b.cladding.toLocaleString()}</td></tr>
-          <tr><td>OSB sheathing</td><td class="pb-val">£${b.osb.toLocaleString()}</td></tr>
-          ${b.insulation ? `<tr><td>Insulation (PIR)</td><td class="pb-val">£${b.insulation.toLocaleString()}</td></tr>` : ''}
-          ${b.plyLining ? `<tr><td>${b.liningLabel || 'Ply lining'}</td><td class="pb-val">£${b.plyLining.toLocaleString()}</td></tr>` : ''}
-          <tr><td>Roof covering</td><td class="pb-val">£${b.roofCovering.toLocaleString()}</td></tr>
-          ${b.soffits ? `<tr><td>Soffits</td><td class="pb-val">£${b.soffits.toLocaleString()}</td></tr>` : ''}
-          ${b.roofInsulation ? `<tr><td>Roof insulation (PIR)</td><td class="pb-val">£${b.roofInsulation.toLocaleString()}</td></tr>` : ''}
-          ${b.roofPly ? `<tr><td>Roof interior plywood</td><td class="pb-val">£${b.roofPly.toLocaleString()}</td></tr>` : ''}
-          ${b.roofComplexity ? `<tr><td>Roof complexity (${est.roofStyle})</td><td class="pb-val">£${b.roofComplexity.toLocaleString()}</td></tr>` : ''}
-          <tr><td>Doors</td><td class="pb-val">£${b.doors.toLocaleString()}</td></tr>
-          <tr><td>Windows</td><td class="pb-val">£${b.windows.toLocaleString()}</td></tr>
-          ${b.skylights ? `<tr><td>Skylights</td><td class="pb-val">£${b.skylights.toLocaleString()}</td></tr>` : ''}
-          ${b.shelving ? `<tr><td>Shelving (${est.shelvingArea_m2}m²)</td><td class="pb-val">£${b.shelving.toLocaleString()}</td></tr>` : ''}
-          ${b.dividers ? `<tr><td>Internal dividers (${est.dividerCount})</td><td class="pb-val">£${b.dividers.toLocaleString()}</td></tr>` : ''}
-          ${b.baseUpgrade ? `<tr><td>Base upgrade (${est.baseTypeLabel || ''})</td><td class="pb-val">£${b.baseUpgrade.toLocaleString()}</td></tr>` : ''}
-          <tr><td>DPC membrane</td><td class="pb-val">£${b.dpc.toLocaleString()}</td></tr>
-          <tr><td>Fixings (6%)</td><td class="pb-val">£${b.fixings.toLocaleString()}</td></tr>
-          <tr><td>Delivery</td><td class="pb-val">£${b.delivery.toLocaleString()}</td></tr>
+          ${row('timber', `Structural timber${est.gaugeLabel ? ` (${est.gaugeLabel})` : ''}`, b.timber)}
+          ${row('cladding', 'Cladding', b.cladding)}
+          ${b.baseGrids ? row('baseGrids', 'Ground grids', b.baseGrids) : ''}
+          ${row('osb', 'OSB sheathing', b.osb)}
+          ${b.insulation ? row('insulation', 'Insulation (PIR)', b.insulation) : ''}
+          ${b.plyLining ? row('plyLining', est.liningLabel || 'Ply lining', b.plyLining) : ''}
+          ${b.roofOsb ? row('roofOsb', 'OSB roof deck', b.roofOsb) : ''}
+          ${row('roofCovering', 'Roof covering', b.roofCovering)}
+          ${b.soffits ? row('soffits', 'Soffits', b.soffits) : ''}
+          ${b.rainwater ? row('rainwater', 'Gutters &amp; downpipes', b.rainwater) : ''}
+          ${b.roofInsulation ? row('roofInsulation', 'Roof insulation (PIR)', b.roofInsulation) : ''}
+          ${b.roofPly ? row('roofPly', 'Roof interior plywood', b.roofPly) : ''}
+          ${b.roofComplexity ? row('roofComplexity', 'Roof framing labour', b.roofComplexity) : ''}
+          ${row('doors', 'Doors', b.doors)}
+          ${row('windows', 'Windows', b.windows)}
+          ${b.skylights ? row('skylights', 'Skylights', b.skylights) : ''}
+          ${b.shelving ? row('shelving', `Shelving (${est.shelvingArea_m2}m²)`, b.shelving) : ''}
+          ${b.dividers ? row('dividers', `Internal dividers (${est.dividerCount})`, b.dividers) : ''}
+          ${b.attachments ? row('attachments', `Attachments (${est.attachmentCount})`, b.attachments) : ''}
+          ${b.baseUpgrade ? row('baseUpgrade', `Base upgrade (${est.baseTypeLabel || ''})`, b.baseUpgrade) : ''}
+          ${b.dpc ? row('dpc', 'DPC membrane', b.dpc) : ''}
+          ${row('fixings', est.fixingsSource === 'schedule' ? 'Fixings &amp; ironmongery (scheduled)' : `Fixings (${pct(est.fixingsPct)}%)`, b.fixings)}
+          ${est.excludes.delivery ? '<tr><td>Delivery</td><td class="pb-val">Not included</td></tr>'
+            : est.deliveryZone?.outside ? `<tr><td>Delivery to ${est.deliveryZone.district}</td><td class="pb-val">Outside service area</td></tr>`
+            : row('delivery', 'Delivery', b.delivery)}
           <tr class="pb-subtotal"><td><strong>Materials Total</strong></td><td class="pb-val"><strong>£${est.totalMaterials.toLocaleString()}</strong></td></tr>
         </table>
       </div>
@@ -821,9 +761,13 @@ export function renderPricingBreakdown(state, containerId) {
       <div class="pb-section">
         <h4 style="margin:12px 0 8px;color:#6b4c2a;font-size:0.9em;text-transform:uppercase;letter-spacing:0.5px;">👷 Labour</h4>
         <table class="pb-table">
-          <tr><td>${est.labourDays} days × £${priceTable.labour.day_rate}/day</td><td class="pb-val">£${est.labourCost.toLocaleString()}</td></tr>
-          <tr><td style="color:#888;font-size:0.85em;">${est.isInsulated ? '1.2' : '0.75'} days/m² · min ${priceTable.labour.min_days} days</td><td></td></tr>
+          <tr><td>${est.labourDays} person-days × £${est.dayRate}/day</td><td class="pb-val">${est.excludes.labour ? 'Not included' : `£${(est.labourDays * est.dayRate).toLocaleString()}`}</td></tr>
+          <tr><td style="color:#888;font-size:0.85em;">${est.labourSchedule.personDays} person-days over ${est.labourSchedule.tasks.length} tasks · ${est.labourSchedule.elapsedDays} days on site · min ${est.minDays} days</td><td></td></tr>
+          ${uplift.travel ? `<tr><td>Travel to ${est.deliveryZone.district} (${est.labourUplift.days} day${est.labourUplift.days !== 1 ? 's' : ''} on site)</td><td class="pb-val">£${uplift.travel.toLocaleString()}</td></tr>` : ''}
+          ${uplift.accommodation ? `<tr><td>Accommodation (${est.labourUplift.nights} night${est.labourUplift.nights !== 1 ? 's' : ''})</td><td class="pb-val">£${uplift.accommodation.toLocaleString()}</td></tr>` : ''}
+          ${uplift.travel || uplift.accommodation ? `<tr class="pb-subtotal"><td><strong>Labour Total</strong></td><td class="pb-val"><strong>£${est.labourCost.toLocaleString()}</strong></td></tr>` : ''}
         </table>
+        ${labourGanttHtml(est.labourSchedule)}
       </div>
 
       <div class="pb-section" style="background:#f5f0e8;border-radius:8px;padding:12px;margin-top:12px;">
@@ -835,9 +779,9 @@ export function renderPricingBreakdown(state, containerId) {
       <div class="pb-section">
         <h4 style="margin:16px 0 8px;color:#6b4c2a;font-size:0.9em;text-transform:uppercase;letter-spacing:0.5px;">💷 Sell Price Range</h4>
         <table class="pb-table">
-          <tr><td>Low (15% margin)</td><td class="pb-val">£${est.low.toLocaleString()}</td></tr>
-          <tr><td>Target (25% margin)</td><td class="pb-val" style="color:#2D5016;font-weight:600;">£${est.target.toLocaleString()}</td></tr>
-          <tr><td>High (35% margin)</td><td class="pb-val">£${est.high.toLocaleString()}</td></tr>
+          <tr><td>Low (${pct(est.margin.low_pct)}% margin)</td><td class="pb-val">£${est.low.toLocaleString()}</td></tr>
+          <tr><td>Target (${pct(est.margin.target_pct)}% margin)</td><td class="pb-val" style="color:#2D5016;font-weight:600;">£${est.target.toLocaleString()}</td></tr>
+          <tr><td>High (${pct(est.margin.high_pct)}% margin)</td><td class="pb-val">£${est.high.toLocaleString()}</td></tr>
         </table>
       </div>
 
@@ -855,16 +799,52 @@ export function renderPricingBreakdown(state, containerId) {
       .pb-val { text-align:right; font-variant-numeric:tabular-nums; }
       .pb-subtotal td { border-top:2px solid #d4c9b8; border-bottom:none; padding-top:8px; }
       .pb-total td { font-size:1.1em; border:none; }
+      .pb-table td .pb-trace summary { cursor:pointer; }
+      .pb-trace > ul { margin:4px 0 6px; padding-left:18px; color:#6b5a48; font-size:0.85em; }
+      .pb-trace ul ul { margin:2px 0 4px; padding-left:14px; color:#8a7a68; }
+      .pb-share { color:#999; }
+      .pb-gantt { width:100%; border-collapse:collapse; font-size:0.8em; margin-top:8px; }
+      .pb-gantt th { font-weight:normal; color:#888; text-align:left; padding:2px 4px 2px 0; }
+      .pb-gantt td { padding:2px 4px 2px 0; border-bottom:1px solid #f5f0e8; white-space:nowrap; }
+      .pb-gantt .pb-gantt-lane { position:relative; width:55%; min-width:120px; height:14px;
+        background:repeating-linear-gradient(to right, transparent 0, transparent calc(var(--day) - 1px), #eee5d8 calc(var(--day) - 1px), #eee5d8 var(--day)); }
+      .pb-gantt-bar { position:absolute; top:2px; bottom:2px; background:#8b6b47; border-radius:3px; }
     `;
     document.head.appendChild(style);
   }
 }
 
+/**
+ * Gantt-style chart of the labour schedule: one row per task with its crew and
+ * person-days, and a bar from its start to its end on a day grid.
+ */
+function labourGanttHtml(schedule) {
+  if (!schedule || !schedule.tasks.length) return '';
+  const span = Math.max(1, Math.ceil(schedule.elapsedDays));
+  const pc = v => `${Math.round(v / span * 10000) / 100}%`;
+  const labels = {};
+  for (const t of schedule.tasks) labels[t.id] = t.label;
+  const rows = schedule.tasks.map(t => {
+    const after = t.dependsOn.length ? `After: ${t.dependsOn.map(id => labels[id]).join(', ')}` : 'First task';
+    const when = `days ${t.start}–${t.end} (${t.duration} day${t.duration !== 1 ? 's' : ''})`;
+    return `<tr title="${escHtml(`${after} · ${when}`)}"><td>${escHtml(t.label)}</td><td class="pb-val">${t.crew}</td><td class="pb-val">${t.personDays}</td>` +
+      `<td class="pb-gantt-lane" style="--day:${pc(1)};"><span class="pb-gantt-bar" style="left:${pc(t.start)};width:${pc(t.duration)};"></span></td></tr>`;
+  }).join('');
+  return `<table class="pb-gantt"><tr><th>Task</th><th class="pb-val">Crew</th><th class="pb-val">Person-days</th><th>Days 1–${span}</th></tr>${rows}</table>`;
+}
+
+function escHtml(v) {
+  return String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
 // Expose showDesignSummary globally for non-module scripts (e.g. mobile-configurator)
-window.__showDesignSummary = function() {
-  import('./ui/design-summary.js').then(function(mod) {
-    mod.showDesignSummary();
-  }).catch(function(err) {
-    console.error('[pricing] Failed to load design summary:', err);
-  });
-};
+// (guarded so the module can also be imported headless, e.g. tools/bom-cli.mjs)
+if (typeof window !== 'undefined') {
+  window.__showDesignSummary = function() {
+    import('./ui/design-summary.js').then(function(mod) {
+      mod.showDesignSummary();
+    }).catch(function(err) {
+      console.error('[pricing] Failed to load design summary:', err);
+    });
+  };
+}
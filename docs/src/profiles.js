@@ -4,6 +4,9 @@
 // Supports: viewer (read-only), customer, builder, admin (default)
 //
 
+import { SCHEMA_VERSION } from "./params.js";
+import { migrateState } from "./migrations.js";
+
 /**
  * Get the profile name from URL parameters
  * @returns {string|null} Profile name or null if not specified
@@ -185,17 +188,8 @@ export function parseUrlState() {
   if (base64Param) {
     try {
       var json = decodeURIComponent(escape(atob(base64Param)));
-      state = JSON.parse(json);
-      // Ensure dim object has frameW_mm and frameD_mm set
-      if (state.w && !state.dim) {
-        state.dim = { frameW_mm: state.w, frameD_mm: state.d };
-      }
-      if (state.dim && state.w) {
-        state.dim.frameW_mm = state.dim.frameW_mm || state.w;
-        state.dim.frameD_mm = state.dim.frameD_mm || state.d;
-      }
-
-      return state;
+      // Migrations bring old links up to the current schema (root w/d -> dim etc.)
+      return migrateState(JSON.parse(json));
     } catch (e) {
       console.warn("[profiles] Failed to decode Base64 config:", e);
       // Fall through to legacy parsing
@@ -221,6 +215,9 @@ export function parseUrlState() {
   if (params.has("dimMode")) {
     state.dimMode = params.get("dimMode");
   }
+  if (params.has("units")) {
+    state.unitMode = params.get("units") === "imperial" || params.get("units") === "in" ? "imperial" : "metric";
+  }
 
   // Explicit frame dimensions (override if present)
   if (params.has("frameW")) {
@@ -348,7 +345,7 @@ export function parseUrlState() {
   }
 
   console.log("[profiles] Parsed URL state:", JSON.stringify(state, null, 2));
-  return state;
+  return migrateState(state);
 }
 
 /**
@@ -364,9 +361,12 @@ export function generateViewerUrl(state) {
   // Basic dimensions
   var width = (state.dim && state.dim.frameW_mm) || state.w;
   var depth = (state.dim && state.dim.frameD_mm) || state.d;
+  compact.schemaVersion = SCHEMA_VERSION;
   if (width) compact.w = width;
   if (depth) compact.d = depth;
+  if (width && depth) compact.dim = { frameW_mm: width, frameD_mm: depth };
   if (state.dimMode) compact.dimMode = state.dimMode;
+  if (state.unitMode) compact.unitMode = state.unitMode;
 
   // Roof
   if (state.roof) {
@@ -412,6 +412,14 @@ export function generateViewerUrl(state) {
         compact.roof.hipped.heightToCrest_mm = state.roof.hipped.heightToCrest_mm;
       }
     }
+
+    // Gambrel params
+    if (state.roof.gambrel) {
+      compact.roof.gambrel = {};
+      ["heightToEaves_mm", "heightToKnee_mm", "lowerPitch_deg", "upperPitch_deg", "trussCount"].forEach(function (k) {
+        if (state.roof.gambrel[k] != null) compact.roof.gambrel[k] = state.roof.gambrel[k];
+      });
+    }
   }
 
   // Overhangs
@@ -641,6 +649,11 @@ export function generateViewerUrl(state) {
     });
   }
 
+  // Gutters and downpipes
+  if (state.gutters) {
+    compact.gutters = state.gutters;
+  }
+
   // Price badge display mode
   if (state.priceBadgeMode && state.priceBadgeMode !== "range") {
     compact.priceBadgeMode = state.priceBadgeMode;
@@ -1137,9 +1150,12 @@ export function generateProfileUrl(profileName, state) {
   var width = (state.dim && state.dim.frameW_mm) || state.w;
   var depth = (state.dim && state.dim.frameD_mm) || state.d;
   console.log("[profiles] generateProfileUrl extracted width:", width, "depth:", depth);
+  compact.schemaVersion = SCHEMA_VERSION;
   if (width) compact.w = width;
   if (depth) compact.d = depth;
+  if (width && depth) compact.dim = { frameW_mm: width, frameD_mm: depth };
   if (state.dimMode) compact.dimMode = state.dimMode;
+  if (state.unitMode) compact.unitMode = state.unitMode;
 
   // Roof
   if (state.roof) {
@@ -1182,6 +1198,13 @@ export function generateProfileUrl(profileName, state) {
         compact.roof.hipped.heightToCrest_mm = state.roof.hipped.heightToCrest_mm;
       }
     }
+
+    if (state.roof.gambrel) {
+      compact.roof.gambrel = {};
+      ["heightToEaves_mm", "heightToKnee_mm", "lowerPitch_deg", "upperPitch_deg", "trussCount"].forEach(function (k) {
+        if (state.roof.gambrel[k] != null) compact.roof.gambrel[k] = state.roof.gambrel[k];
+      });
+    }
   }
 
   // Overhangs
@@ -1401,6 +1424,11 @@ export function generateProfileUrl(profileName, state) {
       return shelf;
     });
   }
+  // Gutters and downpipes
+  if (state.gutters) {
+    compact.gutters = state.gutters;
+  }
+
   // Price badge display mode
   if (state.priceBadgeMode && state.priceBadgeMode !== "range") {
     compact.priceBadgeMode = state.priceBadgeMode;
@@ -1505,7 +1533,8 @@ export var CONTROL_REGISTRY = {
         options: [
           { value: "apex", label: "Apex (gabled)" },
           { value: "pent", label: "Pent (single pitch)" },
-          { value: "hipped", label: "Hipped" }
+          { value: "hipped", label: "Hipped" },
+          { value: "gambrel", label: "Gambrel (barn)" }
         ]
       },
       wallsVariant: {
@@ -1861,6 +1890,31 @@ export function getFieldOptionRestrictions(fieldKey) {
   return null;
 }
 
+/**
+ * Check whether the active profile lets the user change a control, or one of its options
+ * Controls the profile doesn't list follow their section; the viewer profile changes nothing.
+ * @param {string} sectionKey - e.g., "sizeShape"
+ * @param {string|null} controlKey - e.g., "wallsVariant", or null for the section as a whole
+ * @param {string} [optionValue] - e.g., "basic"
+ * @returns {boolean}
+ */
+export function isControlEditable(sectionKey, controlKey, optionValue) {
+  if (_currentProfileName === "viewer") return false;
+  if (!_currentProfileName || _currentProfileName === "admin") return true;
+
+  var profile = getProfileByName(_currentProfileName);
+  var section = profile && profile.sections ? profile.sections[sectionKey] : null;
+  if (!section) return true;
+  if (section.visible === false) return false;
+
+  var control = controlKey && section.controls ? section.controls[controlKey] : null;
+  if (!control) return true;
+  if (control.visible === false || control.editable === false) return false;
+
+  var option = optionValue != null && control.options ? control.options[String(optionValue)] : null;
+  return !(option && (option.visible === false || option.editable === false));
+}
+
 // Profile data storage
 var _loadedProfiles = null;
 var _currentProfileName = null;
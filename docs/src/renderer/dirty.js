@@ -0,0 +1,124 @@
+// FILE: docs/src/renderer/dirty.js
+//
+// Per-subsystem dirty tracking for the legacy (single building) and multi-section
+// render paths. Each builder is keyed on the state slices it reads from the state
+// object the render path hands it (baseState / wallState / roofState), so derived
+// values such as resolved dims are compared too. render() re-runs only the
+// builders whose slices changed and leaves the rest of the scene in place.
+//
+// Meshes are tagged with the builder that created them (metadata.renderOwner)
+// so an incremental rebuild disposes exactly what disposeAll() would have
+// removed for that builder in a full rebuild. Attachments are one subsystem:
+// any change to one rebuilds them all (they share the main building's roof line).
+//
+// window.__dbg.lastRebuild lists the builders the last render re-ran;
+// set window.__dbg.forceFullRender = true to compare against a full rebuild.
+
+export const SUBSYSTEMS = ["base", "walls", "dividers", "doors", "windows", "shelving", "roof", "skylights", "gutters", "attachments"];
+
+// Inputs of params.resolveDims()
+const DIMS = ["w", "d", "dim", "dimInputs", "dimMode", "dimGap_mm", "overhang", "buildingType"];
+const WALL_PROFILE = ["walls.variant", "walls.insulated", "walls.basic"];
+
+/** State paths read by each builder (see the element modules). */
+export const RENDER_DEPS = {
+  base: ["w", "d", "base", "frameGauge", "vis"].concat(WALL_PROFILE),
+  walls: DIMS.concat(["base", "baseHeight_mm", "bespoke", "cladding", "frame", "frameGauge", "platformHeight_mm", "plinthHeight_mm", "roof", "vis", "walls"]),
+  dividers: DIMS.concat(["dividers", "roof", "walls"]),
+  doors: ["w", "d", "frameGauge", "walls.openings"].concat(WALL_PROFILE),
+  windows: ["w", "d", "frameGauge", "walls.openings"].concat(WALL_PROFILE),
+  shelving: ["w", "d", "frameGauge", "shelving"].concat(WALL_PROFILE),
+  roof: DIMS.concat(["frame", "roof", "timber", "vis", "walls"]),
+  skylights: DIMS.concat(["frame", "roof", "walls"]),
+  gutters: ["gutters"],
+  attachments: DIMS.concat(["base", "cladding", "dimensions", "frame", "frameGauge", "roof", "sections", "vis", "walls"])
+};
+
+// Rebuilding a subsystem also rebuilds these:
+// - walls: deferred wall cladding is trimmed to the apex roof underside when it is created
+// - skylights: parented to roof-root, which the roof disposes
+// - gutters: placed on the roof's eaves fascias, and on the attachments' in multi-section mode
+const CASCADES = {
+  roof: ["walls", "skylights", "gutters"],
+  attachments: ["gutters"]
+};
+
+// Untagged meshes a builder owns (walls creates its cladding a frame after render()).
+const OWNER_PREFIXES = {
+  walls: ["wall-", "clad-", "corner-board-"]
+};
+
+/**
+ * Signature of every subsystem's inputs.
+ * @param {Object} inputs - { base: baseState, walls: wallState, ..., roof: roofState }
+ * @returns {Object} Map of subsystem -> signature string
+ */
+export function computeRenderSignatures(inputs) {
+  const sigs = {};
+  for (const name of SUBSYSTEMS) {
+    const src = inputs[name];
+    sigs[name] = JSON.stringify(RENDER_DEPS[name].map((path) => readPath(src, path)));
+  }
+  return sigs;
+}
+
+/**
+ * Which subsystems need rebuilding between two signature maps.
+ * @param {Object|null} prev - Signatures from the last build (null = nothing built yet)
+ * @param {Object} next
+ * @returns {Object} Map of subsystem -> true for every subsystem to rebuild
+ */
+export function diffRenderSignatures(prev, next) {
+  const dirty = {};
+  for (const name of SUBSYSTEMS) {
+    if (!prev || prev[name] !== next[name]) dirty[name] = true;
+  }
+  for (const name of Object.keys(CASCADES)) {
+    if (dirty[name]) CASCADES[name].forEach((dep) => { dirty[dep] = true; });
+  }
+  return dirty;
+}
+
+/**
+ * Run a builder and tag the dynamic meshes it creates with `owner`.
+ * @param {BABYLON.Scene} scene
+ * @param {string} owner - Subsystem name
+ * @param {Function} fn - Builder call
+ */
+export function buildOwned(scene, owner, fn) {
+  const before = new Set(scene.meshes);
+  try {
+    fn();
+  } finally {
+    for (const m of scene.meshes) {
+      if (before.has(m) || !m.metadata || m.metadata.dynamic !== true) continue;
+      m.metadata.renderOwner = owner;
+    }
+  }
+}
+
+/**
+ * Dispose the dynamic meshes owned by a subsystem (same disposal as disposeAll()).
+ * @param {BABYLON.Scene} scene
+ * @param {string} owner - Subsystem name
+ */
+export function disposeOwned(scene, owner) {
+  const prefixes = OWNER_PREFIXES[owner] || [];
+  const toDispose = scene.meshes.filter((m) => {
+    const md = m.metadata;
+    if (!md || md.dynamic !== true) return false;
+    if (md.renderOwner) return md.renderOwner === owner;
+    const nm = String(m.name || "");
+    return prefixes.some((p) => nm.startsWith(p));
+  });
+  toDispose.forEach((m) => { if (!m.isDisposed()) m.dispose(false, false); });
+}
+
+function readPath(obj, path) {
+  let v = obj;
+  for (const k of path.split(".")) {
+    if (v == null) return null;
+    v = v[k];
+  }
+  return v === undefined ? null : v;
+}
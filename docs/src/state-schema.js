@@ -0,0 +1,398 @@
+// FILE: docs/src/state-schema.js
+//
+// Declarative schema for the design state.
+// Import, URL decode and preset load run migrated state through validateState()
+// before merging it onto DEFAULTS, so a typo such as roof.style "apx" or a
+// string width is reported instead of producing broken geometry in render().
+//
+// States may be partial (URL params, compact viewer links): absent fields are
+// fine and keys the schema does not describe are passed through untouched.
+// Only values that are present are checked.
+//
+// Each problem carries the fix autoCorrectState() would apply:
+//   { op: "set", value }  - replace with a coerced / clamped / nearest value
+//   { op: "remove" }      - drop the field (DEFAULTS fills it in on merge) or
+//                           drop the array item
+
+// ---- Enums ----
+export const ROOF_STYLES = ["apex", "pent", "hipped", "gambrel"];
+export const ROOF_COVERINGS = ["felt", "epdm", "slate"];
+export const CLADDING_STYLES = ["shiplap", "overlap", "loglap", "box-profile", "corrugated", "composite-panel", "composite-slatted"];
+export const CLADDING_COLOURS = ["natural-wood", "pale-blue", "sage-green", "anthracite", "goosewing-grey", "vandyke-brown", "charcoal", "stone-grey"];
+export const BASE_TYPES = ["ecodeck", "concrete-timber", "concrete-only", "skids", "floor-only", "none"];
+export const DOOR_STYLES = ["none", "standard", "double-standard", "mortise-tenon", "double-mortise-tenon", "french", "double-half"];
+export const BUILDING_TYPES = ["shed", "summerhouse", "gardenroom-pent", "gardenroom-apex", "garage", "workshop", "leanto", "fieldshelter", "gazebo"];
+export const GUTTER_PROFILES = ["half-round", "square"];
+export const GUTTER_COLOURS = ["black", "brown", "grey", "white"];
+export const WALL_IDS = ["front", "back", "left", "right"];
+// Attachment openings sit on the attachment's own walls; "outer" faces away from the main building
+export const ATTACHMENT_WALL_IDS = WALL_IDS.concat(["outer"]);
+// Skylight faces: wall-named slopes, plus the upper slopes of a gambrel roof
+export const SKYLIGHT_FACES = WALL_IDS.concat(["front-upper", "back-upper"]);
+
+// ---- Node builders ----
+function num(min, max, extra) { return Object.assign({ type: "number", min: min, max: max }, extra); }
+function int(min, max, extra) { return num(min, max, Object.assign({ integer: true }, extra)); }
+function oneOf(values, extra) { return Object.assign({ type: "enum", values: values }, extra); }
+function obj(props, extra) { return Object.assign({ type: "object", props: props }, extra); }
+function arr(items, extra) { return Object.assign({ type: "array", items: items }, extra); }
+var BOOL = { type: "boolean" };
+var ID = { type: "string", coerce: true };
+
+var SIZE_MM = num(1, 8000);
+var HEIGHT_MM = num(800, 4500);
+var POS_MM = num(0, 12000);
+var OVERHANG_MM = num(0, 1000, { nullable: true, allowEmpty: true });
+
+var OPENING = obj({
+  id: ID,
+  wall: oneOf(WALL_IDS),
+  type: oneOf(["door", "window"]),
+  enabled: BOOL,
+  x_mm: POS_MM,
+  y_mm: POS_MM,
+  width_mm: num(100, 6000),
+  height_mm: num(100, 4000),
+  style: oneOf(DOOR_STYLES),
+  handleSide: oneOf(["left", "right"]),
+  isOpen: BOOL
+});
+
+var ATTACHMENT_OPENING = obj(Object.assign({}, OPENING.props, { wall: oneOf(ATTACHMENT_WALL_IDS) }));
+
+var WALL_PROFILE = obj({
+  section: obj({ w: num(25, 200), h: num(25, 200) }),
+  spacing: num(100, 1200, { nullable: true })
+});
+
+/** Schema for the full design state (mirrors DEFAULTS in params.js). */
+export const STATE_SCHEMA = obj({
+  schemaVersion: int(0, 1000),
+  buildingType: oneOf(BUILDING_TYPES),
+  w: SIZE_MM,
+  d: SIZE_MM,
+  vis: obj({
+    base: BOOL, frame: BOOL, ins: BOOL, deck: BOOL,
+    wallsEnabled: BOOL,
+    walls: obj({ front: BOOL, back: BOOL, left: BOOL, right: BOOL }),
+    wallIns: BOOL, wallPly: BOOL, cladding: BOOL, roof: BOOL
+  }),
+  dimMode: oneOf(["base", "frame", "roof"]),
+  unitMode: oneOf(["metric", "imperial"]),
+  dimGap_mm: num(0, 500),
+  dim: obj({ frameW_mm: SIZE_MM, frameD_mm: SIZE_MM }),
+  overhang: obj({
+    uniform_mm: num(0, 1000),
+    front_mm: OVERHANG_MM, back_mm: OVERHANG_MM, left_mm: OVERHANG_MM, right_mm: OVERHANG_MM
+  }),
+  dimInputs: obj({
+    baseW_mm: SIZE_MM, baseD_mm: SIZE_MM,
+    frameW_mm: SIZE_MM, frameD_mm: SIZE_MM,
+    roofW_mm: num(1, 10000), roofD_mm: num(1, 10000)
+  }),
+  base: obj({ type: oneOf(BASE_TYPES) }),
+  bespoke: obj({
+    footprint: oneOf(["rectangle", "trapezoid"]),
+    leftDepth_mm: num(600, 8000),
+    rightDepth_mm: num(600, 8000)
+  }),
+  roof: obj({
+    style: oneOf(ROOF_STYLES),
+    covering: oneOf(ROOF_COVERINGS),
+    apex: obj({
+      trussCount: int(2, 40),
+      heightToEaves_mm: num(800, 2800),
+      heightToCrest_mm: HEIGHT_MM,
+      tieBeam: oneOf(["eaves", "raised"])
+    }),
+    pent: obj({ minHeight_mm: num(1000, 2800), maxHeight_mm: num(1000, 2800) }),
+    hipped: obj({ heightToEaves_mm: num(800, 2800), heightToCrest_mm: HEIGHT_MM }),
+    gambrel: obj({
+      trussCount: int(2, 40),
+      heightToEaves_mm: num(800, 2800),
+      heightToKnee_mm: HEIGHT_MM,
+      lowerPitch_deg: num(35, 80),
+      upperPitch_deg: num(10, 45)
+    }),
+    skylights: arr(obj({
+      id: ID,
+      enabled: BOOL,
+      face: oneOf(SKYLIGHT_FACES),
+      x_mm: POS_MM,
+      y_mm: POS_MM,
+      width_mm: num(100, 3000),
+      height_mm: num(100, 3000)
+    }))
+  }),
+  walls: obj({
+    variant: oneOf(["basic", "insulated"]),
+    internalLining: oneOf(["none", "plywood", "pine-tg"]),
+    height_mm: HEIGHT_MM,
+    insulated: WALL_PROFILE,
+    basic: WALL_PROFILE,
+    openings: arr(OPENING),
+    invalidDoorIds: arr(ID),
+    invalidWindowIds: arr(ID)
+  }),
+  frame: obj({ thickness_mm: num(25, 200), depth_mm: num(25, 200) }),
+  cladding: obj({
+    style: oneOf(CLADDING_STYLES),
+    colour: oneOf(CLADDING_COLOURS)
+  }),
+  sections: obj({
+    enabled: BOOL,
+    attachments: arr(obj({
+      id: ID,
+      enabled: BOOL,
+      attachTo: obj({ wall: oneOf(WALL_IDS), offsetFromCenter_mm: num(-8000, 8000) }),
+      dimensions: obj({ width_mm: SIZE_MM, depth_mm: SIZE_MM }),
+      base: obj({ levelOffset_mm: num(-1000, 1000), enabled: BOOL }),
+      walls: obj({
+        variant: oneOf(["basic", "insulated"], { nullable: true }),
+        height_mm: num(800, 4500, { nullable: true }),
+        openings: arr(ATTACHMENT_OPENING)
+      }),
+      roof: obj({
+        type: oneOf(["pent", "apex", "hipped", "overhang"]),
+        pent: obj({
+          highHeight_mm: num(800, 4500, { nullable: true }),
+          lowHeight_mm: num(800, 4500, { nullable: true })
+        }),
+        apex: obj({ eaveHeight_mm: num(800, 2800), crestHeight_mm: HEIGHT_MM, trussCount: int(2, 40) }),
+        hipped: obj({
+          eaveHeight_mm: num(500, 2800, { nullable: true }),
+          crestHeight_mm: num(500, 4500, { nullable: true }),
+          overhang_mm: num(0, 500)
+        })
+      })
+    }))
+  }),
+  shelving: arr(obj({
+    wall: oneOf(WALL_IDS),
+    side: oneOf(["inside", "outside"]),
+    x_mm: POS_MM,
+    y_mm: num(0, 4500),
+    length_mm: num(50, 8000),
+    depth_mm: num(50, 1000),
+    thickness_mm: num(5, 100),
+    bracket_size_mm: num(50, 1000),
+    enabled: BOOL
+  })),
+  gutters: obj({
+    enabled: BOOL,
+    profile: oneOf(GUTTER_PROFILES),
+    colour: oneOf(GUTTER_COLOURS),
+    downpipes: obj({ frontLeft: BOOL, frontRight: BOOL, backLeft: BOOL, backRight: BOOL })
+  }),
+  dividers: obj({
+    items: arr(obj({
+      id: ID,
+      enabled: BOOL,
+      axis: oneOf(["x", "z"]),
+      position_mm: POS_MM,
+      coveringLeft: oneOf(["osb", "cladding", "none"]),
+      coveringRight: oneOf(["osb", "cladding", "none"]),
+      openings: arr(obj({ id: ID, enabled: BOOL, position_mm: POS_MM, width_mm: num(100, 6000), height_mm: num(100, 4000) }))
+    }))
+  })
+});
+
+/**
+ * Check a (possibly partial) design state against STATE_SCHEMA.
+ * @param {object} state - Migrated state from an import file, URL or preset
+ * @returns {{ valid: boolean, problems: Array<{path: string, message: string, fix: object}> }}
+ */
+export function validateState(state) {
+  var problems = [];
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    problems.push({ path: "", message: "design state must be an object", fix: { op: "remove" } });
+  } else {
+    check(STATE_SCHEMA, cloneJson(state), "", problems);
+  }
+  return { valid: problems.length === 0, problems: problems };
+}
+
+/**
+ * Apply every suggested fix: coerce numeric strings, clamp ranges, snap misspelt
+ * enum values to the nearest option and drop values that cannot be repaired so
+ * DEFAULTS fills them in. The input is not modified.
+ * @param {object} state
+ * @returns {{ state: object, problems: Array }} Corrected copy and the problems that were fixed
+ */
+export function autoCorrectState(state) {
+  var problems = [];
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    return { state: {}, problems: [{ path: "", message: "design state must be an object", fix: { op: "remove" } }] };
+  }
+  var out = check(STATE_SCHEMA, cloneJson(state), "", problems);
+  return { state: out, problems: problems };
+}
+
+/**
+ * Render problems as readable lines, e.g.
+ *   roof.style: "apx" is not a valid option (apex, pent, hipped, gambrel) - will use "apex"
+ * @param {Array} problems - From validateState() or autoCorrectState()
+ * @returns {string[]}
+ */
+export function formatProblems(problems) {
+  return (problems || []).map(function (p) {
+    var fix = p.fix && p.fix.op === "set" ? "will use " + JSON.stringify(p.fix.value)
+      : p.path && /\]$/.test(p.path) ? "will be removed"
+      : "will use the default";
+    return (p.path || "(state)") + ": " + p.message + " - " + fix;
+  });
+}
+
+// ---- Walker ----
+// Returns the corrected value, or REMOVE when the value should be dropped.
+var REMOVE = {};
+
+function check(node, value, path, problems) {
+  if (value == null) {
+    if (value === null && node.nullable) return value;
+    if (value === undefined) return value;
+    return report(problems, path, "must not be null", node);
+  }
+
+  switch (node.type) {
+    case "object": return checkObject(node, value, path, problems);
+    case "array": return checkArray(node, value, path, problems);
+    case "number": return checkNumber(node, value, path, problems);
+    case "enum": return checkEnum(node, value, path, problems);
+    case "boolean": return checkBoolean(value, path, problems);
+    case "string": return checkString(node, value, path, problems);
+    default: return value;
+  }
+}
+
+function checkObject(node, value, path, problems) {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return report(problems, path, "expected an object, got " + describe(value), node);
+  }
+  var keys = Object.keys(node.props);
+  for (var i = 0; i < keys.length; i++) {
+    var k = keys[i];
+    if (!(k in value)) continue;
+    var v = check(node.props[k], value[k], join(path, k), problems);
+    if (v === REMOVE) delete value[k];
+    else value[k] = v;
+  }
+  return value;
+}
+
+function checkArray(node, value, path, problems) {
+  if (!Array.isArray(value)) {
+    return report(problems, path, "expected a list, got " + describe(value), node);
+  }
+  var out = [];
+  for (var i = 0; i < value.length; i++) {
+    var v = check(node.items, value[i], path + "[" + i + "]", problems);
+    if (v !== REMOVE) out.push(v);
+  }
+  return out;
+}
+
+function checkNumber(node, value, path, problems) {
+  if (value === "" && node.allowEmpty) return value;
+  var n = value;
+  if (typeof value !== "number") {
+    n = typeof value === "string" && value.trim() !== "" ? Number(value) : NaN;
+    if (!Number.isFinite(n)) {
+      return report(problems, path, "expected a number, got " + describe(value), node);
+    }
+  }
+  if (!Number.isFinite(n)) {
+    return report(problems, path, "expected a finite number", node);
+  }
+  var fixed = n;
+  if (node.integer) fixed = Math.round(fixed);
+  if (node.min != null && fixed < node.min) fixed = node.min;
+  if (node.max != null && fixed > node.max) fixed = node.max;
+
+  if (fixed !== n) {
+    var msg = node.integer && n !== Math.round(n) && fixed === Math.round(n)
+      ? "must be a whole number"
+      : JSON.stringify(value) + " is outside " + node.min + "-" + node.max;
+    return report(problems, path, msg, node, fixed);
+  }
+  if (typeof value !== "number") {
+    return report(problems, path, "number stored as text " + JSON.stringify(value), node, n);
+  }
+  return value;
+}
+
+function checkEnum(node, value, path, problems) {
+  if (node.values.indexOf(value) >= 0) return value;
+  var msg = JSON.stringify(value) + " is not a valid option (" + node.values.join(", ") + ")";
+  if (typeof value !== "string") return report(problems, path, msg, node);
+  var best = closestOption(value, node.values);
+  return report(problems, path, msg, node, best);
+}
+
+function checkBoolean(value, path, problems) {
+  if (typeof value === "boolean") return value;
+  var s = String(value).toLowerCase();
+  if (s === "true" || s === "1") return report(problems, path, "expected true/false, got " + describe(value), BOOL, true);
+  if (s === "false" || s === "0") return report(problems, path, "expected true/false, got " + describe(value), BOOL, false);
+  return report(problems, path, "expected true/false, got " + describe(value), BOOL);
+}
+
+function checkString(node, value, path, problems) {
+  if (typeof value === "string") return value;
+  if (node.coerce && typeof value === "number" && Number.isFinite(value)) {
+    return report(problems, path, "expected text, got a number", node, String(value));
+  }
+  return report(problems, path, "expected text, got " + describe(value), node);
+}
+
+/** Record a problem; `fixValue` undefined means the value is dropped. */
+function report(problems, path, message, node, fixValue) {
+  var fix = fixValue === undefined ? { op: "remove" } : { op: "set", value: fixValue };
+  problems.push({ path: path, message: message, fix: fix });
+  return fixValue === undefined ? REMOVE : fixValue;
+}
+
+// Nearest enum option for a misspelt value ("apx" -> "apex", "Ship Lap" -> "shiplap").
+// Returns undefined when nothing is close enough to be a plausible typo.
+function closestOption(value, options) {
+  var norm = function (s) { return String(s).toLowerCase().replace(/[\s_]+/g, "-").trim(); };
+  var v = norm(value);
+  var best;
+  var bestDist = Infinity;
+  for (var i = 0; i < options.length; i++) {
+    var o = norm(options[i]);
+    if (o === v || o.replace(/-/g, "") === v.replace(/-/g, "")) return options[i];
+    var d = editDistance(v, o);
+    if (d < bestDist) { bestDist = d; best = options[i]; }
+  }
+  var limit = Math.max(1, Math.floor(Math.min(v.length, String(best).length) / 3));
+  return bestDist <= limit ? best : undefined;
+}
+
+function editDistance(a, b) {
+  var prev = [];
+  for (var j = 0; j <= b.length; j++) prev[j] = j;
+  for (var i = 1; i <= a.length; i++) {
+    var cur = [i];
+    for (var k = 1; k <= b.length; k++) {
+      cur[k] = Math.min(prev[k] + 1, cur[k - 1] + 1, prev[k - 1] + (a[i - 1] === b[k - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function describe(v) {
+  if (Array.isArray(v)) return "a list";
+  if (v === null) return "null";
+  if (typeof v === "object") return "an object";
+  return typeof v + " " + JSON.stringify(v);
+}
+
+function join(path, key) {
+  return path ? path + "." + key : key;
+}
+
+function cloneJson(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
@@ -1,20 +1,124 @@
 // FILE: docs/src/state.js
 
+// Undo history bounds and merge window for continuous edits (slider drags, typing).
+const HISTORY_LIMIT = 100;
+const MERGE_WINDOW_MS = 1000;
+
+/**
+ * Create the app state store.
+ *
+ * setState(patch, opts) deep-merges `patch` and notifies subscribers. Every write is
+ * recorded as an undo step unless:
+ *   - opts.history === false (internal bookkeeping, e.g. walls.invalidDoorIds), or
+ *   - it happens while subscribers are being notified (derived writes made in onChange), or
+ *   - it passes the same opts.merge key as the previous write within MERGE_WINDOW_MS, in
+ *     which case it merges into that step (callers pass one key per continuous edit, such
+ *     as typing into one field), or
+ *   - it runs inside batch(fn), which records all its writes as one step.
+ */
 export function createStateStore(initial) {
   let state = deepClone(initial);
   /** @type {Array<(s:any)=>void>} */
   const subs = [];
+  /** @type {Array<()=>void>} */
+  const historySubs = [];
+
+  const undoStack = [];
+  const redoStack = [];
+  let notifying = 0;
+  let batchDepth = 0;
+  let batchRecorded = false;
+  let lastMergeKey = null;
+  let lastAt = 0;
 
   function getState() {
     return state;
   }
 
-  function setState(patch) {
+  function notify() {
+    notifying++;
+    try {
+      subs.forEach((fn) => fn(state));
+    } finally {
+      notifying--;
+    }
+  }
+
+  function notifyHistory() {
+    historySubs.forEach((fn) => fn());
+  }
+
+  function record(mergeKey) {
+    if (batchDepth > 0) {
+      if (batchRecorded) return;
+      batchRecorded = true;
+      lastMergeKey = null;
+    } else {
+      const key = mergeKey == null ? null : String(mergeKey);
+      const now = Date.now();
+      const merge = key !== null && key === lastMergeKey && (now - lastAt) < MERGE_WINDOW_MS && undoStack.length > 0;
+      lastMergeKey = key;
+      lastAt = now;
+      if (merge) return;
+    }
+    undoStack.push(deepClone(state));
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+    notifyHistory();
+  }
+
+  function setState(patch, opts) {
+    const recordStep = !(opts && opts.history === false) && notifying === 0;
+    if (recordStep) record(opts && opts.merge);
     state = deepMerge(state, patch);
-    subs.forEach((fn) => fn(state));
+    notify();
     return state;
   }
 
+  /** Run fn() and record every setState inside it as a single undo step. */
+  function batch(fn) {
+    batchDepth++;
+    try {
+      return fn();
+    } finally {
+      batchDepth--;
+      if (batchDepth === 0) batchRecorded = false;
+    }
+  }
+
+  function restore(from, to) {
+    if (!from.length) return false;
+    to.push(deepClone(state));
+    state = from.pop();
+    lastMergeKey = null;
+    notify();
+    notifyHistory();
+    return true;
+  }
+
+  function undo() {
+    return restore(undoStack, redoStack);
+  }
+
+  function redo() {
+    return restore(redoStack, undoStack);
+  }
+
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    lastMergeKey = null;
+    notifyHistory();
+  }
+
   function onChange(fn) {
     subs.push(fn);
     return () => {
@@ -23,7 +127,15 @@ export function createStateStore(initial) {
     };
   }
 
-  return { getState, setState, onChange };
+  function onHistoryChange(fn) {
+    historySubs.push(fn);
+    return () => {
+      const i = historySubs.indexOf(fn);
+      if (i >= 0) historySubs.splice(i, 1);
+    };
+  }
+
+  return { getState, setState, onChange, batch, undo, redo, canUndo, canRedo, clearHistory, onHistoryChange };
 }
 
 // Deep merge tailored to project shapes (objects/arrays of POJOs).
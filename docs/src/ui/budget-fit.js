@@ -0,0 +1,277 @@
+/**
+ * budget-fit.js — Designs near the current one that fit the customer's budget
+ *
+ * Given the budget band picked in the quote form (cfBudget) and the current design, proposes
+ * the nearest designs whose estimated price fits, built from small changes: a smaller depth or
+ * width, a different option (covering, walls variant, lining, base, cladding…, from the same
+ * list as the "What if…" panel) or one extra fewer (a window, a second door, a skylight, the
+ * shelving, a divider, an attachment). Suggestions are ranked by how far they depart from the
+ * original design and can be applied in one click.
+ *
+ * Only changes the active profile allows are considered: options through listOptionControls()
+ * (section, control and option rules), dimensions when the width/depth inputs are editable and
+ * removals when that item's remove button is.
+ *
+ * Departure score: 1 per option changed or item removed, 1 per 10% off a dimension.
+ *
+ * INTEGRATION POINTS:
+ *   - Pricing:  estimatePrice() from '../pricing.js?_v=14'
+ *   - Options:  listOptionControls() from './option-deltas.js'
+ *   - Profiles: isControlEditable() from '../profiles.js'
+ *   - Used by quote-form.js under the Budget Range select
+ *
+ * USAGE:
+ *   import { BUDGET_BANDS, suggestBudgetFits } from './ui/budget-fit.js';
+ *   var fit = suggestBudgetFits(state, BUDGET_BANDS['5k-10k'].max);
+ *   // fit.suggestions[0].patch → store.setState(patch)
+ */
+
+import { estimatePrice } from '../pricing.js?_v=14';
+import { deepMerge } from '../state.js';
+import { resolveDims } from '../params.js';
+import { isControlEditable } from '../profiles.js';
+import { listOptionControls } from './option-deltas.js';
+
+/** The quote form's budget bands (cfBudget values); max null = no ceiling */
+export var BUDGET_BANDS = {
+  'under-5k': { label: 'Under £5,000', max: 5000 },
+  '5k-10k': { label: '£5,000 – £10,000', max: 10000 },
+  '10k-20k': { label: '£10,000 – £20,000', max: 20000 },
+  '20k-plus': { label: '£20,000+', max: null }
+};
+
+// Dimension steps: 300mm at a time, never below 1200mm or more than 40% off
+var DIM_STEP_MM = 300;
+var DIM_MIN_MM = 1200;
+var DIM_MAX_CUT = 0.4;
+// Hipped roofs need a frame of at least 2500 × 3000mm with depth >= width (see option-deltas.js)
+var HIPPED_MIN_W = 2500;
+var HIPPED_MIN_D = 3000;
+
+// Search limits: prices evaluated, changes per suggestion, suggestions returned
+var MAX_EVALUATIONS = 200;
+var MAX_CHANGES = 4;
+var MAX_SUGGESTIONS = 5;
+
+// ---------------------------------------------------------------------------
+// Candidate changes
+// ---------------------------------------------------------------------------
+
+function openingsOf(state) {
+  return (state.walls && Array.isArray(state.walls.openings)) ? state.walls.openings : [];
+}
+
+function enabled(item) {
+  return item && item.enabled !== false;
+}
+
+/** Patch setting one frame dimension, with the per-mode inputs kept in step */
+function dimensionPatch(state, axis, mm) {
+  var dim = axis === 'w' ? { frameW_mm: mm } : { frameD_mm: mm };
+  var R = resolveDims(deepMerge(state, { dim: dim }));
+  return {
+    dim: dim,
+    dimInputs: {
+      baseW_mm: R.base.w_mm, baseD_mm: R.base.d_mm,
+      frameW_mm: R.frame.w_mm, frameD_mm: R.frame.d_mm,
+      roofW_mm: R.roof.w_mm, roofD_mm: R.roof.d_mm
+    }
+  };
+}
+
+/** Smaller depths and widths, one slot per axis with one change per step */
+function dimensionChanges(state, canChange) {
+  var frame = resolveDims(state).frame;
+  var hipped = state.roof && state.roof.style === 'hipped';
+  var axes = [
+    { axis: 'd', control: 'dInput', name: 'Depth', from: frame.d_mm, min: hipped ? Math.max(HIPPED_MIN_D, frame.w_mm) : DIM_MIN_MM },
+    { axis: 'w', control: 'wInput', name: 'Width', from: frame.w_mm, min: hipped ? HIPPED_MIN_W : DIM_MIN_MM }
+  ];
+  var changes = [];
+  axes.forEach(function (a) {
+    if (!canChange('sizeShape', a.control)) return;
+    var floor = Math.max(a.min, Math.ceil(a.from * (1 - DIM_MAX_CUT)));
+    for (var level = 1; a.from - level * DIM_STEP_MM >= floor; level++) {
+      var to = a.from - level * DIM_STEP_MM;
+      changes.push({
+        slot: 'dim:' + a.axis, key: String(to), level: level,
+        label: a.name + ' ' + a.from + ' → ' + to + 'mm',
+        weight: Math.round((a.from - to) / a.from * 100) / 10,
+        patchFor: (function (axis, mm) { return function (s) { return dimensionPatch(s, axis, mm); }; })(a.axis, to)
+      });
+    }
+  });
+  return changes;
+}
+
+/** Option switches the profile allows; adding a door or window never saves money */
+function optionChanges(state, canChange) {
+  var changes = [];
+  listOptionControls(state, canChange).forEach(function (c) {
+    if (c.id === 'addDoor' || c.id === 'addWindow') return;
+    c.options.forEach(function (o) {
+      if (o.current) return;
+      changes.push({
+        slot: 'opt:' + c.id, key: o.value, level: 0,
+        label: c.label + ': ' + o.label,
+        weight: 1,
+        patchFor: function (s) { return c.patchFor(s, o.value); }
+      });
+    });
+  });
+  return changes;
+}
+
+/** One removal per extra: windows, doors after the first, skylights, the shelving, dividers, attachments */
+function removalChanges(state, canChange) {
+  var changes = [];
+  function removal(slot, label, patchFor) {
+    changes.push({ slot: slot, key: 'remove', level: 0, label: label, weight: 1, patchFor: patchFor });
+  }
+  function withoutOpening(id) {
+    return function (s) { return { walls: { openings: openingsOf(s).filter(function (o) { return !(o && o.id === id); }) } }; };
+  }
+
+  var windows = openingsOf(state).filter(function (o) { return enabled(o) && o.type === 'window'; });
+  if (canChange('wallsOpenings', 'windowRemoveBtn')) {
+    windows.forEach(function (o, i) {
+      removal('win:' + o.id, 'Remove window ' + (i + 1) + ' (' + (o.wall || 'front') + ' wall)', withoutOpening(o.id));
+    });
+  }
+
+  var doors = openingsOf(state).filter(function (o) { return enabled(o) && o.type === 'door'; });
+  if (canChange('wallsOpenings', 'doorRemoveBtn')) {
+    doors.slice(1).forEach(function (o, i) {
+      removal('door:' + o.id, 'Remove door ' + (i + 2) + ' (' + (o.wall || 'front') + ' wall)', withoutOpening(o.id));
+    });
+  }
+
+  if (canChange('wallsOpenings', null)) {
+    var skylights = ((state.roof && state.roof.skylights) || []).filter(enabled);
+    skylights.forEach(function (sk, i) {
+      removal('sky:' + sk.id, 'Remove skylight ' + (i + 1), function (s) {
+        return { roof: { skylights: ((s.roof && s.roof.skylights) || []).filter(function (x) { return !(x && x.id === sk.id); }) } };
+      });
+    });
+    if ((state.shelving || []).some(enabled)) {
+      removal('shelving', 'Leave out the shelving', function () { return { shelving: [] }; });
+    }
+  }
+
+  if (canChange('wallsOpenings', 'dividerRemoveBtn') && canChange('wallsOpenings', 'internalDividersSection')) {
+    var dividers = ((state.dividers && state.dividers.items) || []).filter(enabled);
+    dividers.forEach(function (dv, i) {
+      removal('div:' + dv.id, 'Remove divider ' + (i + 1), function (s) {
+        return { dividers: { items: ((s.dividers && s.dividers.items) || []).filter(function (x) { return !(x && x.id === dv.id); }) } };
+      });
+    });
+  }
+
+  if (canChange('buildingAttachments', 'attachmentEditorRemoveBtn')) {
+    var attachments = ((state.sections && state.sections.attachments) || []).filter(enabled);
+    attachments.forEach(function (att) {
+      var wall = (att.attachTo && att.attachTo.wall) || 'left';
+      removal('att:' + att.id, 'Remove the ' + wall + ' attachment', function (s) {
+        return { sections: { attachments: ((s.sections && s.sections.attachments) || []).filter(function (x) { return !(x && x.id === att.id); }) } };
+      });
+    });
+  }
+
+  return changes;
+}
+
+/** True when an earlier suggestion is contained in this one (same changes, or smaller cuts) */
+function isDominated(changes, found) {
+  return found.some(function (f) {
+    return f.changes.every(function (m) {
+      return changes.some(function (c) {
+        return c.slot === m.slot && (c.key === m.key || (m.level > 0 && c.level >= m.level));
+      });
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Find the designs nearest the current one whose estimated price fits a budget.
+ * Changes that don't save money on their own are dropped, then combinations are tried
+ * cheapest departure first (each combination once) until enough fits are found.
+ * @param {Object} state - Current design state
+ * @param {number|null} budgetMax - Budget ceiling in £ (null = no ceiling)
+ * @param {function(string, string|null, string=): boolean} [canChange] - Profile rule check,
+ *   defaults to isControlEditable() for the active profile
+ * @returns {{ target: number, budget: number|null, fits: boolean,
+ *   suggestions: Array<{ changes: Array<{ slot: string, key: string, level: number, label: string, weight: number }>,
+ *   departure: number, target: number, low: number, high: number, patch: Object }> }|null}
+ *   null when the price table hasn't loaded
+ */
+export function suggestBudgetFits(state, budgetMax, canChange) {
+  var base = estimatePrice(state);
+  if (!base) return null;
+  var result = { target: base.target, budget: budgetMax == null ? null : budgetMax, fits: budgetMax == null || base.target <= budgetMax, suggestions: [] };
+  if (result.fits) return result;
+  canChange = canChange || isControlEditable;
+
+  var evaluations = 0;
+  function price(s) {
+    evaluations++;
+    return estimatePrice(s);
+  }
+
+  // Keep the changes that save money on their own, cheapest departure first
+  var changes = dimensionChanges(state, canChange).concat(optionChanges(state, canChange), removalChanges(state, canChange))
+    .filter(function (c) {
+      var patch = c.patchFor(state);
+      var est = patch && price(deepMerge(state, patch));
+      return est && est.target < base.target;
+    })
+    .sort(function (a, b) { return a.weight - b.weight; });
+
+  // Uniform-cost search over combinations, priced as they come off the frontier so fits are
+  // found nearest first. A node only extends with later changes (each combination is built
+  // once) and must save money on top of its parent; fitting nodes aren't extended further.
+  var root = { picks: [], departure: 0, state: state, patch: {}, est: base };
+  var frontier = children(root);
+  while (frontier.length && result.suggestions.length < MAX_SUGGESTIONS && evaluations < MAX_EVALUATIONS) {
+    frontier.sort(function (a, b) { return a.departure - b.departure; });
+    var node = frontier.shift();
+    var chosen = node.picks.map(function (j) { return changes[j]; });
+    if (isDominated(chosen, result.suggestions)) continue;
+
+    // A change can stop applying after the earlier ones (e.g. lining once the walls are basic)
+    var patch = chosen[chosen.length - 1].patchFor(node.parent.state);
+    if (!patch) continue;
+    node.state = deepMerge(node.parent.state, patch);
+    node.patch = deepMerge(node.parent.patch, patch);
+    node.est = price(node.state);
+    if (!node.est || node.est.target >= node.parent.est.target) continue;
+
+    if (node.est.target <= budgetMax) {
+      result.suggestions.push({
+        changes: chosen.map(function (m) { return { slot: m.slot, key: m.key, level: m.level, label: m.label, weight: m.weight }; }),
+        departure: node.departure, target: node.est.target, low: node.est.low, high: node.est.high, patch: node.patch
+      });
+    } else {
+      frontier = frontier.concat(children(node));
+    }
+  }
+
+  function children(node) {
+    var out = [];
+    if (node.picks.length >= MAX_CHANGES) return out;
+    var last = node.picks.length ? node.picks[node.picks.length - 1] : -1;
+    for (var i = last + 1; i < changes.length; i++) {
+      var c = changes[i];
+      if (node.picks.some(function (j) { return changes[j].slot === c.slot; })) continue;
+      out.push({ picks: node.picks.concat([i]), departure: Math.round((node.departure + c.weight) * 10) / 10, parent: node });
+    }
+    return out;
+  }
+
+  // Nearest first; among equals, the one that keeps most of the price (i.e. of the design)
+  result.suggestions.sort(function (a, b) { return (a.departure - b.departure) || (b.target - a.target); });
+  return result;
+}
@@ -5,11 +5,14 @@
  *   - Auto-captured 3D screenshot from the canvas
  *   - Key specs (dimensions, roof style, wall type, cladding, doors, windows)
  *   - Price estimate RANGE only (low–high, no breakdown, no margins)
- *   - Three CTA buttons for conversion flow
+ *   - Timber volume, weight and embodied carbon (when the carbon factors have loaded)
+ *   - Three CTA buttons for conversion flow, plus Download / Print Quote
+ *     (itemised quotation from quote-document.js) when pricing is shown
  * 
  * INTEGRATION POINTS:
  *   - State store:  window.__dbg.store  (created by index.js)
- *   - Pricing:      import { estimatePrice } from '../pricing.js'
+ *   - Pricing:      import { estimatePrice } from '../pricing.js?_v=14' (same instance as index.html, so the loaded table and price list are shared)
+ *   - Carbon:       import { estimateCarbon } from '../bom/carbon.js'
  *   - Canvas:       document.getElementById('renderCanvas')
  *   - CSS:          Loads ./design-summary.css (or include it in your build)
  * 
@@ -22,7 +25,8 @@
  *   - state.js store must be initialised at window.__dbg.store
  */
 
-import { estimatePrice } from '../pricing.js';
+import { estimatePrice } from '../pricing.js?_v=14';
+import { estimateCarbon } from '../bom/carbon.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -77,7 +81,8 @@ function roofLabel(style) {
   var map = {
     apex: 'Apex (Gabled)',
     pent: 'Pent (Single Pitch)',
-    hipped: 'Hipped (4 Slopes)'
+    hipped: 'Hipped (4 Slopes)',
+    gambrel: 'Gambrel (Barn)'
   };
   return map[style] || style || '—';
 }
@@ -94,6 +99,13 @@ function claddingLabel(style) {
   return map[style] || style || '—';
 }
 
+/** Gutter profile and colour, or 'None' when the design has no gutters */
+function gutterLabel(gutters) {
+  if (gutters && gutters.enabled === false) return 'None';
+  var profile = (gutters && gutters.profile) === 'square' ? 'Square' : 'Half-round';
+  return profile + ', ' + ((gutters && gutters.colour) || 'black');
+}
+
 /** Friendly labels for wall variant */
 function wallVariantLabel(variant) {
   if (variant === 'insulated') return 'Insulated';
@@ -114,6 +126,11 @@ function countOpenings(state, type) {
   }).length || (type === 'door' ? 1 : 0);
 }
 
+/** Format a whole number with thousands separators */
+function fmtInt(n) {
+  return Math.round(n).toLocaleString('en-GB');
+}
+
 /** Format currency */
 function fmtPrice(n) {
   return '£' + n.toLocaleString('en-GB');
@@ -125,6 +142,7 @@ function fmtPrice(n) {
 
 var overlayEl = null;
 var currentScreenshot = null;  // stored for passing to quote form
+var currentRefNumber = null;   // quotation reference, shared by the quote document and the quote form
 
 /**
  * Show the Design Summary overlay (Screen 4).
@@ -144,20 +162,12 @@ export function showDesignSummary() {
 
   // Capture screenshot
   currentScreenshot = captureScreenshot();
+  currentRefNumber = null;
 
   // Get price estimate (only if pricing is enabled)
   var mode = state?.priceBadgeMode || 'range';
   var est = (mode !== 'none') ? estimatePrice(state) : null;
 
-  // Extract specs
-  var w = (state.dim && state.dim.frameW_mm) || state.w || 0;
-  var d = (state.dim && state.dim.frameD_mm) || state.d || 0;
-  var roofStyle = (state.roof && state.roof.style) || 'apex';
-  var wallVariant = (state.walls && state.walls.variant) || 'insulated';
-  var claddingStyle = (state.cladding && (state.cladding.style || state.cladding.profile)) || 'shiplap';
-  var doorCount = countOpenings(state, 'door');
-  var windowCount = countOpenings(state, 'window');
-
   // Build HTML
   var html = '';
 
@@ -176,12 +186,9 @@ export function showDesignSummary() {
 
   // Specs grid
   html += '<div class="cf-specs">';
-  html += specItem('Dimensions', fmtMm(w) + ' × ' + fmtMm(d));
-  html += specItem('Roof Style', roofLabel(roofStyle));
-  html += specItem('Wall Type', wallVariantLabel(wallVariant));
-  html += specItem('Cladding', claddingLabel(claddingStyle));
-  html += specItem('Doors', doorCount + '');
-  html += specItem('Windows', windowCount + '');
+  buildSpecList(state).forEach(function(spec) {
+    html += specItem(spec.label, spec.value);
+  });
   html += '</div>';
 
   // Price range
@@ -189,6 +196,15 @@ export function showDesignSummary() {
     html += '<div class="cf-price-card">';
     html += '<div class="cf-price-label">Typical Build Range</div>';
     html += '<div class="cf-price-range">' + fmtPrice(est.low) + '<span class="cf-price-dash"> — </span>' + fmtPrice(est.high) + '</div>';
+    if (est.priceList && est.priceList.id) {
+      html += '<div class="cf-price-note">' + est.priceList.label + ' price list' +
+        (est.excludes.labour || est.excludes.delivery ? ' · excludes ' + [est.excludes.delivery && 'delivery', est.excludes.labour && 'labour'].filter(Boolean).join(' and ') : '') + '</div>';
+    }
+    if (est.deliveryZone) {
+      html += '<div class="cf-price-note">' + (est.deliveryZone.outside
+        ? est.deliveryZone.district + ' is outside our service area: delivery quoted separately'
+        : 'Delivered to ' + est.deliveryZone.district + ' (' + est.deliveryZone.label + ')') + '</div>';
+    }
     html += '<div class="cf-price-note">Depending on finish, site conditions &amp; access</div>';
     html += '</div>';
   }
@@ -198,6 +214,12 @@ export function showDesignSummary() {
   html += '<button class="cf-btn cf-btn-primary" id="cfGetQuote">Get a Detailed Quote</button>';
   html += '<button class="cf-btn cf-btn-secondary" id="cfSaveDesign">💾 Save My Design</button>';
   html += '<button class="cf-btn cf-btn-tertiary" id="cfEmailCopy">✉ Email Me a Copy</button>';
+  if (est) {
+    html += '<div class="cf-quote-doc-row">';
+    html += '<button class="cf-btn cf-btn-tertiary" id="cfDownloadQuote">📄 Download Quote</button>';
+    html += '<button class="cf-btn cf-btn-tertiary" id="cfPrintQuote">🖨 Print / PDF</button>';
+    html += '</div>';
+  }
   html += '</div>';
 
   html += '</div>'; // .cf-summary-body
@@ -230,6 +252,38 @@ export function showDesignSummary() {
   return overlayEl;
 }
 
+/**
+ * Key specs of a design, as shown in the summary and on the quotation.
+ * @param {Object} state - Full application state
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function buildSpecList(state) {
+  var w = (state.dim && state.dim.frameW_mm) || state.w || 0;
+  var d = (state.dim && state.dim.frameD_mm) || state.d || 0;
+  var roofStyle = (state.roof && state.roof.style) || 'apex';
+  var wallVariant = (state.walls && state.walls.variant) || 'insulated';
+  var claddingStyle = (state.cladding && (state.cladding.style || state.cladding.profile)) || 'shiplap';
+  var carbon = null;
+  try { carbon = estimateCarbon(state); } catch (e) { console.warn('[design-summary] Carbon report failed:', e); }
+
+  var specs = [
+    { label: 'Dimensions', value: fmtMm(w) + ' × ' + fmtMm(d) },
+    { label: 'Roof Style', value: roofLabel(roofStyle) },
+    { label: 'Wall Type', value: wallVariantLabel(wallVariant) },
+    { label: 'Cladding', value: claddingLabel(claddingStyle) },
+    { label: 'Gutters', value: gutterLabel(state.gutters) },
+    { label: 'Doors', value: countOpenings(state, 'door') + '' },
+    { label: 'Windows', value: countOpenings(state, 'window') + '' }
+  ];
+  if (carbon) {
+    specs.push({ label: 'Timber Volume', value: carbon.totals.timber_m3.toFixed(2) + ' m³' });
+    specs.push({ label: 'Material Weight', value: fmtInt(carbon.totals.weight_kg) + ' kg' });
+    specs.push({ label: 'Embodied Carbon', value: fmtInt(carbon.totals.carbon_kgco2e) + ' kg CO₂e' });
+    specs.push({ label: 'Stored in Timber', value: fmtInt(-carbon.totals.biogenic_kgco2) + ' kg CO₂' });
+  }
+  return specs;
+}
+
 function specItem(label, value) {
   return '<div class="cf-spec-item">' +
     '<span class="cf-spec-label">' + label + '</span>' +
@@ -262,7 +316,8 @@ function wireEvents(modal) {
         mod.showQuoteForm({
           screenshot: currentScreenshot,
           state: currentState,
-          priceEstimate: (currentMode !== 'none') ? estimatePrice(currentState) : null
+          priceEstimate: (currentMode !== 'none') ? estimatePrice(currentState) : null,
+          refNumber: currentRefNumber
         });
       }).catch(function(err) {
         console.error('[design-summary] Failed to load quote form:', err);
@@ -304,6 +359,7 @@ function wireEvents(modal) {
           screenshot: currentScreenshot,
           state: currentState,
           priceEstimate: (currentMode !== 'none') ? estimatePrice(currentState) : null,
+          refNumber: currentRefNumber,
           emailOnly: true  // signals lighter form (just name + email)
         });
       }).catch(function(err) {
@@ -311,6 +367,25 @@ function wireEvents(modal) {
       });
     });
   }
+
+  // Quotation document → download as HTML, or print (Save as PDF)
+  var downloadBtn = modal.querySelector('#cfDownloadQuote');
+  if (downloadBtn) downloadBtn.addEventListener('click', function() { openQuote('download'); });
+  var printBtn = modal.querySelector('#cfPrintQuote');
+  if (printBtn) printBtn.addEventListener('click', function() { openQuote('print'); });
+}
+
+/** Build the quotation for the current design and download or print it */
+function openQuote(action) {
+  import('./quote-document.js').then(function(mod) {
+    var quote = mod.buildQuote(getState(), { screenshot: currentScreenshot, refNumber: currentRefNumber });
+    if (!quote) return;
+    currentRefNumber = quote.refNumber;
+    if (action === 'print') mod.printQuote(quote);
+    else mod.downloadQuote(quote);
+  }).catch(function(err) {
+    console.error('[design-summary] Failed to load quote document:', err);
+  });
 }
 
 function onEscKey(e) {
@@ -0,0 +1,354 @@
+/**
+ * option-deltas.js — "What if…" panel: what each design option adds to or takes off the price
+ *
+ * For every option the customer can change in the current design (walls variant, lining,
+ * frame gauge, roof type and covering, base, cladding, soffits, gutters, each door's style, one
+ * more door or window), the design is re-priced with just that option switched and the
+ * change in the target sell price is listed against the control.
+ *
+ * Only options the active profile leaves visible and editable are listed (section, control
+ * and option-level rules from profiles.json, via isControlEditable()); the viewer profile
+ * gets no panel.
+ *
+ * INTEGRATION POINTS:
+ *   - Pricing:  estimatePrice() from '../pricing.js?_v=14' (the loaded table and the profile's price list)
+ *   - Profiles: isControlEditable() from '../profiles.js'
+ *   - Container: #whatIfPanel in the sidebar (sidebar-wizard.js), re-rendered from
+ *     window.__updatePriceCard in index.html on every state change
+ *
+ * USAGE:
+ *   import { renderOptionDeltas } from './ui/option-deltas.js';
+ *   renderOptionDeltas(state, 'whatIfPanel');
+ */
+
+import { estimatePrice } from '../pricing.js?_v=14';
+import { deepMerge } from '../state.js';
+import { resolveDims } from '../params.js';
+import { isControlEditable } from '../profiles.js';
+import { DOOR_STYLES, CLADDING_STYLES } from '../state-schema.js';
+
+// Hipped roofs need a footprint of at least 2500 × 3000mm with depth >= width (index.js roofStyle handler)
+var HIPPED_MIN_W = 2500;
+var HIPPED_MIN_D = 3000;
+var HIPPED_MIN_OVERHANG = 200;
+
+// Labels for the schema's style lists, so every style the model builds is offered
+var DOOR_STYLE_LABELS = {
+  'none': 'Open (no door)',
+  'standard': 'Standard',
+  'double-standard': 'Double standard',
+  'mortise-tenon': 'Mortise & tenon',
+  'double-mortise-tenon': 'Double mortise & tenon',
+  'french': 'French doors',
+  'double-half': 'Double half (bin store)'
+};
+var CLADDING_STYLE_LABELS = {
+  'shiplap': 'Shiplap',
+  'overlap': 'Overlap (featheredge)',
+  'loglap': 'Log lap',
+  'box-profile': 'Box profile (steel)',
+  'corrugated': 'Corrugated (steel)',
+  'composite-panel': 'Composite (woodgrain)',
+  'composite-slatted': 'Composite slatted'
+};
+
+// Cladding styles the price table has a board rate for; purchase-orders.js prices any other
+// style as shiplap, so a delta to or from one would be invented
+var PRICED_CLADDING_STYLES = ['shiplap', 'overlap', 'composite-panel'];
+
+// Narrowest door each style is offered on (the door style select in index.js)
+var DOOR_STYLE_MIN_WIDTH = { 'double-standard': 1200, 'double-mortise-tenon': 1200, 'double-half': 1200, 'french': 1000 };
+
+/**
+ * The options the panel can switch. Each names the profile section/control that governs it
+ * (control null = the section decides; shownIn = the section whose box holds it), its
+ * choices, the current choice and the state patch that makes a choice — the same patch the
+ * sidebar control writes. patch() returns null when a choice doesn't apply to this design.
+ */
+var OPTIONS = [
+  {
+    id: 'wallsVariant', section: 'sizeShape', control: 'wallsVariant', label: 'Walls',
+    values: [['insulated', 'Insulated'], ['basic', 'Basic']],
+    current: function (s) { return (s.walls && s.walls.variant) || 'insulated'; },
+    patch: function (s, v) { return { walls: { variant: v } }; }
+  },
+  {
+    // Registered under Size & Shape but shown in the Appearance box, so hiding either hides it
+    id: 'internalLining', section: 'sizeShape', control: 'internalLining', shownIn: 'appearance', label: 'Internal lining',
+    values: [['none', 'None'], ['plywood', 'Plywood (12mm)'], ['pine-tg', 'Pine T&G']],
+    current: function (s) { return (s.walls && s.walls.internalLining) || 'plywood'; },
+    patch: function (s, v) {
+      if (((s.walls && s.walls.variant) || 'insulated') !== 'insulated') return null;
+      return { walls: { internalLining: v } };
+    }
+  },
+  {
+    id: 'wallSection', section: 'sizeShape', control: 'wallSection', label: 'Frame gauge',
+    values: [['50x75', '75 × 50'], ['50x100', '100 × 50']],
+    current: function (s) {
+      var variant = (s.walls && s.walls.variant) || 'insulated';
+      var section = s.walls && s.walls[variant] && s.walls[variant].section;
+      return section && section.h < 100 ? '50x75' : '50x100';
+    },
+    patch: function (s, v) {
+      var h = v === '50x75' ? 75 : 100;
+      return {
+        frame: { thickness_mm: 50, depth_mm: h },
+        walls: { insulated: { section: { w: 50, h: h } }, basic: { section: { w: 50, h: h } } }
+      };
+    }
+  },
+  {
+    id: 'roofStyle', section: 'sizeShape', control: 'roofStyle', label: 'Roof type',
+    values: [['apex', 'Apex'], ['pent', 'Pent'], ['hipped', 'Hipped'], ['gambrel', 'Gambrel']],
+    current: function (s) { return (s.roof && s.roof.style) || 'apex'; },
+    patch: function (s, v) {
+      // Gambrel roofs take no tiles, so slate drops back to felt
+      if (v === 'gambrel') return { roof: (s.roof && s.roof.covering === 'slate') ? { style: v, covering: 'felt' } : { style: v } };
+      if (v !== 'hipped') return { roof: { style: v } };
+      // Only where the footprint already suits a hipped roof; switching would otherwise resize the building
+      var frame = resolveDims(s).frame;
+      var w = frame.w_mm, d = frame.d_mm;
+      if (w < HIPPED_MIN_W || d < HIPPED_MIN_D || w > d) return null;
+      var hipped = (s.roof && s.roof.hipped) || {};
+      var eaves = hipped.heightToEaves_mm >= 800 ? hipped.heightToEaves_mm : 2000;
+      var crest = hipped.heightToCrest_mm > eaves ? hipped.heightToCrest_mm : Math.max(2400, eaves + 400);
+      var p = { roof: { style: 'hipped', covering: 'slate', hipped: { heightToEaves_mm: eaves, heightToCrest_mm: crest } } };
+      if (((s.overhang && s.overhang.uniform_mm) || 0) < HIPPED_MIN_OVERHANG) p.overhang = { uniform_mm: HIPPED_MIN_OVERHANG };
+      return p;
+    }
+  },
+  {
+    id: 'roofCovering', section: 'appearance', control: null, label: 'Roof covering',
+    values: [['felt', 'Felt'], ['epdm', 'EPDM rubber'], ['slate', 'Synthetic slate']],
+    current: function (s) { return (s.roof && s.roof.covering) || 'felt'; },
+    patch: function (s, v) {
+      // Hipped roofs are slate only; gambrel roofs are membrane only
+      if (s.roof && s.roof.style === 'hipped' && v !== 'slate') return null;
+      if (s.roof && s.roof.style === 'gambrel' && v === 'slate') return null;
+      return { roof: { covering: v } };
+    }
+  },
+  {
+    id: 'soffits', section: 'appearance', control: null, label: 'Soffit boards',
+    values: [['on', 'With soffits'], ['off', 'Without soffits']],
+    current: function (s) { return s.roof && s.roof.soffits === false ? 'off' : 'on'; },
+    patch: function (s, v) { return { roof: { soffits: v === 'on' } }; }
+  },
+  {
+    id: 'gutters', section: 'appearance', control: null, label: 'Gutters and downpipes',
+    values: [['half-round', 'Half-round'], ['square', 'Square'], ['none', 'No gutters']],
+    current: function (s) { return s.gutters && s.gutters.enabled === false ? 'none' : ((s.gutters && s.gutters.profile) || 'half-round'); },
+    patch: function (s, v) { return { gutters: v === 'none' ? { enabled: false } : { enabled: true, profile: v } }; }
+  },
+  {
+    id: 'baseType', section: 'base', control: null, label: 'Base',
+    values: [
+      ['ecodeck', 'Eco deck'], ['concrete-timber', 'Concrete + timber floor'], ['concrete-only', 'Concrete only'],
+      ['skids', 'Steel skids'], ['floor-only', 'Timber floor only'], ['none', 'No base or floor']
+    ],
+    current: function (s) { return (s.base && s.base.type) || 'ecodeck'; },
+    patch: function (s, v) { return { base: { type: v } }; }
+  },
+  {
+    id: 'claddingStyle', section: 'appearance', control: 'claddingStyle', label: 'Cladding',
+    values: labelled(CLADDING_STYLES.filter(isPricedCladding), CLADDING_STYLE_LABELS),
+    current: function (s) { return (s.cladding && s.cladding.style) || 'shiplap'; },
+    patch: function (s, v) { return isPricedCladding((s.cladding && s.cladding.style) || 'shiplap') ? { cladding: { style: v } } : null; }
+  },
+  {
+    id: 'addDoor', section: 'wallsOpenings', control: 'addDoorBtn', label: 'Doors',
+    values: [['add', 'One more door (900 × 2000mm)']],
+    current: function () { return null; },
+    patch: function (s) { return withExtraOpening(s, { type: 'door', width_mm: 900, height_mm: 2000 }); }
+  },
+  {
+    id: 'addWindow', section: 'wallsOpenings', control: 'addWindowBtn', label: 'Windows',
+    values: [['add', 'One more window (700 × 500mm)']],
+    current: function () { return null; },
+    patch: function (s) { return withExtraOpening(s, { type: 'window', y_mm: 1000, width_mm: 700, height_mm: 500 }); }
+  }
+];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function labelled(values, labels) {
+  return values.map(function (v) { return [v, labels[v] || v]; });
+}
+
+function isPricedCladding(style) {
+  return PRICED_CLADDING_STYLES.indexOf(style) !== -1;
+}
+
+function openingsOf(state) {
+  return (state.walls && Array.isArray(state.walls.openings)) ? state.walls.openings : [];
+}
+
+/** Patch adding one opening, centred on the front wall (its position doesn't change the price) */
+function withExtraOpening(state, opening) {
+  var frontLen = (state.dim && state.dim.frameW_mm) || state.w || 0;
+  var o = Object.assign({ id: 'whatif-' + opening.type, wall: 'front', enabled: true }, opening);
+  o.x_mm = Math.max(0, Math.floor((frontLen - o.width_mm) / 2));
+  return { walls: { openings: openingsOf(state).concat([o]) } };
+}
+
+/** One "style" option per enabled door, governed by the door.style field rules */
+function doorStyleOptions(state) {
+  var doors = openingsOf(state).filter(function (o) { return o && o.type === 'door' && o.enabled !== false; });
+  return doors.map(function (door, i) {
+    return {
+      id: 'doorStyle:' + door.id, section: 'wallsOpenings', control: 'doorStyle',
+      label: 'Door ' + (i + 1) + ' (' + (door.wall || 'front') + ') style',
+      values: labelled(DOOR_STYLES, DOOR_STYLE_LABELS),
+      current: function () { return door.style || 'standard'; },
+      patch: function (s, v) {
+        if (Math.floor(Number(door.width_mm || 900)) < (DOOR_STYLE_MIN_WIDTH[v] || 0)) return null;
+        return { walls: { openings: openingsOf(s).map(function (o) { return o && o.id === door.id ? Object.assign({}, o, { style: v }) : o; }) } };
+      }
+    };
+  });
+}
+
+function fmtDelta(n) {
+  if (!n) return '±£0';
+  return (n > 0 ? '+£' : '−£') + Math.abs(n).toLocaleString();
+}
+
+function escHtml(v) {
+  return String(v == null ? '' : v).replace(/[&<>"]/g, function (c) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * The options the user can change in this design and the patch for each choice, unpriced.
+ * patchFor(s, value) rebuilds a choice's patch against another state (e.g. after other changes).
+ * @param {Object} state - Current design state
+ * @param {function(string, string|null, string=): boolean} [canChange] - Profile rule check,
+ *   defaults to isControlEditable() for the active profile
+ * @returns {Array<{ id: string, label: string, current: string|null, patchFor: Function,
+ *   options: Array<{ value: string, label: string, current: boolean, patch: Object|null }> }>}
+ */
+export function listOptionControls(state, canChange) {
+  canChange = canChange || isControlEditable;
+
+  var controls = [];
+  OPTIONS.concat(doorStyleOptions(state)).forEach(function (opt) {
+    if (!canChange(opt.section, opt.control)) return;
+    if (opt.shownIn && !canChange(opt.shownIn, null)) return;
+    var current = opt.current(state);
+    var options = [];
+    opt.values.forEach(function (pair) {
+      var value = pair[0];
+      if (value === current) {
+        options.push({ value: value, label: pair[1], current: true, patch: null });
+        return;
+      }
+      if (!canChange(opt.section, opt.control, value)) return;
+      var patch = opt.patch(state, value);
+      if (patch) options.push({ value: value, label: pair[1], current: false, patch: patch });
+    });
+    // Nothing to switch to
+    if (!options.some(function (o) { return !o.current; })) return;
+    controls.push({ id: opt.id, label: opt.label, current: current, patchFor: opt.patch, options: options });
+  });
+  return controls;
+}
+
+/**
+ * Price each option the user can change against the current design.
+ * @param {Object} state - Current design state
+ * @param {function(string, string|null, string=): boolean} [canChange] - As listOptionControls()
+ * @returns {{ target: number, controls: Array<{ id: string, label: string, current: string|null,
+ *   options: Array<{ value: string, label: string, current: boolean, target: number,
+ *   delta: number, patch: Object|null }> }> }|null} null when the price table hasn't loaded
+ */
+export function computeOptionDeltas(state, canChange) {
+  var base = estimatePrice(state);
+  if (!base) return null;
+
+  var controls = listOptionControls(state, canChange).map(function (c) {
+    var options = [];
+    c.options.forEach(function (o) {
+      var est = o.current ? base : estimatePrice(deepMerge(state, o.patch));
+      if (est) options.push(Object.assign({}, o, { target: est.target, delta: est.target - base.target }));
+    });
+    return Object.assign({}, c, { options: options });
+  });
+
+  return { target: base.target, controls: controls };
+}
+
+/**
+ * Render the "What if…" panel into a container; hidden when prices aren't shown
+ * (price display "none") or there is nothing the profile lets the user change.
+ * The options are only priced while the panel is open.
+ * @param {Object} state - Current design state
+ * @param {string} [containerId='whatIfPanel']
+ */
+export function renderOptionDeltas(state, containerId) {
+  var container = document.getElementById(containerId || 'whatIfPanel');
+  if (!container) return;
+
+  var modeEl = document.getElementById('priceBadgeMode');
+  var mode = (modeEl && modeEl.value) || (state && state.priceBadgeMode) || 'range';
+  if (mode === 'none' || !state || !estimatePrice(state) || !listOptionControls(state).length) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+    return;
+  }
+
+  ensureStyles();
+  // Keep the panel open or closed across re-renders
+  var prev = container.querySelector('details.wi-panel');
+  var open = prev ? prev.open : false;
+  container.style.display = '';
+
+  if (!open) {
+    container.innerHTML = '<details class="wi-panel"><summary>💡 What would it cost?</summary></details>';
+    container.querySelector('details').addEventListener('toggle', function () {
+      if (this.open) renderOptionDeltas(state, containerId);
+    });
+    return;
+  }
+
+  var result = computeOptionDeltas(state);
+  var rows = result.controls.map(function (c) {
+    var opts = c.options.map(function (o) {
+      var cls = o.current ? 'wi-current' : (o.delta > 0 ? 'wi-up' : (o.delta < 0 ? 'wi-down' : 'wi-same'));
+      return '<tr><td>' + escHtml(o.label) + '</td><td class="wi-delta ' + cls + '">' +
+        (o.current ? 'current' : fmtDelta(o.delta)) + '</td></tr>';
+    }).join('');
+    return '<tr class="wi-control"><th colspan="2">' + escHtml(c.label) + '</th></tr>' + opts;
+  }).join('');
+
+  container.innerHTML =
+    '<details class="wi-panel" open>' +
+      '<summary>💡 What would it cost?</summary>' +
+      '<p class="wi-hint">Change to the estimated price (£' + result.target.toLocaleString() + ') if you switch just that option.</p>' +
+      '<table class="wi-table">' + rows + '</table>' +
+    '</details>';
+}
+
+/** Inject the panel styles (idempotent) */
+function ensureStyles() {
+  if (document.getElementById('wiStyles')) return;
+  var style = document.createElement('style');
+  style.id = 'wiStyles';
+  style.textContent =
+    '.wi-panel { background:#faf7f2; border:1px solid #e6dccd; border-radius:8px; padding:8px 10px; font-size:12px; }' +
+    '.wi-panel summary { cursor:pointer; font-weight:600; color:#4a3728; }' +
+    '.wi-hint { margin:6px 0; color:#888; font-size:11px; }' +
+    '.wi-table { width:100%; border-collapse:collapse; }' +
+    '.wi-table td { padding:2px 0; border-bottom:1px solid #f0ebe3; }' +
+    '.wi-control th { text-align:left; padding:8px 0 2px; color:#6b4c2a; font-size:11px; text-transform:uppercase; letter-spacing:0.5px; }' +
+    '.wi-delta { text-align:right; font-variant-numeric:tabular-nums; white-space:nowrap; }' +
+    '.wi-up { color:#b54708; } .wi-down { color:#2D5016; } .wi-same, .wi-current { color:#999; }';
+  document.head.appendChild(style);
+}
@@ -0,0 +1,305 @@
+/**
+ * quote-document.js — Customer quotation document
+ *
+ * Turns the price estimate into an itemised quotation:
+ *   - Reference number (generateRefNumber() in quote-form.js), date and validity date
+ *   - Design screenshot and the spec list from design-summary.js
+ *   - Sections: base, structure, cladding, roof, openings, extras, labour, delivery
+ *   - Net, VAT and total from the price table's vatMode and quote.vat_rate
+ *   - Terms from the price table's quote.terms
+ *
+ * Each line is the estimate's cost for it plus the margin in proportion, so the
+ * lines add up to the target price. The document is one self-contained HTML file
+ * (styles inline, screenshot embedded as a data URL): download it, or print it
+ * (and save as PDF from the print dialog).
+ *
+ * INTEGRATION POINTS:
+ *   - Called from design-summary.js ("Download Quote" / "Print Quote")
+ *   - Pricing: estimatePrice() / getPriceTable() from '../pricing.js?_v=14'
+ *
+ * USAGE:
+ *   import { buildQuote, downloadQuote, printQuote } from './ui/quote-document.js';
+ *   var quote = buildQuote(state, { screenshot: dataUrl });
+ *   downloadQuote(quote);   // or printQuote(quote)
+ */
+
+import { estimatePrice, getPriceTable } from '../pricing.js?_v=14';
+import { buildSpecList } from './design-summary.js';
+import { generateRefNumber } from './quote-form.js';
+
+// Estimate breakdown keys → quotation sections, in document order
+var QUOTE_SECTIONS = [
+  { id: 'base', title: 'Base & Floor', keys: ['baseUpgrade', 'baseGrids', 'dpc', 'osb'] },
+  { id: 'structure', title: 'Structure', keys: ['timber', 'insulation', 'plyLining'] },
+  { id: 'cladding', title: 'Cladding', keys: ['cladding'] },
+  { id: 'roof', title: 'Roof', keys: ['roofComplexity', 'roofOsb', 'roofInsulation', 'roofPly', 'roofCovering', 'soffits', 'rainwater'] },
+  { id: 'openings', title: 'Doors & Windows', keys: ['doors', 'windows', 'skylights'] },
+  { id: 'extras', title: 'Extras', keys: ['dividers', 'shelving', 'attachments', 'fixings'] },
+  { id: 'labour', title: 'Labour', keys: ['labour'] },
+  { id: 'delivery', title: 'Delivery', keys: ['delivery'] }
+];
+
+var ROOF_COVERINGS = { felt: 'Mineral felt', epdm: 'EPDM rubber membrane', slate: 'Slate' };
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Customer-facing description of one breakdown line */
+function lineLabel(key, est, state) {
+  var n = function(count, word) { return count + ' ' + word + (count !== 1 ? 's' : ''); };
+  switch (key) {
+    case 'baseUpgrade': return est.baseTypeLabel || 'Base';
+    case 'baseGrids': return 'Plastic ground grids';
+    case 'dpc': return 'Damp-proof membrane';
+    case 'osb': return 'Floor deck (18mm OSB)';
+    case 'timber': return 'Timber frame (' + (est.gaugeLabel || '') + ' studs, floor joists, rafters)';
+    case 'insulation': return 'PIR insulation (floor and walls)';
+    case 'plyLining': return (state.walls && state.walls.internalLining === 'pine-tg') ? 'Pine T&G interior lining' : 'Plywood interior lining';
+    case 'cladding': return 'External cladding';
+    case 'roofComplexity': return 'Hipped roof cutting (hips and jack rafters)';
+    case 'roofOsb': return 'Roof deck (18mm OSB)';
+    case 'roofInsulation': return 'Roof PIR insulation';
+    case 'roofPly': return 'Plywood ceiling lining';
+    case 'roofCovering': return ROOF_COVERINGS[(state.roof && state.roof.covering) || 'felt'] || 'Roof covering';
+    case 'soffits': return 'Soffits';
+    case 'rainwater': return 'Gutters and downpipes (' + ((state.gutters && state.gutters.profile) || 'half-round') + ', ' +
+      ((state.gutters && state.gutters.colour) || 'black') + ')';
+    case 'doors': return n(est.doors, 'door') + ' (double glazed, with ironmongery)';
+    case 'windows': return n(est.windows, 'window') + ' (double glazed)';
+    case 'skylights': return n(est.skylights, 'skylight');
+    case 'dividers': return n(est.dividerCount, 'internal partition');
+    case 'shelving': return 'Shelving (' + est.shelvingArea_m2 + 'm²)';
+    case 'attachments': return n(est.attachmentCount, 'attached extension');
+    case 'fixings': return 'Fixings & ironmongery';
+    case 'labour': return 'Construction (' + n(Math.ceil(est.labourSchedule.elapsedDays), 'day') + ' on site' +
+      (est.labourUplift.travel || est.labourUplift.accommodation ? ', including travel' : '') + ')';
+    case 'delivery':
+      if (est.deliveryZone && est.deliveryZone.outside) return 'Delivery to ' + est.deliveryZone.district + ' (outside our service area, quoted separately)';
+      return 'Delivery of materials' + (est.deliveryZone ? ' to ' + est.deliveryZone.district : '');
+    default: return key;
+  }
+}
+
+/** Add a number of days to a date */
+function addDays(date, days) {
+  var d = new Date(date.getTime());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function fmtDate(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function fmtGbp(n) {
+  return '£' + n.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function esc(v) {
+  return String(v == null ? '' : v).replace(/[&<>"]/g, function(c) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+  });
+}
+
+/** Round to pence */
+function pence(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// ---------------------------------------------------------------------------
+// Quote data
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the quotation for a design.
+ * @param {Object} state - Full application state
+ * @param {Object} [opts] - { screenshot: data URL, refNumber, date: Date }
+ * @returns {Object|null} { refNumber, date, validUntil, company, screenshot, specs, priceList,
+ *   sections: [{ id, title, lines: [{ label, amount, excluded }], subtotal }],
+ *   vatMode, vatRate, net, vat, total, terms } — null if the price table has not loaded
+ */
+export function buildQuote(state, opts) {
+  opts = opts || {};
+  var est = state ? estimatePrice(state) : null;
+  var pt = getPriceTable();
+  if (!est || !pt) return null;
+
+  var cfg = pt.quote || {};
+  var date = opts.date || new Date();
+
+  // Cost per line, with labour alongside the materials breakdown
+  var costs = Object.assign({}, est.breakdown, { labour: est.labourCost });
+  var excluded = { labour: est.excludes.labour, delivery: est.excludes.delivery || !!(est.deliveryZone && est.deliveryZone.outside) };
+
+  // Spread the margin over the lines so they add up to the target price
+  var factor = est.totalCost > 0 ? est.target / est.totalCost : 1;
+  var sections = [];
+  var allLines = [];
+  QUOTE_SECTIONS.forEach(function(def) {
+    var lines = [];
+    def.keys.forEach(function(key) {
+      if (excluded[key]) {
+        lines.push({ label: lineLabel(key, est, state), amount: 0, excluded: true });
+        return;
+      }
+      var cost = costs[key];
+      if (!(cost > 0)) return;
+      var line = { label: lineLabel(key, est, state), amount: Math.round(cost * factor), excluded: false };
+      lines.push(line);
+      allLines.push(line);
+    });
+    if (lines.length) sections.push({ id: def.id, title: def.title, lines: lines, subtotal: 0 });
+  });
+
+  // Put the rounding difference on the largest line
+  var sum = allLines.reduce(function(s, l) { return s + l.amount; }, 0);
+  if (allLines.length && sum !== est.target) {
+    var largest = allLines.reduce(function(a, b) { return b.amount > a.amount ? b : a; });
+    largest.amount += est.target - sum;
+  }
+  sections.forEach(function(sec) {
+    sec.subtotal = sec.lines.reduce(function(s, l) { return s + l.amount; }, 0);
+  });
+
+  // Line amounts are ex-VAT when vatMode is 'ex', VAT-inclusive otherwise
+  var vatMode = pt.vatMode === 'ex' ? 'ex' : 'inc';
+  var vatRate = cfg.vat_rate != null ? cfg.vat_rate : 0.2;
+  var net, vat, total;
+  if (vatMode === 'ex') {
+    net = est.target;
+    vat = pence(net * vatRate);
+    total = pence(net + vat);
+  } else {
+    total = est.target;
+    net = pence(total / (1 + vatRate));
+    vat = pence(total - net);
+  }
+
+  return {
+    refNumber: opts.refNumber || generateRefNumber(),
+    date: date,
+    validUntil: addDays(date, cfg.validity_days || 30),
+    company: cfg.company || {},
+    screenshot: opts.screenshot || null,
+    specs: buildSpecList(state),
+    priceList: est.priceList,
+    sections: sections,
+    vatMode: vatMode,
+    vatRate: vatRate,
+    net: net,
+    vat: vat,
+    total: total,
+    terms: cfg.terms || []
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Document
+// ---------------------------------------------------------------------------
+
+/**
+ * Standalone quotation HTML (inline styles, embedded screenshot).
+ * @param {Object} quote - Result of buildQuote()
+ * @returns {string}
+ */
+export function quoteToHtml(quote) {
+  var c = quote.company || {};
+  var vatPct = Math.round(quote.vatRate * 1000) / 10;
+  var contact = [c.address, c.phone, c.email, c.website].filter(Boolean).map(esc).join(' · ');
+
+  var html = '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">';
+  html += '<title>Quotation ' + esc(quote.refNumber) + '</title>';
+  html += '<style>' +
+    'body{font-family:system-ui,-apple-system,"Segoe UI",sans-serif;color:#2b2118;margin:32px auto;max-width:780px;padding:0 16px;font-size:14px;}' +
+    'header{display:flex;justify-content:space-between;align-items:flex-start;border-bottom:3px solid #6b4c2a;padding-bottom:12px;margin-bottom:20px;}' +
+    'h1{margin:0;font-size:26px;color:#4a3728;} .company{font-size:18px;font-weight:700;color:#6b4c2a;} .contact{font-size:12px;color:#777;margin-top:4px;}' +
+    '.meta{text-align:right;font-size:13px;line-height:1.6;} .meta strong{color:#4a3728;}' +
+    '.shot{width:100%;max-height:360px;object-fit:contain;border-radius:8px;background:#f5f0e8;margin-bottom:16px;}' +
+    '.specs{display:grid;grid-template-columns:repeat(2,1fr);gap:4px 24px;margin-bottom:20px;} .specs div{display:flex;justify-content:space-between;border-bottom:1px solid #eee;padding:3px 0;} .specs span:first-child{color:#777;}' +
+    'h2{font-size:13px;text-transform:uppercase;letter-spacing:.5px;color:#6b4c2a;margin:18px 0 6px;}' +
+    'table{width:100%;border-collapse:collapse;} td{padding:5px 0;border-bottom:1px solid #f0ebe3;} td.amt{text-align:right;white-space:nowrap;font-variant-numeric:tabular-nums;width:140px;}' +
+    'tr.sub td{font-weight:600;border-bottom:none;color:#4a3728;} td.excl{color:#999;font-style:italic;}' +
+    '.totals{margin-top:20px;background:#f5f0e8;border-radius:8px;padding:12px 16px;} .totals td{border:none;} .totals tr.grand td{font-size:18px;font-weight:700;color:#2D5016;border-top:2px solid #d4c9b8;padding-top:8px;}' +
+    'ol{padding-left:20px;color:#555;font-size:12px;line-height:1.5;} footer{margin-top:24px;font-size:11px;color:#999;text-align:center;}' +
+    '@media print{body{margin:0 auto;} .totals,tr{break-inside:avoid;}}' +
+    '</style></head><body>';
+
+  html += '<header><div><div class="company">' + esc(c.name || '') + '</div>' + (contact ? '<div class="contact">' + contact + '</div>' : '') + '</div>';
+  html += '<div class="meta"><h1>Quotation</h1>' +
+    '<div>Reference <strong>' + esc(quote.refNumber) + '</strong></div>' +
+    '<div>Date ' + esc(fmtDate(quote.date)) + '</div>' +
+    '<div>Valid until <strong>' + esc(fmtDate(quote.validUntil)) + '</strong></div>' +
+    (quote.priceList && quote.priceList.id ? '<div>' + esc(quote.priceList.label) + ' prices</div>' : '') +
+    '</div></header>';
+
+  if (quote.screenshot) html += '<img class="shot" src="' + esc(quote.screenshot) + '" alt="Your building design">';
+
+  html += '<h2>Specification</h2><div class="specs">';
+  quote.specs.forEach(function(s) {
+    html += '<div><span>' + esc(s.label) + '</span><span>' + esc(s.value) + '</span></div>';
+  });
+  html += '</div>';
+
+  quote.sections.forEach(function(sec) {
+    html += '<h2>' + esc(sec.title) + '</h2><table>';
+    sec.lines.forEach(function(l) {
+      html += l.excluded
+        ? '<tr><td class="excl">' + esc(l.label) + '</td><td class="amt excl">Not included</td></tr>'
+        : '<tr><td>' + esc(l.label) + '</td><td class="amt">' + fmtGbp(l.amount) + '</td></tr>';
+    });
+    if (sec.lines.length > 1) html += '<tr class="sub"><td>' + esc(sec.title) + ' total</td><td class="amt">' + fmtGbp(sec.subtotal) + '</td></tr>';
+    html += '</table>';
+  });
+
+  html += '<div class="totals"><table>';
+  if (quote.vatMode === 'ex') {
+    html += '<tr><td>Total (ex VAT)</td><td class="amt">' + fmtGbp(quote.net) + '</td></tr>';
+    html += '<tr><td>VAT at ' + vatPct + '%</td><td class="amt">' + fmtGbp(quote.vat) + '</td></tr>';
+    html += '<tr class="grand"><td>Total including VAT</td><td class="amt">' + fmtGbp(quote.total) + '</td></tr>';
+  } else {
+    html += '<tr class="grand"><td>Total including VAT</td><td class="amt">' + fmtGbp(quote.total) + '</td></tr>';
+    html += '<tr><td>Includes VAT at ' + vatPct + '%</td><td class="amt">' + fmtGbp(quote.vat) + '</td></tr>';
+  }
+  html += '</table></div>';
+
+  if (quote.terms.length) {
+    html += '<h2>Terms</h2><ol>';
+    quote.terms.forEach(function(t) { html += '<li>' + esc(t) + '</li>'; });
+    html += '</ol>';
+  }
+
+  html += '<footer>Please quote reference ' + esc(quote.refNumber) + ' in all correspondence.</footer>';
+  html += '</body></html>';
+  return html;
+}
+
+/**
+ * Download the quotation as a single HTML file.
+ * @param {Object} quote - Result of buildQuote()
+ */
+export function downloadQuote(quote) {
+  var blob = new Blob([quoteToHtml(quote)], { type: 'text/html' });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = 'Quotation-' + quote.refNumber + '.html';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the quotation in a new window and print it (Save as PDF from the print dialog).
+ * @param {Object} quote - Result of buildQuote()
+ */
+export function printQuote(quote) {
+  var w = window.open('', '_blank');
+  if (!w) return;
+  w.document.write(quoteToHtml(quote));
+  w.document.close();
+  w.focus();
+  // Let the embedded screenshot decode before the print dialog snapshots the page
+  setTimeout(function() { w.print(); }, 300);
+}
@@ -5,6 +5,10 @@
  * 
  * Features:
  *   - Form fields: Name, Email, Postcode, Phone (optional), Budget, Site status
+ *   - Delivery zone: a valid postcode re-prices delivery and travel for its zone (price
+ *     table delivery.zones), or says it's outside the service area
+ *   - Budget fit: when the design's estimate is over the chosen budget band, the nearest
+ *     designs that fit (budget-fit.js), each applied with one click
  *   - Real-time validation (green ticks, not red errors)
  *   - Honeypot spam field (no CAPTCHA)
  *   - GDPR consent checkbox
@@ -14,6 +18,8 @@
  * 
  * INTEGRATION POINTS:
  *   - Called from design-summary.js via dynamic import
+ *   - Pricing: setSitePostcode() / estimatePrice() from '../pricing.js?_v=14'; the price card
+ *     is refreshed through window.__updatePriceCard
  *   - Posts to: https://dashboards-5c2fb-default-rtdb.europe-west1.firebasedatabase.app/leads.json
  *   - CSS: uses design-summary.css (shared styles)
  * 
@@ -23,11 +29,14 @@
  *     screenshot: 'data:image/jpeg;base64,...',
  *     state: { ... },
  *     priceEstimate: { low, high, ... },
+ *     refNumber: 'BSC-2026-0047',  // optional: reuse the reference of a quotation already issued
  *     emailOnly: false  // true for "Email Me a Copy" path
  *   });
  */
 
 import { generateViewerUrl } from '../profiles.js';
+import { BUDGET_BANDS, suggestBudgetFits } from './budget-fit.js';
+import { estimatePrice, getSitePostcode, lookupDeliveryZone, setSitePostcode } from '../pricing.js?_v=14';
 
 // Firebase Realtime Database endpoint
 var FIREBASE_URL = 'https://dashboards-5c2fb-default-rtdb.europe-west1.firebasedatabase.app';
@@ -78,8 +87,8 @@ function isValidPostcode(pc) {
   return /^[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/i.test(pc.trim());
 }
 
-/** Generate a reference number: BSC-YYYY-NNNN */
-function generateRefNumber() {
+/** Generate a reference number: BSC-YYYY-NNNN (also used on quotation documents) */
+export function generateRefNumber() {
   var year = new Date().getFullYear();
   // Use a timestamp-based number to ensure uniqueness (will be sequential from Firebase later)
   var seq = Math.floor(Date.now() / 1000) % 10000;
@@ -92,7 +101,9 @@ function generateRefNumber() {
 // ---------------------------------------------------------------------------
 
 var overlayEl = null;
-var formContext = null;  // { screenshot, state, priceEstimate, emailOnly }
+var formContext = null;  // { screenshot, state, priceEstimate, refNumber, emailOnly }
+var lastBudget = '';     // Budget band kept across an applied suggestion (form closes and reopens)
+var budgetFit = null;    // Latest suggestBudgetFits() result shown under the budget select
 
 /**
  * Show the Quote Form overlay (Screen 5).
@@ -137,6 +148,7 @@ export function showQuoteForm(opts) {
   if (!emailOnly) {
     // Postcode
     html += formGroup('cfPostcode', 'Postcode', 'text', '', true, 'SP1 1AA', 'postal-code');
+    html += '<div class="cf-delivery-zone" id="cfDeliveryZone" aria-live="polite"></div>';
 
     // Phone (optional)
     html += formGroup('cfPhone', 'Phone Number', 'tel', 'optional', false, '07700 900000', 'tel');
@@ -164,6 +176,7 @@ export function showQuoteForm(opts) {
     html += '</select>';
     html += '</div>';
     html += '</div>'; // .cf-form-row
+    html += '<div class="cf-budget-fit" id="cfBudgetFit" aria-live="polite"></div>';
   }
 
   // Honeypot field (invisible to real users, bots fill it)
@@ -217,6 +230,22 @@ export function showQuoteForm(opts) {
   // Wire events
   wireFormEvents(modal);
 
+  // Postcode entered before a suggestion was applied (the estimate still uses it)
+  var postcodeEl = modal.querySelector('#cfPostcode');
+  var savedPostcode = getSitePostcode();
+  if (postcodeEl && savedPostcode) {
+    postcodeEl.value = savedPostcode.slice(0, -3) + ' ' + savedPostcode.slice(-3);
+    toggleTick('cfPostcodeTick', true);
+    showDeliveryZone();
+  }
+
+  // Budget picked before a suggestion was applied: check the updated design against it
+  var budgetEl = modal.querySelector('#cfBudget');
+  if (budgetEl && lastBudget) {
+    budgetEl.value = lastBudget;
+    updateBudgetFit();
+  }
+
   // Focus first input
   setTimeout(function() {
     var first = modal.querySelector('#cfName');
@@ -270,7 +299,9 @@ function wireFormEvents(modal) {
   });
 
   if (postcodeInput) postcodeInput.addEventListener('input', function() {
-    toggleTick('cfPostcodeTick', isValidPostcode(postcodeInput.value));
+    var valid = isValidPostcode(postcodeInput.value);
+    toggleTick('cfPostcodeTick', valid);
+    updateDeliveryZone(valid ? postcodeInput.value : '');
   });
 
   if (phoneInput) phoneInput.addEventListener('input', function() {
@@ -279,11 +310,123 @@ function wireFormEvents(modal) {
     toggleTick('cfPhoneTick', val === '' || /^[\d\s+()-]{7,}$/.test(val));
   });
 
+  // Budget band → designs that fit it
+  var budgetSelect = modal.querySelector('#cfBudget');
+  if (budgetSelect) budgetSelect.addEventListener('change', updateBudgetFit);
+
+  var budgetFitEl = modal.querySelector('#cfBudgetFit');
+  if (budgetFitEl) budgetFitEl.addEventListener('click', function(e) {
+    var btn = e.target.closest('.cf-budget-apply');
+    if (btn) applyBudgetSuggestion(Number(btn.getAttribute('data-index')));
+  });
+
   // Form submission
   var form = modal.querySelector('#cfQuoteForm');
   if (form) form.addEventListener('submit', handleSubmit);
 }
 
+/**
+ * Price the design for the postcode's delivery zone (cleared while the postcode is incomplete):
+ * re-estimate, refresh the price card and re-check the budget band against the new estimate.
+ */
+function updateDeliveryZone(postcode) {
+  var before = getSitePostcode();
+  setSitePostcode(postcode);
+  if (getSitePostcode() === before) return;
+
+  if (formContext.priceEstimate && formContext.state) {
+    formContext.priceEstimate = estimatePrice(formContext.state);
+    if (typeof window.__updatePriceCard === 'function') window.__updatePriceCard(formContext.state);
+    if (document.getElementById('cfBudget')?.value) updateBudgetFit();
+  }
+  showDeliveryZone();
+}
+
+/** Note under the postcode: its delivery zone and the updated estimate, or outside the service area */
+function showDeliveryZone() {
+  var el = document.getElementById('cfDeliveryZone');
+  if (!el) return;
+  var zone = lookupDeliveryZone(getSitePostcode());
+  if (!zone) {
+    el.innerHTML = '';
+    return;
+  }
+  if (zone.outside) {
+    el.innerHTML = '<p class="cf-budget-note cf-delivery-outside">' + zone.district + ' is outside our service area. ' +
+      'Send your request anyway and I\'ll confirm delivery and travel separately.</p>';
+    return;
+  }
+  var est = formContext.priceEstimate;
+  el.innerHTML = '<p class="cf-budget-note">Delivery to ' + zone.district + ' (' + zone.label + ')' +
+    (est ? ': your estimate is now £' + est.low.toLocaleString() + ' – £' + est.high.toLocaleString() + '.' : '.') + '</p>';
+}
+
+/**
+ * Compare the design's estimate with the chosen budget band and list the nearest designs that
+ * fit. Skipped when prices aren't shown (no estimate in the form context).
+ */
+function updateBudgetFit() {
+  var el = document.getElementById('cfBudgetFit');
+  var band = BUDGET_BANDS[document.getElementById('cfBudget')?.value || ''];
+  budgetFit = null;
+  if (!el) return;
+  if (!band || band.max == null || !formContext.priceEstimate || !formContext.state) {
+    el.innerHTML = '';
+    return;
+  }
+
+  el.innerHTML = '<p class="cf-budget-note">Checking your design against ' + band.label + '…</p>';
+  // Let the note paint; the search prices up to a couple of hundred variations
+  setTimeout(function() {
+    var fit = suggestBudgetFits(formContext.state, band.max);
+    if (!fit || !document.getElementById('cfBudgetFit')) return;
+    budgetFit = fit;
+    el.innerHTML = budgetFitHtml(fit, band);
+  }, 30);
+}
+
+function budgetFitHtml(fit, band) {
+  var price = '£' + fit.target.toLocaleString();
+  if (fit.fits) {
+    return '<p class="cf-budget-note cf-budget-ok">✓ Your design (about ' + price + ') fits ' + band.label + '.</p>';
+  }
+  var html = '<p class="cf-budget-note">Your design is about ' + price + ', over ' + band.label + '.';
+  if (!fit.suggestions.length) {
+    return html + ' There\'s no close design within it that you can change here, but send your request and I\'ll look at options.</p>';
+  }
+  html += ' The nearest designs that fit:</p>';
+  html += '<ol class="cf-budget-list">';
+  fit.suggestions.forEach(function(sug, i) {
+    html += '<li class="cf-budget-item">';
+    html += '<span class="cf-budget-changes">' + sug.changes.map(function(c) { return c.label; }).join(' · ') + '</span>';
+    html += '<span class="cf-budget-price">about £' + sug.target.toLocaleString() + '</span>';
+    html += '<button type="button" class="cf-btn cf-btn-secondary cf-budget-apply" data-index="' + i + '">Apply</button>';
+    html += '</li>';
+  });
+  html += '</ol>';
+  return html;
+}
+
+/**
+ * Apply a suggestion to the design, then reopen the design summary so the screenshot and
+ * estimate attached to the request match; the budget stays selected when the form reopens.
+ */
+function applyBudgetSuggestion(index) {
+  var sug = budgetFit && budgetFit.suggestions[index];
+  var store = window.__dbg && window.__dbg.store;
+  if (!sug || !store || typeof store.setState !== 'function') return;
+
+  lastBudget = document.getElementById('cfBudget')?.value || '';
+  store.setState(sug.patch);
+  hideQuoteForm();
+  import('./design-summary.js').then(function(mod) {
+    // After the close animation, once the model has redrawn for the screenshot
+    setTimeout(function() { mod.showDesignSummary(); }, 400);
+  }).catch(function(err) {
+    console.error('[quote-form] Failed to load design summary:', err);
+  });
+}
+
 /** Show/hide validation tick */
 function toggleTick(tickId, valid) {
   var tick = document.getElementById(tickId);
@@ -345,7 +488,7 @@ function handleSubmit(e) {
   }
 
   // Prepare payload
-  var refNumber = generateRefNumber();
+  var refNumber = formContext.refNumber || generateRefNumber();
   var stateJson = '';
   try {
     stateJson = toBase64(JSON.stringify(formContext.state || {}));
@@ -273,6 +273,7 @@
       </div>
 
       <div id="priceCard" style="display:none; padding: 0 12px 12px;"></div>
+      <div id="whatIfPanel" style="display:none; padding: 0 12px 12px;"></div>
 
     `;
   }
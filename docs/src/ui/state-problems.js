@@ -0,0 +1,37 @@
+/**
+ * State problems review
+ * Shows the schema problems found in an incoming design (import file, shared
+ * link or preset) and lets the user auto-correct them or cancel the load.
+ */
+
+import { validateState, autoCorrectState, formatProblems } from "../state-schema.js";
+
+// Longer lists are truncated in the dialog; the full list goes to the console.
+var MAX_LISTED = 12;
+
+/**
+ * Validate an incoming (migrated) state and ask the user what to do if it has problems.
+ * @param {Object} state - Migrated, possibly partial design state
+ * @param {string} source - Human readable origin, e.g. "shed-design.json" or "Shared link"
+ * @returns {Object|null} The state unchanged when valid, the auto-corrected state when
+ *   the user accepts, or null when the user cancels the load
+ */
+export function reviewStateProblems(state, source) {
+  var result = validateState(state);
+  if (result.valid) return state;
+
+  var lines = formatProblems(result.problems);
+  console.warn("[state-schema] " + source + " has " + lines.length + " problem(s):\n  " + lines.join("\n  "));
+
+  var listed = lines.slice(0, MAX_LISTED).map(function (l) { return "• " + l; });
+  if (lines.length > MAX_LISTED) listed.push("…and " + (lines.length - MAX_LISTED) + " more (see console)");
+
+  var msg = source + " has " + lines.length + " problem" + (lines.length === 1 ? "" : "s") + ":\n\n" +
+    listed.join("\n") +
+    "\n\nOK to auto-correct and load, Cancel to keep the current design.";
+
+  if (typeof window === "undefined" || typeof window.confirm !== "function" || window.confirm(msg)) {
+    return autoCorrectState(state).state;
+  }
+  return null;
+}
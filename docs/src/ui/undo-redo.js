@@ -0,0 +1,57 @@
+/**
+ * Undo / Redo controls
+ * Wires the panel header buttons and Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+ * to the state store's history.
+ */
+
+/**
+ * True when the key event belongs to a text field, which keeps its own native undo.
+ * @param {EventTarget} target
+ */
+function isTextEditingTarget(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  var tag = String(target.tagName).toLowerCase();
+  if (tag === "textarea") return true;
+  if (tag !== "input") return false;
+  var type = String(target.type || "text").toLowerCase();
+  return type === "text" || type === "search" || type === "email" || type === "tel" || type === "url" || type === "password";
+}
+
+/**
+ * Initialize undo/redo buttons and keyboard shortcuts
+ * @param {Object} store - State store from createStateStore()
+ * @param {Object} [ids] - Optional element ids { undoBtn, redoBtn }
+ */
+export function initUndoRedo(store, ids) {
+  if (!store || typeof store.undo !== "function") {
+    console.warn("[undo-redo] Store has no history support");
+    return;
+  }
+
+  ids = ids || {};
+  var undoBtn = document.getElementById(ids.undoBtn || "undoBtn");
+  var redoBtn = document.getElementById(ids.redoBtn || "redoBtn");
+
+  function refreshButtons() {
+    if (undoBtn) undoBtn.disabled = !store.canUndo();
+    if (redoBtn) redoBtn.disabled = !store.canRedo();
+  }
+
+  if (undoBtn) undoBtn.addEventListener("click", function () { store.undo(); });
+  if (redoBtn) redoBtn.addEventListener("click", function () { store.redo(); });
+
+  document.addEventListener("keydown", function (e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    var key = String(e.key || "").toLowerCase();
+    if (key !== "z") return;
+    if (isTextEditingTarget(e.target)) return;
+
+    e.preventDefault();
+    if (e.shiftKey) store.redo();
+    else store.undo();
+  });
+
+  store.onHistoryChange(refreshButtons);
+  refreshButtons();
+}
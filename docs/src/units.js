@@ -0,0 +1,188 @@
+// FILE: docs/src/units.js
+//
+// Length units for display and input. State is always canonical millimetres;
+// state.unitMode ("metric" | "imperial") only changes how lengths are typed
+// and shown. Imperial inputs accept feet-inches such as 7' 10 1/2", 7ft 10in,
+// 94 1/2" or 94.5 (a bare number is inches); explicit mm / cm / m also work in
+// either mode. BOM tables and CSVs show fractional inches to the nearest 1/16".
+
+export const UNIT_MODES = ["metric", "imperial"];
+
+// BOM display units: mm, mm with inches alongside, or inches only
+export const BOM_UNITS = ["mm", "both", "in"];
+
+const MM_PER_INCH = 25.4;
+const DENOMINATOR = 16;
+
+let bomUnits = "mm";
+
+/**
+ * Parse a typed length to millimetres.
+ * @param {string|number} text - e.g. "2400", "7' 10 1/2\"", "94.5", "2.4m"
+ * @param {string} [unitMode="metric"] - Unit a bare number is read in (mm, or inches when "imperial")
+ * @returns {number|null} Millimetres (whole mm for imperial input), or null when unreadable
+ */
+export function parseLength(text, unitMode) {
+  const s = String(text ?? "").trim().toLowerCase()
+    .replace(/[’′]/g, "'")
+    .replace(/[”″]|''/g, '"')
+    .replace(/\s+/g, " ");
+  if (!s) return null;
+
+  const metric = s.match(/^(\d+(?:\.\d+)?|\.\d+) ?(mm|cm|m)$/);
+  if (metric) return Number(metric[1]) * { mm: 1, cm: 10, m: 1000 }[metric[2]];
+
+  const bare = s.match(/^(\d+(?:\.\d+)?|\.\d+)$/);
+  if (bare) {
+    const n = Number(bare[1]);
+    return unitMode === "imperial" ? Math.round(n * MM_PER_INCH) : n;
+  }
+
+  // Two bare numbers in imperial mode are feet and inches ("9 10.5")
+  const pair = unitMode === "imperial" && s.match(/^(\d+(?:\.\d+)?) (\d+(?:\.\d+)?)$/);
+  if (pair) return Math.round((Number(pair[1]) * 12 + Number(pair[2])) * MM_PER_INCH);
+
+  const inches = parseFeetInches(s);
+  return inches == null ? null : Math.round(inches * MM_PER_INCH);
+}
+
+/**
+ * Format millimetres for a length input.
+ * @param {number} mm
+ * @param {string} [unitMode="metric"]
+ * @returns {string} "2400" (metric) or feet-inches such as 7' 10 1/2" (imperial)
+ */
+export function formatLength(mm, unitMode) {
+  const n = Number(mm);
+  if (!Number.isFinite(n)) return "";
+  if (unitMode !== "imperial") return String(Math.round(n));
+  return mmToFtInStr(n);
+}
+
+/**
+ * Millimetres as fractional inches, rounded to the nearest 1/16".
+ * @param {number} mm
+ * @returns {string} e.g. 94 1/2"
+ */
+export function mmToInFracStr(mm) {
+  const n = Number(mm);
+  if (!Number.isFinite(n)) return "";
+  const sign = n < 0 ? "-" : "";
+  const ticks = Math.round(Math.abs(n) / MM_PER_INCH * DENOMINATOR);
+  return sign + inchesText(Math.floor(ticks / DENOMINATOR), ticks % DENOMINATOR) + '"';
+}
+
+/**
+ * Millimetres as feet and fractional inches (just inches under a foot).
+ * @param {number} mm
+ * @returns {string} e.g. 7' 10 1/2"
+ */
+export function mmToFtInStr(mm) {
+  const n = Number(mm);
+  if (!Number.isFinite(n)) return "";
+  const sign = n < 0 ? "-" : "";
+  const ticks = Math.round(Math.abs(n) / MM_PER_INCH * DENOMINATOR);
+  const perFoot = 12 * DENOMINATOR;
+  const feet = Math.floor(ticks / perFoot);
+  const rest = ticks % perFoot;
+  const inches = inchesText(Math.floor(rest / DENOMINATOR), rest % DENOMINATOR) + '"';
+  return sign + (feet > 0 ? `${feet}' ${inches}` : inches);
+}
+
+/**
+ * Set the units BOM tables are rendered in.
+ * @param {string} units - "mm" | "both" | "in"
+ */
+export function setBomUnits(units) {
+  bomUnits = BOM_UNITS.includes(units) ? units : "mm";
+}
+
+/** @returns {string} Current BOM display units ("mm" | "both" | "in") */
+export function getBomUnits() {
+  return bomUnits;
+}
+
+/**
+ * Format a BOM length cell. Blank and non-numeric cells pass through unchanged.
+ * @param {number|string} mm
+ * @param {string} [units] - Defaults to the current BOM units
+ * @returns {string} "2400", "2400 (94 1/2\")" or "94 1/2\""
+ */
+export function fmtBomLength(mm, units) {
+  const u = units || bomUnits;
+  if (mm === "" || mm == null) return "";
+  const n = Number(mm);
+  if (u === "mm" || !Number.isFinite(n) || n <= 0) return String(mm);
+  if (u === "in") return mmToInFracStr(n);
+  return `${mm} (${mmToInFracStr(n)})`;
+}
+
+/**
+ * Format a "L × W" size for the BOM, mm suffixed as the base cutting list does.
+ * @param {number} a
+ * @param {number} [b] - Omit for a single length
+ * @param {string} [units]
+ * @returns {string} e.g. "2400mm × 1200mm (94 1/2\" × 47 1/4\")"
+ */
+export function fmtBomSize(a, b, units) {
+  const u = units || bomUnits;
+  const dims = b == null ? [a] : [a, b];
+  const mmTxt = dims.map(v => `${v}mm`).join(" × ");
+  const inTxt = dims.map(mmToInFracStr).join(" × ");
+  if (u === "in") return inTxt;
+  if (u === "both") return `${mmTxt} (${inTxt})`;
+  return mmTxt;
+}
+
+/**
+ * Rewrite "(mm)" in table headers under root for the current BOM units. The metric
+ * label is kept in data-mm-label so switching back restores it.
+ * @param {ParentNode} root
+ * @param {string} [units]
+ */
+export function relabelLengthHeaders(root, units) {
+  const u = units || bomUnits;
+  const suffix = u === "in" ? "(in)" : u === "both" ? "(mm / in)" : "(mm)";
+  for (const th of root.querySelectorAll("th")) {
+    const label = th.dataset.mmLabel || th.textContent;
+    if (!label.includes("(mm)")) continue;
+    th.dataset.mmLabel = label;
+    th.textContent = label.replace("(mm)", suffix);
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+/** Parse feet-and-inches text to inches: 7' 10 1/2", 7'10-1/2", 7ft 10in, 10 1/2", 1/2". */
+function parseFeetInches(s) {
+  let feet = 0;
+  let rest = s;
+  let marked = false;
+
+  const ft = rest.match(/^(\d+(?:\.\d+)?) ?(?:'|ft\b|feet\b|foot\b)[ -]?/);
+  if (ft) {
+    feet = Number(ft[1]);
+    rest = rest.slice(ft[0].length);
+    marked = true;
+  }
+
+  const m = rest.match(/^(?:(\d+(?:\.\d+)?)(?: |-)?)?(?:(\d+) ?\/ ?(\d+))? ?("|in\b|inch\b|inches\b)?$/);
+  if (!m) return null;
+  const [, whole, num, den, mark] = m;
+  if (den != null && !(Number(den) > 0)) return null;
+  if (!marked && !mark && num == null) return null;
+  if (whole == null && num == null && !marked) return null;
+
+  let inches = whole != null ? Number(whole) : 0;
+  if (num != null) inches += Number(num) / Number(den);
+  return feet * 12 + inches;
+}
+
+/** Whole inches plus a reduced sixteenths fraction, e.g. (10, 8) -> "10 1/2". */
+function inchesText(whole, sixteenths) {
+  if (!sixteenths) return String(whole);
+  let num = sixteenths;
+  let den = DENOMINATOR;
+  while (num % 2 === 0) { num /= 2; den /= 2; }
+  return whole ? `${whole} ${num}/${den}` : `${num}/${den}`;
+}
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Headless BOM + price estimate for a saved design.
+ *
+ * Usage:
+ *   node tools/bom-cli.mjs <state.json> [--format json|csv] [--out <file>] [--prices <price-table.json>] [--price-list <id>] [--postcode <postcode>] [--carbon <carbon-factors.json>]
+ *                          [--stock 2400,3000,3600,4800,6200] [--kerf 3] [--units mm|in|both] [--svg-dir <dir>] [--po-dir <dir>] [--verbose]
+ *   node tools/bom-cli.mjs --preset <presetId> [...]
+ *
+ * <state.json> may be a raw state object, a designer export ({ _format, state })
+ * or a preset ({ id, name, state }). It is migrated to the current schema,
+ * checked against the state schema (problems are reported on stderr and
+ * auto-corrected) and merged onto DEFAULTS exactly like loading a preset in
+ * the app, then every element BOM is computed without a browser. JSON output
+ * contains { bom, cutting, sheets, fixings, purchaseOrders, carbon, price }; CSV output is one flat
+ * cutting list followed by the timber cutting plan (framing packed into stock
+ * lengths, see docs/src/bom/cutting-stock.js), the sheet count per material
+ * (see docs/src/bom/sheet-nesting.js) and the fixings schedule in packs (see
+ * docs/src/bom/fixings.js) and the embodied carbon report (see docs/src/bom/carbon.js,
+ * factors from docs/data/carbon-factors.json unless --carbon is given). Stock lengths and kerf default to the price
+ * table's timber.stock_lengths_mm / timber.saw_kerf_mm. --svg-dir writes one
+ * cut diagram per sheet. --po-dir writes one purchase order CSV per supplier
+ * plus a printable purchase-orders.html (see docs/src/bom/purchase-orders.js).
+ * --units sets the CSV lengths: mm, fractional inches, or both side by side;
+ * it defaults to inches for designs saved in imperial mode (state.unitMode).
+ * --price-list prices the design on a named list from the price table's
+ * price_lists (e.g. trade); the table's default list otherwise. --postcode prices
+ * delivery and travel for the postcode's zone (the price table's delivery.zones;
+ * districts outside them get no delivery line and are reported outside the service area). The estimate is
+ * costed from the purchase order lines, so the CSV ends with every price line and
+ * the BOM rows it was costed from, then the labour schedule (person-days, crew and
+ * days on site per task, see docs/src/bom/labour.js). Purchase orders and price leave out anything the
+ * design's state.build excludes (see scopeBOMToBuild in docs/src/bom/compute.js).
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const DOCS = resolve(ROOT, "docs");
+
+function usage(msg) {
+  if (msg) process.stderr.write(`bom-cli: ${msg}\n`);
+  process.stderr.write("Usage: node tools/bom-cli.mjs <state.json> | --preset <id> [--format json|csv] [--out <file>] [--prices <file>] [--price-list <id>] [--postcode <postcode>] [--carbon <file>] [--stock <mm,mm,...>] [--kerf <mm>] [--units mm|in|both] [--svg-dir <dir>] [--po-dir <dir>] [--verbose]\n");
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const opts = { format: "json", out: null, prices: resolve(DOCS, "data/price-table.json"), priceList: null, postcode: null, carbon: resolve(DOCS, "data/carbon-factors.json"), preset: null, input: null, stock: null, kerf: null, units: null, svgDir: null, poDir: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--format") opts.format = argv[++i];
+    else if (a === "--out") opts.out = argv[++i];
+    else if (a === "--prices") opts.prices = argv[++i];
+    else if (a === "--price-list") opts.priceList = argv[++i];
+    else if (a === "--postcode") opts.postcode = argv[++i];
+    else if (a === "--carbon") opts.carbon = argv[++i];
+    else if (a === "--preset") opts.preset = argv[++i];
+    else if (a === "--stock") opts.stock = String(argv[++i] || "").split(",").map(Number);
+    else if (a === "--kerf") opts.kerf = Number(argv[++i]);
+    else if (a === "--units") opts.units = argv[++i];
+    else if (a === "--svg-dir") opts.svgDir = argv[++i];
+    else if (a === "--po-dir") opts.poDir = argv[++i];
+    else if (a === "--verbose") opts.verbose = true;
+    else if (a === "-h" || a === "--help") usage();
+    else if (a.startsWith("--")) usage(`unknown option ${a}`);
+    else opts.input = a;
+  }
+  if (!opts.input && !opts.preset) usage("no state file or preset given");
+  if (opts.format !== "json" && opts.format !== "csv") usage(`unknown format "${opts.format}"`);
+  if (opts.stock && (!opts.stock.length || opts.stock.some(n => !(n > 0)))) usage("--stock expects comma separated lengths in mm");
+  if (opts.kerf !== null && !(opts.kerf >= 0)) usage("--kerf expects a width in mm");
+  if (opts.units !== null && !["mm", "in", "both"].includes(opts.units)) usage(`unknown units "${opts.units}"`);
+  return opts;
+}
+
+/** Unwrap the accepted file shapes down to a state object. */
+function extractState(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  if (obj._format && obj.state) return obj.state;
+  if (obj.id && obj.state && typeof obj.state === "object") return obj.state;
+  return obj;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  // Element modules log freely; keep stdout clean for the report.
+  const quiet = () => {};
+  const toStderr = (...args) => process.stderr.write(args.map(String).join(" ") + "\n");
+  console.log = opts.verbose ? toStderr : quiet;
+  console.info = opts.verbose ? toStderr : quiet;
+  console.debug = opts.verbose ? toStderr : quiet;
+  if (!opts.verbose) console.warn = quiet;
+
+  const { DEFAULTS } = await import(resolve(DOCS, "src/params.js"));
+  const { deepMerge } = await import(resolve(DOCS, "src/state.js"));
+  const { migrateState } = await import(resolve(DOCS, "src/migrations.js"));
+  const { autoCorrectState, formatProblems } = await import(resolve(DOCS, "src/state-schema.js"));
+  const { computeDesignBOM, scopeBOMToBuild, designBOMToRows, rowsInUnits, rowsToCsv } = await import(resolve(DOCS, "src/bom/compute.js"));
+  const { setPriceTable, getPriceTable, setPriceList, getPriceLists, setSitePostcode, getSitePostcode, estimatePrice } = await import(resolve(DOCS, "src/pricing.js"));
+  const { collectSheetPieces, nestSheets, nestingPlanToRows, sheetToSvg } = await import(resolve(DOCS, "src/bom/sheet-nesting.js"));
+  const { cuttingOptionsFromPriceTable, collectFramingPieces, optimiseCuttingStock, describeCuts } = await import(resolve(DOCS, "src/bom/cutting-stock.js"));
+  const { computeFixingsSchedule } = await import(resolve(DOCS, "src/bom/fixings.js"));
+  const { buildPurchaseOrders, purchaseOrderToRows, purchaseOrdersToHtml } = await import(resolve(DOCS, "src/bom/purchase-orders.js"));
+  const { computeCarbonReport, carbonReportToRows } = await import(resolve(DOCS, "src/bom/carbon.js"));
+  const { fmtBomLength } = await import(resolve(DOCS, "src/units.js"));
+
+  let stateObj;
+  if (opts.preset) {
+    const { findBuiltInPresetById } = await import(resolve(DOCS, "instances.js"));
+    const preset = findBuiltInPresetById(opts.preset);
+    if (!preset) usage(`unknown preset "${opts.preset}"`);
+    stateObj = preset.state;
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(readFileSync(resolve(opts.input), "utf8"));
+    } catch (err) {
+      usage(`could not read ${opts.input}: ${err.message}`);
+    }
+    stateObj = extractState(parsed);
+    if (!stateObj) usage(`${opts.input} does not contain a design state`);
+  }
+
+  const checked = autoCorrectState(migrateState(stateObj));
+  for (const line of formatProblems(checked.problems)) process.stderr.write(`bom-cli: ${line}\n`);
+
+  const state = deepMerge(structuredClone(DEFAULTS), checked.state);
+
+  try {
+    setPriceTable(JSON.parse(readFileSync(resolve(opts.prices), "utf8")));
+  } catch (err) {
+    usage(`could not read price table ${opts.prices}: ${err.message}`);
+  }
+  if (opts.priceList) {
+    if (!getPriceLists().some(l => l.id === opts.priceList)) usage(`unknown price list "${opts.priceList}"`);
+    setPriceList(opts.priceList);
+  }
+  if (opts.postcode) {
+    setSitePostcode(opts.postcode);
+    if (!getSitePostcode()) usage(`"${opts.postcode}" is not a full UK postcode`);
+  }
+  let carbonFactors;
+  try {
+    carbonFactors = JSON.parse(readFileSync(resolve(opts.carbon), "utf8"));
+  } catch (err) {
+    usage(`could not read carbon factors ${opts.carbon}: ${err.message}`);
+  }
+
+  const bom = computeDesignBOM(state);
+  const price = estimatePrice(state);
+  const cuttingOpts = cuttingOptionsFromPriceTable(getPriceTable());
+  if (opts.stock) cuttingOpts.stockLengths = opts.stock;
+  if (opts.kerf !== null) cuttingOpts.kerf = opts.kerf;
+  const cutting = optimiseCuttingStock(collectFramingPieces(bom), cuttingOpts);
+  const sheets = nestSheets(collectSheetPieces(bom), { kerf: cuttingOpts.kerf });
+  const fixings = computeFixingsSchedule(bom, state, getPriceTable());
+  const purchaseOrders = buildPurchaseOrders(scopeBOMToBuild(bom, state), state, getPriceTable(), cuttingOpts);
+  const carbon = computeCarbonReport(bom, state, carbonFactors);
+
+  if (opts.svgDir) {
+    mkdirSync(resolve(opts.svgDir), { recursive: true });
+    for (const m of sheets.materials) {
+      m.sheets.forEach((_, i) => writeFileSync(resolve(opts.svgDir, `${m.id}-sheet-${i + 1}.svg`), sheetToSvg(m, i) + "\n"));
+    }
+  }
+
+  if (opts.poDir) {
+    mkdirSync(resolve(opts.poDir), { recursive: true });
+    for (const o of purchaseOrders.orders) {
+      writeFileSync(resolve(opts.poDir, `po-${o.supplierId}.csv`), rowsToCsv(purchaseOrderToRows(o)) + "\n");
+    }
+    writeFileSync(resolve(opts.poDir, "purchase-orders.html"), purchaseOrdersToHtml(purchaseOrders, { job: opts.preset || opts.input }) + "\n");
+  }
+
+  let output;
+  if (opts.format === "csv") {
+    // Rows are built in mm and converted once at the end
+    const units = opts.units || (state.unitMode === "imperial" ? "in" : "mm");
+    const len = mm => units === "mm" ? `${mm}mm` : fmtBomLength(mm, units);
+    const rows = designBOMToRows(bom);
+    rows.push([]);
+    for (const s of cutting.sections) {
+      for (const p of s.patterns) {
+        rows.push([`Cutting Plan / ${s.section}`, describeCuts(p.cuts, mm => fmtBomLength(mm, units)), p.count, p.stock_mm, "", "", `offcut ${len(p.offcut_mm)}`]);
+      }
+      for (const b of s.buy) rows.push([`Cutting Plan / ${s.section}`, "Buy", b.qty, b.stock_mm, "", "", `${s.waste_pct}% waste`]);
+    }
+    for (const p of cutting.oversize) {
+      rows.push([`Cutting Plan / ${p.section}`, p.item, p.qty, p.length_mm, "", "", "Longer than stock — order to length or join"]);
+    }
+    rows.push(["Cutting Plan", "Total lengths", cutting.totals.lengths, cutting.totals.purchased_mm, "", "", `${cutting.totals.waste_pct}% waste`]);
+    rows.push([]);
+    for (const [label, size, count, pieces, waste] of nestingPlanToRows(sheets)) {
+      const [l, w] = size.split(" × ");
+      rows.push([`Sheet Plan / ${label}`, "Sheets", count, l, w, "", `${pieces}; ${waste} waste`]);
+    }
+    rows.push([]);
+    for (const f of fixings.lines) {
+      const uses = f.uses.map(u => `${u.label} ${u.qty}`).join(", ");
+      rows.push([`Fixings / ${f.category}`, f.item, f.qty, "", "", "", `${f.packs} × pack of ${f.pack_size}; ${uses}`]);
+    }
+    rows.push(["Fixings", "Total", "", "", "", "", fixings.total_cost]);
+    rows.push([]);
+    for (const [material, qty, m3, kg, co2e, stored] of carbonReportToRows(carbon).slice(1)) {
+      rows.push([`Carbon / ${material}`, qty, "", "", "", "", `${m3 ? `${m3} m³; ` : ""}${kg} kg; ${co2e} kgCO2e${stored ? `; ${stored} kgCO2 stored` : ""}`]);
+    }
+    if (price) {
+      rows.push([]);
+      if (price.priceList.id) rows.push(["Price", "Price list", "", "", "", "", price.priceList.label]);
+      if (price.deliveryZone) rows.push(["Price", "Delivery zone", "", "", "", "", `${price.deliveryZone.district}: ${price.deliveryZone.label}`]);
+      rows.push(["Price", "Estimate (low)", "", "", "", "", price.low]);
+      rows.push(["Price", "Estimate (high)", "", "", "", "", price.high]);
+      for (const key of Object.keys(price.trace)) {
+        for (const l of price.trace[key]) {
+          rows.push([`Price / ${key}`, l.description, l.qty, "", "", "", `${l.amount.toFixed(2)} of ${l.line_total.toFixed(2)}; ${l.from.join("; ")}`]);
+        }
+      }
+      for (const t of price.labourSchedule.tasks) {
+        rows.push(["Labour", t.label, t.personDays, "", "", "", `crew ${t.crew}; days ${t.start}–${t.end}${t.dependsOn.length ? `; after ${t.dependsOn.join(", ")}` : ""}`]);
+      }
+    }
+    output = rowsToCsv(rowsInUnits(rows, units)) + "\n";
+  } else {
+    output = JSON.stringify({ bom, cutting, sheets, fixings, purchaseOrders, carbon, price }, null, 2) + "\n";
+  }
+
+  if (opts.out) writeFileSync(resolve(opts.out), output);
+  else process.stdout.write(output);
+}
+
+main().catch((err) => {
+  process.stderr.write(`bom-cli: ${err && err.stack ? err.stack : err}\n`);
+  process.exit(1);
+});